@@ -3,10 +3,23 @@
  * Shows warning dialog before starting actions in browser
  */
 
+const REVIEW_BEFORE_PUSH_KEY = 'review_before_push';
+
+/**
+ * Whether Actions runs should only commit, leaving the changes for review before they are pushed
+ */
+async function getReviewBeforePush() {
+  const result = await chrome.storage.local.get(REVIEW_BEFORE_PUSH_KEY);
+  return result[REVIEW_BEFORE_PUSH_KEY] === true;
+}
+
 /**
  * Show actions confirmation dialog and return user's decision
+ * @returns {Promise<{proceed: boolean, reviewBeforePush?: boolean, copied?: boolean}>}
  */
 async function showActionsConfirmationDialog(prInfo) {
+  const reviewBeforePush = await getReviewBeforePush();
+
   return new Promise((resolve) => {
     const dialog = document.createElement('div');
     dialog.className = 'claude-permission-dialog-overlay';
@@ -24,6 +37,12 @@ async function showActionsConfirmationDialog(prInfo) {
               For more complex tasks, or when there are a large number of actions required, it is recommended that you copy and paste the prompt directly into a terminal-based Claude Code instance for improved visibility.
             </p>
           </div>
+          <label class="permission-checkbox-label">
+            <input type="checkbox" id="claude-review-before-push" ${reviewBeforePush ? 'checked' : ''}>
+            <span class="permission-tool-description">
+              <strong>Review changes before they are pushed</strong> - Claude only commits; you accept, reject or revise each action's diff, and the accepted commits are pushed for you
+            </span>
+          </label>
         </div>
         <div class="permission-buttons">
           <button class="permission-btn permission-deny" style="height: 28px;">Cancel</button>
@@ -50,11 +69,7 @@ async function showActionsConfirmationDialog(prInfo) {
         btn.disabled = true;
         btn.innerHTML = 'Copying...';
 
-        // Check ultrathink checkbox state from main UI
-        const ultrathinkCheckbox = document.getElementById('claude-ultrathink-checkbox');
-        const useUltrathink = ultrathinkCheckbox?.checked || false;
-
-        const result = await copyActionPromptToClipboard(prInfo, useUltrathink);
+        const result = await copyActionPromptToClipboard(prInfo);
         showNotification(`✅ Action prompt copied to clipboard!\nFile: ${result.filePath.split('/').slice(-3).join('/')}`);
 
         dialog.remove();
@@ -68,9 +83,11 @@ async function showActionsConfirmationDialog(prInfo) {
     };
 
     // Handle Continue in Browser
-    dialog.querySelector('.permission-approve').onclick = () => {
+    dialog.querySelector('.permission-approve').onclick = async () => {
+      const review = dialog.querySelector('#claude-review-before-push').checked;
+      await chrome.storage.local.set({ [REVIEW_BEFORE_PUSH_KEY]: review });
       dialog.remove();
-      resolve({ proceed: true });
+      resolve({ proceed: true, reviewBeforePush: review });
     };
 
     // Close on background click
@@ -93,42 +110,48 @@ async function showActionsConfirmationDialog(prInfo) {
   });
 }
 
+// Keywords that give Claude Code a thinking budget, by thinking preset
+const THINKING_KEYWORDS = {
+  low: 'think',
+  medium: 'think hard',
+  high: 'ultrathink'
+};
+
 /**
  * Generate action prompt for local Claude Code
+ * @param {string} [thinking] - Thinking preset, asked for with Claude Code's thinking keywords
  */
-async function generateActionPrompt(prInfo, useUltrathink = false) {
-  // Get the actions file path from the server config
-  let questionsDir;
+async function generateActionPrompt(prInfo, thinking = 'off') {
+  // The actions file is rendered from the review store, so ask the server where it is
+  let actionsFilePath;
   try {
-    const configResponse = await fetch('http://localhost:47382/getConfig');
-    const data = await configResponse.json();
-    questionsDir = data.config?.prReviewsDir;
+    const { files } = await listReviewItems(prInfo);
+    actionsFilePath = files.actions;
   } catch (error) {
-    console.warn('[GENERATE-PROMPT] Failed to fetch config, using default:', error);
+    console.warn('[GENERATE-PROMPT] Failed to fetch the actions file path, using default:', error);
   }
 
-  // Fallback to default if config fetch failed or questionsDir is undefined
-  if (!questionsDir) {
+  // Fallback to today's file in the default location
+  if (!actionsFilePath) {
     // Default path - adjust based on your setup
-    questionsDir = '~/questions and actions';
+    const questionsDir = '~/questions and actions';
+    const repoParts = prInfo.fullRepoName.split('/');
+    const repoDir = (repoParts.length > 2 ? repoParts : ['github.com', ...repoParts]).join('/');
+    const dateStr = new Date().toISOString().split('T')[0];
+    actionsFilePath = `${questionsDir}/${repoDir}/PR-${prInfo.prNumber}/Actions ${dateStr}.md`;
   }
 
-  const repoName = prInfo.fullRepoName.split('/')[1];
-  const prFolder = `PR-${prInfo.prNumber}`;
-  const dateStr = new Date().toISOString().split('T')[0];
-  const actionsFileName = `Actions ${dateStr}.md`;
-  const actionsFilePath = `${questionsDir}/${repoName}/${prFolder}/${actionsFileName}`;
-
   let prompt = '';
 
-  if (useUltrathink) {
-    prompt = `IMPORTANT: Ultrathink for this task. Use <extended_thinking> mode.\n\n`;
+  if (THINKING_KEYWORDS[thinking]) {
+    prompt = `IMPORTANT: ${THINKING_KEYWORDS[thinking]} before making changes.\n\n`;
   }
 
   prompt += `Read the file at: ${actionsFilePath}
 
 Follow the instructions in the **ACTION:** sections for each action item.
-After completing each action, fill in the **SUMMARY:** section with what you did.
+After completing each action, replace the placeholder in its **SUMMARY:** section with what you did.
+Keep the <!-- item --> comment lines as they are - they match each summary to its action.
 
 Repository: ${prInfo.fullRepoName}
 Branch: ${prInfo.headBranch}
@@ -142,14 +165,17 @@ IMPORTANT: The Actions file is separate from the repository. Do not commit it to
 
 /**
  * Copy action prompt to clipboard
+ * Thinks as much as the preset picked in the toolbar, or the default for Actions runs.
  */
-async function copyActionPromptToClipboard(prInfo, useUltrathink = false) {
-  const { prompt, filePath } = await generateActionPrompt(prInfo, useUltrathink);
+async function copyActionPromptToClipboard(prInfo) {
+  const thinking = selectedThinkingPreset() || (await loadThinkingPresets()).actions;
+  const { prompt, filePath } = await generateActionPrompt(prInfo, thinking);
   await navigator.clipboard.writeText(prompt);
   return { success: true, prompt, filePath };
 }
 
 // Make functions globally accessible for content.js
 window.showActionsConfirmationDialog = showActionsConfirmationDialog;
+window.getReviewBeforePush = getReviewBeforePush;
 window.copyActionPromptToClipboard = copyActionPromptToClipboard;
 window.generateActionPrompt = generateActionPrompt;
@@ -7,23 +7,30 @@ class AgentClient {
   constructor() {
     this.ws = null;
     this.sessionId = null;
+    this.jobId = null;
+    this.sessionStorageKey = null; // chrome.storage key of the saved session for this PR
     this.connected = false;
     this.messageHandlers = new Map();
     this.lastMessageTime = null;
     this.heartbeatInterval = null;
     this.heartbeatWarningThreshold = 60000; // 60 seconds
     this.isAgentActive = false;
+    this.permissionQueue = []; // Requests waiting for the dialog, oldest first
+    this.activePermissionId = null; // Request whose dialog is open
   }
 
   /**
-   * Start a new agent session
+   * Start an agent session
+   * With { prInfo, kind }, the server hands back the PR's warm session (worktree and
+   * conversation of its last finished Questions/Actions run) when one is idle.
+   * @returns {Promise<{warm: boolean}>}
    */
-  async startSession() {
-    // Create session on server
-    const response = await fetch('http://localhost:47382/startSession', {
+  async startSession({ prInfo = null, kind = null } = {}) {
+    // Create (or claim) session on server
+    const response = await serverFetch('/startSession', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({})
+      body: JSON.stringify(prInfo ? { prInfo, kind } : {})
     });
 
     const result = await response.json();
@@ -32,25 +39,25 @@ class AgentClient {
     }
 
     this.sessionId = result.sessionId;
-    console.log('[AGENT-CLIENT] Session created:', this.sessionId);
+    console.log(`[AGENT-CLIENT] Session ${result.warm ? 'reused (warm)' : 'created'}:`, this.sessionId);
 
     // Establish WebSocket connection
-    return this.connect();
+    await this.connect();
+    return { warm: result.warm };
   }
 
   /**
    * Connect to WebSocket server
    */
-  connect() {
-    return new Promise((resolve, reject) => {
-      if (!this.sessionId) {
-        reject(new Error('No session ID'));
-        return;
-      }
+  async connect() {
+    if (!this.sessionId) {
+      throw new Error('No session ID');
+    }
 
-      const wsUrl = `ws://localhost:47383?session=${this.sessionId}`;
-      console.log('[AGENT-CLIENT] Connecting to:', wsUrl);
+    const wsUrl = await getAgentSocketUrl(this.sessionId);
+    console.log('[AGENT-CLIENT] Connecting to session:', this.sessionId);
 
+    return new Promise((resolve, reject) => {
       this.ws = new WebSocket(wsUrl);
 
       this.ws.onopen = () => {
@@ -99,31 +106,26 @@ class AgentClient {
   }
 
   /**
-   * Load permission settings from Chrome storage
+   * Load permission profiles, approval timeout, run budgets, thinking presets and rollback settings from Chrome storage
    */
   async loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get('agent_permissions', (result) => {
-        const defaultPermissions = {
-          Read: true,      // Safe: read-only
-          Grep: true,      // Safe: read-only
-          Glob: true,      // Safe: read-only
-          Bash: false,     // Dangerous: can execute anything
-          Write: false,    // Dangerous: can overwrite files
-          Edit: false,     // Dangerous: can modify files
-          TodoWrite: true, // Safe: just task tracking
-          WebSearch: false,
-          WebFetch: false
-        };
-
-        const permissions = result.agent_permissions || defaultPermissions;
-
-        // Save defaults if not exist
-        if (!result.agent_permissions) {
-          chrome.storage.local.set({ agent_permissions: defaultPermissions });
-        }
+    const { profiles, defaults } = await loadPermissionProfiles();
+    const budgets = await loadRunBudgets();
+    const thinking = await loadThinkingPresets();
 
-        resolve({ permissions });
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['auto_restore_checkpoint', 'approval_timeout_policy', 'approval_timeout_seconds'], (result) => {
+        resolve({
+          profiles, // Name → { permissions, rules }; each run uses one
+          defaultProfiles: defaults, // Profile for runs that don't pick one, by mode
+          autoRestoreCheckpoint: result.auto_restore_checkpoint === true, // Roll back stopped/failed Actions runs
+          approvalTimeout: { // What happens to permission requests nobody answers
+            policy: result.approval_timeout_policy || 'deny',
+            seconds: result.approval_timeout_seconds || 30
+          },
+          budgets, // Limits per run, by mode - the server ends a run that goes over one
+          thinking // Extended thinking preset by mode, for runs that don't pick one
+        });
       });
     });
   }
@@ -142,14 +144,29 @@ class AgentClient {
         console.log('[AGENT-CLIENT] Server confirmed connection');
         break;
 
+      case 'replay':
+        // Events buffered by the server while no browser was attached
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.replayEvents(data.events);
+        }
+        break;
+
       case 'permission_request':
         this.handlePermissionRequest(data);
         break;
 
+      case 'permission_resolved':
+        this.handlePermissionResolved(data);
+        break;
+
       case 'progress':
         this.handleProgress(data);
         break;
 
+      case 'text':
+        this.handleText(data);
+        break;
+
       case 'thinking':
         this.handleThinking(data);
         break;
@@ -174,6 +191,21 @@ class AgentClient {
         this.handleInterruptAck(data);
         break;
 
+      case 'review_checklist':
+        this.handleReviewChecklist(data);
+        break;
+
+      case 'item_status':
+        this.handleItemStatus(data);
+        break;
+
+      case 'usage':
+        // Running token and cost totals of the run
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.setUsage(data);
+        }
+        break;
+
       case 'stop':
         // Stop acknowledgment - agent is stopping
         console.log('[AGENT-CLIENT] Stop acknowledged');
@@ -196,25 +228,68 @@ class AgentClient {
 
   /**
    * Handle permission request from server
+   * One dialog at a time - later requests wait behind it (and in the server's approvals queue)
    */
-  async handlePermissionRequest(data) {
+  handlePermissionRequest(data) {
     console.log('[AGENT-CLIENT] Permission request:', data.toolName, data.input);
 
+    // Re-sent after a reattach
+    if (data.requestId === this.activePermissionId || this.permissionQueue.some(queued => queued.requestId === data.requestId)) {
+      return;
+    }
+
+    this.permissionQueue.push(data);
+    setPermissionDialogBacklog(this.permissionQueue.length);
+    refreshApprovalsBadge();
+    this.showNextPermission();
+  }
+
+  /**
+   * Show the dialog for the oldest queued request, if none is open
+   */
+  async showNextPermission() {
+    if (this.activePermissionId || this.permissionQueue.length === 0) return;
+
+    const data = this.permissionQueue.shift();
+    this.activePermissionId = data.requestId;
+
     // Show permission dialog to user
     const result = await showPermissionDialog({
       requestId: data.requestId,
       toolName: data.toolName,
       input: data.input,
       decisionReason: data.decisionReason,
-      suggestions: data.suggestions
+      suggestions: data.suggestions,
+      suggestedRule: data.suggestedRule,
+      profile: data.profile,
+      backlog: this.permissionQueue.length
     });
+    this.activePermissionId = null;
+
+    // Send response back to server - null means it was answered elsewhere
+    if (result) {
+      this.send({
+        type: 'permission_response',
+        requestId: data.requestId,
+        result
+      });
+    }
 
-    // Send response back to server
-    this.send({
-      type: 'permission_response',
-      requestId: data.requestId,
-      result
-    });
+    refreshApprovalsBadge();
+    this.showNextPermission();
+  }
+
+  /**
+   * A request was answered - from the queue view, by its timeout, or here
+   * The server reports timeouts and pauses as progress messages.
+   */
+  handlePermissionResolved(data) {
+    this.permissionQueue = this.permissionQueue.filter(queued => queued.requestId !== data.requestId);
+    setPermissionDialogBacklog(this.permissionQueue.length);
+    if (data.requestId === this.activePermissionId) {
+      dismissPermissionDialog(data.requestId);
+    }
+    refreshApprovalsBadge();
   }
 
   /**
@@ -230,7 +305,18 @@ class AgentClient {
   }
 
   /**
-   * Handle thinking/reasoning text
+   * Handle the agent's text
+   */
+  handleText(data) {
+    console.log('[AGENT-CLIENT] Text:', data.message);
+
+    if (window.agentMonitorPanel && window.agentMonitorPanel.isOpen) {
+      window.agentMonitorPanel.onText(data.message);
+    }
+  }
+
+  /**
+   * Handle an extended thinking block
    */
   handleThinking(data) {
     console.log('[AGENT-CLIENT] Thinking:', data.message);
@@ -301,6 +387,30 @@ class AgentClient {
     }
   }
 
+  /**
+   * Handle the checklist of items a Questions/Actions run works on
+   * (inline comments follow it through on('review_checklist') in content.js)
+   */
+  handleReviewChecklist(data) {
+    console.log('[AGENT-CLIENT] Checklist:', data.kind, data.items.length, 'item(s)');
+
+    // Kept while the panel is closed so it is current when reopened
+    if (window.agentMonitorPanel) {
+      window.agentMonitorPanel.setChecklist(data.kind, data.items);
+    }
+  }
+
+  /**
+   * Handle a status change of one question/action
+   */
+  handleItemStatus(data) {
+    console.log('[AGENT-CLIENT] Item status:', data.id, data.status);
+
+    if (window.agentMonitorPanel) {
+      window.agentMonitorPanel.updateChecklistItem(data.id, data.status, data.reason);
+    }
+  }
+
   /**
    * Show notification to user
    */
@@ -345,6 +455,7 @@ class AgentClient {
     }
     this.connected = false;
     this.sessionId = null;
+    this.jobId = null;
   }
 
   /**
@@ -403,66 +514,248 @@ class AgentClient {
 
   /**
    * Answer questions using Agent SDK
+   * Queues a job on the server and resolves once it finishes
+   * @param {Array<string>} [itemIds] - Only answer these questions (default: all unanswered)
+   */
+  async answerQuestions(prInfo, itemIds = undefined) {
+    const job = await this.submitJob('questions', prInfo, itemIds);
+    return this.waitForJob(job.id);
+  }
+
+  /**
+   * Have Claude reply to follow-ups on answered questions
+   * Queues a job on the server and resolves once it finishes
+   * @param {Array<string>} [itemIds] - Only reply on these questions (default: all with a pending follow-up)
+   */
+  async answerFollowUps(prInfo, itemIds = undefined) {
+    const job = await this.submitJob('followups', prInfo, itemIds);
+    return this.waitForJob(job.id);
+  }
+
+  /**
+   * Complete actions using Agent SDK
+   * Queues a job on the server and resolves once it finishes
+   * @param {Array<string>} [itemIds] - Only complete these actions (default: all pending)
+   * @param {Object} [options]
+   * @param {boolean} [options.reviewBeforePush] - Only commit; the changes wait for review before the server pushes them
    */
-  async answerQuestions(prInfo, useUltrathink = false) {
+  async completeActions(prInfo, itemIds = undefined, { reviewBeforePush = false } = {}) {
+    const job = await this.submitJob('actions', prInfo, itemIds, { reviewBeforePush });
+    return this.waitForJob(job.id);
+  }
+
+  /**
+   * Queue an agent job for the current session
+   * @param {Object} [options] - Extra job fields, e.g. { reviewBeforePush, profile, budget, thinking }
+   *   The permission profile, budget override and thinking preset default to the ones picked in the toolbar.
+   */
+  async submitJob(type, prInfo, itemIds = undefined, options = {}) {
     if (!this.sessionId) {
       throw new Error('No session - call startSession() first');
     }
 
-    console.log('[AGENT-CLIENT] Calling /answerQuestions with:', { sessionId: this.sessionId, prInfo, useUltrathink });
+    options = { profile: selectedPermissionProfile(), budget: selectedRunBudget(), thinking: selectedThinkingPreset(), ...options };
+
+    console.log('[AGENT-CLIENT] Submitting job:', { type, sessionId: this.sessionId, prInfo, itemIds, ...options });
 
-    const response = await fetch('http://localhost:47382/answerQuestions', {
+    const response = await serverFetch('/jobs', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
+        type,
         sessionId: this.sessionId,
         prInfo,
-        useUltrathink
+        itemIds,
+        ...options
       })
     });
 
-    console.log('[AGENT-CLIENT] Response status:', response.status);
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to queue job');
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Server error: ${response.status} - ${errorText}`);
+    this.jobId = result.job.id;
+    console.log('[AGENT-CLIENT] Job queued:', this.jobId);
+
+    // Remember the run so a reloaded page can reattach to it
+    this.sessionStorageKey = this.getSessionStorageKey(prInfo);
+    chrome.storage.local.set({
+      [this.sessionStorageKey]: {
+        sessionId: this.sessionId,
+        jobId: this.jobId,
+        type,
+        startedAt: new Date().toISOString()
+      }
+    });
+
+    return result.job;
+  }
+
+  /**
+   * chrome.storage key for the saved agent session of a PR
+   */
+  getSessionStorageKey(prInfo) {
+    return `agent_session_${prInfo.fullRepoName}_${prInfo.prNumber}`;
+  }
+
+  /**
+   * Get the saved agent session for a PR (if any)
+   */
+  async getSavedSession(prInfo) {
+    const key = this.getSessionStorageKey(prInfo);
+    return new Promise((resolve) => {
+      chrome.storage.local.get(key, (result) => resolve(result[key] || null));
+    });
+  }
+
+  /**
+   * Forget the saved agent session for a PR
+   */
+  clearSavedSession(prInfo) {
+    chrome.storage.local.remove(this.getSessionStorageKey(prInfo));
+  }
+
+  /**
+   * Poll a job until it finishes
+   * Resolves with { success, ...result } like the old long-held requests did
+   */
+  async waitForJob(jobId, pollInterval = 2000) {
+    while (true) {
+      const job = await this.getJob(jobId);
+      const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+
+      if (finished && this.sessionStorageKey) {
+        chrome.storage.local.remove(this.sessionStorageKey);
+        this.sessionStorageKey = null;
+      }
+
+      if (job.status === 'completed') {
+        return { success: true, ...job.result };
+      }
+      if (finished) {
+        return { success: false, error: job.error || `Job ${job.status}` };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  }
+
+  /**
+   * Fetch a job's current status
+   */
+  async getJob(jobId) {
+    const response = await serverFetch(`/jobs/${jobId}`);
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Job not found');
     }
+    return result.job;
+  }
 
+  /**
+   * List jobs known to the server (newest first)
+   */
+  async listJobs() {
+    const response = await serverFetch('/jobs');
     const result = await response.json();
-    console.log('[AGENT-CLIENT] Result:', result);
-    return result;
+    return result.success ? result.jobs : [];
   }
 
   /**
-   * Complete actions using Agent SDK
+   * Cancel a queued or running job
    */
-  async completeActions(prInfo, useUltrathink = false) {
-    if (!this.sessionId) {
-      throw new Error('No session - call startSession() first');
+  async cancelJob(jobId) {
+    const response = await serverFetch(`/jobs/${jobId}/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    return response.json();
+  }
+
+  /**
+   * Attach to an existing job's session so its events stream to this page
+   */
+  async attachToJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (this.ws) {
+      this.close();
     }
 
-    console.log('[AGENT-CLIENT] Calling /completeActions with:', { sessionId: this.sessionId, prInfo, useUltrathink });
+    this.sessionId = job.sessionId;
+    this.jobId = job.id;
+    this.sessionStorageKey = this.getSessionStorageKey({ fullRepoName: job.repo, prNumber: job.prNumber });
+    await this.connect();
 
-    const response = await fetch('http://localhost:47382/completeActions', {
+    console.log('[AGENT-CLIENT] Attached to job:', job.id);
+    return job;
+  }
+
+  /**
+   * The checkpoint taken before the PR's last Actions run (null if there was none)
+   */
+  async getCheckpoint(prInfo) {
+    const response = await serverFetch('/checkpoint', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        sessionId: this.sessionId,
-        prInfo,
-        useUltrathink
-      })
+      body: JSON.stringify({ prInfo: { fullRepoName: prInfo.fullRepoName, prNumber: prInfo.prNumber } })
     });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load checkpoint');
+    }
+    return result.checkpoint;
+  }
 
-    console.log('[AGENT-CLIENT] Response status:', response.status);
+  /**
+   * Roll the PR back to the checkpoint taken before its last Actions run
+   * @returns {Promise<{checkpoint: Object, previousSha: string|null, reopened: Array<string>}>}
+   */
+  async restoreCheckpoint(prInfo) {
+    const response = await serverFetch('/restoreCheckpoint', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prInfo: { fullRepoName: prInfo.fullRepoName, prNumber: prInfo.prNumber } })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to restore checkpoint');
+    }
+    return result;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Server error: ${response.status} - ${errorText}`);
+  /**
+   * List recorded transcripts of past agent runs for a PR
+   */
+  async listTranscripts(prInfo) {
+    const response = await serverFetch('/listTranscripts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fullRepoName: prInfo.fullRepoName, prNumber: prInfo.prNumber })
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to list transcripts');
     }
+    return result.transcripts;
+  }
 
+  /**
+   * Read all events of a recorded transcript
+   */
+  async readTranscript(filename) {
+    const response = await serverFetch('/readTranscript', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename })
+    });
     const result = await response.json();
-    console.log('[AGENT-CLIENT] Result:', result);
-    return result;
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to read transcript');
+    }
+    return result.events;
   }
 
   /**
@@ -481,6 +774,15 @@ class AgentClient {
    */
   stopAgent() {
     console.log('[AGENT-CLIENT] Stopping agent');
+
+    // Cancelling the job stops its session and records it as cancelled
+    if (this.jobId) {
+      this.cancelJob(this.jobId).catch(error => {
+        console.error('[AGENT-CLIENT] Failed to cancel job:', error);
+      });
+      return;
+    }
+
     this.send({
       type: 'stop'
     });
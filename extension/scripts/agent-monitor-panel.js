@@ -1,16 +1,63 @@
 /**
  * Agent Monitor Panel - Interactive Claude Agent Monitoring
- * Shows real-time logs, allows interrupts, and provides stop functionality
+ * Shows real-time logs and a per-item checklist, allows interrupts, and provides stop functionality
  */
 
+// Per-item statuses streamed during Questions/Actions runs
+const ITEM_STATUS_LABELS = {
+  queued: '⏳ Queued',
+  in_progress: '🔄 In progress',
+  answered: '✅ Answered',
+  done: '✅ Done',
+  skipped: '⏭️ Skipped',
+  failed: '❌ Failed'
+};
+
+/**
+ * Display label for an item status (shared with the inline comment badges)
+ */
+function itemStatusLabel(status) {
+  return ITEM_STATUS_LABELS[status] || status;
+}
+
+// Job types / transcript modes as shown in the job and past-run lists
+const RUN_TYPE_LABELS = {
+  questions: 'Questions',
+  followups: 'Follow-ups',
+  actions: 'Actions'
+};
+
+/**
+ * Token count as shown in the usage counter: 950, 12.3k, 1.2M
+ */
+function formatTokenCount(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+/**
+ * A budget event from the transcript as "$0.82 of $1.00" or "41 of 50 min"
+ */
+function formatBudgetUsage({ limit, value, max }) {
+  if (limit === 'maxCostUsd') return `$${value.toFixed(2)} of $${max.toFixed(2)}`;
+  return `${Math.round(value * 10) / 10} of ${max} ${BUDGET_LIMIT_UNITS[limit]}`;
+}
+
 class AgentMonitorPanel {
   constructor() {
     this.panel = null;
     this.logContainer = null;
     this.interruptInput = null;
+    this.jobsContainer = null;
+    this.runsContainer = null;
+    this.checklistContainer = null;
+    this.usageIndicator = null;
     this.isOpen = false;
     this.autoScroll = true;
     this.logs = [];
+    this.checklist = null; // { kind, items: [{ id, file, lines, text, status, reason }] }
+    this.usage = null; // Running token and cost totals of the current run
   }
 
   /**
@@ -52,8 +99,14 @@ class AgentMonitorPanel {
       this.panel = null;
       this.logContainer = null;
       this.interruptInput = null;
+      this.jobsContainer = null;
+      this.runsContainer = null;
+      this.checklistContainer = null;
+      this.usageIndicator = null;
       this.isOpen = false;
       this.logs = [];
+      this.checklist = null;
+      this.usage = null;
     }
   }
 
@@ -87,12 +140,20 @@ class AgentMonitorPanel {
               <span class="pulse-dot"></span>
               <span class="pulse-text">Working...</span>
             </span>
+            <span class="monitor-usage" id="monitor-usage" style="display: none;"></span>
           </div>
           <div class="monitor-controls">
+            <button class="monitor-jobs-btn" id="monitor-restore-checkpoint" title="Undo the last Actions run on this PR">Restore Checkpoint</button>
+            <button class="monitor-jobs-btn" id="monitor-runs-toggle" title="Show recorded runs for this PR">Past Runs</button>
+            <button class="monitor-jobs-btn" id="monitor-jobs-toggle" title="Show running and queued jobs">Jobs</button>
             <button class="monitor-close-btn" title="Close">×</button>
           </div>
         </div>
 
+        <div class="monitor-jobs" id="monitor-jobs" style="display: none;"></div>
+        <div class="monitor-jobs" id="monitor-runs" style="display: none;"></div>
+        <div class="monitor-checklist" id="monitor-checklist" style="display: none;"></div>
+
         <div class="monitor-log-container" id="monitor-log-container">
           <div class="monitor-log" id="monitor-log"></div>
         </div>
@@ -117,9 +178,18 @@ class AgentMonitorPanel {
     this.logContainer = document.getElementById('monitor-log-container');
     this.log = document.getElementById('monitor-log');
     this.interruptInput = document.getElementById('monitor-interrupt-input');
+    this.jobsContainer = document.getElementById('monitor-jobs');
+    this.runsContainer = document.getElementById('monitor-runs');
+    this.checklistContainer = document.getElementById('monitor-checklist');
+    this.renderChecklist();
+    this.usageIndicator = document.getElementById('monitor-usage');
+    this.renderUsage();
 
     // Add event listeners
     this.panel.querySelector('.monitor-close-btn').addEventListener('click', () => this.close());
+    document.getElementById('monitor-jobs-toggle').addEventListener('click', () => this.toggleJobs());
+    document.getElementById('monitor-runs-toggle').addEventListener('click', () => this.togglePastRuns());
+    document.getElementById('monitor-restore-checkpoint').addEventListener('click', () => this.restoreCheckpoint());
 
     document.getElementById('monitor-send-interrupt').addEventListener('click', () => this.sendInterrupt());
     document.getElementById('monitor-stop-agent').addEventListener('click', () => this.stopAgent());
@@ -134,8 +204,8 @@ class AgentMonitorPanel {
   /**
    * Add log entry
    */
-  addLog(message, type = 'info') {
-    const timestamp = new Date().toLocaleTimeString();
+  addLog(message, type = 'info', time = Date.now()) {
+    const timestamp = new Date(time).toLocaleTimeString();
     const entry = { timestamp, message, type };
     this.logs.push(entry);
 
@@ -149,6 +219,34 @@ class AgentMonitorPanel {
       <span class="log-message">${this.escapeHtml(message)}</span>
     `;
 
+    this.appendLogEntry(logEntry);
+  }
+
+  /**
+   * Add an extended thinking block - collapsible, as it can run long
+   */
+  addThinking(text, time = Date.now()) {
+    const timestamp = new Date(time).toLocaleTimeString();
+    this.logs.push({ timestamp, message: text, type: 'thinking' });
+
+    if (!this.log) return;
+
+    const logEntry = document.createElement('details');
+    logEntry.className = 'log-entry log-thinking';
+    logEntry.open = true;
+
+    logEntry.innerHTML = `
+      <summary>
+        <span class="log-timestamp">[${timestamp}]</span>
+        <span class="log-thinking-label">💭 Thinking</span>
+      </summary>
+      <div class="log-message">${this.escapeHtml(text)}</div>
+    `;
+
+    this.appendLogEntry(logEntry);
+  }
+
+  appendLogEntry(logEntry) {
     this.log.appendChild(logEntry);
 
     // Auto-scroll if enabled
@@ -157,6 +255,61 @@ class AgentMonitorPanel {
     }
   }
 
+  /**
+   * Replay events buffered by the server (e.g. after reattaching from a reloaded page)
+   * Rendered as log entries only - pending permission requests are re-sent live
+   */
+  replayEvents(events) {
+    if (!events || events.length === 0) return;
+
+    this.addLog(`Replaying ${events.length} earlier event(s)...`, 'info');
+
+    events.forEach(event => {
+      switch (event.type) {
+        case 'text':
+          this.addLog(event.message, 'text', event.timestamp);
+          break;
+        case 'thinking':
+          this.addThinking(event.message, event.timestamp);
+          break;
+        case 'tool_use':
+          this.addLog(`${event.toolName}: ${this.formatToolInput(event.toolName, event.input || event.message)}`, 'tool', event.timestamp);
+          break;
+        case 'tool_result':
+          this.addLog(
+            event.success ? `✓ ${event.toolName} completed` : `✗ ${event.toolName} failed: ${event.result}`,
+            event.success ? 'success' : 'error',
+            event.timestamp
+          );
+          break;
+        case 'permission_request':
+          this.addLog(`Permission requested: ${event.toolName}`, 'warning', event.timestamp);
+          break;
+        case 'review_checklist':
+          this.setChecklist(event.kind, event.items);
+          break;
+        case 'item_status':
+          this.updateChecklistItem(event.id, event.status, event.reason);
+          break;
+        case 'usage':
+          this.setUsage(event);
+          break;
+        case 'complete':
+          this.addLog(event.message, 'success', event.timestamp);
+          break;
+        case 'error':
+          this.addLog(event.message, 'error', event.timestamp);
+          break;
+        default:
+          if (event.message) {
+            this.addLog(event.message, 'info', event.timestamp);
+          }
+      }
+    });
+
+    this.addLog('Replay complete - now following live', 'info');
+  }
+
   /**
    * Update status (no-op - status bar removed)
    */
@@ -165,13 +318,94 @@ class AgentMonitorPanel {
   }
 
   /**
-   * Clear all logs
+   * Clear all logs and the checklist
    */
   clearLogs() {
     this.logs = [];
     if (this.log) {
       this.log.innerHTML = '';
     }
+    this.setChecklist(null, null);
+    this.setUsage(null);
+  }
+
+  /**
+   * Replace the usage counter with a run's running totals (null to hide it)
+   */
+  setUsage(usage) {
+    this.usage = usage;
+    this.renderUsage();
+  }
+
+  renderUsage() {
+    if (!this.usageIndicator) return;
+
+    if (!this.usage) {
+      this.usageIndicator.style.display = 'none';
+      return;
+    }
+
+    const { inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUsd, unpricedModels = [] } = this.usage;
+    const cacheTokens = cacheCreationTokens + cacheReadTokens;
+    this.usageIndicator.style.display = 'inline';
+    this.usageIndicator.textContent = `${formatTokenCount(inputTokens)} in · ${formatTokenCount(outputTokens)} out · ${formatTokenCount(cacheTokens)} cache · $${costUsd.toFixed(2)}${unpricedModels.length > 0 ? '+' : ''}`;
+    this.usageIndicator.title = [
+      `Input: ${inputTokens} tokens`,
+      `Output: ${outputTokens} tokens`,
+      `Cache writes: ${cacheCreationTokens} tokens`,
+      `Cache reads: ${cacheReadTokens} tokens`,
+      `Cost: $${costUsd.toFixed(4)}`,
+      ...(unpricedModels.length > 0 ? [`Not priced (add to "prices" in config.json): ${unpricedModels.join(', ')}`] : [])
+    ].join('\n');
+  }
+
+  /**
+   * Replace the checklist with a run's items (null to hide it)
+   */
+  setChecklist(kind, items) {
+    this.checklist = items ? { kind, items: items.map(item => ({ ...item })) } : null;
+    this.renderChecklist();
+  }
+
+  /**
+   * Update one checklist item's status
+   */
+  updateChecklistItem(id, status, reason = null) {
+    const item = this.checklist?.items.find(candidate => candidate.id === id);
+    if (!item) return;
+
+    item.status = status;
+    item.reason = reason;
+    this.renderChecklist();
+  }
+
+  /**
+   * Render the checklist - one row per question/action with its status
+   */
+  renderChecklist() {
+    if (!this.checklistContainer) return;
+
+    if (!this.checklist) {
+      this.checklistContainer.style.display = 'none';
+      this.checklistContainer.innerHTML = '';
+      return;
+    }
+
+    const { kind, items } = this.checklist;
+    const finished = items.filter(item => !['queued', 'in_progress'].includes(item.status)).length;
+    const noun = kind === 'questions' ? 'Questions' : 'Actions';
+
+    this.checklistContainer.style.display = 'block';
+    this.checklistContainer.innerHTML = `
+      <div class="monitor-checklist-title">${noun} · ${finished}/${items.length}</div>
+      ${items.map((item, index) => `
+        <div class="monitor-checklist-row monitor-checklist-${item.status}" title="${this.escapeHtml(item.reason || '')}">
+          <span class="monitor-checklist-status">${itemStatusLabel(item.status)}</span>
+          <span class="monitor-checklist-label">${index + 1}. ${this.escapeHtml(item.file)} (${this.escapeHtml(item.lines)})</span>
+          <span class="monitor-checklist-text">${this.escapeHtml(item.text || '')}</span>
+        </div>
+      `).join('')}
+    `;
   }
 
   /**
@@ -212,6 +446,270 @@ class AgentMonitorPanel {
     }
   }
 
+  /**
+   * Roll the PR back to the checkpoint taken before its last Actions run
+   */
+  async restoreCheckpoint() {
+    const prUrl = window.parsePRUrl();
+    if (!prUrl) return;
+
+    if (window.agentClient?.isAgentActive) {
+      alert('Stop the running agent before restoring the checkpoint.');
+      return;
+    }
+
+    let checkpoint;
+    try {
+      checkpoint = await window.agentClient.getCheckpoint(prUrl);
+    } catch (error) {
+      this.addLog(`Failed to load checkpoint: ${error.message}`, 'error');
+      return;
+    }
+
+    if (!checkpoint) {
+      alert('No checkpoint for this PR yet - one is taken before each Actions run.');
+      return;
+    }
+    if (checkpoint.restored) {
+      alert(`The checkpoint from ${new Date(checkpoint.createdAt).toLocaleString()} was already restored.`);
+      return;
+    }
+
+    const branchNote = checkpoint.reviewBeforePush
+      ? 'That run was reviewed before push, so the PR branch is left as-is.'
+      : `${checkpoint.branch} is reset to ${checkpoint.headSha.slice(0, 7)} - every commit pushed to it since then is removed, including any pushed by someone else.`;
+    if (!confirm(`Restore the checkpoint taken before the Actions run of ${new Date(checkpoint.createdAt).toLocaleString()}?\n\n${branchNote}\nActions completed by that run go back to pending.`)) {
+      return;
+    }
+
+    this.addLog('Restoring checkpoint...', 'info');
+    try {
+      const { previousSha, reopened } = await window.agentClient.restoreCheckpoint(prUrl);
+      this.addLog(
+        previousSha
+          ? `Restored checkpoint: ${checkpoint.branch} reset from ${previousSha.slice(0, 7)} to ${checkpoint.headSha.slice(0, 7)}, ${reopened.length} action(s) reopened`
+          : `Restored checkpoint: branch unchanged, ${reopened.length} action(s) reopened`,
+        'success'
+      );
+      await window.refreshAnswers?.();
+    } catch (error) {
+      this.addLog(`Failed to restore checkpoint: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show/hide the job list
+   */
+  async toggleJobs() {
+    if (this.jobsContainer.style.display !== 'none') {
+      this.jobsContainer.style.display = 'none';
+      return;
+    }
+
+    this.runsContainer.style.display = 'none';
+    this.jobsContainer.style.display = 'block';
+    this.jobsContainer.innerHTML = '<div class="monitor-jobs-empty">Loading jobs...</div>';
+
+    try {
+      const jobs = await window.agentClient.listJobs();
+      this.renderJobs(jobs);
+    } catch (error) {
+      this.jobsContainer.innerHTML = `<div class="monitor-jobs-empty">Could not load jobs: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render the job list with attach/cancel buttons for active jobs
+   */
+  renderJobs(jobs) {
+    const activeJobs = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+
+    if (activeJobs.length === 0) {
+      this.jobsContainer.innerHTML = '<div class="monitor-jobs-empty">No running or queued jobs</div>';
+      return;
+    }
+
+    const currentJobId = window.agentClient?.jobId;
+
+    this.jobsContainer.innerHTML = activeJobs.map(job => `
+      <div class="monitor-job-row">
+        <span class="monitor-job-status monitor-job-${job.status}">${job.status}</span>
+        <span class="monitor-job-label">${this.escapeHtml(job.repo)} #${job.prNumber} · ${RUN_TYPE_LABELS[job.type] || job.type}</span>
+        ${job.id === currentJobId
+          ? '<span class="monitor-job-attached">attached</span>'
+          : `<button class="monitor-job-attach" data-job-id="${job.id}">Attach</button>`}
+        <button class="monitor-job-cancel" data-job-id="${job.id}">Cancel</button>
+      </div>
+    `).join('');
+
+    this.jobsContainer.querySelectorAll('.monitor-job-attach').forEach(btn => {
+      btn.addEventListener('click', () => this.attachToJob(btn.getAttribute('data-job-id')));
+    });
+
+    this.jobsContainer.querySelectorAll('.monitor-job-cancel').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Cancel this job?')) return;
+        await window.agentClient.cancelJob(btn.getAttribute('data-job-id'));
+        this.renderJobs(await window.agentClient.listJobs());
+      });
+    });
+  }
+
+  /**
+   * Attach the panel to another job and follow it until it finishes
+   */
+  async attachToJob(jobId) {
+    this.jobsContainer.style.display = 'none';
+    this.clearLogs();
+
+    try {
+      const job = await window.agentClient.attachToJob(jobId);
+      this.addLog(`Attached to ${job.type} job for ${job.repo} #${job.prNumber} (${job.status})`, 'success');
+      window.agentClient.startHeartbeatMonitoring();
+
+      const result = await window.agentClient.waitForJob(jobId);
+      if (!result.success) {
+        this.addLog(`Job ended: ${result.error}`, 'error');
+      }
+    } catch (error) {
+      this.addLog(`Failed to attach to job: ${error.message}`, 'error');
+    } finally {
+      window.agentClient.stopHeartbeatMonitoring();
+    }
+  }
+
+  /**
+   * Show/hide the list of recorded runs for the current PR
+   */
+  async togglePastRuns() {
+    if (this.runsContainer.style.display !== 'none') {
+      this.runsContainer.style.display = 'none';
+      return;
+    }
+
+    const prUrl = window.parsePRUrl();
+    if (!prUrl) return;
+
+    this.jobsContainer.style.display = 'none';
+    this.runsContainer.style.display = 'block';
+    this.runsContainer.innerHTML = '<div class="monitor-jobs-empty">Loading past runs...</div>';
+
+    try {
+      const transcripts = await window.agentClient.listTranscripts({ fullRepoName: prUrl.fullRepoName, prNumber: prUrl.prNumber });
+      this.renderPastRuns(transcripts);
+    } catch (error) {
+      this.runsContainer.innerHTML = `<div class="monitor-jobs-empty">Could not load past runs: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render recorded runs with a Replay button each
+   */
+  renderPastRuns(transcripts) {
+    if (transcripts.length === 0) {
+      this.runsContainer.innerHTML = '<div class="monitor-jobs-empty">No recorded runs for this PR</div>';
+      return;
+    }
+
+    this.runsContainer.innerHTML = transcripts.map(run => `
+      <div class="monitor-job-row">
+        <span class="monitor-job-status monitor-run-${run.status || 'unfinished'}">${run.status || 'unfinished'}</span>
+        <span class="monitor-job-label">${run.startedAt ? new Date(run.startedAt).toLocaleString() : 'Unknown start'} · ${RUN_TYPE_LABELS[run.mode] || 'Questions'} · ${run.events} events</span>
+        <button class="monitor-job-attach" data-filename="${this.escapeHtml(run.filename)}">Replay</button>
+      </div>
+    `).join('');
+
+    this.runsContainer.querySelectorAll('.monitor-job-attach').forEach(btn => {
+      btn.addEventListener('click', () => this.replayTranscript(btn.getAttribute('data-filename')));
+    });
+  }
+
+  /**
+   * Load a recorded transcript and render it into the log
+   */
+  async replayTranscript(filename) {
+    if (window.agentClient?.isAgentActive && !confirm('An agent is running. Replace its live log with this past run?')) {
+      return;
+    }
+
+    this.runsContainer.style.display = 'none';
+    this.clearLogs();
+
+    let events;
+    try {
+      events = await window.agentClient.readTranscript(filename);
+    } catch (error) {
+      this.addLog(`Failed to load transcript: ${error.message}`, 'error');
+      return;
+    }
+
+    this.addLog(`Replaying ${filename}`, 'info');
+
+    events.forEach(event => {
+      const time = event.timestamp;
+      switch (event.type) {
+        case 'session_start':
+          this.addLog(`Run started (${event.mode}) for ${event.prInfo?.fullRepoName} #${event.prInfo?.prNumber} in ${event.worktreePath}`, 'info', time);
+          break;
+        case 'text':
+          this.addLog(event.text, 'text', time);
+          break;
+        case 'thinking':
+          this.addThinking(event.text, time);
+          break;
+        case 'tool_use':
+          this.addLog(`${event.toolName}: ${this.formatToolInput(event.toolName, event.input)}`, 'tool', time);
+          break;
+        case 'tool_result':
+          this.addLog(
+            event.success ? `✓ ${event.toolName}: ${this.formatToolInput(event.toolName, event.result)}` : `✗ ${event.toolName} failed: ${event.result}`,
+            event.success ? 'success' : 'error',
+            time
+          );
+          break;
+        case 'permission':
+          this.addLog(`Permission ${event.decision} for ${event.toolName} (${event.source})`, event.decision === 'allow' ? 'success' : 'warning', time);
+          break;
+        case 'run_paused':
+          this.addLog(`Paused waiting for approval of ${event.toolName}`, 'warning', time);
+          break;
+        case 'interrupt':
+          this.addLog(`USER INTERRUPT: ${event.message}`, 'interrupt', time);
+          break;
+        case 'review_checklist':
+          this.setChecklist(event.kind, event.items);
+          break;
+        case 'item_status':
+          this.updateChecklistItem(event.id, event.status, event.reason);
+          break;
+        case 'stop':
+          this.addLog(event.message, 'error', time);
+          break;
+        case 'budget_warning':
+          this.addLog(`Nearing the run's budget: ${formatBudgetUsage(event)}`, 'warning', time);
+          break;
+        case 'budget_exceeded':
+          this.addLog(`Ended over budget (${formatBudgetUsage(event)}) - ${event.unfinished.length} item(s) left unfinished`, 'error', time);
+          break;
+        case 'checkpoint_restored':
+          this.addLog(`Rolled back to the checkpoint at ${event.headSha.slice(0, 7)} (${event.reopened.length} action(s) reopened)`, 'warning', time);
+          break;
+        case 'usage': {
+          const usage = event.usage || {};
+          const costUsd = event.totals ? event.totals.costUsd : event.totalCostUsd; // Older transcripts only have the SDK's estimate
+          const cost = typeof costUsd === 'number' ? ` · $${costUsd.toFixed(4)}` : '';
+          this.addLog(`Usage: ${usage.input_tokens || 0} input / ${usage.output_tokens || 0} output tokens · ${event.numTurns || 0} turns${cost}`, 'info', time);
+          break;
+        }
+        case 'session_end':
+          this.addLog(`Run ${event.status.replace('_', ' ')}${event.error ? `: ${event.error}` : ''}`, { completed: 'success', budget_exceeded: 'warning' }[event.status] || 'error', time);
+          break;
+        default:
+          this.addLog(JSON.stringify(event), 'info', time);
+      }
+    });
+  }
+
   /**
    * Start pulse indicator (agent is working)
    */
@@ -282,10 +780,17 @@ class AgentMonitorPanel {
   }
 
   /**
-   * Handle thinking/assistant message
+   * Handle assistant message
+   */
+  onText(message) {
+    this.addLog(message, 'text');
+  }
+
+  /**
+   * Handle extended thinking block
    */
   onThinking(message) {
-    this.addLog(message, 'thinking');
+    this.addThinking(message);
   }
 
   /**
@@ -307,3 +812,4 @@ class AgentMonitorPanel {
 
 // Global instance
 window.agentMonitorPanel = new AgentMonitorPanel();
+window.itemStatusLabel = itemStatusLabel;
@@ -0,0 +1,173 @@
+/**
+ * Claude GitHub Buddy - Approvals Queue Dialog
+ * Every tool call waiting for approval, from all runs - approve or deny them
+ * one by one or in a batch, with the full tool input
+ */
+
+/**
+ * Show the pending approvals
+ */
+async function showApprovalsQueueDialog() {
+  document.getElementById('claude-approvals-queue-dialog')?.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'claude-approvals-queue-dialog';
+  dialog.className = 'claude-dialog';
+  document.body.appendChild(dialog);
+
+  let approvals = [];
+  const selected = new Set();
+
+  const render = () => {
+    dialog.innerHTML = `
+      <div class="claude-dialog-content" style="max-width: 900px; width: 90vw; max-height: 85vh; overflow-y: auto;">
+        <h3>Pending Approvals</h3>
+        ${approvals.length === 0 ? `
+          <p style="margin: 0; color: #656d76; font-size: 13px;">Nothing is waiting for approval.</p>
+        ` : `
+          <label class="claude-approvals-select-all">
+            <input type="checkbox" id="claude-approvals-select-all" ${selected.size === approvals.length ? 'checked' : ''}>
+            Select all (${approvals.length})
+          </label>
+          ${approvals.map(approvalHtml).join('')}
+        `}
+        <div class="dialog-buttons" style="margin-top: 24px;">
+          <button id="claude-approvals-deny" ${selected.size === 0 ? 'disabled' : ''}>Deny Selected (${selected.size})</button>
+          <button id="claude-approvals-allow" ${selected.size === 0 ? 'disabled' : ''}>Approve Selected (${selected.size})</button>
+          <button id="claude-approvals-refresh">Refresh</button>
+          <button id="claude-approvals-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    dialog.querySelectorAll('.claude-approval-select').forEach(checkbox => {
+      checkbox.checked = selected.has(checkbox.value);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selected.add(checkbox.value);
+        } else {
+          selected.delete(checkbox.value);
+        }
+        render();
+      });
+    });
+
+    document.getElementById('claude-approvals-select-all')?.addEventListener('change', (e) => {
+      selected.clear();
+      if (e.target.checked) {
+        approvals.forEach(approval => selected.add(approval.requestId));
+      }
+      render();
+    });
+
+    document.getElementById('claude-approvals-allow').addEventListener('click', () => decide('allow'));
+    document.getElementById('claude-approvals-deny').addEventListener('click', () => decide('deny'));
+    document.getElementById('claude-approvals-refresh').addEventListener('click', load);
+    document.getElementById('claude-approvals-close').addEventListener('click', () => {
+      dialog.remove();
+    });
+  };
+
+  const load = async () => {
+    try {
+      approvals = await loadPendingApprovals();
+    } catch (error) {
+      alert(`Failed to load pending approvals: ${error.message}`);
+      return;
+    }
+    // Forget selections whose request was answered meanwhile
+    const pending = new Set(approvals.map(approval => approval.requestId));
+    [...selected].filter(requestId => !pending.has(requestId)).forEach(requestId => selected.delete(requestId));
+    render();
+    refreshApprovalsBadge();
+  };
+
+  const decide = async (behavior) => {
+    const requestIds = [...selected];
+    try {
+      const result = await approvalsRequest('/approvals/decide', { requestIds, behavior });
+      showNotification(`${behavior === 'allow' ? '✅ Approved' : '❌ Denied'} ${result.decided.length} request(s)`);
+      if (result.missing.length > 0) {
+        showNotification(`⚠️ ${result.missing.length} request(s) were already answered or timed out`);
+      }
+      selected.clear();
+    } catch (error) {
+      console.error('[APPROVALS] Error deciding:', error);
+      alert(`Failed to ${behavior === 'allow' ? 'approve' : 'deny'}: ${error.message}`);
+    }
+    await load();
+  };
+
+  await load();
+
+  // Close on background click
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) {
+      dialog.remove();
+    }
+  });
+}
+
+function approvalHtml(approval) {
+  const expiresAt = approval.expiresAt && new Date(approval.expiresAt).toLocaleTimeString();
+  let waiting = 'waiting for an answer';
+  if (approval.paused) {
+    waiting = '<span class="claude-approval-paused">run paused until answered</span>';
+  } else if (approval.policy === 'deny') {
+    waiting = `denied at ${expiresAt} if unanswered`;
+  } else if (approval.policy === 'pause') {
+    waiting = `run pauses at ${expiresAt} if unanswered`;
+  }
+
+  return `
+    <div class="claude-approval">
+      <label class="claude-approval-header">
+        <input type="checkbox" class="claude-approval-select" value="${escapeHtml(approval.requestId)}">
+        <span class="permission-tool-name">${escapeHtml(approval.toolName)}</span>
+        ${approval.repo ? `<code>${escapeHtml(approval.repo)}#${escapeHtml(approval.prNumber)}</code>` : ''}
+        ${approval.profile ? `<span class="claude-approval-meta">${escapeHtml(approval.profile)} profile</span>` : ''}
+        <span class="claude-approval-meta">
+          requested ${new Date(approval.requestedAt).toLocaleTimeString()} - ${waiting}
+        </span>
+      </label>
+      ${approval.decisionReason ? `<div class="claude-approval-reason">${escapeHtml(approval.decisionReason)}</div>` : ''}
+      <pre class="claude-approval-input">${escapeHtml(JSON.stringify(approval.input, null, 2))}</pre>
+    </div>
+  `;
+}
+
+/**
+ * Pending approvals across all runs, oldest first
+ */
+async function loadPendingApprovals() {
+  const response = await serverFetch('/approvals');
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Request to /approvals failed');
+  }
+  return result.approvals;
+}
+
+/**
+ * Have the background worker update the pending count on the toolbar icon
+ */
+function refreshApprovalsBadge() {
+  chrome.runtime.sendMessage({ action: 'refreshApprovalsBadge' }).catch(() => {});
+}
+
+async function approvalsRequest(path, payload) {
+  const response = await serverFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || `Request to ${path} failed`);
+  }
+  return result;
+}
+
+// Make functions globally accessible for content.js
+window.showApprovalsQueueDialog = showApprovalsQueueDialog;
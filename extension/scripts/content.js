@@ -100,13 +100,44 @@
   let lastCopilotPosition = null; // Track last known Copilot position
   let currentHoveredRow = null; // Track currently hovered row for non-selection questions
   let isClaudeButtonActive = false; // Track if Claude button or menu is being used
+  let prMetadata = null; // PR metadata from the server's GitHub API lookup (see loadPRMetadata)
 
   // Parse PR info from URL and page
-  function getPRInfo() {
+  // Parse owner/repo/number from the current PR URL
+  // On GitHub Enterprise hosts fullRepoName is prefixed with the host (e.g. "github.example.com/myorg/myrepo")
+  // so storage keys and server-side clones don't collide with same-named repos on github.com
+  function parsePRUrl() {
     const urlMatch = window.location.pathname.match(/\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/);
     if (!urlMatch) return null;
 
     const [, owner, repo, prNumber] = urlMatch;
+    const host = window.location.host;
+    const fullRepoName = host === 'github.com' ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+    return { host, owner, repo, prNumber, fullRepoName };
+  }
+
+  function getPRInfo() {
+    const prUrl = parsePRUrl();
+    if (!prUrl) return null;
+
+    const { owner, repo, prNumber, fullRepoName } = prUrl;
+
+    // The GitHub API is the source of truth; DOM scraping below is only a fallback
+    if (prMetadata && prMetadata.fullRepoName === fullRepoName && prMetadata.prNumber === prNumber) {
+      return {
+        owner,
+        repo,
+        prNumber,
+        prTitle: prMetadata.prTitle,
+        fullRepoName,
+        baseBranch: prMetadata.baseRef,
+        headBranch: prMetadata.headRef,
+        headSha: prMetadata.headSha,
+        isFork: prMetadata.isFork,
+        headRepoFullName: prMetadata.headRepoFullName
+      };
+    }
+
     const prTitle = document.querySelector('.js-issue-title')?.textContent?.trim() || `PR-${prNumber}`;
 
     // Extract branch names from the PR page
@@ -129,12 +160,38 @@
       repo,
       prNumber,
       prTitle: prTitle, // Keep original title with spaces
-      fullRepoName: `${owner}/${repo}`,
+      fullRepoName,
       baseBranch,
       headBranch
     };
   }
 
+  // Fetch PR metadata from the server (GitHub API) so getPRInfo() doesn't depend on GitHub's DOM
+  // Failures are logged and getPRInfo() falls back to scraping the page
+  async function loadPRMetadata(refresh = false) {
+    const prUrl = parsePRUrl();
+    if (!prUrl) return null;
+
+    try {
+      const response = await serverFetch('/prMetadata', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fullRepoName: prUrl.fullRepoName, prNumber: prUrl.prNumber, refresh })
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load PR metadata');
+      }
+
+      prMetadata = result.metadata;
+      return prMetadata;
+    } catch (error) {
+      console.warn('[PR-META] Falling back to page scraping:', error.message);
+      return null;
+    }
+  }
+
   // Watch for Copilot button visibility and position changes
   async function syncWithCopilotButton() {
     const copilotContainer = document.querySelector('.DiffLinesMenu-module__diff-button-container--fFHPz');
@@ -599,6 +656,33 @@
             </div>
           </li>
           <li class="prc-ActionList-Divider-rsZFG" aria-hidden="true"></li>
+          <li tabindex="-1" role="menuitem" class="claude-menu-item" data-action="reviewProposals">
+            <div class="prc-ActionList-ActionListContent-sg9-x">
+              <span class="prc-ActionList-Spacer-dydlX"></span>
+              <span class="prc-ActionList-ActionListSubContent-lP9xj">
+                <span class="prc-ActionList-ItemLabel-TmBhn">Review Proposed Changes</span>
+              </span>
+            </div>
+          </li>
+          <li class="prc-ActionList-Divider-rsZFG" aria-hidden="true"></li>
+          <li tabindex="-1" role="menuitem" class="claude-menu-item" data-action="approvalsQueue">
+            <div class="prc-ActionList-ActionListContent-sg9-x">
+              <span class="prc-ActionList-Spacer-dydlX"></span>
+              <span class="prc-ActionList-ActionListSubContent-lP9xj">
+                <span class="prc-ActionList-ItemLabel-TmBhn">Approvals Queue</span>
+              </span>
+            </div>
+          </li>
+          <li class="prc-ActionList-Divider-rsZFG" aria-hidden="true"></li>
+          <li tabindex="-1" role="menuitem" class="claude-menu-item" data-action="publishReview">
+            <div class="prc-ActionList-ActionListContent-sg9-x">
+              <span class="prc-ActionList-Spacer-dydlX"></span>
+              <span class="prc-ActionList-ActionListSubContent-lP9xj">
+                <span class="prc-ActionList-ItemLabel-TmBhn">Publish to GitHub</span>
+              </span>
+            </div>
+          </li>
+          <li class="prc-ActionList-Divider-rsZFG" aria-hidden="true"></li>
           <li tabindex="-1" role="menuitem" class="claude-menu-item" data-action="settings">
             <div class="prc-ActionList-ActionListContent-sg9-x">
               <span class="prc-ActionList-Spacer-dydlX"></span>
@@ -730,6 +814,21 @@
       case 'refreshQuestionsActions':
         refreshQuestionsAndActions();
         break;
+      case 'reviewProposals':
+        currentPRInfo = getPRInfo();
+        if (currentPRInfo) {
+          showProposalReviewDialog(currentPRInfo, { onChange: refreshAnswers });
+        }
+        break;
+      case 'approvalsQueue':
+        showApprovalsQueueDialog();
+        break;
+      case 'publishReview':
+        currentPRInfo = getPRInfo();
+        if (currentPRInfo) {
+          showPublishReviewDialog(currentPRInfo);
+        }
+        break;
       case 'settings':
         showSettingsDialog();
         break;
@@ -751,43 +850,93 @@
     }
   }
 
-  async function refreshAnswersFromFile() {
+  async function refreshAnswers() {
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        action: 'importFromMarkdown',
-        prInfo: currentPRInfo
-      }, (response) => {
-        if (response && response.success) {
-          // Clear existing inline comments and reload
-          document.querySelectorAll('.claude-inline-comment-row').forEach(el => el.remove());
-          loadAndDisplayAnswers();
-          resolve();
-        } else {
-          console.error('Failed to refresh answers:', response?.error);
-          reject(new Error(response?.error || 'Failed to refresh answers'));
-        }
+    // Clear existing inline comments and reload
+    document.querySelectorAll('.claude-inline-comment-row').forEach(el => el.remove());
+    await loadAndDisplayAnswers();
+    await loadAndDisplayActions();
+  }
+
+  /**
+   * Follow an agent run's per-item progress on the inline comments: a status badge
+   * on each box, and answers/summaries filled in as soon as the agent records them
+   * @param {Object} event - { kind, id, status, reason?, item? } from the agent server
+   */
+  function showItemStatus(event) {
+    if (event.item) {
+      redisplayItem(event.kind, event.item);
+    }
+
+    const box = findItemBox(event.kind, event.id);
+    const meta = box?.querySelector('.claude-comment-header .claude-comment-meta');
+    if (!meta) return; // Not rendered (e.g. file collapsed or not loaded yet)
+
+    let badge = box.querySelector('.claude-item-status');
+    if (!badge) {
+      badge = document.createElement('span');
+      meta.after(badge);
+    }
+    badge.className = `claude-item-status claude-item-status-${event.status}`;
+    badge.textContent = window.itemStatusLabel(event.status);
+    badge.title = event.reason || '';
+  }
+
+  function findItemBox(kind, id) {
+    if (kind === 'questions') {
+      return document.querySelector(`#claude-entry-${id} .claude-inline-comment`);
+    }
+    // Question-linked actions live in their question's box
+    return document.querySelector(`.claude-delete-action-btn[data-action-id="${id}"]`)?.closest('.claude-inline-comment');
+  }
+
+  /**
+   * Re-render one item's inline comment with its latest content
+   */
+  function redisplayItem(kind, item) {
+    if (!item.codeHash && item.code) {
+      item.codeHash = hashCode(item.code);
+    }
+
+    if (kind === 'questions') {
+      document.getElementById(`claude-entry-${item.id}`)?.remove();
+      displayQuestionInline(item);
+    } else {
+      // Question-linked actions re-render into their question's box in place
+      document.getElementById(`claude-action-${item.id}`)?.remove();
+      displayActionInline(item);
+    }
+  }
+
+  /**
+   * Subscribe the inline comments to agent runs - live events and those replayed after reattaching
+   */
+  function followAgentItemProgress() {
+    const applyChecklist = ({ kind, items }) => {
+      items.forEach(item => showItemStatus({ kind, id: item.id, status: item.status, reason: item.reason }));
+    };
+
+    window.agentClient.on('review_checklist', applyChecklist);
+    window.agentClient.on('item_status', showItemStatus);
+    window.agentClient.on('replay', ({ events }) => {
+      events.forEach(event => {
+        if (event.type === 'review_checklist') applyChecklist(event);
+        if (event.type === 'item_status') showItemStatus(event);
       });
     });
   }
 
   /**
-   * Refresh all questions and actions from files and re-render inline comments
+   * Re-render all questions and actions from the server's review store
    * Useful when inline comments fail to render on large PRs
    */
   async function refreshQuestionsAndActions() {
-    console.log('[REFRESH] Clearing existing inline comments and reloading from files...');
-
-    // Clear all existing inline comment rows
-    document.querySelectorAll('.claude-inline-comment-row').forEach(el => el.remove());
+    console.log('[REFRESH] Clearing existing inline comments and reloading from the review store...');
 
-    // Re-sync from files and display
     try {
-      await autoRestoreFromFiles();
-      loadAndDisplayAnswers();
-      loadAndDisplayActions();
+      await refreshAnswers();
       showNotification('✅ Questions and actions refreshed!');
     } catch (error) {
       console.error('[REFRESH] Error refreshing:', error);
@@ -796,33 +945,18 @@
   }
 
   async function clearQuestionsFromMenu() {
-    if (!confirm('Clear all questions for this PR? This will delete them from browser memory (the markdown file will be archived first).')) {
+    if (!confirm('Clear all questions for this PR? The questions markdown file will be archived first.')) {
       return;
     }
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    // Archive the questions file first
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const questionsFilename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-
-    chrome.runtime.sendMessage({
-      action: 'archiveFile',
-      filename: questionsFilename
-    });
-
-    const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    await chrome.storage.local.remove(storageKey);
-    await chrome.storage.local.remove(`pr_meta_${storageKey}`);
-
-    // Clear the questions file
-    chrome.runtime.sendMessage({
-      action: 'exportToMarkdown',
-      prInfo: currentPRInfo,
-      questions: []
-    });
+    try {
+      await clearReviewItems(currentPRInfo, 'questions');
+    } catch (error) {
+      showNotification(`❌ Failed to clear questions: ${error.message}`);
+      return;
+    }
 
     // Remove all question boxes from DOM
     document.querySelectorAll('.claude-inline-comment-row').forEach(el => {
@@ -839,67 +973,11 @@
    * Verify all questions have been answered
    */
   async function verifyAllQuestionsAnswered() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const filename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-
-    console.log('[VERIFY] Checking file:', filename);
-
     try {
-      const response = await fetch('http://localhost:47382/readFile', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename })
-      });
-
-      console.log('[VERIFY] Response status:', response.status);
-
-      if (!response.ok) {
-        console.log('[VERIFY] File read failed');
-        return false;
-      }
-
-      const result = await response.json();
-      const content = result.content;
-
-      console.log('[VERIFY] Content length:', content.length);
-
-      // Check if there are QUESTION sections without filled ANSWER sections
-      const questionBlocks = content.split(/##\s+Question\s+\d+/);
-
-      console.log('[VERIFY] Found question blocks:', questionBlocks.length - 1);
-
-      for (const block of questionBlocks) {
-        if (!block.trim()) continue;
-
-        // If there's a QUESTION but no substantial ANSWER (or just placeholder), fail
-        if (block.includes('**QUESTION:**')) {
-          const answerMatch = block.match(/\*\*ANSWER:\*\*\s*([^#-]*)/s);
-          if (!answerMatch) {
-            console.log('[VERIFY] No ANSWER section found');
-            return false;
-          }
-
-          const answer = answerMatch[1].trim();
-          console.log('[VERIFY] Answer preview:', answer.substring(0, 80) + '...');
-
-          // Check if answer is placeholder or too short
-          if (answer.length < 10 ||
-              answer.includes('[Claude, please fill in') ||
-              answer.includes('_[Answer pending]_') ||
-              answer.startsWith('_[')) {
-            console.log('[VERIFY] Question failed - placeholder or too short');
-            return false;
-          }
-        }
-      }
-
-      console.log('[VERIFY] All questions answered!');
-      return true;
+      const { questions } = await loadReviewItems();
+      const unanswered = questions.filter(q => !q.answer);
+      console.log(`[VERIFY] ${questions.length - unanswered.length}/${questions.length} questions answered`);
+      return unanswered.length === 0;
     } catch (error) {
       console.error('[VERIFY] Error checking questions:', error);
       return false;
@@ -910,67 +988,11 @@
    * Verify all actions have summaries filled in
    */
   async function verifyAllActionsCompleted() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const filename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-    console.log('[VERIFY-ACTIONS] Checking file:', filename);
-
     try {
-      const response = await fetch('http://localhost:47382/readFile', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename })
-      });
-
-      console.log('[VERIFY-ACTIONS] Response status:', response.status);
-
-      if (!response.ok) {
-        console.log('[VERIFY-ACTIONS] File read failed');
-        return false;
-      }
-
-      const result = await response.json();
-      const content = result.content;
-
-      console.log('[VERIFY-ACTIONS] Content length:', content.length);
-
-      // Check if there are ACTION sections without filled SUMMARY sections
-      const actionBlocks = content.split(/##\s+Action\s+\d+/);
-
-      console.log('[VERIFY-ACTIONS] Found action blocks:', actionBlocks.length - 1);
-
-      for (const block of actionBlocks) {
-        if (!block.trim()) continue;
-
-        // If there's an ACTION but no substantial SUMMARY (or just placeholder), fail
-        if (block.includes('**ACTION:**')) {
-          const summaryMatch = block.match(/\*\*SUMMARY:\*\*\s*([^#-]*)/s);
-          if (!summaryMatch) {
-            console.log('[VERIFY-ACTIONS] No SUMMARY section found');
-            return false;
-          }
-
-          const summary = summaryMatch[1].trim();
-          console.log('[VERIFY-ACTIONS] Summary preview:', summary.substring(0, 80) + '...');
-
-          // Check if summary is placeholder or too short
-          if (summary.length < 10 ||
-              summary.includes('[Claude, please fill in') ||
-              summary.includes('_[Action summary pending]_') ||
-              summary.startsWith('_[')) {
-            console.log('[VERIFY-ACTIONS] Action failed - placeholder or too short');
-            return false;
-          }
-        }
-      }
-
-      console.log('[VERIFY-ACTIONS] All actions completed!');
-      return true;
+      const { actions } = await loadReviewItems();
+      const incomplete = actions.filter(a => !a.summary);
+      console.log(`[VERIFY-ACTIONS] ${actions.length - incomplete.length}/${actions.length} actions completed`);
+      return incomplete.length === 0;
     } catch (error) {
       console.error('[VERIFY] Error checking actions:', error);
       return false;
@@ -978,39 +1000,13 @@
   }
 
   /**
-   * Archive actions file without user confirmation (called after completion)
-   */
-  async function archiveActionsFile() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return;
-
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-    chrome.runtime.sendMessage({
-      action: 'archiveFile',
-      filename: actionsFilename
-    });
-  }
-
-  /**
-   * Clear all actions from memory and DOM (called after completion)
+   * Archive the actions file and clear all actions from the store and DOM (called after completion)
    */
-  async function clearAllActions() {
+  async function archiveAndClearActions() {
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    await chrome.storage.local.remove(storageKey);
-
-    // Clear the actions file
-    chrome.runtime.sendMessage({
-      action: 'exportToActions',
-      prInfo: currentPRInfo,
-      actions: []
-    });
+    await clearReviewItems(currentPRInfo, 'actions');
 
     // Remove all action boxes from DOM
     document.querySelectorAll('.claude-inline-comment-row').forEach(el => {
@@ -1019,38 +1015,21 @@
         el.remove();
       }
     });
-
-    // Reset in-memory actions array
-    actions = [];
   }
 
   async function clearActionsFromMenu() {
-    if (!confirm('Clear all actions for this PR? This will delete them from browser memory (the markdown file will be archived first).')) {
+    if (!confirm('Clear all actions for this PR? The actions markdown file will be archived first.')) {
       return;
     }
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    // Archive the actions file first
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-    chrome.runtime.sendMessage({
-      action: 'archiveFile',
-      filename: actionsFilename
-    });
-
-    const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    await chrome.storage.local.remove(storageKey);
-
-    // Update markdown file with empty actions array
-    chrome.runtime.sendMessage({
-      action: 'exportToActions',
-      prInfo: currentPRInfo,
-      actions: []
-    });
+    try {
+      await clearReviewItems(currentPRInfo, 'actions');
+    } catch (error) {
+      showNotification(`❌ Failed to clear actions: ${error.message}`);
+      return;
+    }
 
     // Remove all action boxes from DOM and revert question-linked ones to normal questions
     document.querySelectorAll('.claude-inline-comment-row').forEach(el => {
@@ -1077,50 +1056,18 @@
   }
 
   async function clearEverythingFromMenu() {
-    if (!confirm('Clear ALL questions AND actions for this PR? This will delete them from browser memory (the markdown files will be archived first).')) {
+    if (!confirm('Clear ALL questions AND actions for this PR? The markdown files will be archived first.')) {
       return;
     }
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    // Archive both files first
-    const repoName = currentPRInfo.fullRepoName.split('/')[1];
-    const prFolder = `PR-${currentPRInfo.prNumber}`;
-    const dateStr = new Date().toISOString().split('T')[0];
-    const questionsFilename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-    const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-    chrome.runtime.sendMessage({
-      action: 'archiveFile',
-      filename: questionsFilename
-    });
-
-    chrome.runtime.sendMessage({
-      action: 'archiveFile',
-      filename: actionsFilename
-    });
-
-    // Clear questions
-    const questionStorageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    await chrome.storage.local.remove(questionStorageKey);
-    await chrome.storage.local.remove(`pr_meta_${questionStorageKey}`);
-
-    // Clear actions
-    const actionStorageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    await chrome.storage.local.remove(actionStorageKey);
-
-    // Update markdown files
-    chrome.runtime.sendMessage({
-      action: 'exportToMarkdown',
-      prInfo: currentPRInfo,
-      questions: []
-    });
-
-    chrome.runtime.sendMessage({
-      action: 'exportToActions',
-      prInfo: currentPRInfo,
-      actions: []
-    });
+    try {
+      await clearReviewItems(currentPRInfo, 'all');
+    } catch (error) {
+      showNotification(`❌ Failed to clear: ${error.message}`);
+      return;
+    }
 
     // Remove all inline comment rows from DOM
     document.querySelectorAll('.claude-inline-comment-row').forEach(el => el.remove());
@@ -1129,57 +1076,17 @@
   }
 
   async function copyQuestionsPath() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) {
-      showNotification('❌ Could not detect PR information');
-      return;
-    }
-
-    try {
-      // Get config from server to get the base directory
-      const configResponse = await fetch('http://localhost:47382/getConfig');
-      const configData = await configResponse.json();
-
-      if (!configData.success) {
-        showNotification('❌ Failed to get server configuration');
-        return;
-      }
-
-      const prReviewsDir = configData.config?.prReviewsDir;
-      if (!prReviewsDir) {
-        showNotification('❌ Server configuration missing prReviewsDir');
-        return;
-      }
-
-      // Build file path
-      const repoName = currentPRInfo.fullRepoName.split('/')[1];
-      const prFolder = `PR-${currentPRInfo.prNumber}`;
-      const dateStr = new Date().toISOString().split('T')[0];
-      const questionsFilename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-      const fullPath = `${prReviewsDir}/${questionsFilename}`;
-
-      // Check if file exists by trying to read it
-      const response = await fetch('http://localhost:47382/readFile', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: questionsFilename })
-      });
-
-      if (!response.ok) {
-        showNotification('❌ Questions file for today does not exist');
-        return;
-      }
-
-      // File exists, copy path to clipboard
-      await navigator.clipboard.writeText(fullPath);
-      showNotification(`✅ Copied: ${fullPath}`);
-    } catch (error) {
-      console.error('[COPY-PATH] Error:', error);
-      showNotification(`❌ Failed to copy path: ${error.message}`);
-    }
+    await copyRenderedFilePath('questions', 'Questions');
   }
 
   async function copyActionsPath() {
+    await copyRenderedFilePath('actions', 'Actions');
+  }
+
+  /**
+   * Copy the absolute path of the markdown file rendered from the review store
+   */
+  async function copyRenderedFilePath(kind, label) {
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) {
       showNotification('❌ Could not detect PR information');
@@ -1187,41 +1094,14 @@
     }
 
     try {
-      // Get config from server to get the base directory
-      const configResponse = await fetch('http://localhost:47382/getConfig');
-      const configData = await configResponse.json();
-
-      if (!configData.success) {
-        showNotification('❌ Failed to get server configuration');
-        return;
-      }
-
-      const prReviewsDir = configData.config?.prReviewsDir;
-      if (!prReviewsDir) {
-        showNotification('❌ Server configuration missing prReviewsDir');
-        return;
-      }
-
-      // Build file path
-      const repoName = currentPRInfo.fullRepoName.split('/')[1];
-      const prFolder = `PR-${currentPRInfo.prNumber}`;
-      const dateStr = new Date().toISOString().split('T')[0];
-      const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-      const fullPath = `${prReviewsDir}/${actionsFilename}`;
-
-      // Check if file exists by trying to read it
-      const response = await fetch('http://localhost:47382/readFile', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: actionsFilename })
-      });
+      const { files } = await loadReviewItems();
+      const fullPath = files?.[kind];
 
-      if (!response.ok) {
-        showNotification('❌ Actions file for today does not exist');
+      if (!fullPath) {
+        showNotification(`❌ There is no ${label} file for this PR yet`);
         return;
       }
 
-      // File exists, copy path to clipboard
       await navigator.clipboard.writeText(fullPath);
       showNotification(`✅ Copied: ${fullPath}`);
     } catch (error) {
@@ -1238,7 +1118,7 @@
       <div class="claude-dialog-content">
         <h3>Restore from File</h3>
         <p style="margin-bottom: 16px; color: #656d76; font-size: 14px;">
-          Select a Questions or Actions markdown file to restore its contents to browser memory.
+          Select a Questions or Actions markdown file to add its items to this PR.
         </p>
         <input type="file" id="claude-restore-file-input" accept=".md" style="margin-bottom: 16px; width: 100%;">
         <div class="dialog-buttons">
@@ -1279,15 +1159,6 @@
     reader.onload = async (e) => {
       const content = e.target.result;
 
-      // Detect if this is a Questions or Actions file
-      const isQuestionsFile = content.includes('**QUESTION:**') || file.name.includes('Questions');
-      const isActionsFile = content.includes('**ACTION:**') || file.name.includes('Actions');
-
-      if (!isQuestionsFile && !isActionsFile) {
-        alert('Could not detect file type. Please select a Questions or Actions markdown file.');
-        return;
-      }
-
       currentPRInfo = getPRInfo();
       if (!currentPRInfo) {
         alert('Could not detect PR information');
@@ -1295,87 +1166,16 @@
       }
 
       try {
-        if (isQuestionsFile) {
-          // Parse questions from markdown
-          const parsed = parseQuestionsMarkdown(content);
-
-          // Get existing questions from storage
-          const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-          const existingData = await chrome.storage.local.get(storageKey);
-          const existing = existingData[storageKey] || [];
-
-          // Merge parsed with existing (additive)
-          // Use a Set to track unique questions by file+lines
-          const uniqueKeys = new Set(existing.map(q => `${q.file}:${q.lines}`));
-          const newQuestions = parsed.filter(q => !uniqueKeys.has(`${q.file}:${q.lines}`));
-
-          const merged = [...existing, ...newQuestions];
-          await chrome.storage.local.set({ [storageKey]: merged });
-
-          // Also store PR metadata
-          await chrome.storage.local.set({
-            [`pr_meta_${storageKey}`]: {
-              repo: currentPRInfo.fullRepoName,
-              prTitle: currentPRInfo.prTitle,
-              prNumber: currentPRInfo.prNumber,
-              baseBranch: currentPRInfo.baseBranch,
-              headBranch: currentPRInfo.headBranch
-            }
-          });
-
-          // Clear existing question boxes and reload with merged data
-          document.querySelectorAll('.claude-inline-comment-row').forEach(el => {
-            const commentDiv = el.querySelector('.claude-inline-comment');
-            if (commentDiv && !commentDiv.classList.contains('claude-action-box')) {
-              el.remove();
-            }
-          });
-
-          // Display all questions inline (existing + new)
-          merged.forEach((entry, index) => {
-            displayQuestionInline(entry, index);
-          });
-
-          if (newQuestions.length > 0) {
-            showNotification(`✅ Added ${newQuestions.length} new questions (${existing.length} already existed)`);
-          } else {
-            showNotification(`ℹ️ No new questions to add (all ${existing.length} already existed)`);
-          }
-        } else if (isActionsFile) {
-          // Parse actions from markdown
-          const parsed = parseActionsMarkdown(content);
-
-          // Get existing actions from storage
-          const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-          const existingData = await chrome.storage.local.get(storageKey);
-          const existing = existingData[storageKey] || [];
-
-          // Merge parsed with existing (additive)
-          // Use a Set to track unique actions by file+lines
-          const uniqueKeys = new Set(existing.map(a => `${a.file}:${a.lines}`));
-          const newActions = parsed.filter(a => !uniqueKeys.has(`${a.file}:${a.lines}`));
-
-          const merged = [...existing, ...newActions];
-          await chrome.storage.local.set({ [storageKey]: merged });
-
-          // Clear existing action boxes and reload with merged data
-          document.querySelectorAll('.claude-inline-comment-row').forEach(el => {
-            const commentDiv = el.querySelector('.claude-inline-comment');
-            if (commentDiv && commentDiv.classList.contains('claude-action-box')) {
-              el.remove();
-            }
-          });
+        // The server parses the file and merges it into the store (items already stored are kept)
+        const result = await importReviewItems(currentPRInfo, { markdown: content, fileName: file.name });
+        const label = result.kinds.includes('actions') ? 'actions' : 'questions';
 
-          // Display all actions inline (existing + new)
-          merged.forEach((entry, index) => {
-            displayActionInline(entry, index, entry.questionIndex);
-          });
+        await refreshAnswers();
 
-          if (newActions.length > 0) {
-            showNotification(`✅ Added ${newActions.length} new actions (${existing.length} already existed)`);
-          } else {
-            showNotification(`ℹ️ No new actions to add (all ${existing.length} already existed)`);
-          }
+        if (result.added > 0 || result.updated > 0) {
+          showNotification(`✅ Added ${result.added} new ${label}${result.updated > 0 ? `, filled in ${result.updated}` : ''}`);
+        } else {
+          showNotification(`ℹ️ No new ${label} to add (all already existed)`);
         }
       } catch (error) {
         console.error('Error restoring from file:', error);
@@ -1386,75 +1186,6 @@
     reader.readAsText(file);
   }
 
-  function parseQuestionsMarkdown(content) {
-    const questions = [];
-    const questionBlocks = content.split(/##\s+Question\s+\d+/);
-
-    questionBlocks.slice(1).forEach(block => {
-      const fileMatch = block.match(/\*\*File:\*\*\s*`([^`]+)`/);
-      const linesMatch = block.match(/\*\*Lines:\*\*\s*([^\n]+)/);
-      const timestampMatch = block.match(/\*\*Timestamp:\*\*\s*([^\n]+)/);
-      const codeMatch = block.match(/\*\*Code:\*\*\s*```([^`]+)```/s);
-      const questionMatch = block.match(/\*\*QUESTION:\*\*\s*([^*]+?)\s*\*\*ANSWER:\*\*/s);
-      const answerMatch = block.match(/\*\*ANSWER:\*\*\s*(.+?)(?=---|$)/s);
-
-      if (fileMatch && questionMatch) {
-        const answer = answerMatch ? answerMatch[1].trim() : '';
-        const code = codeMatch ? codeMatch[1].trim() : '';
-        questions.push({
-          file: fileMatch[1],
-          lines: linesMatch ? linesMatch[1].trim() : 'unknown',
-          timestamp: timestampMatch ? timestampMatch[1].trim() : new Date().toISOString(),
-          code: code,
-          codeHash: code ? hashCode(code) : undefined, // Calculate hash for validation
-          question: questionMatch[1].trim(),
-          answer: answer && !answer.includes('[Claude, please fill') ? answer : undefined
-        });
-      }
-    });
-
-    return questions;
-  }
-
-  function parseActionsMarkdown(content) {
-    const actions = [];
-    const actionBlocks = content.split(/##\s+Action\s+\d+/);
-
-    actionBlocks.slice(1).forEach(block => {
-      const fileMatch = block.match(/\*\*File:\*\*\s*`([^`]+)`/);
-      const linesMatch = block.match(/\*\*Lines:\*\*\s*([^\n]+)/);
-      const timestampMatch = block.match(/\*\*Timestamp:\*\*\s*([^\n]+)/);
-      const typeMatch = block.match(/\*\*Type:\*\*\s*([^\n]+)/);
-      const codeMatch = block.match(/\*\*Code:\*\*\s*```([^`]+)```/s);
-      const questionMatch = block.match(/\*\*ORIGINAL QUESTION:\*\*\s*([^*]+?)(?=\*\*ORIGINAL ANSWER:|\*\*ACTION:)/s);
-      const answerMatch = block.match(/\*\*ORIGINAL ANSWER:\*\*\s*([^*]+?)(?=\*\*ACTION:)/s);
-      const actionMatch = block.match(/\*\*ACTION:\*\*\s*([^*]+?)(?=\*\*SUMMARY:)/s);
-
-      if (fileMatch && actionMatch) {
-        const code = codeMatch ? codeMatch[1].trim() : '';
-        const action = {
-          file: fileMatch[1],
-          lines: linesMatch ? linesMatch[1].trim() : 'unknown',
-          timestamp: timestampMatch ? timestampMatch[1].trim() : new Date().toISOString(),
-          code: code,
-          codeHash: code ? hashCode(code) : undefined, // Calculate hash for validation
-          action: actionMatch[1].trim()
-        };
-
-        // Add question/answer if this is question-linked
-        if (questionMatch && answerMatch) {
-          action.question = questionMatch[1].trim();
-          action.answer = answerMatch[1].trim();
-          action.questionIndex = undefined; // We don't have the original index
-        }
-
-        actions.push(action);
-      }
-    });
-
-    return actions;
-  }
-
   function showQuestionDialog() {
     // Check if we have a real selection (yellow highlight) or just a hover
     const hasRealSelection = document.querySelectorAll('.blob-code.selected-line').length > 0;
@@ -1498,7 +1229,7 @@
     document.getElementById('claude-question-input').focus();
   }
 
-  function showEditActionDialog(actionEntry, actionIndex, questionEntry, questionIndex) {
+  function showEditActionDialog(actionEntry, questionEntry) {
     const isQuestionLinked = questionEntry !== null;
 
     const dialog = document.createElement('div');
@@ -1551,7 +1282,7 @@
         alert('Please enter an action for Claude to perform.');
         return;
       }
-      updateAction(actionEntry, actionIndex, questionIndex, newActionText);
+      updateAction(actionEntry, newActionText);
       dialog.remove();
     });
 
@@ -1562,54 +1293,30 @@
     document.getElementById('claude-action-input').focus();
   }
 
-  async function updateAction(actionEntry, actionIndex, questionIndex, newActionText) {
+  async function updateAction(actionEntry, newActionText) {
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) return;
 
-    // Update the action in storage
-    const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const data = await chrome.storage.local.get(storageKey);
-    const actions = data[storageKey] || [];
+    try {
+      await updateReviewItem(currentPRInfo, 'actions', actionEntry.id, { action: newActionText });
+    } catch (error) {
+      showNotification(`❌ Failed to update action: ${error.message}`);
+      return;
+    }
+    actionEntry.action = newActionText;
 
-    if (actions[actionIndex]) {
-      actions[actionIndex].action = newActionText;
-      await chrome.storage.local.set({ [storageKey]: actions });
+    // Update the DOM
+    const boxId = actionEntry.questionId ? `claude-entry-${actionEntry.questionId}` : `claude-action-${actionEntry.id}`;
+    const actionText = document.getElementById(boxId)?.querySelector('.claude-action-text');
+    if (actionText) {
+      actionText.innerHTML = `<span class="action-label">Instructions:</span>${escapeHtml(newActionText)}`;
+    }
 
-      // Update markdown file
-      chrome.runtime.sendMessage({
-        action: 'exportToActions',
-        prInfo: currentPRInfo,
-        actions: actions
-      });
+    showNotification('Action updated!');
+  }
 
-      // Update the DOM
-      const isQuestionLinked = questionIndex !== null && questionIndex !== undefined;
-      if (isQuestionLinked) {
-        const existingQuestionId = `claude-entry-${questionIndex}`;
-        const existingBox = document.getElementById(existingQuestionId);
-        if (existingBox) {
-          const actionText = existingBox.querySelector('.claude-action-text');
-          if (actionText) {
-            actionText.innerHTML = `<span class="action-label">Instructions:</span>${escapeHtml(newActionText)}`;
-          }
-        }
-      } else {
-        const existingId = `claude-action-${actionIndex}`;
-        const actionBox = document.getElementById(existingId);
-        if (actionBox) {
-          const actionText = actionBox.querySelector('.claude-action-text');
-          if (actionText) {
-            actionText.innerHTML = `<span class="action-label">Instructions:</span>${escapeHtml(newActionText)}`;
-          }
-        }
-      }
-
-      showNotification('Action updated!');
-    }
-  }
-
-  function showActionDialog(questionEntry, questionIndex) {
-    // questionEntry and questionIndex will be null for ad-hoc actions
+  function showActionDialog(questionEntry) {
+    // questionEntry will be null for ad-hoc actions
     const isQuestionLinked = questionEntry !== null;
 
     // For ad-hoc actions, we need a code selection
@@ -1679,7 +1386,7 @@
         alert('Please enter an action for Claude to perform.');
         return;
       }
-      saveAction(questionEntry, questionIndex, actionText);
+      saveAction(questionEntry, actionText);
     });
 
     document.getElementById('claude-cancel-action').addEventListener('click', () => {
@@ -1724,51 +1431,30 @@
       return;
     }
 
-    // Create markdown entry
-    const entry = {
-      timestamp: new Date().toISOString(),
-      file: currentSelection.file,
-      lines: currentSelection.lineNumbers,
-      code: currentSelection.text,
-      codeHash: hashCode(currentSelection.text), // Store hash for validation
-      question: question
-    };
-
-    // Save to local storage
-    const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const existingData = await chrome.storage.local.get(storageKey);
-    const questions = existingData[storageKey] || [];
-    questions.push(entry);
-
-    await chrome.storage.local.set({ [storageKey]: questions });
-
-    // Also store PR metadata
-    await chrome.storage.local.set({
-      [`pr_meta_${storageKey}`]: {
-        repo: currentPRInfo.fullRepoName,
-        prTitle: currentPRInfo.prTitle,
-        prNumber: currentPRInfo.prNumber,
-        baseBranch: currentPRInfo.baseBranch,
-        headBranch: currentPRInfo.headBranch
-      }
-    });
+    let entry;
+    try {
+      entry = await addReviewItem(currentPRInfo, 'questions', {
+        timestamp: new Date().toISOString(),
+        file: currentSelection.file,
+        lines: currentSelection.lineNumbers,
+        code: currentSelection.text,
+        codeHash: hashCode(currentSelection.text), // Store hash for validation
+        question: question
+      });
+    } catch (error) {
+      alert(`Failed to save question: ${error.message}`);
+      return;
+    }
 
     document.getElementById('claude-question-dialog').remove();
     removeClaudeButton();
 
     // Show the question inline immediately
-    displayQuestionInline(entry, questions.length - 1);
-
-    // Request export to markdown file via background script
-    chrome.runtime.sendMessage({
-      action: 'exportToMarkdown',
-      prInfo: currentPRInfo,
-      questions: questions
-    });
+    displayQuestionInline(entry);
   }
 
-  async function saveAction(questionEntry, questionIndex, actionText) {
-    console.log('[SAVE-ACTION] Starting saveAction with:', { questionEntry, questionIndex, actionText });
+  async function saveAction(questionEntry, actionText) {
+    console.log('[SAVE-ACTION] Starting saveAction with:', { questionEntry, actionText });
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) {
       alert('Could not detect PR information');
@@ -1780,7 +1466,7 @@
 
     // Create action entry
     const code = isQuestionLinked ? questionEntry.code : currentSelection.text;
-    const actionEntry = {
+    const fields = {
       timestamp: new Date().toISOString(),
       file: isQuestionLinked ? questionEntry.file : currentSelection.file,
       lines: isQuestionLinked ? questionEntry.lines : currentSelection.lineNumbers,
@@ -1791,45 +1477,27 @@
 
     // Add question/answer context if this is question-linked
     if (isQuestionLinked) {
-      actionEntry.questionIndex = questionIndex;
-      actionEntry.question = questionEntry.question;
-      actionEntry.answer = questionEntry.answer;
-    }
-
-    // Save to local storage
-    const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const existingData = await chrome.storage.local.get(storageKey);
-    const actions = existingData[storageKey] || [];
-    actions.push(actionEntry);
-
-    await chrome.storage.local.set({ [storageKey]: actions });
-
-    // Also store PR metadata (same as questions)
-    await chrome.storage.local.set({
-      [`pr_meta_${storageKey}`]: {
-        repo: currentPRInfo.fullRepoName,
-        prTitle: currentPRInfo.prTitle,
-        prNumber: currentPRInfo.prNumber,
-        baseBranch: currentPRInfo.baseBranch,
-        headBranch: currentPRInfo.headBranch
-      }
-    });
+      fields.questionId = questionEntry.id;
+      fields.question = questionEntry.question;
+      fields.answer = questionEntry.answer;
+    }
+
+    let actionEntry;
+    try {
+      actionEntry = await addReviewItem(currentPRInfo, 'actions', fields);
+    } catch (error) {
+      alert(`Failed to save action: ${error.message}`);
+      return;
+    }
 
     document.getElementById('claude-action-dialog')?.remove();
     removeClaudeButton();
 
-    console.log('[SAVE-ACTION] Calling displayActionInline with:', { actionEntry, actionIndex: actions.length - 1, questionIndex });
+    console.log('[SAVE-ACTION] Calling displayActionInline with:', actionEntry);
     // Display the action inline
-    displayActionInline(actionEntry, actions.length - 1, questionIndex);
+    displayActionInline(actionEntry);
 
     console.log('[SAVE-ACTION] Action saved successfully');
-
-    // Request export to actions file via background script
-    chrome.runtime.sendMessage({
-      action: 'exportToActions',
-      prInfo: currentPRInfo,
-      actions: actions
-    });
   }
 
   function showNotification(message) {
@@ -1845,148 +1513,143 @@
     }, 3000);
   }
 
-  // Expose globally for agent-client.js
+  // Clicking the extension's toolbar icon opens the approvals queue on this tab
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'showApprovalsQueue') {
+      showApprovalsQueueDialog();
+    }
+  });
+
+  // Expose globally for agent-client.js and agent-monitor-panel.js
   window.showNotification = showNotification;
+  window.parsePRUrl = parsePRUrl;
+  window.refreshAnswers = refreshAnswers;
+  window.populatePermissionProfileSelect = populatePermissionProfileSelect;
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  /**
+   * Why the agent marked an item blocked - the item stays pending for the next run
+   */
+  function blockedNoteHtml(item, verb) {
+    if (!item.blocked) return '';
+    return `
+      <div class="claude-blocked-text">
+        <strong>🚫 Blocked:</strong> Claude couldn't ${verb} this: ${escapeHtml(item.blocked.reason)}
+      </div>
+    `;
   }
 
-  // Auto-restore from markdown files on page load
-  async function autoRestoreFromFiles() {
-    try {
-      currentPRInfo = getPRInfo();
-      if (!currentPRInfo) return;
+  /**
+   * An action's recorded summary (and, in "review before push" runs, where its
+   * changes stand), or why the agent marked it blocked / the reviewer sent it back
+   */
+  function actionResultHtml(actionEntry) {
+    if (!actionEntry.summary) {
+      return blockedNoteHtml(actionEntry, 'complete') + revisionNoteHtml(actionEntry);
+    }
+    return `
+      <div class="claude-answer-text">
+        <strong>Summary:</strong> ${formatMarkdown(actionEntry.summary)}
+      </div>
+      ${proposalNoteHtml(actionEntry)}
+    `;
+  }
 
-      const repoName = currentPRInfo.fullRepoName.split('/')[1];
-      const prFolder = `PR-${currentPRInfo.prNumber}`;
-      const dateStr = new Date().toISOString().split('T')[0];
+  function proposalNoteHtml(actionEntry) {
+    const labels = {
+      proposed: 'Committed but not pushed - waiting for your review (Claude menu → Review Proposed Changes)',
+      accepted: 'Accepted - not pushed yet (Claude menu → Review Proposed Changes)',
+      rejected: 'Rejected - these changes will not be pushed',
+      pushed: 'Pushed'
+    };
+    const status = actionEntry.proposal?.status;
+    if (!status) return '';
+    return `
+      <div class="claude-proposal-note claude-proposal-note-${status}">
+        <strong>Push review:</strong> ${labels[status]}
+      </div>
+    `;
+  }
 
-      // Check Questions file
-      const questionsFilename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-      const questionsStorageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
+  function revisionNoteHtml(actionEntry) {
+    if (!actionEntry.revision) return '';
+    return `
+      <div class="claude-blocked-text">
+        <strong>↩️ Revision requested:</strong> ${escapeHtml(actionEntry.revision.feedback)}
+      </div>
+    `;
+  }
 
-      console.log('[AUTO-RESTORE] Checking for Questions file:', questionsFilename);
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
 
-      try {
-        const response = await fetch('http://localhost:47382/readFile', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ filename: questionsFilename })
-        });
+  /**
+   * Questions and actions for the current PR from the server's review store
+   */
+  async function loadReviewItems() {
+    currentPRInfo = getPRInfo();
+    if (!currentPRInfo) return { questions: [], actions: [], files: {} };
 
-        if (response.ok) {
-          const result = await response.json();
-          if (result.success && result.content) {
-            console.log('[AUTO-RESTORE] Found Questions file, syncing with storage...');
-            const parsedFromFile = parseQuestionsMarkdown(result.content);
-
-            // Always update storage with latest from file (includes answers)
-            await chrome.storage.local.set({ [questionsStorageKey]: parsedFromFile });
-
-            // Store PR metadata
-            await chrome.storage.local.set({
-              [`pr_meta_${questionsStorageKey}`]: {
-                repo: currentPRInfo.fullRepoName,
-                prTitle: currentPRInfo.prTitle,
-                prNumber: currentPRInfo.prNumber,
-                baseBranch: currentPRInfo.baseBranch,
-                headBranch: currentPRInfo.headBranch
-              }
-            });
+    const items = await listReviewItems(currentPRInfo);
 
-            console.log(`[AUTO-RESTORE] Synced ${parsedFromFile.length} questions from file (including any answers)`);
-          }
-        } else {
-          // File doesn't exist - clear storage to match
-          console.log('[AUTO-RESTORE] Questions file not found, clearing storage');
-          await chrome.storage.local.remove([questionsStorageKey, `pr_meta_${questionsStorageKey}`]);
-        }
-      } catch (err) {
-        console.log('[AUTO-RESTORE] Questions file not found, clearing storage');
-        await chrome.storage.local.remove([questionsStorageKey, `pr_meta_${questionsStorageKey}`]);
+    // Items restored from markdown files have no hash yet - take it from their code
+    [...items.questions, ...items.actions].forEach(item => {
+      if (!item.codeHash && item.code) {
+        item.codeHash = hashCode(item.code);
       }
+    });
 
-      // Check Actions file
-      const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-      const actionsStorageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-
-      console.log('[AUTO-RESTORE] Checking for Actions file:', actionsFilename);
+    return items;
+  }
 
-      try {
-        const response = await fetch('http://localhost:47382/readFile', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ filename: actionsFilename })
-        });
+  /**
+   * One-time move of questions/actions kept in chrome.storage by older versions into the review store
+   */
+  async function migrateStoredItems() {
+    try {
+      currentPRInfo = getPRInfo();
+      if (!currentPRInfo) return;
 
-        if (response.ok) {
-          const result = await response.json();
-          if (result.success && result.content) {
-            console.log('[AUTO-RESTORE] Found Actions file, syncing with storage...');
-            const parsedFromFile = parseActionsMarkdown(result.content);
+      const questionsKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
+      const actionsKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
+      const metaKeys = [`pr_meta_${questionsKey}`, `pr_meta_${actionsKey}`];
+      const stored = await chrome.storage.local.get([questionsKey, actionsKey]);
 
-            // Always update storage with latest from file (includes summaries)
-            await chrome.storage.local.set({ [actionsStorageKey]: parsedFromFile });
+      const questions = stored[questionsKey] || [];
+      const actions = stored[actionsKey] || [];
+      if (questions.length === 0 && actions.length === 0) return;
 
-            console.log(`[AUTO-RESTORE] Synced ${parsedFromFile.length} actions from file (including any summaries)`);
-          }
-        } else {
-          // File doesn't exist - clear storage to match
-          console.log('[AUTO-RESTORE] Actions file not found, clearing storage');
-          await chrome.storage.local.remove(actionsStorageKey);
-        }
-      } catch (err) {
-        console.log('[AUTO-RESTORE] Actions file not found, clearing storage');
-        await chrome.storage.local.remove(actionsStorageKey);
-      }
+      console.log(`[MIGRATE] Moving ${questions.length} questions and ${actions.length} actions into the review store`);
+      await importReviewItems(currentPRInfo, { questions, actions });
+      await chrome.storage.local.remove([questionsKey, actionsKey, ...metaKeys]);
     } catch (error) {
-      console.error('[AUTO-RESTORE] Error during auto-restore:', error);
+      // Keep the old data so the next page load can try again
+      console.error('[MIGRATE] Error moving stored items:', error);
     }
   }
 
   // Check if there are questions/actions (used by button handlers)
   async function hasQuestions() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const questionsKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const data = await chrome.storage.local.get(questionsKey);
-    const questions = data[questionsKey] || [];
+    const { questions } = await loadReviewItems();
     return questions.length > 0;
   }
 
   async function hasUnansweredQuestions() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const questionsKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const data = await chrome.storage.local.get(questionsKey);
-    const questions = data[questionsKey] || [];
+    const { questions } = await loadReviewItems();
 
     // Check if any questions are missing answers
     return questions.some(q => !q.answer || q.answer.trim().length === 0);
   }
 
   async function hasActions() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const actionsKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const data = await chrome.storage.local.get(actionsKey);
-    const actions = data[actionsKey] || [];
+    const { actions } = await loadReviewItems();
     return actions.length > 0;
   }
 
   async function hasIncompleteActions() {
-    currentPRInfo = getPRInfo();
-    if (!currentPRInfo) return false;
-
-    const actionsKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-    const data = await chrome.storage.local.get(actionsKey);
-    const actions = data[actionsKey] || [];
+    const { actions } = await loadReviewItems();
 
     // Check if any actions are missing summaries
     return actions.some(a => !a.summary || a.summary.trim().length === 0);
@@ -1995,16 +1658,11 @@
   // Load and display existing questions and answers
   async function loadAndDisplayAnswers() {
     try {
-      currentPRInfo = getPRInfo();
-      if (!currentPRInfo) return;
-
-      const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-      const data = await chrome.storage.local.get(storageKey);
-      const questions = data[storageKey] || [];
+      const { questions } = await loadReviewItems();
 
       // Display ALL questions/answers inline in the PR view (both answered and unanswered)
-      questions.forEach((entry, index) => {
-        displayQuestionInline(entry, index);
+      questions.forEach(entry => {
+        displayQuestionInline(entry);
       });
     } catch (error) {
       // Extension context invalidated - page needs refresh
@@ -2019,30 +1677,25 @@
   // Load and display existing actions
   async function loadAndDisplayActions() {
     try {
-      currentPRInfo = getPRInfo();
-      if (!currentPRInfo) return;
-
-      const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-      const data = await chrome.storage.local.get(storageKey);
-      const actions = data[storageKey] || [];
+      const { actions } = await loadReviewItems();
 
       // Display ALL actions inline in the PR view
-      actions.forEach((entry, index) => {
-        displayActionInline(entry, index, entry.questionIndex);
+      actions.forEach(entry => {
+        displayActionInline(entry);
       });
     } catch (error) {
       console.error('Error loading actions:', error);
     }
   }
 
-  function displayQuestionInline(entry, index) {
+  function displayQuestionInline(entry) {
     // Find the specific line(s) of code this question is about
     const files = document.querySelectorAll('.file');
     files.forEach(file => {
       const fileName = file.querySelector('.file-header [title]')?.getAttribute('title');
       if (fileName === entry.file) {
         // Check if already displayed (prevent duplicates)
-        const existingId = `claude-entry-${index}`;
+        const existingId = `claude-entry-${entry.id}`;
         if (document.getElementById(existingId)) return;
 
         // Parse line numbers from entry.lines (e.g., "L29" or "L29-L35")
@@ -2088,8 +1741,8 @@
                 ${CLAUDE_ICON_SVG}
                 <strong>Claude Review</strong>
                 <span class="claude-comment-meta">${entry.file} (${entry.lines})</span>
-                ${entry.answer ? '<button class="claude-action-btn" data-entry-id="' + existingId + '" data-question-index="' + index + '" title="Mark for action">Mark for Action</button><button class="claude-auto-action-btn" data-entry-id="' + existingId + '" data-question-index="' + index + '" title="Let Claude decide">I\'m feeling lucky</button>' : ''}
-                ${(validationStatus === 'partial' || validationStatus === 'invalid') ? '<button class="claude-archive-btn" data-entry-id="' + existingId + '" data-question-index="' + index + '" title="Archive this question">Archive</button>' : ''}
+                ${entry.answer ? '<button class="claude-action-btn" data-entry-id="' + existingId + '" data-question-id="' + entry.id + '" title="Mark for action">Mark for Action</button><button class="claude-auto-action-btn" data-entry-id="' + existingId + '" data-question-id="' + entry.id + '" title="Let Claude decide">I\'m feeling lucky</button>' : '<button class="claude-run-now-btn" title="Have Claude answer just this question now">Answer now</button>'}
+                ${(validationStatus === 'partial' || validationStatus === 'invalid') ? '<button class="claude-archive-btn" data-entry-id="' + existingId + '" data-question-id="' + entry.id + '" title="Archive this question">Archive</button>' : ''}
                 ${validationStatus ? '<button class="claude-view-original-btn" data-entry-id="' + existingId + '" data-original-code="' + escapeHtml(entry.code) + '" title="View code snapshot">View Code Snapshot</button>' : ''}
                 <button class="claude-delete-btn" data-entry-id="${existingId}" title="Delete this question">×</button>
               </div>
@@ -2105,11 +1758,14 @@
                 <div class="claude-answer-text">
                   <strong>A:</strong> ${formatMarkdown(entry.answer)}
                 </div>
+                <div class="claude-thread">${threadHtml(entry)}</div>
           `;
+        } else if (entry.blocked) {
+          html += blockedNoteHtml(entry, 'answer');
         } else {
           html += `
                 <div class="claude-answer-text" style="font-style: italic; color: #656d76;">
-                  <strong>A:</strong> <em>No answer yet. Click "Refresh Answers" after Claude fills in the markdown file.</em>
+                  <strong>A:</strong> <em>No answer yet. It appears here as soon as Claude records it.</em>
                 </div>
           `;
         }
@@ -2131,7 +1787,7 @@
           actionBtn.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            showActionDialog(entry, index);
+            showActionDialog(entry);
           });
         }
 
@@ -2143,13 +1799,29 @@
             console.log('[AUTO-ACTION] Button clicked!');
             e.preventDefault();
             e.stopPropagation();
-            console.log('[AUTO-ACTION] Calling saveAction with:', entry, index);
-            saveAction(entry, index, 'Apply the most appropriate solution for this section of code. Use idiomatic patterns and maintain consistency with the existing codebase style and conventions where possible. Refer to the repository\'s CLAUDE.md file for best practices if needed.');
+            console.log('[AUTO-ACTION] Calling saveAction with:', entry);
+            saveAction(entry, 'Apply the most appropriate solution for this section of code. Use idiomatic patterns and maintain consistency with the existing codebase style and conventions where possible. Refer to the repository\'s CLAUDE.md file for best practices if needed.');
           });
         } else {
           console.log('[AUTO-ACTION] Button NOT found in commentRow');
         }
 
+        // Add "Answer now" button handler (only exists while unanswered)
+        const answerNowBtn = commentRow.querySelector('.claude-run-now-btn');
+        if (answerNowBtn) {
+          answerNowBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            runSingleItem('questions', entry);
+          });
+        }
+
+        // Add follow-up thread handlers (only exists if answer is present)
+        const thread = commentRow.querySelector('.claude-thread');
+        if (thread) {
+          bindThreadControls(thread, entry);
+        }
+
         // Add "Archive" button handler (for partial/invalid validation)
         const archiveBtn = commentRow.querySelector('.claude-archive-btn');
         if (archiveBtn) {
@@ -2164,31 +1836,13 @@
             currentPRInfo = getPRInfo();
             if (!currentPRInfo) return;
 
-            // Archive the questions file
-            const repoName = currentPRInfo.fullRepoName.split('/')[1];
-            const prFolder = `PR-${currentPRInfo.prNumber}`;
-            const dateStr = new Date().toISOString().split('T')[0];
-            const questionsFilename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-
-            chrome.runtime.sendMessage({
-              action: 'archiveFile',
-              filename: questionsFilename
-            });
-
-            // Remove from storage
-            const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-            const data = await chrome.storage.local.get(storageKey);
-            const questions = data[storageKey] || [];
-
-            questions.splice(index, 1);
-            await chrome.storage.local.set({ [storageKey]: questions });
-
-            // Update markdown file
-            chrome.runtime.sendMessage({
-              action: 'exportToMarkdown',
-              prInfo: currentPRInfo,
-              questions: questions
-            });
+            // Archive the questions file, then remove the question from the store
+            try {
+              await deleteReviewItem(currentPRInfo, 'questions', entry.id, { archive: true });
+            } catch (error) {
+              showNotification(`❌ Failed to archive question: ${error.message}`);
+              return;
+            }
 
             // Remove from DOM
             commentRow.remove();
@@ -2244,72 +1898,38 @@
           e.preventDefault();
           e.stopPropagation();
 
-          if (!confirm('Delete this question? This will remove it from browser memory and the markdown file.')) {
+          if (!confirm('Delete this question? This will remove it from the review store and the markdown file.')) {
             return;
           }
 
-          // Remove from storage
           currentPRInfo = getPRInfo();
           if (!currentPRInfo) return;
 
-          const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-          const data = await chrome.storage.local.get(storageKey);
-          const questions = data[storageKey] || [];
-
-          // Remove this entry
-          questions.splice(index, 1);
-
-          if (questions.length === 0) {
-            // Last question deleted - remove storage and delete file
-            await chrome.storage.local.remove([storageKey, `pr_meta_${storageKey}`]);
-
-            // Delete the markdown file
-            const repoName = currentPRInfo.fullRepoName.split('/')[1];
-            const prFolder = `PR-${currentPRInfo.prNumber}`;
-            const dateStr = new Date().toISOString().split('T')[0];
-            const filename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-
-            try {
-              await fetch('http://localhost:47382/deleteFile', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ filename })
-              });
-            } catch (err) {
-              console.error('Error deleting file:', err);
-            }
-
-            showNotification('Last question deleted - file removed');
-          } else {
-            // Update storage
-            await chrome.storage.local.set({ [storageKey]: questions });
-
-            // Update markdown file
-            chrome.runtime.sendMessage({
-              action: 'exportToMarkdown',
-              prInfo: currentPRInfo,
-              questions: questions
-            });
-
-            showNotification('Question deleted');
+          // The markdown file is re-rendered (or removed with the last question) by the server
+          try {
+            await deleteReviewItem(currentPRInfo, 'questions', entry.id);
+          } catch (error) {
+            showNotification(`❌ Failed to delete question: ${error.message}`);
+            return;
           }
 
           // Remove from DOM
           commentRow.remove();
+          showNotification('Question deleted');
         });
       }
     });
   }
 
-  function displayActionInline(actionEntry, actionIndex, questionIndex) {
-    console.log('[DISPLAY-ACTION] Starting displayActionInline with:', { actionEntry, actionIndex, questionIndex });
-    const isQuestionLinked = questionIndex !== null && questionIndex !== undefined;
+  function displayActionInline(actionEntry) {
+    console.log('[DISPLAY-ACTION] Starting displayActionInline with:', actionEntry);
+    const isQuestionLinked = Boolean(actionEntry.questionId);
     console.log('[DISPLAY-ACTION] isQuestionLinked:', isQuestionLinked);
 
     if (isQuestionLinked) {
       console.log('[DISPLAY-ACTION] Question-linked action - converting existing box');
       // Find the existing question box and convert it to an action box
-      const existingQuestionId = `claude-entry-${questionIndex}`;
+      const existingQuestionId = `claude-entry-${actionEntry.questionId}`;
       console.log('[DISPLAY-ACTION] Looking for existing box with ID:', existingQuestionId);
       const existingBox = document.getElementById(existingQuestionId);
       console.log('[DISPLAY-ACTION] Existing box found:', !!existingBox);
@@ -2329,8 +1949,9 @@
             ${CLAUDE_ICON_SVG}
             <strong>Claude to Action</strong>
             <span class="claude-comment-meta">${actionEntry.file} (${actionEntry.lines})</span>
-            <button class="claude-edit-action-btn" data-action-index="${actionIndex}" data-question-index="${questionIndex}" title="Edit action">Edit</button>
-            <button class="claude-delete-action-btn" data-action-index="${actionIndex}" title="Delete this action">×</button>
+            ${actionEntry.summary ? '' : '<button class="claude-run-now-btn" title="Have Claude do just this action now">Do this now</button>'}
+            <button class="claude-edit-action-btn" data-action-id="${actionEntry.id}" data-question-id="${actionEntry.questionId}" title="Edit action">Edit</button>
+            <button class="claude-delete-action-btn" data-action-id="${actionEntry.id}" title="Delete this action">×</button>
           `;
         }
 
@@ -2350,10 +1971,21 @@
             <div class="claude-action-text">
               <span class="action-label">Instructions:</span>${escapeHtml(actionEntry.action)}
             </div>
+            ${actionResultHtml(actionEntry)}
           `;
           commentBody.appendChild(actionSection);
         }
 
+        // Add "Do this now" handler (only exists while the action has no summary)
+        const runNowBtn = existingBox.querySelector('.claude-run-now-btn');
+        if (runNowBtn) {
+          runNowBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            runSingleItem('actions', actionEntry);
+          });
+        }
+
         // Add edit handler for action
         const editBtn = existingBox.querySelector('.claude-edit-action-btn');
         if (editBtn) {
@@ -2361,22 +1993,12 @@
             e.preventDefault();
             e.stopPropagation();
 
-            // Get current action entry from storage
-            currentPRInfo = getPRInfo();
-            if (!currentPRInfo) return;
-
-            const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-            chrome.storage.local.get(storageKey).then(data => {
-              const actions = data[storageKey] || [];
-              const currentAction = actions[actionIndex];
+            // Get current action and its question from the store
+            loadReviewItems().then(({ questions, actions }) => {
+              const currentAction = actions.find(a => a.id === actionEntry.id);
               if (currentAction) {
-                // Find the question entry if this is question-linked
-                const questionStorageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-                chrome.storage.local.get(questionStorageKey).then(qData => {
-                  const questions = qData[questionStorageKey] || [];
-                  const questionEntry = questionIndex !== null && questionIndex !== undefined ? questions[questionIndex] : null;
-                  showEditActionDialog(currentAction, actionIndex, questionEntry, questionIndex);
-                });
+                const questionEntry = questions.find(q => q.id === actionEntry.questionId) || null;
+                showEditActionDialog(currentAction, questionEntry);
               }
             });
           });
@@ -2389,25 +2011,19 @@
             e.preventDefault();
             e.stopPropagation();
 
-            if (!confirm('Delete this action? This will remove it from browser memory and the actions file.')) {
+            if (!confirm('Delete this action? This will remove it from the review store and the actions file.')) {
               return;
             }
 
             currentPRInfo = getPRInfo();
             if (!currentPRInfo) return;
 
-            const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-            const data = await chrome.storage.local.get(storageKey);
-            const actions = data[storageKey] || [];
-
-            actions.splice(actionIndex, 1);
-            await chrome.storage.local.set({ [storageKey]: actions });
-
-            chrome.runtime.sendMessage({
-              action: 'exportToActions',
-              prInfo: currentPRInfo,
-              actions: actions
-            });
+            try {
+              await deleteReviewItem(currentPRInfo, 'actions', actionEntry.id);
+            } catch (error) {
+              showNotification(`❌ Failed to delete action: ${error.message}`);
+              return;
+            }
 
             // Revert to question box (remove action styling and section)
             if (commentDiv) {
@@ -2420,16 +2036,14 @@
 
             // Restore original question header (need to get question entry first)
             if (header) {
-              const questionStorageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-              const qData = await chrome.storage.local.get(questionStorageKey);
-              const questions = qData[questionStorageKey] || [];
-              const questionEntry = questions[questionIndex];
+              const { questions } = await loadReviewItems();
+              const questionEntry = questions.find(q => q.id === actionEntry.questionId);
 
               header.innerHTML = `
                 ${CLAUDE_ICON_SVG}
                 <strong>Claude Review</strong>
                 <span class="claude-comment-meta">${actionEntry.file} (${actionEntry.lines})</span>
-                ${questionEntry && questionEntry.answer ? '<button class="claude-action-btn" data-entry-id="' + existingQuestionId + '" data-question-index="' + questionIndex + '" title="Mark for action">Mark for Action</button><button class="claude-auto-action-btn" data-entry-id="' + existingQuestionId + '" data-question-index="' + questionIndex + '" title="Let Claude decide">I\'m feeling lucky</button>' : ''}
+                ${questionEntry && questionEntry.answer ? '<button class="claude-action-btn" data-entry-id="' + existingQuestionId + '" data-question-id="' + questionEntry.id + '" title="Mark for action">Mark for Action</button><button class="claude-auto-action-btn" data-entry-id="' + existingQuestionId + '" data-question-id="' + questionEntry.id + '" title="Let Claude decide">I\'m feeling lucky</button>' : ''}
                 <button class="claude-delete-btn" data-entry-id="${existingQuestionId}" title="Delete this question">×</button>
               `;
 
@@ -2439,7 +2053,7 @@
                 actionBtn.addEventListener('click', (e) => {
                   e.preventDefault();
                   e.stopPropagation();
-                  showActionDialog(questionEntry, questionIndex);
+                  showActionDialog(questionEntry);
                 });
               }
 
@@ -2450,8 +2064,8 @@
                   console.log('[AUTO-ACTION] Restored button clicked!');
                   e.preventDefault();
                   e.stopPropagation();
-                  console.log('[AUTO-ACTION] Calling saveAction with:', questionEntry, questionIndex);
-                  saveAction(questionEntry, questionIndex, 'Apply the most appropriate solution for this section of code. Use idiomatic patterns and maintain consistency with the existing codebase style and conventions where possible. Refer to the repository\'s CLAUDE.md file for best practices if needed.');
+                  console.log('[AUTO-ACTION] Calling saveAction with:', questionEntry);
+                  saveAction(questionEntry, 'Apply the most appropriate solution for this section of code. Use idiomatic patterns and maintain consistency with the existing codebase style and conventions where possible. Refer to the repository\'s CLAUDE.md file for best practices if needed.');
                 });
               }
 
@@ -2461,22 +2075,16 @@
                   e.preventDefault();
                   e.stopPropagation();
 
-                  if (!confirm('Delete this question? This will remove it from browser memory and the markdown file.')) {
+                  if (!confirm('Delete this question? This will remove it from the review store and the markdown file.')) {
                     return;
                   }
 
-                  const storageKey = `pr_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-                  const data = await chrome.storage.local.get(storageKey);
-                  const questions = data[storageKey] || [];
-
-                  questions.splice(questionIndex, 1);
-                  await chrome.storage.local.set({ [storageKey]: questions });
-
-                  chrome.runtime.sendMessage({
-                    action: 'exportToMarkdown',
-                    prInfo: currentPRInfo,
-                    questions: questions
-                  });
+                  try {
+                    await deleteReviewItem(currentPRInfo, 'questions', actionEntry.questionId);
+                  } catch (error) {
+                    showNotification(`❌ Failed to delete question: ${error.message}`);
+                    return;
+                  }
 
                   existingBox.remove();
                   showNotification('Question deleted');
@@ -2494,7 +2102,7 @@
       files.forEach(file => {
         const fileName = file.querySelector('.file-header [title]')?.getAttribute('title');
         if (fileName === actionEntry.file) {
-          const existingId = `claude-action-${actionIndex}`;
+          const existingId = `claude-action-${actionEntry.id}`;
           if (document.getElementById(existingId)) return;
 
           // Parse line numbers
@@ -2538,15 +2146,17 @@
                   ${CLAUDE_ICON_SVG}
                   <strong>Claude to Action</strong>
                   <span class="claude-comment-meta">${actionEntry.file} (${actionEntry.lines})</span>
-                  <button class="claude-edit-action-btn" data-action-index="${actionIndex}" title="Edit action">Edit</button>
-                  ${(validationStatus === 'partial' || validationStatus === 'invalid') ? '<button class="claude-archive-action-btn" data-action-index="' + actionIndex + '" title="Archive this action">Archive</button>' : ''}
-                  ${validationStatus ? '<button class="claude-view-original-action-btn" data-action-index="' + actionIndex + '" data-original-code="' + escapeHtml(actionEntry.code) + '" title="View code snapshot">View Code Snapshot</button>' : ''}
-                  <button class="claude-delete-action-btn" data-action-index="${actionIndex}" title="Delete this action">×</button>
+                  ${actionEntry.summary ? '' : '<button class="claude-run-now-btn" title="Have Claude do just this action now">Do this now</button>'}
+                  <button class="claude-edit-action-btn" data-action-id="${actionEntry.id}" title="Edit action">Edit</button>
+                  ${(validationStatus === 'partial' || validationStatus === 'invalid') ? '<button class="claude-archive-action-btn" data-action-id="' + actionEntry.id + '" title="Archive this action">Archive</button>' : ''}
+                  ${validationStatus ? '<button class="claude-view-original-action-btn" data-action-id="' + actionEntry.id + '" data-original-code="' + escapeHtml(actionEntry.code) + '" title="View code snapshot">View Code Snapshot</button>' : ''}
+                  <button class="claude-delete-action-btn" data-action-id="${actionEntry.id}" title="Delete this action">×</button>
                 </div>
                 <div class="claude-comment-body">
                   <div class="claude-action-text">
                     <span class="action-label">Instructions:</span>${escapeHtml(actionEntry.action)}
                   </div>
+                  ${actionResultHtml(actionEntry)}
                 </div>
               </div>
             </td>
@@ -2555,21 +2165,26 @@
           actionRow.innerHTML = html;
           targetRow.after(actionRow);
 
+          // Add "Do this now" handler (only exists while the action has no summary)
+          const runNowBtn = actionRow.querySelector('.claude-run-now-btn');
+          if (runNowBtn) {
+            runNowBtn.addEventListener('click', (e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              runSingleItem('actions', actionEntry);
+            });
+          }
+
           // Add edit handler for ad-hoc action
           const editBtn = actionRow.querySelector('.claude-edit-action-btn');
           editBtn.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
 
-            currentPRInfo = getPRInfo();
-            if (!currentPRInfo) return;
-
-            const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-            chrome.storage.local.get(storageKey).then(data => {
-              const actions = data[storageKey] || [];
-              const currentAction = actions[actionIndex];
+            loadReviewItems().then(({ actions }) => {
+              const currentAction = actions.find(a => a.id === actionEntry.id);
               if (currentAction) {
-                showEditActionDialog(currentAction, actionIndex, null, null);
+                showEditActionDialog(currentAction, null);
               }
             });
           });
@@ -2588,31 +2203,13 @@
               currentPRInfo = getPRInfo();
               if (!currentPRInfo) return;
 
-              // Archive the actions file
-              const repoName = currentPRInfo.fullRepoName.split('/')[1];
-              const prFolder = `PR-${currentPRInfo.prNumber}`;
-              const dateStr = new Date().toISOString().split('T')[0];
-              const actionsFilename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-              chrome.runtime.sendMessage({
-                action: 'archiveFile',
-                filename: actionsFilename
-              });
-
-              // Remove from storage
-              const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-              const data = await chrome.storage.local.get(storageKey);
-              const actions = data[storageKey] || [];
-
-              actions.splice(actionIndex, 1);
-              await chrome.storage.local.set({ [storageKey]: actions });
-
-              // Update markdown file
-              chrome.runtime.sendMessage({
-                action: 'exportToActions',
-                prInfo: currentPRInfo,
-                actions: actions
-              });
+              // Archive the actions file, then remove the action from the store
+              try {
+                await deleteReviewItem(currentPRInfo, 'actions', actionEntry.id, { archive: true });
+              } catch (error) {
+                showNotification(`❌ Failed to archive action: ${error.message}`);
+                return;
+              }
 
               // Remove from DOM
               actionRow.remove();
@@ -2668,55 +2265,23 @@
             e.preventDefault();
             e.stopPropagation();
 
-            if (!confirm('Delete this action? This will remove it from browser memory and the actions file.')) {
+            if (!confirm('Delete this action? This will remove it from the review store and the actions file.')) {
               return;
             }
 
             currentPRInfo = getPRInfo();
             if (!currentPRInfo) return;
 
-            const storageKey = `actions_${currentPRInfo.fullRepoName}_${currentPRInfo.prNumber}`;
-            const data = await chrome.storage.local.get(storageKey);
-            const actions = data[storageKey] || [];
-
-            actions.splice(actionIndex, 1);
-
-            if (actions.length === 0) {
-              // Last action deleted - remove storage and delete file
-              await chrome.storage.local.remove(storageKey);
-
-              // Delete the markdown file
-              const repoName = currentPRInfo.fullRepoName.split('/')[1];
-              const prFolder = `PR-${currentPRInfo.prNumber}`;
-              const dateStr = new Date().toISOString().split('T')[0];
-              const filename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-
-              try {
-                await fetch('http://localhost:47382/deleteFile', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ filename })
-                });
-              } catch (err) {
-                console.error('Error deleting file:', err);
-              }
-
-              showNotification('Last action deleted - file removed');
-            } else {
-              // Update storage
-              await chrome.storage.local.set({ [storageKey]: actions });
-
-              // Update markdown file
-              chrome.runtime.sendMessage({
-                action: 'exportToActions',
-                prInfo: currentPRInfo,
-                actions: actions
-              });
-
-              showNotification('Action deleted');
+            // The actions file is re-rendered (or removed with the last action) by the server
+            try {
+              await deleteReviewItem(currentPRInfo, 'actions', actionEntry.id);
+            } catch (error) {
+              showNotification(`❌ Failed to delete action: ${error.message}`);
+              return;
             }
 
             actionRow.remove();
+            showNotification('Action deleted');
           });
         }
       });
@@ -2821,20 +2386,28 @@
     copyPromptBtn.style.cssText = 'height: 28px; width: 140px; background: #ffb3ba; color: #d6336c; border: 1px solid #ffb3ba; font-weight: 500; padding: 0 4px;';
     copyPromptBtn.title = 'Copy action prompt for local Claude Code terminal (recommended for complex actions)';
 
-    // Ultrathink checkbox
-    const ultrathinkContainer = document.createElement('div');
-    ultrathinkContainer.className = 'ultrathink-container';
-
-    const ultrathinkCheckbox = document.createElement('input');
-    ultrathinkCheckbox.type = 'checkbox';
-    ultrathinkCheckbox.id = 'claude-ultrathink-checkbox';
-
-    const ultrathinkLabel = document.createElement('label');
-    ultrathinkLabel.htmlFor = 'claude-ultrathink-checkbox';
-    ultrathinkLabel.innerHTML = `<span class="rainbow-text"><span class="letter-u">U</span><span class="letter-l">l</span><span class="letter-t">t</span><span class="letter-r">r</span><span class="letter-a">a</span><span class="letter-t2">t</span><span class="letter-h">h</span><span class="letter-i">i</span><span class="letter-n">n</span><span class="letter-k">k</span></span>`;
-
-    ultrathinkContainer.appendChild(ultrathinkCheckbox);
-    ultrathinkContainer.appendChild(ultrathinkLabel);
+    // Extended thinking for the next run - empty uses the default for Questions/Actions
+    const thinkingSelect = document.createElement('select');
+    thinkingSelect.id = 'claude-thinking-preset';
+    thinkingSelect.className = 'claude-thinking-select';
+    thinkingSelect.title = 'Extended thinking for the next run. The defaults per kind of run are in Settings.';
+    thinkingSelect.innerHTML = '<option value="">Default thinking</option>' +
+      Object.entries(THINKING_PRESET_LABELS).map(([preset, label]) => `<option value="${preset}">Thinking: ${label}</option>`).join('');
+
+    // Permission profile for the next run - empty uses the default for Questions/Actions
+    const profileSelect = document.createElement('select');
+    profileSelect.id = 'claude-permission-profile';
+    profileSelect.className = 'claude-permission-profile-select';
+    profileSelect.title = 'Permission profile for the next run. Questions runs stay read-only whichever you pick.';
+    populatePermissionProfileSelect(profileSelect);
+
+    // Budget override for the next runs - the Run Budgets from Settings apply otherwise
+    const budgetBtn = document.createElement('button');
+    budgetBtn.className = 'btn btn-sm claude-run-budget-btn';
+    budgetBtn.id = 'claude-run-budget-btn';
+    budgetBtn.type = 'button';
+    budgetBtn.innerHTML = 'Budget';
+    budgetBtn.addEventListener('click', showRunBudgetDialog);
 
     // Add click handlers
     answerBtn.addEventListener('click', triggerAnswerQuestions);
@@ -2854,13 +2427,28 @@
     claudeButtons.appendChild(answerBtn);
     claudeButtons.appendChild(actionsBtn);
     claudeButtons.appendChild(copyPromptBtn);
-    claudeButtons.appendChild(ultrathinkContainer);
+    claudeButtons.appendChild(thinkingSelect);
+    claudeButtons.appendChild(profileSelect);
+    claudeButtons.appendChild(budgetBtn);
+    updateRunBudgetButton();
 
     // Insert after review button
     buttonContainer.insertBefore(claudeButtons, reviewButton.nextSibling);
     console.log('[CLAUDE] Action buttons added');
   }
 
+  /**
+   * Fill the toolbar's profile picker, keeping the current choice if it still exists
+   */
+  async function populatePermissionProfileSelect(select = document.getElementById('claude-permission-profile')) {
+    if (!select) return;
+    const { profiles } = await loadPermissionProfiles();
+    const current = select.value;
+    select.innerHTML = '<option value="">Default profile</option>' +
+      Object.keys(profiles).map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    select.value = profiles[current] ? current : '';
+  }
+
   async function triggerAnswerQuestions() {
     const btn = document.getElementById('claude-answer-questions-btn');
     const currentState = btn.getAttribute('data-state') || 'idle';
@@ -2874,6 +2462,12 @@
       return;
     }
 
+    // A single-item run ("Answer now" / "Do this now") may be using the agent
+    if (window.agentClient.isAgentActive) {
+      alert('Claude is already working on this PR. Wait for that run to finish.');
+      return;
+    }
+
     // Check if there are any questions
     if (!(await hasQuestions())) {
       alert('No questions to answer. Please select code and add questions first.');
@@ -2899,6 +2493,8 @@
     }
 
     try {
+      // Make sure the agent checks out the PR's real branches
+      await loadPRMetadata(true);
       currentPRInfo = getPRInfo();
       if (!currentPRInfo) {
         throw new Error('Could not detect PR information');
@@ -2918,47 +2514,10 @@
       // Start heartbeat monitoring
       window.agentClient.startHeartbeatMonitoring();
 
-      // Check ultrathink checkbox state
-      const ultrathinkCheckbox = document.getElementById('claude-ultrathink-checkbox');
-      const useUltrathink = ultrathinkCheckbox?.checked || false;
-
       // Answer questions using Agent SDK
-      const result = await window.agentClient.answerQuestions(currentPRInfo, useUltrathink);
-
-      if (result.success) {
-        // Verify all questions have been answered
-        const allAnswered = await verifyAllQuestionsAnswered();
+      const result = await window.agentClient.answerQuestions(currentPRInfo);
 
-        if (allAnswered) {
-          if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('All questions answered successfully!', 'success');
-            window.agentMonitorPanel.addLog('Refreshing answers...', 'info');
-          }
-
-          // Auto-refresh answers from file
-          await refreshAnswersFromFile();
-
-          if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('Answers refreshed! Check inline comments in PR.', 'success');
-          }
-
-          // Reset button to idle
-          btn.innerHTML = 'Answer Questions';
-          btn.setAttribute('data-state', 'idle');
-          btn.disabled = false;
-        } else {
-          if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('Warning: Some questions may not have been answered', 'error');
-          }
-
-          // Reset to idle - user can try again
-          btn.innerHTML = 'Answer Questions';
-          btn.setAttribute('data-state', 'idle');
-          btn.disabled = false;
-        }
-      } else {
-        throw new Error(result.error || 'Failed to answer questions');
-      }
+      await finishAnswerQuestions(result, btn);
     } catch (error) {
       console.error('[AGENT] Error answering questions:', error);
 
@@ -2979,10 +2538,46 @@
     }
   }
 
+  // Verify and refresh answers once an Answer Questions run has finished
+  async function finishAnswerQuestions(result, btn) {
+    if (result.success) {
+      // Verify all questions have been answered
+      const allAnswered = await verifyAllQuestionsAnswered();
+
+      if (allAnswered) {
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.addLog('All questions answered successfully!', 'success');
+          window.agentMonitorPanel.addLog('Refreshing answers...', 'info');
+        }
+
+        // Auto-refresh answers from file
+        await refreshAnswers();
+
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.addLog('Answers refreshed! Check inline comments in PR.', 'success');
+        }
+
+        // Reset button to idle
+        btn.innerHTML = 'Answer Questions';
+        btn.setAttribute('data-state', 'idle');
+        btn.disabled = false;
+      } else {
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.addLog('Warning: Some questions may not have been answered', 'error');
+        }
+
+        // Reset to idle - user can try again
+        btn.innerHTML = 'Answer Questions';
+        btn.setAttribute('data-state', 'idle');
+        btn.disabled = false;
+      }
+    } else {
+      throw new Error(result.error || 'Failed to answer questions');
+    }
+  }
+
   async function triggerCopyActionPrompt() {
     const btn = document.getElementById('claude-copy-action-prompt-btn');
-    const ultrathinkCheckbox = document.getElementById('claude-ultrathink-checkbox');
-    const useUltrathink = ultrathinkCheckbox?.checked || false;
 
     // Check if there are any actions
     if (!(await hasActions())) {
@@ -3007,7 +2602,7 @@
     btn.innerHTML = 'Copying...';
 
     try {
-      const result = await copyActionPromptToClipboard(currentPRInfo, useUltrathink);
+      const result = await copyActionPromptToClipboard(currentPRInfo);
       btn.innerHTML = 'Copied!';
       setTimeout(() => {
         btn.innerHTML = 'Copy Action Prompt';
@@ -3040,6 +2635,12 @@
       return;
     }
 
+    // A single-item run ("Answer now" / "Do this now") may be using the agent
+    if (window.agentClient.isAgentActive) {
+      alert('Claude is already working on this PR. Wait for that run to finish.');
+      return;
+    }
+
     // Check if there are any actions
     if (!(await hasActions())) {
       alert('No actions to complete. Please mark code sections for action first.');
@@ -3053,13 +2654,14 @@
     }
 
     // Get PR info before showing dialog (needed for "Copy Prompt Instead" button)
+    await loadPRMetadata(true);
     currentPRInfo = getPRInfo();
     if (!currentPRInfo) {
       alert('Could not detect PR information');
       return;
     }
 
-    // Show confirmation dialog
+    // Show confirmation dialog (also asks whether to review the changes before they are pushed)
     const decision = await showActionsConfirmationDialog(currentPRInfo);
     if (!decision.proceed) {
       // User cancelled or copied prompt instead
@@ -3096,67 +2698,333 @@
       // Start heartbeat monitoring
       window.agentClient.startHeartbeatMonitoring();
 
-      // Check ultrathink checkbox state
-      const ultrathinkCheckbox = document.getElementById('claude-ultrathink-checkbox');
-      const useUltrathink = ultrathinkCheckbox?.checked || false;
-
       // Complete actions using Agent SDK
-      const result = await window.agentClient.completeActions(currentPRInfo, useUltrathink);
+      const result = await window.agentClient.completeActions(currentPRInfo, undefined, {
+        reviewBeforePush: decision.reviewBeforePush
+      });
 
-      if (result.success) {
-        // Verify all actions have summaries filled in
-        const allCompleted = await verifyAllActionsCompleted();
+      await finishCompleteActions(result, btn);
+    } catch (error) {
+      console.error('[AGENT] Error completing actions:', error);
 
-        if (allCompleted) {
-          if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('All actions completed successfully!', 'success');
-            window.agentMonitorPanel.addLog('Archiving actions file...', 'info');
-          }
+      if (window.agentMonitorPanel) {
+        window.agentMonitorPanel.addLog(`Error: ${error.message}`, 'error');
+        window.agentMonitorPanel.updateStatus('Error', null, 'Failed');
+      }
 
-          // Archive the completed actions file
-          await archiveActionsFile();
+      // Reset button
+      btn.disabled = false;
+      btn.innerHTML = 'Start Actions';
+      btn.setAttribute('data-state', 'idle');
+    } finally {
+      // Stop heartbeat monitoring
+      window.agentClient.stopHeartbeatMonitoring();
 
-          // Clear actions from memory
-          clearAllActions();
+      // Close WebSocket connection
+      window.agentClient.close();
+    }
+  }
+
+  // Verify, archive and clear actions once a Start Actions run has finished
+  async function finishCompleteActions(result, btn) {
+    if (result.success && result.reviewBeforePush) {
+      // Nothing is pushed yet - keep the actions until their changes are reviewed
+      if (window.agentMonitorPanel) {
+        window.agentMonitorPanel.addLog('Changes committed but not pushed - review them to push the ones you accept', 'success');
+      }
+      btn.innerHTML = 'Start Actions';
+      btn.setAttribute('data-state', 'idle');
+      btn.disabled = false;
+      await refreshAnswers();
+      showProposalReviewDialog(currentPRInfo, { onChange: refreshAnswers });
+    } else if (result.success) {
+      // Verify all actions have summaries filled in
+      const allCompleted = await verifyAllActionsCompleted();
+
+      if (allCompleted) {
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.addLog('All actions completed successfully!', 'success');
+          window.agentMonitorPanel.addLog('Archiving actions file...', 'info');
+        }
+
+        // Archive the completed actions file and clear the actions
+        try {
+          await archiveAndClearActions();
 
           if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('Actions archived and cleared from memory', 'success');
+            window.agentMonitorPanel.addLog('Actions archived and cleared', 'success');
           }
-
-          // Change button to "Refresh to see changes"
-          btn.innerHTML = 'Refresh to see changes';
-          btn.setAttribute('data-state', 'refresh');
-          btn.disabled = false;
-        } else {
+        } catch (error) {
+          console.error('[ACTIONS] Error archiving actions:', error);
           if (window.agentMonitorPanel) {
-            window.agentMonitorPanel.addLog('Warning: Some action summaries may be incomplete', 'error');
+            window.agentMonitorPanel.addLog(`Failed to archive actions: ${error.message}`, 'error');
           }
+        }
 
-          // Reset to idle - user can try again
-          btn.innerHTML = 'Start Actions';
-          btn.setAttribute('data-state', 'idle');
-          btn.disabled = false;
+        // Change button to "Refresh to see changes"
+        btn.innerHTML = 'Refresh to see changes';
+        btn.setAttribute('data-state', 'refresh');
+        btn.disabled = false;
+      } else {
+        if (window.agentMonitorPanel) {
+          window.agentMonitorPanel.addLog('Warning: Some action summaries may be incomplete', 'error');
         }
+
+        // Reset to idle - user can try again
+        btn.innerHTML = 'Start Actions';
+        btn.setAttribute('data-state', 'idle');
+        btn.disabled = false;
+      }
+    } else {
+      throw new Error(result.error || 'Failed to complete actions');
+    }
+  }
+
+  /**
+   * Follow-up thread under an answered question: earlier replies, then the reply box
+   */
+  function threadHtml(entry) {
+    const thread = entry.thread || [];
+    let html = thread.map(message => `
+      <div class="claude-thread-message claude-thread-${message.role}">
+        <div class="claude-thread-author">
+          <strong>${message.role === 'user' ? 'You' : 'Claude'}</strong>
+          <span class="claude-thread-time">${new Date(message.at).toLocaleString()}</span>
+        </div>
+        <div class="claude-thread-text">${message.role === 'user' ? escapeHtml(message.text) : formatMarkdown(message.text)}</div>
+      </div>
+    `).join('');
+
+    if (thread.at(-1)?.role === 'user') {
+      html += `
+        <div class="claude-thread-waiting">
+          <em>Waiting for Claude's reply</em>
+          <button class="claude-run-now-btn claude-reply-now-btn" title="Have Claude reply to this follow-up now">Get Claude's reply</button>
+        </div>
+      `;
+    }
+
+    html += `
+      <div class="claude-thread-reply">
+        <textarea class="claude-thread-input" rows="2" placeholder="Reply to Claude's answer..."></textarea>
+        <button class="claude-thread-reply-btn" title="Add a follow-up and have Claude reply">Reply</button>
+      </div>
+    `;
+    return html;
+  }
+
+  function bindThreadControls(thread, entry) {
+    thread.querySelector('.claude-reply-now-btn')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      runSingleItem('followups', entry);
+    });
+
+    const input = thread.querySelector('.claude-thread-input');
+    const replyBtn = thread.querySelector('.claude-thread-reply-btn');
+    replyBtn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const text = input.value.trim();
+      if (!text) return;
+
+      currentPRInfo = getPRInfo();
+      if (!currentPRInfo) return;
+
+      replyBtn.disabled = true;
+      let updated;
+      try {
+        updated = await addFollowUp(currentPRInfo, entry.id, text);
+      } catch (error) {
+        showNotification(`❌ Failed to add follow-up: ${error.message}`);
+        replyBtn.disabled = false;
+        return;
+      }
+
+      // Update the thread in place - re-rendering the whole box would drop its linked actions
+      Object.assign(entry, updated);
+      thread.innerHTML = threadHtml(entry);
+      bindThreadControls(thread, entry);
+      runSingleItem('followups', entry);
+    });
+  }
+
+  /**
+   * "Answer now" / "Do this now" / "Get Claude's reply" - run the agent on one question,
+   * action or follow-up. The run only sees that item, and reuses the PR's warm session
+   * (the worktree and conversation of its last finished run of the same kind) when there
+   * is one - follow-ups continue the session that answered the questions.
+   */
+  async function runSingleItem(kind, item) {
+    const noun = { questions: 'question', followups: 'follow-up', actions: 'action' }[kind];
+
+    if (window.agentClient.isAgentActive) {
+      showNotification('⏳ Claude is already working on this PR - wait for that run to finish');
+      window.agentMonitorPanel?.open();
+      return;
+    }
+
+    // Single actions follow the Start Actions dialog's "review before push" choice
+    const reviewBeforePush = kind === 'actions' && await getReviewBeforePush();
+    const actionPrompt = reviewBeforePush
+      ? 'Claude will make this change and commit it. You review the diff before it is pushed. Continue?'
+      : 'Claude will make this change, commit it and push it to the PR branch. Continue?';
+    if (kind === 'actions' && !confirm(actionPrompt)) {
+      return;
+    }
+
+    document.querySelectorAll('.claude-run-now-btn').forEach(btn => { btn.disabled = true; });
+
+    if (window.agentMonitorPanel) {
+      window.agentMonitorPanel.open();
+      window.agentMonitorPanel.clearLogs();
+      window.agentMonitorPanel.addLog(`Starting Claude on this ${noun} (${item.file} ${item.lines})...`, 'info');
+    }
+
+    try {
+      // Make sure the agent checks out the PR's real branches
+      await loadPRMetadata(true);
+      currentPRInfo = getPRInfo();
+      if (!currentPRInfo) {
+        throw new Error('Could not detect PR information');
+      }
+
+      const { warm } = await window.agentClient.startSession({ prInfo: currentPRInfo, kind: kind === 'followups' ? 'questions' : kind });
+      if (window.agentMonitorPanel) {
+        window.agentMonitorPanel.addLog(warm ? 'Reusing the warm session for this PR' : 'Connected to agent server', 'success');
+      }
+
+      window.agentClient.startHeartbeatMonitoring();
+
+      const run = {
+        questions: () => window.agentClient.answerQuestions(currentPRInfo, [item.id]),
+        followups: () => window.agentClient.answerFollowUps(currentPRInfo, [item.id]),
+        actions: () => window.agentClient.completeActions(currentPRInfo, [item.id], { reviewBeforePush })
+      }[kind];
+      const result = await run();
+
+      if (!result.success) {
+        throw new Error(result.error || `Failed to run the ${noun}`);
+      }
+
+      if (window.agentMonitorPanel) {
+        const done = {
+          questions: 'Question answered!',
+          followups: 'Claude replied!',
+          actions: reviewBeforePush ? 'Action done! Review the change to push it.' : 'Action done! Refresh the page to see the change.'
+        };
+        window.agentMonitorPanel.addLog(done[kind], 'success');
+      }
+
+      if (reviewBeforePush) {
+        showProposalReviewDialog(currentPRInfo, { onChange: refreshAnswers });
+      }
+    } catch (error) {
+      console.error(`[AGENT] Error running single ${noun}:`, error);
+      if (window.agentMonitorPanel) {
+        window.agentMonitorPanel.addLog(`Error: ${error.message}`, 'error');
+      }
+      showNotification(`❌ ${error.message}`);
+    } finally {
+      window.agentClient.stopHeartbeatMonitoring();
+      window.agentClient.close();
+      await refreshAnswers();
+    }
+  }
+
+  const RUN_TYPE_NAMES = { questions: 'Questions', followups: 'Follow-ups', actions: 'Actions' };
+  const RUN_TYPE_ACTIVITIES = {
+    questions: 'answering questions',
+    followups: 'replying to follow-ups',
+    actions: 'working on actions'
+  };
+
+  // Offer to reattach to an agent run that was started from this PR before a reload
+  async function offerReattach() {
+    const prInfo = getPRInfo();
+    if (!prInfo || !window.agentClient) return;
+
+    const saved = await window.agentClient.getSavedSession(prInfo);
+    if (!saved) return;
+
+    let job;
+    try {
+      job = await window.agentClient.getJob(saved.jobId);
+    } catch (error) {
+      // Server restarted or job expired - nothing to reattach to
+      window.agentClient.clearSavedSession(prInfo);
+      return;
+    }
+
+    if (job.status !== 'queued' && job.status !== 'running') {
+      window.agentClient.clearSavedSession(prInfo);
+      showNotification(`Claude ${RUN_TYPE_NAMES[saved.type] || 'Actions'} run ${job.status} while this page was closed`);
+      return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'claude-reattach-banner';
+    banner.innerHTML = `
+      <span>Claude is still ${RUN_TYPE_ACTIVITIES[saved.type] || 'working on actions'} for this PR (${escapeHtml(job.status)}).</span>
+      <button class="claude-reattach-btn">Reattach</button>
+      <button class="claude-reattach-dismiss">Dismiss</button>
+    `;
+    document.body.appendChild(banner);
+
+    banner.querySelector('.claude-reattach-btn').addEventListener('click', () => {
+      banner.remove();
+      reattachToRun(saved);
+    });
+    banner.querySelector('.claude-reattach-dismiss').addEventListener('click', () => banner.remove());
+  }
+
+  // Reattach to a saved run, replay its log and finish it like a normal run
+  async function reattachToRun(saved) {
+    // Follow-up replies run against the questions store, so they finish like a Questions run
+    const isQuestions = saved.type !== 'actions';
+    const btn = document.getElementById(isQuestions ? 'claude-answer-questions-btn' : 'claude-complete-actions-btn');
+    const idleLabel = isQuestions ? 'Answer Questions' : 'Start Actions';
+
+    btn.innerHTML = 'View Progress';
+    btn.setAttribute('data-state', 'running');
+    btn.disabled = false;
+
+    if (window.agentMonitorPanel) {
+      window.agentMonitorPanel.open();
+      window.agentMonitorPanel.clearLogs();
+    }
+
+    try {
+      currentPRInfo = getPRInfo();
+
+      // Buffered events are replayed into the panel when the socket connects
+      await window.agentClient.attachToJob(saved.jobId);
+      window.agentClient.startHeartbeatMonitoring();
+
+      if (window.agentMonitorPanel) {
+        window.agentMonitorPanel.addLog('Reattached to running agent session', 'success');
+      }
+
+      const result = await window.agentClient.waitForJob(saved.jobId);
+
+      if (isQuestions) {
+        await finishAnswerQuestions(result, btn);
       } else {
-        throw new Error(result.error || 'Failed to complete actions');
+        await finishCompleteActions(result, btn);
       }
     } catch (error) {
-      console.error('[AGENT] Error completing actions:', error);
+      console.error('[AGENT] Error reattaching to session:', error);
 
       if (window.agentMonitorPanel) {
         window.agentMonitorPanel.addLog(`Error: ${error.message}`, 'error');
-        window.agentMonitorPanel.updateStatus('Error', null, 'Failed');
       }
 
-      // Reset button
       btn.disabled = false;
-      btn.innerHTML = 'Start Actions';
+      btn.innerHTML = idleLabel;
       btn.setAttribute('data-state', 'idle');
     } finally {
-      // Stop heartbeat monitoring
       window.agentClient.stopHeartbeatMonitoring();
-
-      // Close WebSocket connection
       window.agentClient.close();
     }
   }
@@ -3253,13 +3121,23 @@
       }
     });
 
-    // Auto-restore from markdown files, then load and display
-    autoRestoreFromFiles().then(() => {
-      loadAndDisplayAnswers();
-      loadAndDisplayActions();
+    // Resolve branches etc. from the GitHub API in the background
+    loadPRMetadata();
+
+    // Move any items older versions kept in chrome.storage, then load and display
+    // (questions first - question-linked actions render into their question's box)
+    migrateStoredItems().then(async () => {
+      await loadAndDisplayAnswers();
+      await loadAndDisplayActions();
+
+      // Agent runs survive page reloads - offer to pick one back up
+      offerReattach();
     });
   }
 
+  // Once per page - init() runs again on every SPA navigation
+  followAgentItemProgress();
+
   // Run when page loads
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
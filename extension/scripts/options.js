@@ -0,0 +1,114 @@
+/**
+ * Claude GitHub Buddy - Options Page
+ * Sets the server URL, and enables the extension on GitHub Enterprise hosts
+ * configured on the server.
+ * Host access can only be requested from an extension page, which is why this
+ * lives here rather than in the in-page Settings dialog.
+ */
+
+async function loadServer() {
+  const input = document.getElementById('server-url');
+  const { url, defaultUrl } = await chrome.runtime.sendMessage({ action: 'getServerUrl' });
+  input.value = url;
+  input.placeholder = defaultUrl;
+  await showServerStatus();
+}
+
+async function showServerStatus() {
+  const status = document.getElementById('server-status');
+  status.className = '';
+  status.textContent = 'Connecting...';
+
+  try {
+    const info = await getServerInfo();
+    status.className = 'connected';
+    status.textContent = `Connected (protocol v${info.protocolVersion}, agent WebSocket at ${info.wsUrl})`;
+  } catch (error) {
+    status.className = 'error';
+    status.textContent = error.message;
+  }
+}
+
+document.getElementById('save-server-url').addEventListener('click', async () => {
+  const url = document.getElementById('server-url').value;
+  const result = await chrome.runtime.sendMessage({ action: 'setServerUrl', url });
+  if (!result.success) {
+    const status = document.getElementById('server-status');
+    status.className = 'error';
+    status.textContent = result.error;
+    return;
+  }
+
+  await loadServer();
+  loadHosts();
+});
+
+async function loadHosts() {
+  const container = document.getElementById('hosts');
+
+  let hosts;
+  try {
+    const response = await serverFetch('/hosts');
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load hosts');
+    }
+    // github.com is covered by the manifest
+    hosts = result.hosts.filter(host => host.host !== 'github.com');
+  } catch (error) {
+    container.innerHTML = `<p class="error">Could not reach the server: ${error.message}</p>`;
+    return;
+  }
+
+  if (hosts.length === 0) {
+    container.innerHTML = '<p>No Enterprise hosts configured on the server.</p>';
+    return;
+  }
+
+  const { enterprise_hosts: enabledHosts = [] } = await chrome.storage.local.get('enterprise_hosts');
+
+  container.innerHTML = '';
+  for (const host of hosts) {
+    const origin = `${new URL(host.webUrl).origin}/*`;
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+    const enabled = granted && enabledHosts.some(h => h.host === host.host);
+
+    const row = document.createElement('div');
+    row.className = 'host';
+    row.innerHTML = `
+      <div>
+        <div class="host-name"></div>
+        <div class="host-url"></div>
+      </div>
+      <div>
+        <span class="host-status ${enabled ? 'enabled' : ''}">${enabled ? 'Enabled' : 'Disabled'}</span>
+        <button>${enabled ? 'Disable' : 'Enable'}</button>
+      </div>
+    `;
+    row.querySelector('.host-name').textContent = host.host;
+    row.querySelector('.host-url').textContent = `${host.webUrl}${host.hasToken ? '' : ' (no API token - PR metadata and publishing unavailable)'}`;
+
+    row.querySelector('button').addEventListener('click', async () => {
+      if (enabled) {
+        await saveEnabledHosts(enabledHosts.filter(h => h.host !== host.host));
+        await chrome.permissions.remove({ origins: [origin] });
+      } else {
+        // Must run in the click handler - Chrome requires a user gesture
+        const allowed = await chrome.permissions.request({ origins: [origin] });
+        if (!allowed) return;
+        await saveEnabledHosts([...enabledHosts.filter(h => h.host !== host.host), { host: host.host, webUrl: host.webUrl }]);
+      }
+      loadHosts();
+    });
+
+    container.appendChild(row);
+  }
+}
+
+async function saveEnabledHosts(hosts) {
+  await chrome.storage.local.set({ enterprise_hosts: hosts });
+  await chrome.runtime.sendMessage({ action: 'syncEnterpriseHosts' });
+}
+
+loadServer();
+loadHosts();
@@ -3,13 +3,49 @@
  * Shows permission request dialog when Claude wants to use a tool
  */
 
+const PERMISSION_PROFILES_KEY = 'permission_profiles';
+const DEFAULT_PROFILES_KEY = 'default_permission_profiles';
+
+// Used until the user saves their own profiles in Settings
+const DEFAULT_PERMISSION_PROFILES = {
+  Questions: {
+    permissions: {
+      Read: true, Grep: true, Glob: true, TodoWrite: true,
+      Bash: false, Write: false, Edit: false, WebSearch: false, WebFetch: false
+    },
+    rules: {
+      allow: ['Bash(git status*)', 'Bash(git diff*)', 'Bash(git log*)', 'Bash(git show*)', 'Edit({questions})'],
+      ask: [],
+      deny: []
+    }
+  },
+  Actions: {
+    permissions: {
+      Read: true, Grep: true, Glob: true, TodoWrite: true, Edit: true, Write: true,
+      Bash: false, WebSearch: false, WebFetch: false
+    },
+    rules: {
+      allow: ['Bash(git status*)', 'Bash(git diff*)', 'Bash(git log*)', 'Bash(git add*)', 'Bash(git commit*)', 'Bash(npm test*)'],
+      ask: [],
+      deny: ['Bash(git push --force*)', 'Bash(git push -f*)']
+    }
+  }
+};
+
+// Profile each kind of run uses unless another is picked for it
+const DEFAULT_RUN_PROFILES = { questions: 'Questions', actions: 'Actions' };
+
+const openPermissionDialogs = new Map(); // requestId → close(result)
+
 /**
  * Show permission dialog and return user's decision
+ * Resolves with null if the request was answered elsewhere (see dismissPermissionDialog).
  */
 async function showPermissionDialog(request) {
   return new Promise((resolve) => {
     const dialog = document.createElement('div');
     dialog.className = 'claude-permission-dialog-overlay';
+    dialog.setAttribute('data-request-id', request.requestId);
     dialog.innerHTML = `
       <div class="claude-permission-dialog">
         <div class="permission-header">
@@ -31,20 +67,41 @@ async function showPermissionDialog(request) {
             </div>
           ` : ''}
         </div>
+        <div class="permission-rule" style="display: none;">
+          <label>Allow from now on${request.profile ? ` (${escapeHtml(request.profile)} profile)` : ''}:</label>
+          <input type="text" class="permission-rule-input" value="${escapeHtml(request.suggestedRule || request.toolName)}" spellcheck="false">
+          <span class="permission-rule-hint">Calls matching this rule are approved without asking. <code>*</code> matches anything; <code>{repo}</code> is the PR's worktree. Use just <code>${escapeHtml(request.toolName)}</code> to allow every call.</span>
+        </div>
+        <div class="permission-backlog" style="display: none;">
+          <span class="permission-backlog-count"></span>
+          <button class="permission-backlog-review">Review All...</button>
+        </div>
         <div class="permission-buttons">
           <button class="permission-btn permission-deny">Deny</button>
           <button class="permission-btn permission-approve">Approve Once</button>
-          <button class="permission-btn permission-always">Always Allow</button>
+          <button class="permission-btn permission-always">Always Allow...</button>
         </div>
       </div>
     `;
 
     document.body.appendChild(dialog);
 
+    const close = (result) => {
+      openPermissionDialogs.delete(request.requestId);
+      dialog.remove();
+      resolve(result);
+    };
+    openPermissionDialogs.set(request.requestId, close);
+    setPermissionDialogBacklog(request.backlog || 0);
+
+    // Other requests waiting behind this one are answered in the queue view
+    dialog.querySelector('.permission-backlog-review').onclick = () => {
+      showApprovalsQueueDialog();
+    };
+
     // Handle Deny
     dialog.querySelector('.permission-deny').onclick = () => {
-      dialog.remove();
-      resolve({
+      close({
         behavior: 'deny',
         message: 'User denied permission'
       });
@@ -52,19 +109,35 @@ async function showPermissionDialog(request) {
 
     // Handle Approve Once
     dialog.querySelector('.permission-approve').onclick = () => {
-      dialog.remove();
-      resolve({
+      close({
         behavior: 'allow',
         updatedInput: request.input
       });
     };
 
-    // Handle Always Allow
-    dialog.querySelector('.permission-always').onclick = async () => {
+    // Handle Always Allow - the first click shows the rule to save, the second saves it
+    const alwaysBtn = dialog.querySelector('.permission-always');
+    const ruleRow = dialog.querySelector('.permission-rule');
+    const ruleInput = dialog.querySelector('.permission-rule-input');
+    alwaysBtn.onclick = async () => {
+      if (ruleRow.style.display === 'none') {
+        ruleRow.style.display = 'flex';
+        alwaysBtn.textContent = 'Save Rule & Allow';
+        ruleInput.focus();
+        ruleInput.select();
+        return;
+      }
+
+      const rule = ruleInput.value.trim();
+      if (!isValidPermissionRule(rule)) {
+        alert('A rule is a tool name, optionally followed by a pattern in parentheses, e.g. Bash(npm test*)');
+        return;
+      }
+      openPermissionDialogs.delete(request.requestId);
       dialog.remove();
 
-      // Save to settings
-      await savePermissionSetting(request.toolName, true);
+      // Save to the run's profile
+      await savePermissionRule(request.profile, 'allow', rule);
 
       // Update server immediately with new settings
       if (window.agentClient && window.agentClient.connected) {
@@ -80,8 +153,7 @@ async function showPermissionDialog(request) {
     // Close on background click
     dialog.addEventListener('click', (e) => {
       if (e.target === dialog) {
-        dialog.remove();
-        resolve({
+        close({
           behavior: 'deny',
           message: 'User closed dialog'
         });
@@ -90,6 +162,23 @@ async function showPermissionDialog(request) {
   });
 }
 
+/**
+ * Close a request's dialog because it was answered elsewhere (queue view, timeout)
+ */
+function dismissPermissionDialog(requestId) {
+  openPermissionDialogs.get(requestId)?.(null);
+}
+
+/**
+ * Show how many more requests are waiting behind the open dialog
+ */
+function setPermissionDialogBacklog(count) {
+  document.querySelectorAll('.claude-permission-dialog-overlay .permission-backlog').forEach(backlog => {
+    backlog.style.display = count > 0 ? 'flex' : 'none';
+    backlog.querySelector('.permission-backlog-count').textContent = `${count} more request${count === 1 ? '' : 's'} waiting`;
+  });
+}
+
 /**
  * Format tool input for display
  */
@@ -129,24 +218,68 @@ function formatToolInput(toolName, input) {
 }
 
 /**
- * Save permission setting to Chrome storage
+ * "Tool" or "Tool(pattern)" - the server ignores anything else
  */
-async function savePermissionSetting(toolName, autoApprove) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get('agent_permissions', (result) => {
-      const permissions = result.agent_permissions || {};
-      permissions[toolName] = autoApprove;
+function isValidPermissionRule(rule) {
+  return /^[A-Za-z][\w-]*(\(.*\))?$/s.test(rule);
+}
 
-      chrome.storage.local.set({ agent_permissions: permissions }, () => {
-        console.log(`[PERMISSIONS] Saved: ${toolName} = ${autoApprove}`);
+/**
+ * Load the permission profiles and the default profile for each kind of run
+ * Settings saved before profiles existed become the Actions profile.
+ * @returns {Promise<{profiles: Object, defaults: {questions: string, actions: string}}>}
+ */
+async function loadPermissionProfiles() {
+  const result = await chrome.storage.local.get([
+    PERMISSION_PROFILES_KEY, DEFAULT_PROFILES_KEY, 'agent_permissions', 'permission_rules'
+  ]);
 
-        // Show notification
-        showNotification(`✅ ${toolName} will be auto-approved from now on`);
+  let profiles = result[PERMISSION_PROFILES_KEY];
+  if (!profiles) {
+    profiles = structuredClone(DEFAULT_PERMISSION_PROFILES);
+    if (result.agent_permissions || result.permission_rules) {
+      profiles.Actions = {
+        permissions: { ...profiles.Actions.permissions, ...result.agent_permissions },
+        rules: { ...profiles.Actions.rules, ...result.permission_rules }
+      };
+    }
+  }
 
-        resolve();
-      });
-    });
-  });
+  const defaults = { ...DEFAULT_RUN_PROFILES, ...result[DEFAULT_PROFILES_KEY] };
+  return { profiles, defaults };
+}
+
+/**
+ * Save all permission profiles and the per-run defaults to Chrome storage
+ */
+async function savePermissionProfiles(profiles, defaults) {
+  await chrome.storage.local.set({ [PERMISSION_PROFILES_KEY]: profiles, [DEFAULT_PROFILES_KEY]: defaults });
+}
+
+/**
+ * Add a rule to a profile's allow, ask or deny list
+ * @param {string|null} profileName - The run's profile; runs without one save to the Actions default
+ */
+async function savePermissionRule(profileName, decision, rule) {
+  const { profiles, defaults } = await loadPermissionProfiles();
+  const name = profiles[profileName] ? profileName : defaults.actions;
+  const profile = profiles[name] || (profiles[name] = { permissions: {}, rules: {} });
+  const rules = profile.rules[decision] || [];
+  if (!rules.includes(rule)) {
+    profile.rules[decision] = [...rules, rule];
+  }
+  await savePermissionProfiles(profiles, defaults);
+  console.log(`[PERMISSIONS] Saved ${decision} rule to ${name}: ${rule}`);
+
+  // Show notification
+  showNotification(`✅ ${rule} will be auto-approved in the ${name} profile from now on`);
+}
+
+/**
+ * Profile picked in the toolbar for the next run, or null for the mode's default
+ */
+function selectedPermissionProfile() {
+  return document.getElementById('claude-permission-profile')?.value || null;
 }
 
 /**
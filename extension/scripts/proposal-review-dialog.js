@@ -0,0 +1,234 @@
+/**
+ * Claude GitHub Buddy - Proposal Review Dialog
+ * Reviews the commits an Actions run made with "Review changes before they are
+ * pushed": accept, reject or revise each action, then have the server push the
+ * accepted ones
+ */
+
+const PROPOSAL_STATUS_LABELS = {
+  proposed: 'Awaiting review',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  pushed: 'Pushed'
+};
+
+/**
+ * Show the proposed changes for the current PR
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called after a decision or push changed the PR's actions
+ */
+async function showProposalReviewDialog(prInfo, { onChange = () => {} } = {}) {
+  document.getElementById('claude-proposal-review-dialog')?.remove();
+
+  let proposals;
+  try {
+    proposals = await loadOpenProposals(prInfo);
+  } catch (error) {
+    alert(`Failed to load proposed changes: ${error.message}`);
+    return;
+  }
+
+  if (proposals.length === 0) {
+    alert('No changes are waiting for review. Start Actions with "Review changes before they are pushed" checked to get some.');
+    return;
+  }
+
+  const dialog = document.createElement('div');
+  dialog.id = 'claude-proposal-review-dialog';
+  dialog.className = 'claude-dialog';
+  document.body.appendChild(dialog);
+
+  const render = () => {
+    const acceptedCount = proposals.filter(action => action.proposal.status === 'accepted').length;
+    dialog.innerHTML = `
+      <div class="claude-dialog-content" style="max-width: 900px; width: 90vw; max-height: 85vh; overflow-y: auto;">
+        <h3>Review Proposed Changes</h3>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          Claude committed these changes locally without pushing them. Accepted changes are cherry-picked onto the PR branch and pushed; rejected ones are left out.
+        </p>
+        ${proposals.map(proposalHtml).join('')}
+        <div class="dialog-buttons" style="margin-top: 24px;">
+          <button id="claude-proposals-push" ${acceptedCount === 0 ? 'disabled' : ''}>Push Accepted (${acceptedCount})</button>
+          <button id="claude-proposals-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    dialog.querySelectorAll('.claude-proposal').forEach(element => {
+      bindProposalControls(element, prInfo, {
+        onDecided: (updated) => {
+          const index = proposals.findIndex(action => action.id === updated.id);
+          if (updated.proposal) {
+            proposals[index] = { ...proposals[index], ...updated };
+          } else {
+            proposals.splice(index, 1); // Sent back for revision - no longer proposed
+          }
+          onChange();
+          if (proposals.length === 0) {
+            dialog.remove();
+            return;
+          }
+          render();
+        },
+        onFailed: render
+      });
+    });
+
+    document.getElementById('claude-proposals-push').addEventListener('click', async () => {
+      const pushBtn = document.getElementById('claude-proposals-push');
+      pushBtn.disabled = true;
+      pushBtn.textContent = 'Pushing...';
+
+      try {
+        const result = await proposalRequest('/pushProposals', { prInfo: proposalPRInfo(prInfo) });
+        showNotification(`✅ Pushed ${result.actions.length} action(s)${result.sha ? ` - branch is now at ${result.sha.slice(0, 7)}` : ''}`);
+        onChange();
+        proposals = await loadOpenProposals(prInfo);
+        if (proposals.length === 0) {
+          dialog.remove();
+          return;
+        }
+        render();
+      } catch (error) {
+        console.error('[PROPOSALS] Error pushing:', error);
+        alert(`Failed to push: ${error.message}`);
+        render();
+      }
+    });
+
+    document.getElementById('claude-proposals-close').addEventListener('click', () => {
+      dialog.remove();
+    });
+  };
+
+  render();
+
+  // Close on background click
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) {
+      dialog.remove();
+    }
+  });
+}
+
+function proposalHtml(action) {
+  const { status, commits } = action.proposal;
+
+  const commitsHtml = commits.length > 0
+    ? commits.map(commit => `<div><code>${escapeHtml(commit.sha.slice(0, 7))}</code> ${escapeHtml(commit.subject)}</div>`).join('')
+    : '<div><em>No commits - there is nothing to push for this action</em></div>';
+
+  let diffHtml = '';
+  if (action.diffError) {
+    diffHtml = `<div class="claude-blocked-text">${escapeHtml(action.diffError)}</div>`;
+  } else if (action.diff) {
+    const fileCount = (action.diff.match(/^diff --git /gm) || []).length;
+    diffHtml = `
+      <details class="claude-proposal-diff-details" ${status === 'proposed' ? 'open' : ''}>
+        <summary>Diff (${fileCount} file${fileCount === 1 ? '' : 's'})</summary>
+        <pre class="claude-proposal-diff">${formatDiff(action.diff)}</pre>
+      </details>
+    `;
+  }
+
+  return `
+    <div class="claude-proposal" data-id="${escapeHtml(action.id)}">
+      <div class="claude-proposal-header">
+        <span class="claude-proposal-status claude-proposal-status-${status}">${PROPOSAL_STATUS_LABELS[status] || status}</span>
+        <code>${escapeHtml(action.file)}</code> ${escapeHtml(action.lines)} -
+        ${escapeHtml(action.action.substring(0, 100))}
+      </div>
+      <div class="claude-proposal-commits">${commitsHtml}</div>
+      ${diffHtml}
+      <div class="claude-proposal-buttons">
+        <button class="claude-proposal-btn" data-decision="accept" ${status === 'accepted' ? 'disabled' : ''}>Accept</button>
+        <button class="claude-proposal-btn" data-decision="reject" ${status === 'rejected' ? 'disabled' : ''}>Reject</button>
+        <button class="claude-proposal-btn claude-proposal-revise-btn">Revise...</button>
+      </div>
+      <div class="claude-proposal-revise" style="display: none;">
+        <textarea rows="3" placeholder="What should Claude do differently? The action goes back to pending with this feedback."></textarea>
+        <button class="claude-proposal-btn claude-proposal-revise-submit">Send Back</button>
+      </div>
+    </div>
+  `;
+}
+
+function bindProposalControls(element, prInfo, { onDecided, onFailed }) {
+  const id = element.getAttribute('data-id');
+
+  const decide = async (decision, feedback) => {
+    element.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+    try {
+      const result = await proposalRequest('/reviewProposal', { prInfo: proposalPRInfo(prInfo), id, decision, feedback });
+      if (decision === 'revise') {
+        showNotification('↩️ Sent back - run the action again to have Claude redo it');
+      }
+      onDecided(result.item);
+    } catch (error) {
+      alert(`Failed to update ${id}: ${error.message}`);
+      onFailed();
+    }
+  };
+
+  element.querySelectorAll('[data-decision]').forEach(btn => {
+    btn.addEventListener('click', () => decide(btn.getAttribute('data-decision')));
+  });
+
+  const reviseBox = element.querySelector('.claude-proposal-revise');
+  element.querySelector('.claude-proposal-revise-btn').addEventListener('click', () => {
+    reviseBox.style.display = 'flex';
+    reviseBox.querySelector('textarea').focus();
+  });
+
+  element.querySelector('.claude-proposal-revise-submit').addEventListener('click', () => {
+    const feedback = reviseBox.querySelector('textarea').value.trim();
+    if (!feedback) {
+      alert('Say what Claude should change.');
+      return;
+    }
+    decide('revise', feedback);
+  });
+}
+
+/**
+ * Unified diff with added/removed lines and hunk headers highlighted
+ */
+function formatDiff(diff) {
+  return diff.split('\n').map(line => {
+    let className = '';
+    if (line.startsWith('diff --git')) className = 'claude-diff-file';
+    else if (line.startsWith('@@')) className = 'claude-diff-hunk';
+    else if (line.startsWith('+') && !line.startsWith('+++')) className = 'claude-diff-add';
+    else if (line.startsWith('-') && !line.startsWith('---')) className = 'claude-diff-del';
+    return className ? `<span class="${className}">${escapeHtml(line)}</span>` : escapeHtml(line);
+  }).join('\n');
+}
+
+/**
+ * Proposals that still need a decision or a push
+ */
+async function loadOpenProposals(prInfo) {
+  const { proposals } = await proposalRequest('/proposals', { prInfo: proposalPRInfo(prInfo) });
+  return proposals.filter(action => action.proposal.status !== 'pushed');
+}
+
+function proposalPRInfo(prInfo) {
+  return { fullRepoName: prInfo.fullRepoName, prNumber: prInfo.prNumber };
+}
+
+async function proposalRequest(path, payload) {
+  const response = await serverFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || `Request to ${path} failed`);
+  }
+  return result;
+}
+
+// Make functions globally accessible for content.js
+window.showProposalReviewDialog = showProposalReviewDialog;
@@ -0,0 +1,156 @@
+/**
+ * Claude GitHub Buddy - Publish Review Dialog
+ * Posts selected answers and action summaries to GitHub as a PR review
+ */
+
+/**
+ * Show the publish dialog for the current PR
+ */
+async function showPublishReviewDialog(prInfo) {
+  let stored;
+  try {
+    stored = await listReviewItems(prInfo);
+  } catch (error) {
+    alert(`Failed to load questions and actions: ${error.message}`);
+    return;
+  }
+
+  // Only answered questions and completed actions are worth publishing
+  const items = [
+    ...stored.questions
+      .filter(q => q.answer && q.answer.trim())
+      .map(q => ({ kind: 'question', file: q.file, lines: q.lines, question: q.question, answer: q.answer })),
+    ...stored.actions
+      .filter(a => a.summary && a.summary.trim())
+      .map(a => ({ kind: 'action', file: a.file, lines: a.lines, action: a.action, summary: a.summary }))
+  ];
+
+  if (items.length === 0) {
+    alert('Nothing to publish yet. Answer some questions or complete some actions first.');
+    return;
+  }
+
+  const itemsHtml = items.map((item, index) => `
+    <label class="permission-checkbox-label">
+      <input type="checkbox" class="publish-item-checkbox" data-index="${index}" checked>
+      <span class="permission-tool-name-label">${item.kind === 'question' ? 'Q' : 'Action'}</span>
+      <span class="permission-tool-description">
+        <code>${escapeHtml(item.file)}</code> ${escapeHtml(item.lines)} -
+        ${escapeHtml((item.kind === 'question' ? item.question : item.action).substring(0, 80))}
+      </span>
+    </label>
+  `).join('');
+
+  const dialog = document.createElement('div');
+  dialog.id = 'claude-publish-review-dialog';
+  dialog.className = 'claude-dialog';
+  dialog.innerHTML = `
+    <div class="claude-dialog-content" style="max-width: 640px; max-height: 80vh; overflow-y: auto;">
+      <h3>Publish to GitHub</h3>
+      <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+        Selected items are posted as line comments in a GitHub review on PR #${escapeHtml(String(prInfo.prNumber))}.
+      </p>
+
+      <div class="settings-permissions-list" style="margin-bottom: 16px;">
+        ${itemsHtml}
+      </div>
+
+      <div style="margin-bottom: 12px;">
+        <label style="display: block; margin-bottom: 4px; font-weight: 500; font-size: 13px;">Review summary (optional)</label>
+        <textarea id="claude-publish-body" rows="3" style="width: 100%; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; font-size: 13px;"></textarea>
+      </div>
+
+      <div style="margin-bottom: 12px;">
+        <label style="display: block; margin-bottom: 4px; font-weight: 500; font-size: 13px;">Submit as</label>
+        <select id="claude-publish-event" style="width: 100%; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; font-size: 13px;">
+          <option value="">Leave pending (finish the review on GitHub)</option>
+          <option value="COMMENT">Comment</option>
+          <option value="APPROVE">Approve</option>
+          <option value="REQUEST_CHANGES">Request changes</option>
+        </select>
+      </div>
+
+      <div class="dialog-buttons" style="margin-top: 24px;">
+        <button id="claude-publish-submit">Publish</button>
+        <button id="claude-publish-cancel">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  document.getElementById('claude-publish-submit').addEventListener('click', async () => {
+    const selected = Array.from(dialog.querySelectorAll('.publish-item-checkbox'))
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => items[parseInt(checkbox.getAttribute('data-index'))]);
+
+    if (selected.length === 0) {
+      alert('Select at least one item to publish.');
+      return;
+    }
+
+    const body = document.getElementById('claude-publish-body').value.trim();
+    const event = document.getElementById('claude-publish-event').value;
+
+    if (event === 'REQUEST_CHANGES' && !body) {
+      alert('GitHub requires a review summary when requesting changes.');
+      return;
+    }
+
+    const submitBtn = document.getElementById('claude-publish-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Publishing...';
+
+    try {
+      const review = await publishReview(prInfo, selected, body, event || null);
+      const note = review.unanchored > 0 ? ' (some comments added to the review body - their lines are not in the diff)' : '';
+      showNotification(`✅ Review ${review.state === 'PENDING' ? 'created as pending' : 'submitted'}${note}`);
+      dialog.remove();
+
+      if (review.htmlUrl) {
+        window.open(review.htmlUrl, '_blank');
+      }
+    } catch (error) {
+      console.error('[PUBLISH] Error publishing review:', error);
+      alert(`Failed to publish review: ${error.message}`);
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Publish';
+    }
+  });
+
+  document.getElementById('claude-publish-cancel').addEventListener('click', () => {
+    dialog.remove();
+  });
+
+  // Close on background click
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) {
+      dialog.remove();
+    }
+  });
+}
+
+/**
+ * Ask the server to create (and optionally submit) the review
+ */
+async function publishReview(prInfo, items, body, event) {
+  const response = await serverFetch('/publishReview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      prInfo: { fullRepoName: prInfo.fullRepoName, prNumber: prInfo.prNumber },
+      items,
+      body,
+      event
+    })
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to publish review');
+  }
+  return result.review;
+}
+
+// Make functions globally accessible for content.js
+window.showPublishReviewDialog = showPublishReviewDialog;
@@ -0,0 +1,107 @@
+/**
+ * Claude GitHub Buddy - Review Items
+ * Questions and actions live in the server's review store (items.json per PR,
+ * with the Questions/Actions markdown files rendered from it). Each item has a
+ * stable id; the agent fills in answers and summaries, the extension adds,
+ * edits and removes items through these helpers.
+ */
+
+/**
+ * POST to a review store endpoint and unwrap the response
+ */
+async function reviewItemsRequest(path, payload) {
+  const response = await serverFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error || `Request to ${path} failed`);
+  }
+  return result;
+}
+
+/**
+ * The PR fields the store keeps (used in the rendered files and agent prompts)
+ */
+function reviewPRInfo(prInfo) {
+  return {
+    fullRepoName: prInfo.fullRepoName,
+    prNumber: prInfo.prNumber,
+    prTitle: prInfo.prTitle,
+    baseBranch: prInfo.baseBranch,
+    headBranch: prInfo.headBranch
+  };
+}
+
+/**
+ * All questions and actions for a PR
+ * @returns {Promise<{questions: Array, actions: Array, files: {questions: string|null, actions: string|null}}>}
+ */
+async function listReviewItems(prInfo) {
+  const { questions, actions, files } = await reviewItemsRequest('/listItems', { prInfo: reviewPRInfo(prInfo) });
+  return { questions, actions, files };
+}
+
+/**
+ * Add a question or action
+ * @param {'questions'|'actions'} kind
+ * @returns {Promise<Object>} The stored item, with its id
+ */
+async function addReviewItem(prInfo, kind, item) {
+  const result = await reviewItemsRequest('/addItem', { prInfo: reviewPRInfo(prInfo), kind, item });
+  return result.item;
+}
+
+/**
+ * Edit a question's or action's text
+ * @param {Object} changes - { question } or { action }
+ * @returns {Promise<Object>} The updated item
+ */
+async function updateReviewItem(prInfo, kind, id, changes) {
+  const result = await reviewItemsRequest('/updateItem', { prInfo: reviewPRInfo(prInfo), kind, id, changes });
+  return result.item;
+}
+
+/**
+ * Add the reviewer's follow-up to an answered question's thread
+ * @returns {Promise<Object>} The updated question, with its thread
+ */
+async function addFollowUp(prInfo, id, text) {
+  const result = await reviewItemsRequest('/addFollowUp', { prInfo: reviewPRInfo(prInfo), id, text });
+  return result.item;
+}
+
+/**
+ * Remove one item, optionally archiving the markdown file first
+ */
+async function deleteReviewItem(prInfo, kind, id, { archive = false } = {}) {
+  return reviewItemsRequest('/deleteItem', { prInfo: reviewPRInfo(prInfo), kind, id, archive });
+}
+
+/**
+ * Remove all items of a kind ('questions', 'actions' or 'all'), archiving the markdown files first
+ */
+async function clearReviewItems(prInfo, kind, { archive = true } = {}) {
+  return reviewItemsRequest('/clearItems', { prInfo: reviewPRInfo(prInfo), kind, archive });
+}
+
+/**
+ * Merge items into the store - { questions, actions } arrays or a markdown file's { markdown, fileName }
+ * @returns {Promise<{added: number, updated: number, kinds: Array<string>}>}
+ */
+async function importReviewItems(prInfo, source) {
+  const { added, updated, kinds } = await reviewItemsRequest('/importItems', { prInfo: reviewPRInfo(prInfo), ...source });
+  return { added, updated, kinds };
+}
+
+// Make functions globally accessible for content.js
+window.listReviewItems = listReviewItems;
+window.addReviewItem = addReviewItem;
+window.updateReviewItem = updateReviewItem;
+window.addFollowUp = addFollowUp;
+window.deleteReviewItem = deleteReviewItem;
+window.clearReviewItems = clearReviewItems;
+window.importReviewItems = importReviewItems;
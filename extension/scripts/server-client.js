@@ -0,0 +1,60 @@
+/**
+ * Claude GitHub Buddy - Server Client
+ * Every extension script talks to the local server through here. Requests go
+ * via the background worker, which knows the server URL (options page), does
+ * the /health handshake, holds the shared token and is the only origin the
+ * server accepts.
+ */
+
+/**
+ * fetch()-like request to the local server
+ * @param {string} path - Endpoint path, e.g. "/readFile"
+ * @param {Object} [options] - { method, headers, body } as for fetch()
+ * @returns {Promise<{ok: boolean, status: number, json: Function}>}
+ */
+async function serverFetch(path, options = {}) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'serverFetch',
+    path,
+    options: { method: options.method, headers: options.headers, body: options.body }
+  });
+
+  // Mirror fetch(): a network failure rejects, an HTTP error status resolves
+  if (response.error) {
+    throw new TypeError(response.error);
+  }
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    json: async () => response.data
+  };
+}
+
+/**
+ * WebSocket URL for an agent session, as announced by the server's /health handshake
+ */
+async function getAgentSocketUrl(sessionId) {
+  const response = await chrome.runtime.sendMessage({ action: 'getAgentSocketUrl', sessionId });
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.url;
+}
+
+/**
+ * Result of the /health handshake
+ * @returns {Promise<{httpUrl: string, wsUrl: string, protocolVersion: number}>}
+ */
+async function getServerInfo() {
+  const response = await chrome.runtime.sendMessage({ action: 'getServerInfo' });
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.info;
+}
+
+// Make functions globally accessible for content.js
+window.serverFetch = serverFetch;
+window.getAgentSocketUrl = getAgentSocketUrl;
+window.getServerInfo = getServerInfo;
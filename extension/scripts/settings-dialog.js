@@ -1,5 +1,5 @@
 /**
- * Settings dialog for Claude Agent permissions and directories
+ * Settings dialog for Claude Agent permission profiles and directories
  */
 
 async function showSettingsDialog() {
@@ -7,50 +7,51 @@ async function showSettingsDialog() {
   dialog.id = 'claude-settings-dialog';
   dialog.className = 'claude-dialog';
 
-  // Load current permissions
-  const permissionsResult = await chrome.storage.local.get('agent_permissions');
-  const defaultPermissions = {
-    Read: true,
-    Grep: true,
-    Glob: true,
-    Bash: false,
-    Write: false,
-    Edit: false,
-    WebSearch: false,
-    WebFetch: false
-  };
-  const permissions = permissionsResult.agent_permissions || defaultPermissions;
+  // Load permission profiles - edited in memory until Save
+  const { profiles, defaults: defaultProfiles } = await loadPermissionProfiles();
+  let editingProfile = Object.keys(profiles)[0];
 
   // Load default button action preference
   const buttonActionResult = await chrome.storage.local.get('default_button_action');
   const defaultButtonAction = buttonActionResult.default_button_action || 'question';
 
+  // Load what happens to unanswered permission requests
+  const approvalTimeoutResult = await chrome.storage.local.get(['approval_timeout_policy', 'approval_timeout_seconds']);
+  const approvalTimeoutPolicy = approvalTimeoutResult.approval_timeout_policy || 'deny';
+  const approvalTimeoutSeconds = approvalTimeoutResult.approval_timeout_seconds || 30;
+
+  // Load the limits runs are held to
+  const runBudgets = await loadRunBudgets();
+
+  // Load the default extended thinking per kind of run
+  const thinkingPresets = await loadThinkingPresets();
+
+  // Load rollback preference - off unless the user opts in
+  const autoRestoreResult = await chrome.storage.local.get('auto_restore_checkpoint');
+  const autoRestoreCheckpoint = autoRestoreResult.auto_restore_checkpoint === true;
+
   // Load current directory config from server
   let currentConfig = {
     prReviewsDir: '~/claude-review/questions-and-actions',
-    projectsDir: '~/Projects'
+    projectsDir: '~/Projects',
+    agent: { provider: 'anthropic' }
   };
+  let providers = Object.keys(AGENT_PROVIDER_LABELS);
+  let agentEnvOverrides = []; // Agent settings fixed by the server's .env
 
   try {
-    const response = await fetch('http://localhost:47382/getConfig');
+    const response = await serverFetch('/getConfig');
     const result = await response.json();
     if (result.success) {
       currentConfig = result.config;
+      providers = result.providers;
+      agentEnvOverrides = result.agentEnvOverrides;
     }
   } catch (error) {
     console.error('Failed to load current config:', error);
   }
 
-  const toolsHtml = Object.keys(defaultPermissions).map(tool => `
-    <label class="permission-checkbox-label">
-      <input type="checkbox"
-             class="permission-checkbox"
-             data-tool="${tool}"
-             ${permissions[tool] ? 'checked' : ''}>
-      <span class="permission-tool-name-label">${tool}</span>
-      <span class="permission-tool-description">${getToolDescription(tool)}</span>
-    </label>
-  `).join('');
+  const { url: serverUrl } = await chrome.runtime.sendMessage({ action: 'getServerUrl' });
 
   dialog.innerHTML = `
     <div class="claude-dialog-content" style="max-width: 600px; max-height: 80vh; overflow-y: auto;">
@@ -97,14 +98,131 @@ async function showSettingsDialog() {
         </div>
       </div>
 
+      <div style="margin-bottom: 24px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+          <h4 style="margin: 0; font-size: 14px; font-weight: 600;">Server</h4>
+          <button type="button" id="claude-change-server-btn" class="btn btn-sm" style="padding: 4px 8px; font-size: 12px;">Change</button>
+        </div>
+        <p style="margin: 0; color: #656d76; font-size: 13px;">
+          Using the server at <code>${escapeHtml(serverUrl)}</code>
+        </p>
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Model</h4>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          Where the agent runs and which model each kind of run uses. Credentials stay in the server's .env.
+          Empty models use the Claude CLI's default; settings made in .env can only be changed there.
+        </p>
+        <div class="claude-profile-row">
+          <label>Provider</label>
+          <select id="claude-agent-provider" ${agentEnvOverrides.includes('provider') ? 'disabled title="Set in .env"' : ''}>
+            ${providers.map(provider => `
+              <option value="${provider}" ${provider === currentConfig.agent.provider ? 'selected' : ''}>${AGENT_PROVIDER_LABELS[provider] || provider}</option>
+            `).join('')}
+          </select>
+        </div>
+        ${Object.entries(AGENT_MODEL_FIELDS).map(([field, { label, placeholder }]) => `
+          <div class="claude-profile-row">
+            <label>${label}</label>
+            <input type="text" class="claude-agent-model" data-field="${field}" value="${escapeHtml(currentConfig.agent[field] || '')}" placeholder="${placeholder}" ${agentEnvOverrides.includes(field) ? 'disabled title="Set in .env"' : ''}>
+          </div>
+        `).join('')}
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+          <h4 style="margin: 0; font-size: 14px; font-weight: 600;">GitHub Enterprise Hosts</h4>
+          <button type="button" id="claude-manage-hosts-btn" class="btn btn-sm" style="padding: 4px 8px; font-size: 12px;">Manage Hosts</button>
+        </div>
+        <p style="margin: 0; color: #656d76; font-size: 13px;">
+          Hosts are added under "hosts" in server/config.json. Manage Hosts lets the extension run on them.
+        </p>
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Actions Runs</h4>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          A checkpoint of the PR branch and stash is taken before each Actions run. Restore it from the Agent Monitor, or have it restored automatically.
+        </p>
+        <label class="permission-checkbox-label">
+          <input type="checkbox" id="claude-auto-restore-checkpoint" ${autoRestoreCheckpoint ? 'checked' : ''}>
+          <span class="permission-tool-name-label">Auto-restore</span>
+          <span class="permission-tool-description">Roll back when a run is stopped or fails (force-pushes the PR branch)</span>
+        </label>
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Permission Requests</h4>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          Requests wait in the approvals queue (Approvals Queue in this menu, or the extension's toolbar icon) until you answer them. If nobody answers in time:
+        </p>
+        <div class="claude-profile-row">
+          <label>When unanswered after</label>
+          <input type="number" id="claude-approval-timeout-seconds" min="5" value="${approvalTimeoutSeconds}" style="width: 80px; padding: 4px 8px; border: 1px solid #d0d7de; border-radius: 6px; font-size: 13px;"> seconds
+          <select id="claude-approval-timeout-policy">
+            ${Object.entries(APPROVAL_TIMEOUT_POLICY_LABELS).map(([policy, label]) => `
+              <option value="${policy}" ${policy === approvalTimeoutPolicy ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Extended Thinking</h4>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          How long Claude may think before it answers. More thinking helps with hard questions and actions, but takes longer and costs more.
+          The dropdown in the toolbar picks another setting for the runs you start.
+        </p>
+        ${['questions', 'actions'].map(mode => `
+          <div class="claude-profile-row">
+            <label>${PROFILE_MODE_LABELS[mode]} runs</label>
+            <select class="claude-thinking-default" data-mode="${mode}">
+              ${Object.entries(THINKING_PRESET_LABELS).map(([preset, label]) => `
+                <option value="${preset}" ${preset === thinkingPresets[mode] ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </div>
+
+      <div style="margin-bottom: 24px;">
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Run Budgets</h4>
+        <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+          A run that goes over a limit is ended, and the items it didn't get to are left for the next run. Leave a limit empty for none.
+          Tokens include cache reads. Budget in the toolbar overrides these for the runs you start.
+        </p>
+        ${['questions', 'actions'].map(mode => `
+          <div class="claude-profile-row claude-budget-row" data-mode="${mode}">
+            <label>${PROFILE_MODE_LABELS[mode]} runs</label>
+            ${budgetInputsHtml(runBudgets[mode])}
+          </div>
+        `).join('')}
+        <div class="claude-profile-row">
+          <label>Warn at</label>
+          <input type="number" id="claude-budget-warn-at" min="1" max="100" value="${runBudgets.warnAtPercent}" style="width: 80px; padding: 4px 8px; border: 1px solid #d0d7de; border-radius: 6px; font-size: 13px;"> % of a limit
+        </div>
+      </div>
+
       <div style="margin-bottom: 16px;">
-        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Agent Permissions</h4>
+        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Permission Profiles</h4>
         <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
-          Configure which tools Claude can use automatically without asking for permission.
+          Each run uses a profile: the default for its kind of run, or the one picked in the toolbar.
+          Questions runs are read-only whatever their profile allows - they can only write the Questions file.
         </p>
-        <div class="settings-permissions-list">
-          ${toolsHtml}
+        <div class="claude-profile-row">
+          <label>Edit profile</label>
+          <select id="claude-profile-editing"></select>
+          <button type="button" id="claude-profile-new" class="btn btn-sm">New</button>
+          <button type="button" id="claude-profile-delete" class="btn btn-sm">Delete</button>
         </div>
+        ${['questions', 'actions'].map(mode => `
+          <div class="claude-profile-row">
+            <label>Default for ${PROFILE_MODE_LABELS[mode]} runs</label>
+            <select class="claude-profile-default" data-mode="${mode}"></select>
+          </div>
+        `).join('')}
+        <div id="claude-profile-editor"></div>
       </div>
 
       <div class="dialog-buttons" style="margin-top: 24px;">
@@ -136,10 +254,119 @@ async function showSettingsDialog() {
     reviewsDirInput.value = cleanedPath;
   });
 
+  const profileSelect = document.getElementById('claude-profile-editing');
+  const profileEditor = document.getElementById('claude-profile-editor');
+
+  const renderProfileOptions = () => {
+    const options = (selected) => Object.keys(profiles).map(name =>
+      `<option value="${escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+    profileSelect.innerHTML = options(editingProfile);
+    dialog.querySelectorAll('.claude-profile-default').forEach(select => {
+      select.innerHTML = options(defaultProfiles[select.getAttribute('data-mode')]);
+    });
+  };
+
+  const renderProfileEditor = () => {
+    const { permissions = {}, rules = {} } = profiles[editingProfile];
+    profileEditor.innerHTML = `
+      <p style="margin: 12px 0 8px 0; color: #656d76; font-size: 13px;">
+        Rules, one per line: a tool name, optionally with a pattern, e.g. <code>Bash(npm test*)</code> or <code>Edit({repo}/src/**)</code>.
+        <code>*</code> matches anything in a command and stays within a directory in paths; <code>**</code> crosses directories.
+        <code>{repo}</code> is the PR's worktree and <code>{questions}</code> its Questions file. Deny beats ask, ask beats allow.
+      </p>
+      ${['allow', 'ask', 'deny'].map(decision => `
+        <div style="margin-bottom: 12px;">
+          <label style="display: block; margin-bottom: 4px; font-weight: 500; font-size: 13px;">${PERMISSION_RULE_LABELS[decision]}</label>
+          <textarea class="claude-permission-rules" data-decision="${decision}" rows="3" spellcheck="false" style="width: 100%; padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; font-family: monospace; font-size: 12px;">${escapeHtml((rules[decision] || []).join('\n'))}</textarea>
+        </div>
+      `).join('')}
+      <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+        Tools Claude can use without asking when no rule applies.
+      </p>
+      <div class="settings-permissions-list">
+        ${PROFILE_TOOLS.map(tool => `
+          <label class="permission-checkbox-label">
+            <input type="checkbox"
+                   class="permission-checkbox"
+                   data-tool="${tool}"
+                   ${permissions[tool] ? 'checked' : ''}>
+            <span class="permission-tool-name-label">${tool}</span>
+            <span class="permission-tool-description">${getToolDescription(tool)}</span>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  };
+
+  // Keep the edits to the profile on screen before switching away from it or saving
+  const storeProfileEditor = () => {
+    const profile = profiles[editingProfile];
+    profile.rules = {};
+    profileEditor.querySelectorAll('.claude-permission-rules').forEach(textarea => {
+      profile.rules[textarea.getAttribute('data-decision')] = textarea.value.split('\n').map(rule => rule.trim()).filter(Boolean);
+    });
+    profile.permissions = { ...profile.permissions };
+    profileEditor.querySelectorAll('.permission-checkbox').forEach(checkbox => {
+      profile.permissions[checkbox.getAttribute('data-tool')] = checkbox.checked;
+    });
+    dialog.querySelectorAll('.claude-profile-default').forEach(select => {
+      defaultProfiles[select.getAttribute('data-mode')] = select.value;
+    });
+  };
+
+  renderProfileOptions();
+  renderProfileEditor();
+
+  profileSelect.addEventListener('change', () => {
+    storeProfileEditor();
+    editingProfile = profileSelect.value;
+    renderProfileEditor();
+  });
+
+  // New profiles start as a copy of the one being edited
+  document.getElementById('claude-profile-new').addEventListener('click', () => {
+    const name = prompt('Name for the new profile:')?.trim();
+    if (!name) return;
+    if (profiles[name]) {
+      alert(`There's already a profile called ${name}.`);
+      return;
+    }
+    storeProfileEditor();
+    profiles[name] = structuredClone(profiles[editingProfile]);
+    editingProfile = name;
+    renderProfileOptions();
+    renderProfileEditor();
+  });
+
+  document.getElementById('claude-profile-delete').addEventListener('click', () => {
+    storeProfileEditor();
+    const mode = Object.keys(defaultProfiles).find(key => defaultProfiles[key] === editingProfile);
+    if (mode) {
+      alert(`${editingProfile} is the default for ${PROFILE_MODE_LABELS[mode]} runs - pick another default first.`);
+      return;
+    }
+    if (!confirm(`Delete the ${editingProfile} profile?`)) return;
+    delete profiles[editingProfile];
+    editingProfile = Object.keys(profiles)[0];
+    renderProfileOptions();
+    renderProfileEditor();
+  });
+
+  // Chrome only lets extension pages request host access, so hosts are enabled from the options page
+  document.getElementById('claude-manage-hosts-btn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'openOptionsPage' });
+  });
+
+  // The server URL lives on the options page too - it has to work while the server is unreachable
+  document.getElementById('claude-change-server-btn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'openOptionsPage' });
+  });
+
   // Restore Defaults button
   document.getElementById('claude-restore-defaults-btn').addEventListener('click', async () => {
     try {
-      const response = await fetch('http://localhost:47382/getDefaultConfig');
+      const response = await serverFetch('/getDefaultConfig');
       const result = await response.json();
 
       if (result.success) {
@@ -157,20 +384,56 @@ async function showSettingsDialog() {
 
   // Save button
   document.getElementById('claude-save-settings').addEventListener('click', async () => {
+    // Save permission profiles - checked first, so nothing is saved if a rule is invalid
+    storeProfileEditor();
+    const invalidRules = Object.entries(profiles).flatMap(([name, profile]) =>
+      Object.values(profile.rules).flat().filter(rule => !isValidPermissionRule(rule)).map(rule => `${name}: ${rule}`)
+    );
+
+    if (invalidRules.length > 0) {
+      alert(`These permission rules aren't valid:\n${invalidRules.join('\n')}\n\nA rule is a tool name, optionally followed by a pattern in parentheses.`);
+      return;
+    }
+
+    await savePermissionProfiles(profiles, defaultProfiles);
+    console.log('[SETTINGS] Saved permission profiles:', profiles, defaultProfiles);
+    window.populatePermissionProfileSelect?.();
+
     // Save default button action
     const buttonAction = document.getElementById('claude-default-button-action').value;
     await chrome.storage.local.set({ default_button_action: buttonAction });
     console.log('[SETTINGS] Saved default button action:', buttonAction);
 
-    // Save permissions
-    const newPermissions = {};
-    dialog.querySelectorAll('.permission-checkbox').forEach(checkbox => {
-      const tool = checkbox.getAttribute('data-tool');
-      newPermissions[tool] = checkbox.checked;
+    // Save the approval timeout policy - also sent to the server with the profiles
+    const timeoutSeconds = parseInt(document.getElementById('claude-approval-timeout-seconds').value, 10);
+    await chrome.storage.local.set({
+      approval_timeout_policy: document.getElementById('claude-approval-timeout-policy').value,
+      approval_timeout_seconds: timeoutSeconds >= 5 ? timeoutSeconds : 30
+    });
+
+    // Save the thinking defaults - sent to the server with the profiles
+    const thinkingDefaults = {};
+    dialog.querySelectorAll('.claude-thinking-default').forEach(select => {
+      thinkingDefaults[select.dataset.mode] = select.value;
+    });
+    await chrome.storage.local.set({ [THINKING_PRESETS_KEY]: thinkingDefaults });
+
+    // Save run budgets - sent to the server with the profiles
+    const warnAtPercent = parseInt(document.getElementById('claude-budget-warn-at').value, 10);
+    await saveRunBudgets({
+      questions: readBudgetInputs(dialog.querySelector('.claude-budget-row[data-mode="questions"]')),
+      actions: readBudgetInputs(dialog.querySelector('.claude-budget-row[data-mode="actions"]')),
+      warnAtPercent: warnAtPercent >= 1 && warnAtPercent <= 100 ? warnAtPercent : DEFAULT_RUN_BUDGETS.warnAtPercent
     });
 
-    await chrome.storage.local.set({ agent_permissions: newPermissions });
-    console.log('[SETTINGS] Saved permissions:', newPermissions);
+    // Save rollback preference - sent to the server with the profiles when a run connects
+    const autoRestore = document.getElementById('claude-auto-restore-checkpoint').checked;
+    await chrome.storage.local.set({ auto_restore_checkpoint: autoRestore });
+
+    // A running agent picks up the new profiles straight away
+    if (window.agentClient?.connected) {
+      await window.agentClient.sendSettings();
+    }
 
     // Save directories
     const projectsDir = document.getElementById('claude-settings-projects-dir').value.trim();
@@ -181,13 +444,24 @@ async function showSettingsDialog() {
       return;
     }
 
+    // Provider and models - fields set in .env are left alone
+    const agent = {};
+    const providerSelect = document.getElementById('claude-agent-provider');
+    if (!providerSelect.disabled) {
+      agent.provider = providerSelect.value;
+    }
+    dialog.querySelectorAll('.claude-agent-model:not(:disabled)').forEach(input => {
+      agent[input.dataset.field] = input.value.trim() || null;
+    });
+
     try {
-      const response = await fetch('http://localhost:47382/updateConfig', {
+      const response = await serverFetch('/updateConfig', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           projectsDir: projectsDir,
-          prReviewsDir: reviewsDir
+          prReviewsDir: reviewsDir,
+          agent
         })
       });
 
@@ -197,11 +471,11 @@ async function showSettingsDialog() {
         showNotification('✅ Settings saved! Configuration reloaded.');
         dialog.remove();
       } else {
-        alert('Failed to save directory settings: ' + result.error);
+        alert('Failed to save server settings: ' + result.error);
       }
     } catch (error) {
-      console.error('Error saving directory settings:', error);
-      alert('Failed to save directory settings. Make sure the server is running.');
+      console.error('Error saving server settings:', error);
+      alert('Failed to save server settings. Make sure the server is running.');
     }
   });
 
@@ -218,6 +492,71 @@ async function showSettingsDialog() {
   });
 }
 
+// Tools with a checkbox in each profile
+const PROFILE_TOOLS = ['Read', 'Grep', 'Glob', 'Bash', 'Write', 'Edit', 'WebSearch', 'WebFetch'];
+
+const APPROVAL_TIMEOUT_POLICY_LABELS = {
+  deny: 'deny the request',
+  pause: 'pause the run until answered',
+  wait: 'keep waiting (no timeout)'
+};
+
+const AGENT_PROVIDER_LABELS = {
+  anthropic: 'Anthropic API',
+  vertex: 'Google Vertex AI',
+  bedrock: 'Amazon Bedrock'
+};
+
+// Model fields of the server's "agent" config
+const AGENT_MODEL_FIELDS = {
+  model: { label: 'Model', placeholder: 'CLI default, e.g. claude-sonnet-4-5' },
+  questionsModel: { label: 'Questions runs', placeholder: 'same as Model' },
+  actionsModel: { label: 'Actions runs', placeholder: 'same as Model' },
+  fallbackModel: { label: 'Fallback model', placeholder: 'none' }
+};
+
+const THINKING_PRESETS_KEY = 'thinking_presets';
+
+// Thinking budgets the server maps to the SDK's maxThinkingTokens
+const THINKING_PRESET_LABELS = {
+  off: 'Off',
+  low: 'Low (4k tokens)',
+  medium: 'Medium (10k tokens)',
+  high: 'High (32k tokens)'
+};
+
+const DEFAULT_THINKING_PRESETS = { questions: 'off', actions: 'off' };
+
+const RUN_BUDGETS_KEY = 'run_budgets';
+
+// Empty limits (null) mean no limit
+const DEFAULT_RUN_BUDGETS = {
+  questions: { maxTokens: null, maxCostUsd: null, maxDurationMinutes: null, maxTurns: 20 },
+  actions: { maxTokens: null, maxCostUsd: null, maxDurationMinutes: null, maxTurns: 30 },
+  warnAtPercent: 80
+};
+
+const BUDGET_LIMIT_UNITS = {
+  maxTokens: 'tokens',
+  maxCostUsd: 'USD',
+  maxDurationMinutes: 'min',
+  maxTurns: 'turns'
+};
+
+// Budget override picked in the toolbar for the runs started from this page, or null
+let runBudgetOverride = null;
+
+const PROFILE_MODE_LABELS = {
+  questions: 'Questions',
+  actions: 'Actions'
+};
+
+const PERMISSION_RULE_LABELS = {
+  allow: 'Allow without asking',
+  ask: 'Always ask',
+  deny: 'Deny'
+};
+
 function getToolDescription(tool) {
   const descriptions = {
     Read: 'Read files from the repository (safe)',
@@ -231,3 +570,125 @@ function getToolDescription(tool) {
   };
   return descriptions[tool] || '';
 }
+
+/**
+ * Default thinking preset by mode
+ * @returns {Promise<{questions: string, actions: string}>}
+ */
+async function loadThinkingPresets() {
+  const result = await chrome.storage.local.get(THINKING_PRESETS_KEY);
+  return { ...DEFAULT_THINKING_PRESETS, ...result[THINKING_PRESETS_KEY] };
+}
+
+/**
+ * Thinking preset picked in the toolbar for the next run, or null for the mode's default
+ */
+function selectedThinkingPreset() {
+  return document.getElementById('claude-thinking-preset')?.value || null;
+}
+
+/**
+ * Run budgets by mode, with the defaults for anything not set
+ * @returns {Promise<{questions: Object, actions: Object, warnAtPercent: number}>}
+ */
+async function loadRunBudgets() {
+  const result = await chrome.storage.local.get(RUN_BUDGETS_KEY);
+  const stored = result[RUN_BUDGETS_KEY] || {};
+  return {
+    questions: { ...DEFAULT_RUN_BUDGETS.questions, ...stored.questions },
+    actions: { ...DEFAULT_RUN_BUDGETS.actions, ...stored.actions },
+    warnAtPercent: stored.warnAtPercent || DEFAULT_RUN_BUDGETS.warnAtPercent
+  };
+}
+
+async function saveRunBudgets(budgets) {
+  await chrome.storage.local.set({ [RUN_BUDGETS_KEY]: budgets });
+  console.log('[SETTINGS] Saved run budgets:', budgets);
+}
+
+/**
+ * Budget override for the next run, or null to use the budget set for its mode
+ */
+function selectedRunBudget() {
+  return runBudgetOverride;
+}
+
+/**
+ * Pick limits for the runs started from this page - empty limits keep the mode's budget
+ */
+function showRunBudgetDialog() {
+  document.getElementById('claude-run-budget-dialog')?.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'claude-run-budget-dialog';
+  dialog.className = 'claude-dialog';
+  dialog.innerHTML = `
+    <div class="claude-dialog-content" style="max-width: 640px;">
+      <h3>Budget for the Next Runs</h3>
+      <p style="margin: 0 0 12px 0; color: #656d76; font-size: 13px;">
+        Overrides the Run Budgets from Settings for runs started from this page. Empty limits keep the budget set for Questions or Actions runs.
+      </p>
+      <div class="claude-profile-row claude-budget-row">
+        <label>Limits</label>
+        ${budgetInputsHtml(runBudgetOverride || {})}
+      </div>
+      <div class="dialog-buttons" style="margin-top: 24px;">
+        <button id="claude-run-budget-apply">Apply</button>
+        <button id="claude-run-budget-clear">Use Settings</button>
+        <button id="claude-run-budget-cancel">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+
+  const close = (override) => {
+    runBudgetOverride = override;
+    updateRunBudgetButton();
+    dialog.remove();
+  };
+
+  document.getElementById('claude-run-budget-apply').addEventListener('click', () => {
+    const limits = readBudgetInputs(dialog.querySelector('.claude-budget-row'));
+    const override = Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== null));
+    close(Object.keys(override).length > 0 ? override : null);
+  });
+  document.getElementById('claude-run-budget-clear').addEventListener('click', () => close(null));
+  document.getElementById('claude-run-budget-cancel').addEventListener('click', () => dialog.remove());
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) {
+      dialog.remove();
+    }
+  });
+}
+
+/**
+ * Mark the toolbar's Budget button while an override is set
+ */
+function updateRunBudgetButton() {
+  const button = document.getElementById('claude-run-budget-btn');
+  if (!button) return;
+  button.classList.toggle('claude-run-budget-overridden', Boolean(runBudgetOverride));
+  button.title = runBudgetOverride
+    ? `Budget override for the next runs: ${Object.entries(runBudgetOverride).map(([limit, value]) => `${value} ${BUDGET_LIMIT_UNITS[limit]}`).join(', ')}`
+    : 'Set a budget for the next runs (default: Run Budgets in Settings)';
+}
+
+function budgetInputsHtml(budget) {
+  return Object.entries(BUDGET_LIMIT_UNITS).map(([limit, unit]) => `
+    <span class="claude-budget-limit">
+      <input type="number" data-limit="${limit}" min="0" step="${limit === 'maxCostUsd' ? '0.01' : '1'}" value="${budget[limit] ?? ''}"> ${unit}
+    </span>
+  `).join('');
+}
+
+/**
+ * Limits from a row of budget inputs - empty or non-positive ones are null
+ */
+function readBudgetInputs(row) {
+  const limits = {};
+  row.querySelectorAll('.claude-budget-limit input').forEach(input => {
+    const value = parseFloat(input.value);
+    limits[input.dataset.limit] = value > 0 ? value : null;
+  });
+  return limits;
+}
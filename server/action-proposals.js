@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Action Proposals
+ * In a "review before push" Actions run the agent only commits locally. The
+ * commits each action produced become a proposal the reviewer accepts, rejects
+ * or sends back for revision; the server then cherry-picks the accepted ones
+ * onto the PR branch and pushes them.
+ */
+
+import {
+  listItems,
+  recordProposal,
+  decideProposal,
+  requestRevision,
+  markProposalsPushed
+} from './review-store.js';
+import { getHeadSha, listCommits, getCommitDiff, pinCommit, unpinCommit, pushCommitRanges } from './git-helper.js';
+import { invalidatePRMetadata } from './pr-metadata.js';
+
+/**
+ * Record the commits made in a session worktree since `base` as an action's proposal
+ * The head is pinned in the shared clone so the commits outlive the worktree.
+ * @param {Object} repoStatus - The session's repoStatus (worktree, shared clone and push target)
+ * @param {string} base - Commit the action's work started from
+ * @returns {Object} The updated action
+ */
+export function proposeActionCommits(prInfo, id, repoStatus, base) {
+  const head = getHeadSha(repoStatus.worktreePath);
+  const commits = listCommits(repoStatus.worktreePath, base, head);
+  if (commits.length > 0) {
+    pinCommit(repoStatus.path, pinName(prInfo.prNumber, id), head);
+  }
+
+  return recordProposal(prInfo.fullRepoName, prInfo.prNumber, id, {
+    base,
+    head,
+    commits,
+    remote: repoStatus.pushRemote,
+    branch: repoStatus.pushBranch,
+    repoPath: repoStatus.path
+  });
+}
+
+/**
+ * Actions with proposed (or already decided) commits, each with its diff
+ */
+export function listProposals(fullRepoName, prNumber) {
+  return listItems(fullRepoName, prNumber).actions
+    .filter(action => action.proposal)
+    .map(action => {
+      const { base, head, repoPath, commits } = action.proposal;
+      let diff = '';
+      let diffError = null;
+      if (commits.length > 0) {
+        try {
+          diff = getCommitDiff(repoPath, base, head);
+        } catch (error) {
+          console.error(`[PROPOSALS] ⚠️  Failed to diff ${action.id}:`, error.message);
+          diffError = `The commits are no longer in ${repoPath}`;
+        }
+      }
+      return { ...action, diff, diffError };
+    });
+}
+
+/**
+ * Apply the reviewer's decision on one action's proposal
+ * @param {'accept'|'reject'|'revise'} decision - revise sends the action back with `feedback`
+ * @returns {Object} The updated action
+ */
+export function reviewProposal(fullRepoName, prNumber, id, decision, feedback) {
+  if (decision === 'accept') {
+    return decideProposal(fullRepoName, prNumber, id, 'accepted');
+  }
+  if (decision === 'reject') {
+    // Stays pinned - the reviewer may still change their mind before pushing
+    return decideProposal(fullRepoName, prNumber, id, 'rejected');
+  }
+  if (decision === 'revise') {
+    const proposal = listItems(fullRepoName, prNumber).actions.find(action => action.id === id)?.proposal;
+    const item = requestRevision(fullRepoName, prNumber, id, feedback);
+    unpinCommit(proposal.repoPath, pinName(prNumber, id));
+    return item;
+  }
+  throw proposalError(400, `Unknown decision: ${decision}`);
+}
+
+/**
+ * Cherry-pick every accepted proposal onto the PR branch, in the order the agent made
+ * them, and push. Nothing is pushed if any of them doesn't apply.
+ * @returns {Promise<{sha: string|null, actions: Array<Object>}>} Branch head after the push, and the pushed actions
+ */
+export async function pushAcceptedProposals(fullRepoName, prNumber) {
+  const accepted = listItems(fullRepoName, prNumber).actions
+    .filter(action => action.proposal?.status === 'accepted')
+    .sort((a, b) => a.proposal.proposedAt.localeCompare(b.proposal.proposedAt));
+  if (accepted.length === 0) {
+    throw proposalError(409, 'No accepted changes to push');
+  }
+
+  const { remote, branch, repoPath } = accepted[0].proposal;
+  if (accepted.some(action => action.proposal.remote !== remote || action.proposal.branch !== branch)) {
+    throw proposalError(409, 'The accepted changes were made for different branches - accept only one branch\'s changes at a time');
+  }
+
+  const ranges = accepted
+    .filter(action => action.proposal.commits.length > 0)
+    .map(action => ({ base: action.proposal.base, head: action.proposal.head, label: `action ${action.id}` }));
+
+  let sha = null;
+  if (ranges.length > 0) {
+    const result = await pushCommitRanges(fullRepoName, repoPath, { remote, branch }, ranges);
+    if (result.error) {
+      throw proposalError(409, result.error);
+    }
+    sha = result.sha;
+    invalidatePRMetadata(fullRepoName, prNumber); // The PR head moved
+  }
+
+  accepted.forEach(action => unpinCommit(repoPath, pinName(prNumber, action.id)));
+  return { sha, actions: markProposalsPushed(fullRepoName, prNumber, accepted.map(action => action.id), sha) };
+}
+
+function pinName(prNumber, id) {
+  return `proposals/${prNumber}/${id}`;
+}
+
+function proposalError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
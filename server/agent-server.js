@@ -10,12 +10,41 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { config } from './config.js';
-import { getOrCloneRepo } from './git-helper.js';
+import { getOrCloneRepo, createSessionWorktree, removeSessionWorktree, hasPRHeadMoved, getGitEnv, getHeadSha } from './git-helper.js';
+import { parseRepoName, formatRepoName } from './github-hosts.js';
+import { isValidToken } from './auth.js';
+import { startTranscript, logTranscriptEvent, endTranscript } from './transcript-log.js';
+import { getPRMetadata, checkPushAccess } from './pr-metadata.js';
+import { listItems, isItemDone, hasPendingFollowUp } from './review-store.js';
+import { renderQuestionsPrompt, renderFollowUpsPrompt, renderActionsPrompt } from './review-markdown.js';
+import { createReviewToolServer, isReviewTool, REVIEW_TOOL_SERVER } from './review-tools.js';
+import { proposeActionCommits } from './action-proposals.js';
+import { createRunCheckpoint, recordRunPush, restoreRunCheckpoint } from './run-checkpoints.js';
+import { matchPermissionRules, suggestRule, readOnlyViolation } from './permission-rules.js';
+import { requestApproval, settleApproval, settleSessionApprovals, getSessionApprovals } from './approvals-queue.js';
+import { createUsageCounter, addMessageUsage, usageTotals, recordRunUsage } from './usage-tracker.js';
+import { resolveRunBudget, startRunBudget, checkRunBudget, describeBudgetUsage } from './run-budgets.js';
+import { modelForRun, providerEnv } from './model-provider.js';
+import { THINKING_PRESETS, resolveThinkingPreset } from './thinking-presets.js';
 
 const WS_PORT = config.wsPort;
+const BUDGET_CHECK_INTERVAL_MS = 5000; // How often a run's duration is checked against its budget
+const GIT_PUSH_PATTERN = /\bgit\b.*\bpush\b/;
 
 // Session management
-const sessions = new Map(); // sessionId → { socket, settings, workspace, pendingPermissions, abortController }
+// Sessions outlive their browser socket so a reloaded page can reattach to a running agent
+const sessions = new Map(); // sessionId → { socket, settings, profileName, workspace, abortController, eventBuffer, activeJobs, warm, checkpointPR }
+
+// Events kept per session for replay when a browser reattaches
+const EVENT_BUFFER_SIZE = 500;
+
+// How long an idle session with no browser attached is kept for replay before cleanup
+const DETACHED_SESSION_TTL = 10 * 60 * 1000;
+
+// How long a finished run's session (worktree + conversation) is kept for single-item runs on the same PR
+const WARM_SESSION_TTL = 15 * 60 * 1000;
+
+const warmSessions = new Map(); // "<repo>#<pr>:<kind>" → sessionId of a finished run that can be resumed
 
 // WebSocket server
 const wss = new WebSocketServer({ port: WS_PORT });
@@ -27,6 +56,13 @@ wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://localhost:${WS_PORT}`);
   const sessionId = url.searchParams.get('session');
 
+  // Browsers don't apply CORS to WebSockets, so any page could connect without this
+  if (!isValidToken(url.searchParams.get('token'))) {
+    console.error('[AGENT-WS] ⚠️  Rejected connection without a valid token');
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+
   if (!sessionId) {
     console.error('[AGENT-WS] No session ID provided');
     ws.close(1008, 'No session ID');
@@ -38,17 +74,12 @@ wss.on('connection', (ws, req) => {
   // Get or create session
   let session = sessions.get(sessionId);
   if (!session) {
-    session = {
-      socket: null,
-      settings: null,
-      workspace: null,
-      pendingPermissions: new Map(),
-      abortController: new AbortController()
-    };
+    session = newSessionState();
     sessions.set(sessionId, session);
   }
 
   session.socket = ws;
+  clearTimeout(session.expiryTimer);
 
   // Handle messages from browser
   ws.on('message', (message) => {
@@ -63,11 +94,39 @@ wss.on('connection', (ws, req) => {
   // Handle disconnect
   ws.on('close', () => {
     console.log(`[AGENT-WS] Client disconnected: ${sessionId}`);
+    // Another client may have attached to this session since (e.g. via /jobs/:id)
+    if (session.socket !== ws) return;
+    session.socket = null;
+
+    // Keep the agent running if a job is using this session - the page can reattach later
+    if (session.activeJobs > 0) {
+      console.log(`[AGENT-WS] Session ${sessionId} detached, agent keeps running`);
+      return;
+    }
+
+    // Keep a finished run's worktree and conversation for single-item runs on the same PR
+    if (session.warm) {
+      console.log(`[AGENT-WS] Session ${sessionId} detached, kept warm`);
+      scheduleSessionExpiry(sessionId);
+      return;
+    }
+
     cleanupSession(sessionId);
   });
 
   // Send connection confirmation
   ws.send(JSON.stringify({ type: 'connected', sessionId }));
+
+  // Replay what happened while no browser was attached
+  if (session.eventBuffer.length > 0) {
+    console.log(`[AGENT-WS] Replaying ${session.eventBuffer.length} buffered event(s) to ${sessionId}`);
+    ws.send(JSON.stringify({ type: 'replay', events: session.eventBuffer }));
+  }
+
+  // Re-send permission requests that are still waiting for an answer
+  getSessionApprovals(sessionId).forEach(request => {
+    ws.send(JSON.stringify(request));
+  });
 });
 
 /**
@@ -100,12 +159,8 @@ function handleBrowserMessage(sessionId, data) {
       break;
 
     case 'permission_response':
-      // Browser responded to permission request
-      const pending = session.pendingPermissions.get(data.requestId);
-      if (pending) {
-        clearTimeout(pending.timeout);
-        pending.resolve(data.result);
-        session.pendingPermissions.delete(data.requestId);
+      // Browser responded to permission request - it may have been answered from the queue view already
+      if (settleApproval(data.requestId, data.result, 'user')) {
         console.log(`[AGENT-WS] Permission response: ${data.result.behavior}`);
       }
       break;
@@ -122,15 +177,25 @@ function handleBrowserMessage(sessionId, data) {
 
 /**
  * Start an Agent SDK session for answering questions
+ * Questions come from the review store; questionsFilePath (the rendered file)
+ * only decides where the transcript is written. With followUps, the run replies
+ * to the reviewer's follow-ups on answered questions instead.
  */
-export async function answerQuestionsWithAgent(sessionId, prInfo, questionsFilePath, useUltrathink = false) {
+export async function answerQuestionsWithAgent(sessionId, prInfo, questionsFilePath, { itemIds = null, followUps = false, profile = null, budget = null, thinking = null } = {}) {
   const session = sessions.get(sessionId);
   if (!session) {
     throw new Error('Session not found');
   }
 
-  if (!session.socket) {
-    throw new Error('WebSocket not connected');
+  const { questions } = listItems(prInfo.fullRepoName, prInfo.prNumber);
+  // Includes questions a previous run marked blocked; itemIds scopes the run to just those
+  const needsRun = followUps ? hasPendingFollowUp : q => !q.answer;
+  const pending = questions.filter(q => needsRun(q) && (!itemIds || itemIds.includes(q.id)));
+  if (pending.length === 0) {
+    if (followUps) {
+      throw new Error(itemIds ? 'The requested question has no follow-up waiting for a reply' : 'No follow-ups waiting for a reply');
+    }
+    throw new Error(itemIds ? 'The requested question is already answered or was deleted' : 'No unanswered questions for this PR');
   }
 
   // Wait for settings to arrive (max 5 seconds)
@@ -146,114 +211,78 @@ export async function answerQuestionsWithAgent(sessionId, prInfo, questionsFileP
   } else {
     console.log('[AGENT] ✅ Settings received:', JSON.stringify(session.settings, null, 2));
   }
+  session.profileName = selectPermissionProfile(session.settings, 'questions', profile);
+  const runBudget = resolveRunBudget(session.settings, 'questions', budget);
+  const model = modelForRun(config.agent, 'questions');
+  const thinkingPreset = resolveThinkingPreset(session.settings, 'questions', thinking);
 
-  // Get or clone the repository to Projects directory
+  // Fetch the shared clone and give this session its own worktree (or keep the warm one)
+  // A warm session that answered these questions already has the code in context
   console.log(`[AGENT] Preparing repository: ${prInfo.fullRepoName}`);
-  let repoStatus;
-  try {
-    repoStatus = await getOrCloneRepo(prInfo.fullRepoName, prInfo.headBranch);
-    console.log(`[AGENT] Repository status:`, JSON.stringify(repoStatus, null, 2));
-  } catch (error) {
-    console.error(`[AGENT] ❌ Failed to prepare repository:`, error.message);
-    throw error;
-  }
+  const resume = await reuseWarmSession(sessionId, prInfo, 'questions');
+  const repoStatus = resume ? session.repoStatus : await prepareWorkspace(sessionId, prInfo);
 
-  session.workspace = repoStatus.path;
-  session.repoStatus = repoStatus; // Store for prompt generation
+  session.workspace = repoStatus.worktreePath;
+  session.repoStatus = repoStatus; // Store for prompt generation and worktree cleanup
   session.interruptQueue = []; // Initialize interrupt queue
-  session.questionsFilePath = questionsFilePath; // Store for file watching
-  session.questionsCompleted = false; // Track completion
+  session.reviewRun = startReviewRun('questions', prInfo, pending, { followUps });
 
-  console.log(`[AGENT] Starting session ${sessionId} in workspace: ${repoStatus.path}`);
+  console.log(`[AGENT] Starting session ${sessionId} in workspace: ${repoStatus.worktreePath}`);
+  console.log(`[AGENT] Provider: ${config.agent.provider}, model: ${model || 'CLI default'}, thinking: ${thinkingPreset}`);
 
-  // Read questions file
-  let questionsContent = fs.readFileSync(questionsFilePath, 'utf8');
+  // The prompt always carries the full thread, so a cold session can reply too
+  const questionsContent = followUps ? renderFollowUpsPrompt(prInfo, pending) : renderQuestionsPrompt(prInfo, pending);
 
-  // Prepend ultrathink instruction if enabled
-  if (useUltrathink) {
-    questionsContent = `IMPORTANT: Ultrathink for this task. Use <extended_thinking> mode.\n\n${questionsContent}`;
-    console.log('[AGENT] ✅ Ultrathink mode enabled');
-  }
-
-  console.log(`[AGENT] Questions file location: ${questionsFilePath}`);
-  console.log(`[AGENT] Repository location: ${repoStatus.path}`);
+  console.log(`[AGENT] Questions file location: ${questionsFilePath} (rendered from items.json)`);
+  console.log(`[AGENT] Worktree location: ${repoStatus.worktreePath}`);
 
   // Send progress update to browser
   sendProgress(sessionId, 'Starting Claude agent...');
 
+  startTranscript(sessionId, questionsFilePath, {
+    mode: followUps ? 'followups' : 'questions',
+    prInfo,
+    worktreePath: repoStatus.worktreePath,
+    thinking: thinkingPreset,
+    profile: session.profileName,
+    budget: runBudget,
+    provider: config.agent.provider,
+    model
+  });
+  session.usage = createUsageCounter();
+  startBudgetTracking(sessionId, runBudget);
+  sendReviewChecklist(sessionId, pending);
+
   try {
-    // Build conditional system prompt based on repository preparation status
-    let repoInstructions;
-    if (repoStatus.prepared) {
-      repoInstructions = `
-IMPORTANT: You are already in the repository directory with the correct branch checked out.
+    const repoInstructions = `
+IMPORTANT: You are already in the repository directory with the PR branch checked out.
 DO NOT clone the repository - it's already available in your current directory.
-The repository has been prepared and is up-to-date.
-- Repository path: ${repoStatus.path}
-- Branch '${prInfo.headBranch}' is checked out
-- Latest changes have been pulled
-
-CRITICAL - TWO SEPARATE DIRECTORIES:
-1. **Code repository**: ${repoStatus.path} (your current working directory)
-   - This is where you read code to answer questions
-   - DO NOT copy the Questions markdown file into this directory
-
-2. **Questions tracking file**: ${questionsFilePath}
-   - This file contains questions and where you write answers
-   - Edit this file using its ABSOLUTE PATH: ${questionsFilePath}
-   - When adding answers, use: Edit tool with file_path="${questionsFilePath}"
-   - This file should NEVER appear in the repository directory
-
-CRITICAL: Ensure you're reviewing the COMMITTED code, not local WIP:
-1. Run 'git status' to check for uncommitted local changes
-2. IF there are uncommitted changes: Run 'git stash push -m "WIP: Stashing before PR review"'
-3. Run 'git reset --hard origin/${prInfo.headBranch}' to ensure you're on the exact remote state
-4. Now answer questions based on the committed code in the PR
-5. AFTER completing all answers: If you stashed changes in step 2, restore them with 'git stash pop'
-
-This ensures you review only the code that's actually in the PR, not local experiments, and then restore the user's work.
-      `.trim();
-    } else {
-      repoInstructions = `
-⚠️  REPOSITORY PREPARATION FAILED: ${repoStatus.error}
-
-The repository exists at: ${repoStatus.path}
-However, automatic preparation encountered an issue.
-
-CRITICAL - TWO SEPARATE DIRECTORIES:
-1. **Code repository**: ${repoStatus.path} (your current working directory)
-   - This is where you read code to answer questions
-   - DO NOT copy the Questions markdown file into this directory
-
-2. **Questions tracking file**: ${questionsFilePath}
-   - This file contains questions and where you write answers
-   - Edit this file using its ABSOLUTE PATH: ${questionsFilePath}
-   - When adding answers, use: Edit tool with file_path="${questionsFilePath}"
-   - This file should NEVER appear in the repository directory
-
-YOU MUST manually prepare the repository before answering questions:
-1. Run 'pwd' to confirm you're in the repository directory
-2. Run 'git fetch --all' to fetch latest changes
-3. Run 'git checkout ${prInfo.headBranch}' to switch to the PR branch
-4. Run 'git pull' to get the latest commits
-5. Verify with 'git status' and 'git branch' before proceeding
-
-CRITICAL: Ensure you're reviewing the COMMITTED code, not local WIP:
-1. Run 'git status' to check for uncommitted local changes
-2. IF there are uncommitted changes: Run 'git stash push -m "WIP: Stashing before PR review"'
-3. Run 'git reset --hard origin/${prInfo.headBranch}' to ensure you're on the exact remote state
-4. Now answer questions based on the committed code in the PR
-5. AFTER completing all answers: If you stashed changes in step 2, restore them with 'git stash pop'
-
-This ensures you review only the code that's actually in the PR, not local experiments, and then restore the user's work.
-      `.trim();
-    }
+This is a dedicated git worktree created for this session and removed when it ends.
+- Worktree path: ${repoStatus.worktreePath}
+- Checked out at the PR's head commit (${repoStatus.headSha})
+- There are no local changes - everything you see is the committed code in the PR
+
+${followUps ? `RECORDING REPLIES:
+- Each question in the prompt has an id (e.g. q-1a2b3c4d), your earlier answer and the follow-up thread
+- Save each reply with the record_reply tool (mcp__${REVIEW_TOOL_SERVER}__record_reply), passing that id
+- Call start_item (mcp__${REVIEW_TOOL_SERVER}__start_item) with a question's id before working on it - the reviewer follows your progress per question
+- list_items (mcp__${REVIEW_TOOL_SERVER}__list_items) shows which follow-ups still await a reply
+- DO NOT write replies into any file - there is no Questions file for you to edit
+- The session ends on its own once every follow-up has a reply` : `RECORDING ANSWERS:
+- Each question in the prompt has an id (e.g. q-1a2b3c4d)
+- Save each answer with the record_answer tool (mcp__${REVIEW_TOOL_SERVER}__record_answer), passing that id
+- If a question cannot be answered, call mark_blocked (mcp__${REVIEW_TOOL_SERVER}__mark_blocked) with its id and the reason
+- Call start_item (mcp__${REVIEW_TOOL_SERVER}__start_item) with a question's id before working on it - the reviewer follows your progress per question
+- list_items (mcp__${REVIEW_TOOL_SERVER}__list_items) shows which questions are still pending
+- DO NOT write answers into any file - there is no Questions file for you to edit
+- The session ends on its own once every question is answered or marked blocked`}
+    `.trim();
 
     // Start Agent SDK query with message generator for interrupt support
     const result = query({
       prompt: createMessageGenerator(sessionId, questionsContent),
       options: {
-        cwd: repoStatus.path,
+        cwd: repoStatus.worktreePath,
         systemPrompt: {
           type: 'preset',
           preset: 'claude_code',
@@ -279,13 +308,22 @@ ${repoInstructions}
           }
         },
         includePartialMessages: true, // Enable streaming updates
+        mcpServers: {
+          [REVIEW_TOOL_SERVER]: createReviewToolServer(prInfo, 'questions', {
+            itemIds,
+            followUps,
+            onItemStarted: item => setItemStatus(sessionId, item.id, 'in_progress'),
+            onItemResolved: item => resolveReviewItem(sessionId, item)
+          })
+        },
         canUseTool: async (toolName, input, options) => {
           console.log('[AGENT] 🔍 canUseTool callback invoked for:', toolName);
 
-          // Only allow specific tools through permission system
+          // Only allow specific tools through permission system (review tools are allowed in canUseTool)
           const managedTools = ['Bash', 'Read', 'Grep', 'Glob', 'Write', 'Edit', 'TodoWrite'];
-          if (!managedTools.includes(toolName)) {
+          if (!managedTools.includes(toolName) && !isReviewTool(toolName)) {
             console.log(`[AGENT] ❌ Tool ${toolName} not in managed list - denying`);
+            logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'deny', source: 'unmanaged_tool' });
             return { behavior: 'deny', message: `Tool ${toolName} is not allowed` };
           }
 
@@ -293,229 +331,451 @@ ${repoInstructions}
           console.log('[AGENT] 🔍 canUseTool result:', result);
           return result;
         },
-        env: {
-          CLAUDE_CODE_USE_VERTEX: '1',
-          ANTHROPIC_VERTEX_PROJECT_ID: process.env.ANTHROPIC_VERTEX_PROJECT_ID || '',
-          CLOUD_ML_REGION: process.env.CLOUD_ML_REGION || '',
-          ...process.env
-        },
+        env: agentEnv(prInfo),
+        model: model || undefined,
+        maxThinkingTokens: THINKING_PRESETS[thinkingPreset] || undefined,
+        fallbackModel: config.agent.fallbackModel || undefined,
         abortController: session.abortController,
-        maxTurns: 20
+        resume, // Continue the warm session's conversation - it has already looked at this PR
+        maxTurns: runBudget.maxTurns || undefined
       }
     });
+    session.query = result; // Budget enforcement interrupts it
 
-    // Use SDK's built-in event handlers to parse streaming properly
-    let currentThinkingText = ''; // Accumulate current text block
-    let finalMessage = null;
-    let currentToolName = null;
-    let currentToolInput = ''; // Accumulate partial JSON
-
-    // The Agent SDK's query() returns an async iterator with proper event parsing
-    for await (const message of result) {
-      const session = sessions.get(sessionId);
-
-      // Use the SDK's parsed streamEvent objects
-      if (message.type === 'stream_event') {
-        const event = message.event;
-
-        // CONTENT BLOCK START - Tool use or text begins
-        if (event.type === 'content_block_start' && event.content_block) {
-          console.log('[AGENT] Content block starting:', event.content_block.type);
-
-          // If starting new block and we have accumulated thinking text, send it now
-          if (currentThinkingText.trim()) {
-            console.log('[AGENT] 💭 Sending complete thinking block');
-            sendProgress(sessionId, currentThinkingText, 'thinking');
-            currentThinkingText = '';
-          }
+    const { finalMessage, resultMessage } = await streamAgentRun(sessionId, result);
+    const budgetExceeded = finishBudgetTracking(session, sessionId);
+    finishReviewRun(sessionId, 'skipped', 'The run ended before this was resolved');
+    keepSessionWarm(sessionId, prInfo, 'questions', resultMessage?.session_id);
 
-          if (event.content_block.type === 'tool_use') {
-            currentToolName = event.content_block.name;
-            currentToolInput = ''; // Reset for new tool
-            console.log('[AGENT] 🔧 Tool starting:', currentToolName);
-            // Don't send empty tool label - wait for complete input at content_block_stop
-          } else if (event.content_block.type === 'text') {
-            console.log('[AGENT] 💭 Text block starting');
-            currentThinkingText = ''; // Reset for new text block
-          }
+    const finalText = finalMessage ? extractTextFromContent(finalMessage.content) : '';
+
+    console.log(`[AGENT] ${followUps ? 'Replies' : 'Answers'} recorded in items.json, rendered to: ${questionsFilePath}`);
+
+    const status = budgetExceeded ? 'budget_exceeded' : 'completed';
+    sendProgress(sessionId, budgetExceeded ? budgetExceededMessage(budgetExceeded) : 'Processing complete!', 'complete');
+    const usage = finishRunUsage(session, sessionId, { kind: followUps ? 'followups' : 'questions', prInfo, status });
+    endTranscript(sessionId, { status, usage, budgetExceeded });
+
+    return {
+      success: true,
+      content: finalText,
+      usage,
+      budgetExceeded
+    };
+
+  } catch (error) {
+    console.error('[AGENT] Error:', error);
+    sendProgress(sessionId, `Error: ${error.message}`, 'error');
+    finishBudgetTracking(session, sessionId);
+    finishReviewRun(sessionId, 'failed', error.message);
+    session.warm = null; // Don't resume a conversation that broke off
+    const status = session.abortController.signal.aborted ? 'stopped' : 'failed';
+    const usage = finishRunUsage(session, sessionId, { kind: followUps ? 'followups' : 'questions', prInfo, status });
+    endTranscript(sessionId, { status, error: error.message, usage });
+    throw error;
+  }
+}
+
+/**
+ * Start an Agent SDK session that replies to follow-ups on answered questions
+ */
+export async function answerFollowUpsWithAgent(sessionId, prInfo, questionsFilePath, options = {}) {
+  return answerQuestionsWithAgent(sessionId, prInfo, questionsFilePath, { ...options, followUps: true });
+}
+
+/**
+ * Consume an Agent SDK query, streaming progress to the browser and the transcript
+ * Returns the last complete assistant message and the final result message.
+ */
+async function streamAgentRun(sessionId, result) {
+  // Use SDK's built-in event handlers to parse streaming properly
+  let currentText = ''; // Accumulate current text block
+  let currentThinking = ''; // Accumulate current extended thinking block
+  let finalMessage = null;
+  let resultMessage = null;
+  let currentToolName = null;
+  let currentToolInput = ''; // Accumulate partial JSON
+  const toolNames = new Map(); // tool_use_id → tool name (tool results only carry the id)
+  const pushToolUses = new Set(); // tool_use_ids of Bash calls that run git push
+
+  // The Agent SDK's query() returns an async iterator with proper event parsing
+  for await (const message of result) {
+    // Use the SDK's parsed streamEvent objects
+    if (message.type === 'stream_event') {
+      const event = message.event;
+
+      // CONTENT BLOCK START - Tool use or text begins
+      if (event.type === 'content_block_start' && event.content_block) {
+        console.log('[AGENT] Content block starting:', event.content_block.type);
+
+        // If starting new block and we have accumulated text, send it now
+        if (currentText.trim()) {
+          console.log('[AGENT] 💬 Sending complete text block');
+          sendProgress(sessionId, currentText, 'text');
+          logTranscriptEvent(sessionId, 'text', { text: currentText });
+          currentText = '';
         }
 
-        // CONTENT BLOCK DELTA - Streaming text or tool input
-        if (event.type === 'content_block_delta' && event.delta) {
-          if (event.delta.type === 'text_delta') {
-            const text = event.delta.text;
-            currentThinkingText += text;
-            console.log('[AGENT] 💭 Accumulating text...', currentThinkingText.length, 'chars');
-          }
+        if (event.content_block.type === 'tool_use') {
+          currentToolName = event.content_block.name;
+          currentToolInput = ''; // Reset for new tool
+          console.log('[AGENT] 🔧 Tool starting:', currentToolName);
+          // Don't send empty tool label - wait for complete input at content_block_stop
+        } else if (event.content_block.type === 'text') {
+          console.log('[AGENT] 💬 Text block starting');
+          currentText = ''; // Reset for new text block
+        } else if (event.content_block.type === 'thinking') {
+          console.log('[AGENT] 💭 Thinking block starting');
+          currentThinking = ''; // Reset for new thinking block
+        }
+      }
 
-          if (event.delta.type === 'input_json_delta') {
-            // Accumulate partial JSON - don't send every fragment
-            currentToolInput += event.delta.partial_json;
-            console.log('[AGENT] 📝 Accumulating tool input...', currentToolInput.length, 'chars');
-          }
+      // CONTENT BLOCK DELTA - Streaming text or tool input
+      if (event.type === 'content_block_delta' && event.delta) {
+        if (event.delta.type === 'text_delta') {
+          const text = event.delta.text;
+          currentText += text;
+          console.log('[AGENT] 💬 Accumulating text...', currentText.length, 'chars');
         }
 
-        // CONTENT BLOCK STOP - Tool or text complete
-        if (event.type === 'content_block_stop') {
-          // Send complete thinking text if we have any
-          if (currentThinkingText.trim()) {
-            console.log('[AGENT] 💭 Text block complete - sending');
-            sendProgress(sessionId, currentThinkingText, 'thinking');
-            currentThinkingText = '';
-          }
+        if (event.delta.type === 'thinking_delta') {
+          currentThinking += event.delta.thinking;
+          console.log('[AGENT] 💭 Accumulating thinking...', currentThinking.length, 'chars');
+        }
 
-          if (currentToolName && currentToolInput) {
-            console.log('[AGENT] Tool input complete:', currentToolName);
-            // NOW send the complete tool input
-            if (session?.socket) {
-              try {
-                const parsedInput = JSON.parse(currentToolInput);
-                const inputPreview = JSON.stringify(parsedInput, null, 2);
-                session.socket.send(JSON.stringify({
-                  type: 'progress',
-                  message: `📝 ${currentToolName}: ${inputPreview.substring(0, 150)}${inputPreview.length > 150 ? '...' : ''}`,
-                  status: 'info'
-                }));
-              } catch (e) {
-                // If JSON parsing fails, send raw
-                session.socket.send(JSON.stringify({
-                  type: 'progress',
-                  message: `📝 ${currentToolName}: ${currentToolInput.substring(0, 150)}...`,
-                  status: 'info'
-                }));
-              }
-            }
-            currentToolName = null;
-            currentToolInput = '';
-          }
+        if (event.delta.type === 'input_json_delta') {
+          // Accumulate partial JSON - don't send every fragment
+          currentToolInput += event.delta.partial_json;
+          console.log('[AGENT] 📝 Accumulating tool input...', currentToolInput.length, 'chars');
+        }
+      }
+
+      // CONTENT BLOCK STOP - Tool or text complete
+      if (event.type === 'content_block_stop') {
+        // Send complete text if we have any
+        if (currentText.trim()) {
+          console.log('[AGENT] 💬 Text block complete - sending');
+          sendProgress(sessionId, currentText, 'text');
+          logTranscriptEvent(sessionId, 'text', { text: currentText });
+          currentText = '';
         }
 
-        // MESSAGE STOP - Complete assistant message
-        if (event.type === 'message_stop') {
-          console.log('[AGENT] Message complete');
+        // Extended thinking goes to its own (collapsible) block in the monitor panel
+        if (currentThinking.trim()) {
+          console.log('[AGENT] 💭 Thinking block complete - sending');
+          sendProgress(sessionId, currentThinking, 'thinking');
+          logTranscriptEvent(sessionId, 'thinking', { text: currentThinking });
+          currentThinking = '';
+        }
+
+        if (currentToolName && currentToolInput) {
+          console.log('[AGENT] Tool input complete:', currentToolName);
+          // NOW send the complete tool input
+          try {
+            const parsedInput = JSON.parse(currentToolInput);
+            const inputPreview = JSON.stringify(parsedInput, null, 2);
+            sendToSession(sessionId, {
+              type: 'progress',
+              message: `📝 ${currentToolName}: ${inputPreview.substring(0, 150)}${inputPreview.length > 150 ? '...' : ''}`,
+              status: 'info'
+            });
+            logTranscriptEvent(sessionId, 'tool_use', { toolName: currentToolName, input: parsedInput });
+          } catch (e) {
+            // If JSON parsing fails, send raw
+            logTranscriptEvent(sessionId, 'tool_use', { toolName: currentToolName, input: currentToolInput });
+            sendToSession(sessionId, {
+              type: 'progress',
+              message: `📝 ${currentToolName}: ${currentToolInput.substring(0, 150)}...`,
+              status: 'info'
+            });
+          }
+          currentToolName = null;
+          currentToolInput = '';
         }
       }
 
-      // ASSISTANT MESSAGE (complete) - Has full tool_use blocks with parsed input
-      if (message.type === 'assistant' && message.content) {
-        finalMessage = message;
-        // Streaming events already handled - no need to extract text here
+      // MESSAGE STOP - Complete assistant message
+      if (event.type === 'message_stop') {
+        console.log('[AGENT] Message complete');
+      }
+    }
+
+    // ASSISTANT MESSAGE (complete) - Has full tool_use blocks with parsed input
+    // The API message (content, usage) is nested under message.message
+    if (message.type === 'assistant' && message.message?.content) {
+      finalMessage = message.message;
+      sendUsageUpdate(sessionId, finalMessage);
+      // Streaming events already handled - just remember tool names for their results
+      for (const block of finalMessage.content) {
+        if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name);
+          if (block.name === 'Bash' && GIT_PUSH_PATTERN.test(block.input?.command || '')) {
+            pushToolUses.add(block.id);
+          }
+        }
       }
+    }
 
-      // USER MESSAGE - Contains tool results
-      if (message.type === 'user' && message.content) {
-        console.log('[AGENT] Tool results received');
-        if (Array.isArray(message.content)) {
-          for (const block of message.content) {
-            if (block.type === 'tool_result') {
-              console.log('[AGENT] Tool result for:', block.tool_use_id);
-              if (session?.socket) {
-                const resultText = typeof block.content === 'string'
-                  ? block.content
-                  : JSON.stringify(block.content);
-
-                session.socket.send(JSON.stringify({
-                  type: 'tool_result',
-                  toolName: block.tool_use_id || 'unknown',
-                  result: resultText.substring(0, 200) + (resultText.length > 200 ? '...' : ''),
-                  success: !block.is_error
-                }));
-              }
+    // USER MESSAGE - Contains tool results
+    if (message.type === 'user' && message.message?.content) {
+      const content = message.message.content;
+      if (Array.isArray(content)) {
+        for (const block of content) {
+          if (block.type === 'tool_result') {
+            console.log('[AGENT] Tool result for:', block.tool_use_id);
+            const toolName = toolNames.get(block.tool_use_id) || block.tool_use_id || 'unknown';
+            const resultText = typeof block.content === 'string'
+              ? block.content
+              : JSON.stringify(block.content);
+
+            sendToSession(sessionId, {
+              type: 'tool_result',
+              toolName,
+              result: resultText.substring(0, 200) + (resultText.length > 200 ? '...' : ''),
+              success: !block.is_error
+            });
+            logTranscriptEvent(sessionId, 'tool_result', {
+              toolName,
+              toolUseId: block.tool_use_id,
+              result: resultText,
+              success: !block.is_error
+            });
+            if (pushToolUses.has(block.tool_use_id) && !block.is_error) {
+              recordSessionPush(sessionId);
             }
           }
         }
       }
     }
 
-    const finalText = finalMessage ? extractTextFromContent(finalMessage.content) : '';
+    // RESULT MESSAGE - Final usage and cost for the whole run
+    if (message.type === 'result') {
+      resultMessage = message;
+      const tracker = sessions.get(sessionId)?.budget;
+      if (message.subtype === 'error_max_turns' && tracker && !tracker.exceeded) {
+        tracker.exceeded = { limit: 'maxTurns', value: message.num_turns, max: tracker.limits.maxTurns }; // The SDK ended the run itself
+      }
+      const counter = sessions.get(sessionId)?.usage;
+      logTranscriptEvent(sessionId, 'usage', {
+        subtype: message.subtype,
+        usage: message.usage,
+        totalCostUsd: message.total_cost_usd, // The SDK's own estimate
+        totals: counter ? usageTotals(counter) : null, // Priced with config.prices
+        numTurns: message.num_turns,
+        durationMs: message.duration_ms
+      });
+    }
+  }
 
-    // File was edited in place at ${questionsFilePath} - no copy-back needed
-    console.log(`[AGENT] Questions file should be updated at: ${questionsFilePath}`);
+  return { finalMessage, resultMessage };
+}
 
-    sendProgress(sessionId, 'Processing complete!', 'complete');
+/**
+ * Count an assistant message's tokens and stream the run's running totals to the browser
+ */
+function sendUsageUpdate(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session?.usage || !message.usage) return;
 
-    return {
-      success: true,
-      content: finalText,
-      usage: finalMessage?.usage
-    };
+  addMessageUsage(session.usage, message);
+  const totals = usageTotals(session.usage);
+  sendToSession(sessionId, { type: 'usage', ...totals });
+  enforceRunBudget(sessionId, totals);
+}
 
-  } catch (error) {
-    console.error('[AGENT] Error:', error);
-    sendProgress(sessionId, `Error: ${error.message}`, 'error');
-    throw error;
-  }
+/**
+ * Record a finished run's usage in the ledger (also for failed and stopped runs - their tokens were spent)
+ * Takes the session itself - a stopped session is already gone from the map.
+ * @returns {Object|null} The run's totals
+ */
+function finishRunUsage(session, sessionId, { kind, prInfo, status }) {
+  if (!session.usage) return null;
+  const totals = usageTotals(session.usage);
+  session.usage = null;
+  recordRunUsage({ sessionId, kind, prInfo, status, totals });
+  return totals;
 }
 
 /**
- * Check if all questions in the file have been answered
+ * Hold a run to its budget - checked on every assistant message, and on a timer for the duration
  */
-function checkQuestionsAnswered(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) return false;
+function startBudgetTracking(sessionId, budget) {
+  const session = sessions.get(sessionId);
+  session.budget = startRunBudget(budget);
+  if (budget.maxDurationMinutes) {
+    session.budget.timer = setInterval(() => enforceRunBudget(sessionId), BUDGET_CHECK_INTERVAL_MS);
+  }
+}
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    const questionBlocks = content.split(/##\s+Question\s+\d+/);
+/**
+ * Warn when the run nears a limit, end it once it goes over one
+ * Tokens count input, output and cache tokens alike; turns are the run's assistant messages.
+ * @param {Object} [totals] - The run's usage totals, if already at hand
+ */
+function enforceRunBudget(sessionId, totals = null) {
+  const session = sessions.get(sessionId);
+  const tracker = session?.budget;
+  if (!tracker || tracker.exceeded) return;
+
+  const spent = totals || (session.usage ? usageTotals(session.usage) : null);
+  const { warnings, exceeded } = checkRunBudget(tracker, {
+    tokens: spent ? spent.inputTokens + spent.outputTokens + spent.cacheCreationTokens + spent.cacheReadTokens : 0,
+    costUsd: spent?.costUsd || 0,
+    turns: session.usage?.messages.size || 0
+  });
 
-    for (const block of questionBlocks) {
-      if (!block.trim()) continue;
+  warnings.forEach(warning => {
+    sendProgress(sessionId, `⚠️  Nearing the run's budget: ${describeBudgetUsage(warning)}`);
+    logTranscriptEvent(sessionId, 'budget_warning', warning);
+  });
 
-      if (block.includes('**QUESTION:**')) {
-        const answerMatch = block.match(/\*\*ANSWER:\*\*\s*([^#-]*)/s);
-        if (!answerMatch) return false;
+  if (exceeded) {
+    endRunOverBudget(sessionId, exceeded);
+  }
+}
 
-        const answer = answerMatch[1].trim();
+/**
+ * End a run that went over its budget without losing what it recorded so far
+ * The message generator stops feeding the agent and the turn in flight is
+ * interrupted, so the query finishes normally; finishBudgetTracking then
+ * marks the unresolved items.
+ */
+function endRunOverBudget(sessionId, exceeded) {
+  const session = sessions.get(sessionId);
+  session.budget.exceeded = exceeded;
+  clearInterval(session.budget.timer);
 
-        // Check if answer is placeholder or too short
-        if (answer.length < 10 ||
-            answer.includes('[Claude, please fill in') ||
-            answer.startsWith('_[')) {
-          return false;
-        }
-      }
-    }
+  console.warn(`[AGENT] ⛔ Session ${sessionId} went over its budget: ${describeBudgetUsage(exceeded)}`);
+  sendProgress(sessionId, `⛔ Budget exceeded (${describeBudgetUsage(exceeded)}) - ending the run`);
 
-    return true;
-  } catch (error) {
-    console.error('[AGENT] Error checking questions completion:', error);
-    return false;
+  if (session.reviewRun) {
+    session.reviewRun.completed = true;
   }
+  session.wakeMessageGenerator?.();
+  settleSessionApprovals(sessionId, { behavior: 'deny', message: 'The run is over its budget' }, 'budget');
+
+  session.query?.interrupt().catch(error => {
+    console.error('[AGENT] ❌ Failed to interrupt the run - it ends after the current turn:', error.message);
+  });
 }
 
 /**
- * Check if all actions in the file have completed summaries
+ * Stop tracking a finished run's budget
+ * If it went over, its unresolved items are marked skipped and the overrun logged.
+ * Takes the session itself - a stopped session is already gone from the map.
+ * @returns {{limit: string, value: number, max: number, unfinished: Array<string>}|null} null if the run stayed within budget
  */
-function checkActionsCompleted(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) return false;
+function finishBudgetTracking(session, sessionId) {
+  const tracker = session.budget;
+  session.budget = null;
+  session.query = null;
+  if (!tracker) return null;
+  clearInterval(tracker.timer);
+  if (!tracker.exceeded) return null;
+
+  const unfinished = [...(session.reviewRun?.statuses || [])]
+    .filter(([, status]) => status === 'queued' || status === 'in_progress')
+    .map(([id]) => id);
+  const budgetExceeded = { ...tracker.exceeded, unfinished };
+
+  finishReviewRun(sessionId, 'skipped', `Budget exceeded (${describeBudgetUsage(tracker.exceeded)}) - left for the next run`);
+  logTranscriptEvent(sessionId, 'budget_exceeded', budgetExceeded);
+  return budgetExceeded;
+}
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    const actionBlocks = content.split(/##\s+Action\s+\d+/);
+function budgetExceededMessage({ unfinished, ...exceeded }) {
+  const left = unfinished.length > 0 ? `${unfinished.length} item(s) left for the next run` : 'every item was resolved';
+  return `Run ended over budget (${describeBudgetUsage(exceeded)}) - ${left}`;
+}
 
-    for (const block of actionBlocks) {
-      if (!block.trim()) continue;
+/**
+ * Fetch the PR head into the shared clone and provision a worktree for this session
+ * Throws if either step fails - sessions never fall back to the user's clone.
+ * @param {string} sessionId - Agent session
+ * @param {Object} prInfo - PR info from the extension (branches are filled in if unknown)
+ * @param {Object} [options]
+ * @param {boolean} [options.needsPush] - Fail up front if the head branch can't be pushed to
+ */
+async function prepareWorkspace(sessionId, prInfo, { needsPush = false } = {}) {
+  const head = await resolvePRHead(prInfo);
+
+  // Actions runs end by pushing - say why up front rather than after the agent has done the work
+  const refusePush = (reason) => {
+    const message = `Cannot push changes to PR #${prInfo.prNumber}: ${reason}`;
+    sendProgress(sessionId, message, 'error');
+    throw new Error(message);
+  };
 
-      if (block.includes('**ACTION:**')) {
-        const summaryMatch = block.match(/\*\*SUMMARY:\*\*\s*([^#-]*)/s);
-        if (!summaryMatch) return false;
+  if (needsPush && head.metadata?.isFork) {
+    const access = await checkPushAccess(head.metadata);
+    if (!access.allowed) {
+      refusePush(access.reason);
+    }
+  } else if (needsPush && head.forkRepoFullName) {
+    refusePush(`it comes from the fork ${head.forkRepoFullName} and push access can't be checked without the GitHub API (set GITHUB_TOKEN)`);
+  }
 
-        const summary = summaryMatch[1].trim();
+  const repoStatus = await getOrCloneRepo(prInfo.fullRepoName, head);
+  if (!repoStatus.prepared) {
+    console.error(`[AGENT] ❌ Failed to prepare repository:`, repoStatus.error);
+    throw new Error(repoStatus.error);
+  }
 
-        // Check if summary is placeholder or too short
-        if (summary.length < 10 ||
-            summary.includes('[Claude, please fill in') ||
-            summary.includes('_[Action summary pending]_') ||
-            summary.startsWith('_[')) {
-          return false;
-        }
-      }
-    }
+  if (needsPush && !repoStatus.pushRemote) {
+    refusePush(repoStatus.pushError);
+  }
 
-    return true;
+  const upstream = repoStatus.pushRemote ? `${repoStatus.pushRemote}/${repoStatus.pushBranch}` : null;
+  const worktree = createSessionWorktree(repoStatus.path, sessionId, repoStatus.headRef, upstream);
+  if (worktree.error) {
+    console.error(`[AGENT] ❌ Failed to prepare worktree:`, worktree.error);
+    throw new Error(worktree.error);
+  }
+
+  Object.assign(repoStatus, worktree);
+  console.log(`[AGENT] Repository status:`, JSON.stringify(repoStatus, null, 2));
+  return repoStatus;
+}
+
+/**
+ * Work out where the PR head lives, preferring the GitHub API over what the extension scraped
+ * Fills in prInfo's branches in place so the prompts name the real branches.
+ * Without API access, a scraped head of "owner:branch" marks a fork PR.
+ */
+async function resolvePRHead(prInfo) {
+  let metadata = null;
+  try {
+    metadata = await getPRMetadata(prInfo.fullRepoName, prInfo.prNumber);
   } catch (error) {
-    console.error('[AGENT] Error checking actions completion:', error);
-    return false;
+    if (!prInfo.headBranch || prInfo.headBranch === 'unknown') {
+      throw new Error(`Could not determine branches for PR #${prInfo.prNumber}: ${error.message}`);
+    }
+    console.warn(`[AGENT] ⚠️  PR metadata unavailable (${error.message}), using branches from the page`);
+  }
+
+  if (metadata) {
+    prInfo.baseBranch = metadata.baseRef;
+    prInfo.headBranch = metadata.headRef;
+    return {
+      prNumber: prInfo.prNumber,
+      branch: metadata.headRef,
+      forkRepoFullName: metadata.isFork ? metadata.headRepoFullName : null,
+      headDeleted: metadata.headDeleted,
+      sha: metadata.headSha,
+      metadata
+    };
   }
+
+  const { host, repo } = parseRepoName(prInfo.fullRepoName);
+  const [forkOwner, forkBranch] = prInfo.headBranch.includes(':') ? prInfo.headBranch.split(':') : [null, prInfo.headBranch];
+  return {
+    prNumber: prInfo.prNumber,
+    branch: forkBranch,
+    forkRepoFullName: forkOwner ? formatRepoName(host, `${forkOwner}/${repo}`) : null,
+    headDeleted: false,
+    sha: null,
+    metadata: null
+  };
 }
 
 /**
@@ -533,62 +793,172 @@ async function* createMessageGenerator(sessionId, initialPrompt) {
     }
   };
 
-  // Keep checking for queued interrupts and completion status
-  while (session && !session.abortController.signal.aborted) {
-    // Check if questions are answered (for Questions workflow)
-    if (session.questionsFilePath && !session.questionsCompleted) {
-      const completed = checkQuestionsAnswered(session.questionsFilePath);
-      if (completed) {
-        console.log('[AGENT] ✅ All questions answered - ending session');
-        session.questionsCompleted = true;
-        // Exit the generator loop - this will end the session naturally
+  if (!session) return;
+
+  // Sleep until an interrupt is queued, a review tool call completes the run, or the session is aborted
+  const wake = () => session.wakeMessageGenerator?.();
+  session.abortController.signal.addEventListener('abort', wake);
+
+  try {
+    while (!session.abortController.signal.aborted) {
+      // Exit the generator loop once every item is resolved - this will end the session naturally
+      if (session.reviewRun?.completed) {
         break;
       }
-    }
 
-    // Check if actions are completed (for Actions workflow)
-    if (session.actionsFilePath && !session.actionsCompleted) {
-      const completed = checkActionsCompleted(session.actionsFilePath);
-      if (completed) {
-        console.log('[AGENT] ✅ All action summaries completed - ending session');
-        session.actionsCompleted = true;
-        // Exit the generator loop - this will end the session naturally
-        break;
+      // Send queued interrupts
+      if (session.interruptQueue && session.interruptQueue.length > 0) {
+        const interruptMessage = session.interruptQueue.shift();
+        console.log('[AGENT] Sending queued interrupt to agent:', interruptMessage);
+
+        yield {
+          type: 'user',
+          message: {
+            role: 'user',
+            content: interruptMessage
+          }
+        };
+        continue;
       }
+
+      await new Promise(resolve => { session.wakeMessageGenerator = resolve; });
+      session.wakeMessageGenerator = null;
     }
+  } finally {
+    session.abortController.signal.removeEventListener('abort', wake);
+  }
 
-    // Check for queued interrupts
-    if (session.interruptQueue && session.interruptQueue.length > 0) {
-      const interruptMessage = session.interruptQueue.shift();
-      console.log('[AGENT] Sending queued interrupt to agent:', interruptMessage);
+  console.log('[AGENT] Message generator exiting');
+}
 
-      yield {
-        type: 'user',
-        message: {
-          role: 'user',
-          content: interruptMessage
-        }
-      };
+/**
+ * Track one Questions/Actions run - the items pending at its start are the ones it must resolve
+ * Each has a status streamed to the browser: queued → in_progress → answered/done/skipped, or failed
+ * Follow-up runs resolve a question once its latest follow-up has a reply.
+ * "Review before push" runs track where the next action's commits start (proposalBase).
+ */
+function startReviewRun(kind, prInfo, pendingItems, { followUps = false, reviewBeforePush = false, proposalBase = null } = {}) {
+  return {
+    kind,
+    prInfo,
+    followUps,
+    reviewBeforePush,
+    proposalBase,
+    statuses: new Map(pendingItems.map(item => [item.id, 'queued'])),
+    completed: false
+  };
+}
+
+/**
+ * File the commits made since the last recorded action as this action's proposal
+ * @returns {Object} The action, with its proposal
+ */
+function proposeRunCommits(sessionId, item) {
+  const session = sessions.get(sessionId);
+  const run = session.reviewRun;
+  const proposed = proposeActionCommits(run.prInfo, item.id, session.repoStatus, run.proposalBase);
+  run.proposalBase = proposed.proposal.head;
+  return proposed;
+}
+
+/**
+ * Send the run's checklist - every item it works on, with its status
+ */
+function sendReviewChecklist(sessionId, pendingItems) {
+  const run = sessions.get(sessionId)?.reviewRun;
+  if (!run) return;
+
+  const items = pendingItems.map(item => ({
+    id: item.id,
+    file: item.file,
+    lines: item.lines,
+    text: run.followUps ? item.thread.at(-1).text : run.kind === 'questions' ? item.question : item.action,
+    status: run.statuses.get(item.id)
+  }));
+  sendToSession(sessionId, { type: 'review_checklist', kind: run.kind, items });
+  logTranscriptEvent(sessionId, 'review_checklist', { kind: run.kind, items });
+}
+
+/**
+ * Update one item's status and stream it to the browser
+ * @param {Object} [details] - { item } with the recorded answer/summary, or { reason } for skipped/failed
+ */
+function setItemStatus(sessionId, id, status, details = {}) {
+  const run = sessions.get(sessionId)?.reviewRun;
+  if (!run?.statuses.has(id)) return; // Added after the run started
+
+  run.statuses.set(id, status);
+  sendToSession(sessionId, { type: 'item_status', kind: run.kind, id, status, ...details });
+  logTranscriptEvent(sessionId, 'item_status', { kind: run.kind, id, status, reason: details.reason });
+}
+
+/**
+ * Mark every item the run didn't get to as skipped (run ended) or failed (run errored/stopped)
+ */
+function finishReviewRun(sessionId, status, reason) {
+  const run = sessions.get(sessionId)?.reviewRun;
+  if (!run) return;
+
+  run.statuses.forEach((current, id) => {
+    if (current === 'queued' || current === 'in_progress') {
+      setItemStatus(sessionId, id, status, { reason });
     }
+  });
+}
 
-    // Small delay to avoid busy-waiting (check every 500ms)
-    await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Called after each record/reply/mark_blocked tool call - streams the item's new
+ * status and ends the run once every item it started with is recorded or
+ * marked blocked. Items answered by hand or deleted mid-run are no longer waited for.
+ */
+function resolveReviewItem(sessionId, item) {
+  const session = sessions.get(sessionId);
+  const run = session?.reviewRun;
+  if (!run || run.completed) return;
+
+  if (item.blocked) {
+    setItemStatus(sessionId, item.id, 'skipped', { reason: item.blocked.reason, item });
+  } else {
+    setItemStatus(sessionId, item.id, run.kind === 'questions' ? 'answered' : 'done', { item });
   }
 
-  console.log('[AGENT] Message generator exiting');
+  const resolved = ['answered', 'done', 'skipped'];
+  const items = listItems(run.prInfo.fullRepoName, run.prInfo.prNumber)[run.kind];
+  const remaining = [...run.statuses].filter(([id, status]) => {
+    const current = items.find(candidate => candidate.id === id);
+    if (!current || resolved.includes(status)) return false;
+    return run.followUps ? hasPendingFollowUp(current) : !isItemDone(run.kind, current);
+  });
+  if (remaining.length > 0) return;
+
+  if (run.followUps) {
+    console.log('[AGENT] ✅ All follow-ups replied to - ending session');
+  } else {
+    console.log(run.kind === 'questions'
+      ? '[AGENT] ✅ All questions answered or blocked - ending session'
+      : '[AGENT] ✅ All actions completed or blocked - ending session');
+  }
+  run.completed = true;
+  session.wakeMessageGenerator?.();
 }
 
 /**
  * Start an Agent SDK session for completing actions
+ * Actions come from the review store; actionsFilePath (the rendered file)
+ * only decides where the transcript is written. With reviewBeforePush the agent
+ * only commits; each action's commits wait for the reviewer in its proposal.
  */
-export async function completeActionsWithAgent(sessionId, prInfo, actionsFilePath, useUltrathink = false) {
+export async function completeActionsWithAgent(sessionId, prInfo, actionsFilePath, { itemIds = null, reviewBeforePush = false, profile = null, budget = null, thinking = null } = {}) {
   const session = sessions.get(sessionId);
   if (!session) {
     throw new Error('Session not found');
   }
 
-  if (!session.socket) {
-    throw new Error('WebSocket not connected');
+  const { actions } = listItems(prInfo.fullRepoName, prInfo.prNumber);
+  // Includes actions a previous run marked blocked; itemIds scopes the run to just those
+  const pending = actions.filter(a => !a.summary && (!itemIds || itemIds.includes(a.id)));
+  if (pending.length === 0) {
+    throw new Error(itemIds ? 'The requested action is already completed or was deleted' : 'No pending actions for this PR');
   }
 
   // Wait for settings to arrive (max 5 seconds)
@@ -604,128 +974,92 @@ export async function completeActionsWithAgent(sessionId, prInfo, actionsFilePat
   } else {
     console.log('[AGENT] ✅ Settings received:', JSON.stringify(session.settings, null, 2));
   }
+  session.profileName = selectPermissionProfile(session.settings, 'actions', profile);
+  const runBudget = resolveRunBudget(session.settings, 'actions', budget);
+  const model = modelForRun(config.agent, 'actions');
+  const thinkingPreset = resolveThinkingPreset(session.settings, 'actions', thinking);
 
-  // Get or clone the repository to Projects directory
+  // Fetch the shared clone and give this session its own worktree
   console.log(`[AGENT] Preparing repository for actions: ${prInfo.fullRepoName}`);
-  let repoStatus;
-  try {
-    repoStatus = await getOrCloneRepo(prInfo.fullRepoName, prInfo.headBranch);
-    console.log(`[AGENT] Repository status:`, JSON.stringify(repoStatus, null, 2));
-  } catch (error) {
-    console.error(`[AGENT] ❌ Failed to prepare repository:`, error.message);
-    throw error;
-  }
+  const resume = await reuseWarmSession(sessionId, prInfo, 'actions');
+  const repoStatus = resume ? session.repoStatus : await prepareWorkspace(sessionId, prInfo, { needsPush: true });
 
-  session.workspace = repoStatus.path;
-  session.repoStatus = repoStatus; // Store for prompt generation
+  session.workspace = repoStatus.worktreePath;
+  session.repoStatus = repoStatus; // Store for prompt generation and worktree cleanup
   session.interruptQueue = []; // Initialize interrupt queue
-  session.actionsFilePath = actionsFilePath; // Store for file watching
-  session.actionsCompleted = false; // Track completion
-
-  console.log(`[AGENT] Starting action session ${sessionId} in workspace: ${repoStatus.path}`);
+  // Where to roll back to if the run is stopped or fails partway
+  createRunCheckpoint(prInfo, repoStatus, pending.map(a => a.id), { reviewBeforePush });
+  session.checkpointPR = prInfo;
+  session.reviewRun = startReviewRun('actions', prInfo, pending, {
+    reviewBeforePush,
+    proposalBase: reviewBeforePush ? getHeadSha(repoStatus.worktreePath) : null
+  });
 
-  // Read actions file
-  let actionsContent = fs.readFileSync(actionsFilePath, 'utf8');
+  console.log(`[AGENT] Starting action session ${sessionId} in workspace: ${repoStatus.worktreePath}`);
+  console.log(`[AGENT] Provider: ${config.agent.provider}, model: ${model || 'CLI default'}, thinking: ${thinkingPreset}`);
 
-  // Prepend ultrathink instruction if enabled
-  if (useUltrathink) {
-    actionsContent = `IMPORTANT: Ultrathink for this task. Use <extended_thinking> mode.\n\n${actionsContent}`;
-    console.log('[AGENT] ✅ Ultrathink mode enabled');
-  }
+  const actionsContent = renderActionsPrompt(prInfo, pending);
 
-  console.log(`[AGENT] Actions file location: ${actionsFilePath}`);
-  console.log(`[AGENT] Repository location: ${repoStatus.path}`);
+  console.log(`[AGENT] Actions file location: ${actionsFilePath} (rendered from items.json)`);
+  console.log(`[AGENT] Worktree location: ${repoStatus.worktreePath}`);
 
   sendProgress(sessionId, 'Starting Claude agent for actions...');
 
+  startTranscript(sessionId, actionsFilePath, {
+    mode: 'actions',
+    prInfo,
+    worktreePath: repoStatus.worktreePath,
+    thinking: thinkingPreset,
+    reviewBeforePush,
+    profile: session.profileName,
+    budget: runBudget,
+    provider: config.agent.provider,
+    model
+  });
+  session.usage = createUsageCounter();
+  startBudgetTracking(sessionId, runBudget);
+  sendReviewChecklist(sessionId, pending);
+
+  // handleStop waits for this before rolling back - until the run has ended, the agent may still be pushing
+  let settleRun;
+  session.runSettled = new Promise(resolve => { settleRun = resolve; });
+
   try {
-    // Build conditional system prompt based on repository preparation status
-    let repoInstructions;
-    if (repoStatus.prepared) {
-      repoInstructions = `
-IMPORTANT: You are already in the repository directory with the correct branch checked out.
+    const repoInstructions = `
+IMPORTANT: You are already in the repository directory with the PR branch checked out.
 DO NOT clone the repository - it's already available in your current directory.
-The repository has been prepared and is up-to-date.
-- Repository path: ${repoStatus.path}
-- Branch '${prInfo.headBranch}' is checked out
-- Latest changes have been pulled
-
-CRITICAL - TWO SEPARATE DIRECTORIES:
-1. **Code repository**: ${repoStatus.path} (your current working directory)
-   - This is where you make code changes, run tests, commit, and push
-   - DO NOT copy the Actions markdown file into this directory
-   - DO NOT commit the Actions markdown file to git
-
-2. **Actions tracking file**: ${actionsFilePath}
-   - This file tracks what you need to do and what you've done
-   - Edit this file using its ABSOLUTE PATH: ${actionsFilePath}
-   - When updating summaries, use: Edit tool with file_path="${actionsFilePath}"
-   - This file should NEVER appear in git status or be committed to the repo
-
-CRITICAL GIT WORKFLOW - Follow this sequence exactly:
-1. BEFORE making any changes: Run 'git status' to check for uncommitted local changes
-2. IF there are uncommitted changes: Run 'git stash push -m "WIP: Saving local changes before PR review actions"'
-3. Make your requested changes, run tests (if needed), and commit with a clear message
-4. Push your commit: 'git push'
-5. ONLY AFTER pushing successfully: If you stashed changes in step 2, restore them with 'git stash pop'
-
-This ensures local work-in-progress is never accidentally pushed to the remote branch.
+This is a dedicated git worktree created for this session and removed when it ends.
+- Worktree path: ${repoStatus.worktreePath}
+- Local branch '${repoStatus.worktreeBranch}' is at the PR's head commit (${repoStatus.headSha}) and tracks ${repoStatus.pushRemote}/${repoStatus.pushBranch}
+- There are no local changes - the user's own clone is never touched
+
+RECORDING SUMMARIES:
+- Each action in the prompt has an id (e.g. a-1a2b3c4d)
+- After completing an action, save its summary with the record_action_summary tool (mcp__${REVIEW_TOOL_SERVER}__record_action_summary), passing that id and the commits and files it produced
+- If an action cannot be done, call mark_blocked (mcp__${REVIEW_TOOL_SERVER}__mark_blocked) with its id and the reason
+- Call start_item (mcp__${REVIEW_TOOL_SERVER}__start_item) with an action's id before working on it - the reviewer follows your progress per action
+- list_items (mcp__${REVIEW_TOOL_SERVER}__list_items) shows which actions are still pending
+- DO NOT write summaries into any file - there is no Actions file for you to edit
+- The session ends on its own once every action has a summary or is marked blocked
+
+${reviewBeforePush ? `CRITICAL GIT WORKFLOW:
+1. Make your requested changes, run tests (if needed), and commit with a clear message
+2. DO NOT push - the reviewer reviews each action's commits, and the server pushes the accepted ones
+3. Finish one action (commit, then record_action_summary) before starting the next - the commits
+   made since the previous summary are the ones the reviewer sees for this action` : `CRITICAL GIT WORKFLOW:
+1. Make your requested changes, run tests (if needed), and commit with a clear message
+2. Push your commit to the PR branch: 'git push ${repoStatus.pushRemote} HEAD:${repoStatus.pushBranch}'
+   (a plain 'git push' will not work - the local branch name differs from the PR branch)`}
 
 CRITICAL: Before finishing this session, you MUST:
-- Use the Read tool to read the Actions file: ${actionsFilePath}
-- Verify EVERY action has a filled-in SUMMARY section (not placeholder text)
-- If any summaries are missing, use Edit tool with file_path="${actionsFilePath}" to fill them NOW
-- DO NOT say "ready to wrap up" or "all done" until you have verified ALL summaries are complete
-- Remember: The Actions file is NOT in the repository directory - use the absolute path above
-      `.trim();
-    } else {
-      repoInstructions = `
-⚠️  REPOSITORY PREPARATION FAILED: ${repoStatus.error}
-
-The repository exists at: ${repoStatus.path}
-However, automatic preparation encountered an issue.
-
-CRITICAL - TWO SEPARATE DIRECTORIES:
-1. **Code repository**: ${repoStatus.path} (your current working directory)
-   - This is where you make code changes, run tests, commit, and push
-   - DO NOT copy the Actions markdown file into this directory
-   - DO NOT commit the Actions markdown file to git
-
-2. **Actions tracking file**: ${actionsFilePath}
-   - This file tracks what you need to do and what you've done
-   - Edit this file using its ABSOLUTE PATH: ${actionsFilePath}
-   - When updating summaries, use: Edit tool with file_path="${actionsFilePath}"
-   - This file should NEVER appear in git status or be committed to the repo
-
-YOU MUST manually prepare the repository before completing actions:
-1. Run 'pwd' to confirm you're in the repository directory
-2. Run 'git fetch --all' to fetch latest changes
-3. Run 'git checkout ${prInfo.headBranch}' to switch to the PR branch
-4. Run 'git pull' to get the latest commits
-5. Verify with 'git status' and 'git branch' before proceeding
-
-CRITICAL GIT WORKFLOW - After preparation, follow this sequence:
-1. Run 'git status' to check for uncommitted local changes
-2. IF there are uncommitted changes: Run 'git stash push -m "WIP: Saving local changes before PR review actions"'
-3. Make your requested changes, run tests (if needed), and commit with a clear message
-4. Push your commit: 'git push'
-5. ONLY AFTER pushing successfully: If you stashed changes in step 2, restore them with 'git stash pop'
-
-This ensures local work-in-progress is never accidentally pushed to the remote branch.
-
-CRITICAL: Before finishing this session, you MUST:
-- Use the Read tool to read the Actions file: ${actionsFilePath}
-- Verify EVERY action has a filled-in SUMMARY section (not placeholder text)
-- If any summaries are missing, use Edit tool with file_path="${actionsFilePath}" to fill them NOW
-- DO NOT say "ready to wrap up" or "all done" until you have verified ALL summaries are complete
-- Remember: The Actions file is NOT in the repository directory - use the absolute path above
-      `.trim();
-    }
+- Have called record_action_summary (or mark_blocked) for EVERY action in the prompt
+- DO NOT say "ready to wrap up" or "all done" until every action is resolved
+    `.trim();
 
     const result = query({
       prompt: createMessageGenerator(sessionId, actionsContent),
       options: {
-        cwd: repoStatus.path,
+        cwd: repoStatus.worktreePath,
         systemPrompt: {
           type: 'preset',
           preset: 'claude_code',
@@ -751,166 +1085,136 @@ ${repoInstructions}
           }
         },
         includePartialMessages: true, // Enable streaming updates
+        mcpServers: {
+          [REVIEW_TOOL_SERVER]: createReviewToolServer(prInfo, 'actions', {
+            itemIds,
+            onItemStarted: item => setItemStatus(sessionId, item.id, 'in_progress'),
+            onItemResolved: item => resolveReviewItem(sessionId, reviewBeforePush && !item.blocked ? proposeRunCommits(sessionId, item) : item)
+          })
+        },
         canUseTool: async (toolName, input, options) => {
           console.log('[AGENT] 🔍 canUseTool callback invoked for:', toolName);
           const result = await canUseTool(sessionId, toolName, input, options);
           console.log('[AGENT] 🔍 canUseTool result:', result);
           return result;
         },
-        env: {
-          CLAUDE_CODE_USE_VERTEX: '1',
-          ANTHROPIC_VERTEX_PROJECT_ID: process.env.ANTHROPIC_VERTEX_PROJECT_ID || '',
-          CLOUD_ML_REGION: process.env.CLOUD_ML_REGION || '',
-          ...process.env
-        },
+        env: agentEnv(prInfo),
+        model: model || undefined,
+        maxThinkingTokens: THINKING_PRESETS[thinkingPreset] || undefined,
+        fallbackModel: config.agent.fallbackModel || undefined,
         abortController: session.abortController,
-        maxTurns: 30
+        resume, // Continue the warm session's conversation - it has already looked at this PR
+        maxTurns: runBudget.maxTurns || undefined
       }
     });
+    session.query = result; // Budget enforcement interrupts it
 
-    // Use SDK's built-in event handlers to parse streaming properly
-    let currentThinkingText = ''; // Accumulate current text block
-    let finalMessage = null;
-    let currentToolName = null;
-    let currentToolInput = ''; // Accumulate partial JSON
-
-    // The Agent SDK's query() returns an async iterator with proper event parsing
-    for await (const message of result) {
-      const session = sessions.get(sessionId);
-
-      // Use the SDK's parsed streamEvent objects
-      if (message.type === 'stream_event') {
-        const event = message.event;
-
-        // CONTENT BLOCK START - Tool use or text begins
-        if (event.type === 'content_block_start' && event.content_block) {
-          console.log('[AGENT] Content block starting:', event.content_block.type);
-
-          // If starting new block and we have accumulated thinking text, send it now
-          if (currentThinkingText.trim()) {
-            console.log('[AGENT] 💭 Sending complete thinking block');
-            sendProgress(sessionId, currentThinkingText, 'thinking');
-            currentThinkingText = '';
-          }
-
-          if (event.content_block.type === 'tool_use') {
-            currentToolName = event.content_block.name;
-            currentToolInput = ''; // Reset for new tool
-            console.log('[AGENT] 🔧 Tool starting:', currentToolName);
-            // Don't send empty tool label - wait for complete input at content_block_stop
-          } else if (event.content_block.type === 'text') {
-            console.log('[AGENT] 💭 Text block starting');
-            currentThinkingText = ''; // Reset for new text block
-          }
-        }
-
-        // CONTENT BLOCK DELTA - Streaming text or tool input
-        if (event.type === 'content_block_delta' && event.delta) {
-          if (event.delta.type === 'text_delta') {
-            const text = event.delta.text;
-            currentThinkingText += text;
-            console.log('[AGENT] 💭 Accumulating text...', currentThinkingText.length, 'chars');
-          }
-
-          if (event.delta.type === 'input_json_delta') {
-            // Accumulate partial JSON - don't send every fragment
-            currentToolInput += event.delta.partial_json;
-            console.log('[AGENT] 📝 Accumulating tool input...', currentToolInput.length, 'chars');
-          }
-        }
-
-        // CONTENT BLOCK STOP - Tool or text complete
-        if (event.type === 'content_block_stop') {
-          // Send complete thinking text if we have any
-          if (currentThinkingText.trim()) {
-            console.log('[AGENT] 💭 Text block complete - sending');
-            sendProgress(sessionId, currentThinkingText, 'thinking');
-            currentThinkingText = '';
-          }
-
-          if (currentToolName && currentToolInput) {
-            console.log('[AGENT] Tool input complete:', currentToolName);
-            // NOW send the complete tool input
-            if (session?.socket) {
-              try {
-                const parsedInput = JSON.parse(currentToolInput);
-                const inputPreview = JSON.stringify(parsedInput, null, 2);
-                session.socket.send(JSON.stringify({
-                  type: 'progress',
-                  message: `📝 ${currentToolName}: ${inputPreview.substring(0, 150)}${inputPreview.length > 150 ? '...' : ''}`,
-                  status: 'info'
-                }));
-              } catch (e) {
-                // If JSON parsing fails, send raw
-                session.socket.send(JSON.stringify({
-                  type: 'progress',
-                  message: `📝 ${currentToolName}: ${currentToolInput.substring(0, 150)}...`,
-                  status: 'info'
-                }));
-              }
-            }
-            currentToolName = null;
-            currentToolInput = '';
-          }
-        }
-
-        // MESSAGE STOP - Complete assistant message
-        if (event.type === 'message_stop') {
-          console.log('[AGENT] Message complete');
-        }
-      }
-
-      // ASSISTANT MESSAGE (complete) - Has full tool_use blocks with parsed input
-      if (message.type === 'assistant' && message.content) {
-        finalMessage = message;
-        // Streaming events already handled - no need to extract text here
-      }
-
-      // USER MESSAGE - Contains tool results
-      if (message.type === 'user' && message.content) {
-        console.log('[AGENT] Tool results received');
-        if (Array.isArray(message.content)) {
-          for (const block of message.content) {
-            if (block.type === 'tool_result') {
-              console.log('[AGENT] Tool result for:', block.tool_use_id);
-              if (session?.socket) {
-                const resultText = typeof block.content === 'string'
-                  ? block.content
-                  : JSON.stringify(block.content);
-
-                session.socket.send(JSON.stringify({
-                  type: 'tool_result',
-                  toolName: block.tool_use_id || 'unknown',
-                  result: resultText.substring(0, 200) + (resultText.length > 200 ? '...' : ''),
-                  success: !block.is_error
-                }));
-              }
-            }
-          }
-        }
-      }
+    const { finalMessage, resultMessage } = await streamAgentRun(sessionId, result);
+    const budgetExceeded = finishBudgetTracking(session, sessionId);
+    finishReviewRun(sessionId, 'skipped', 'The run ended before this was resolved');
+    if (!session.abortController.signal.aborted) {
+      session.checkpointPR = null; // Finished - the checkpoint is only restored on request now
     }
+    if (reviewBeforePush) {
+      session.warm = null; // Its worktree holds commits the reviewer may reject - the next run starts fresh
+    } else {
+      keepSessionWarm(sessionId, prInfo, 'actions', resultMessage?.session_id);
+    }
+
 
     const finalText = finalMessage ? extractTextFromContent(finalMessage.content) : '';
 
-    // File was edited in place at ${actionsFilePath} - no copy-back needed
-    console.log(`[AGENT] Actions file should be updated at: ${actionsFilePath}`);
+    console.log(`[AGENT] Summaries recorded in items.json, rendered to: ${actionsFilePath}`);
 
-    sendProgress(sessionId, 'Actions complete!', 'complete');
+    const status = budgetExceeded ? 'budget_exceeded' : 'completed';
+    let completeMessage = reviewBeforePush ? 'Actions complete - review the changes before they are pushed' : 'Actions complete!';
+    if (budgetExceeded) {
+      completeMessage = budgetExceededMessage(budgetExceeded);
+    }
+    sendProgress(sessionId, completeMessage, 'complete');
+    const usage = finishRunUsage(session, sessionId, { kind: 'actions', prInfo, status });
+    endTranscript(sessionId, { status, usage, budgetExceeded });
 
     return {
       success: true,
       content: finalText,
-      usage: finalMessage?.usage
+      usage,
+      reviewBeforePush,
+      budgetExceeded
     };
 
   } catch (error) {
     console.error('[AGENT] Error:', error);
     sendProgress(sessionId, `Error: ${error.message}`, 'error');
+    finishBudgetTracking(session, sessionId);
+    finishReviewRun(sessionId, 'failed', error.message);
+    session.warm = null; // Don't resume a conversation that broke off
+    await autoRestoreCheckpoint(sessionId); // The query has ended, so nothing is pushing any more
+    const status = session.abortController.signal.aborted ? 'stopped' : 'failed';
+    const usage = finishRunUsage(session, sessionId, { kind: 'actions', prInfo, status });
+    endTranscript(sessionId, { status, error: error.message, usage });
     throw error;
+  } finally {
+    settleRun();
+  }
+}
+
+/**
+ * Remember where the agent's push left the PR branch
+ * A rollback only resets the branch if it is still there - otherwise someone
+ * else pushed since, and resetting would drop their commits.
+ */
+function recordSessionPush(sessionId) {
+  const session = sessions.get(sessionId);
+  const prInfo = session?.checkpointPR;
+  if (!prInfo || !session.repoStatus?.pushRemote) return;
+
+  try {
+    const { pushedSha } = recordRunPush(prInfo, session.repoStatus);
+    console.log(`[AGENT] 📍 Session ${sessionId} pushed ${session.repoStatus.pushBranch} at ${pushedSha.slice(0, 7)}`);
+  } catch (error) {
+    console.error('[AGENT] ⚠️  Failed to record the pushed head:', error.message);
+  }
+}
+
+/**
+ * Roll an Actions run that was stopped or failed back to its checkpoint, if the user opted in
+ */
+async function autoRestoreCheckpoint(sessionId) {
+  const session = sessions.get(sessionId);
+  const prInfo = session?.checkpointPR;
+  if (!prInfo) return;
+  session.checkpointPR = null;
+
+  if (!session.settings?.autoRestoreCheckpoint) {
+    sendProgress(sessionId, 'The run stopped partway - use Restore Checkpoint to undo its changes');
+    return;
+  }
+
+  console.log(`[AGENT] ⏪ Restoring the checkpoint of session ${sessionId}`);
+  sendProgress(sessionId, 'Rolling back to the checkpoint taken before this run...');
+  try {
+    const { checkpoint, previousSha, reopened } = await restoreRunCheckpoint(prInfo.fullRepoName, prInfo.prNumber, { auto: true });
+    const branchNote = previousSha ? `${checkpoint.branch} reset to ${checkpoint.headSha.slice(0, 7)}` : 'branch unchanged';
+    sendProgress(sessionId, `Rolled back to the checkpoint (${branchNote}, ${reopened.length} action(s) reopened)`);
+    logTranscriptEvent(sessionId, 'checkpoint_restored', { headSha: checkpoint.headSha, previousSha, reopened });
+  } catch (error) {
+    console.error('[AGENT] ❌ Automatic rollback failed:', error.message);
+    sendProgress(sessionId, `Automatic rollback failed: ${error.message}`, 'error');
   }
 }
 
+/**
+ * Environment for the agent's CLI: the server's own, switched to the configured
+ * provider, plus git settings so it pushes with the host's SSH key / credential helper
+ */
+function agentEnv(prInfo) {
+  return {
+    ...providerEnv(config.agent),
+    ...getGitEnv(prInfo.fullRepoName)
+  };
+}
+
 /**
  * Permission callback for Agent SDK
  */
@@ -921,21 +1225,57 @@ async function canUseTool(sessionId, toolName, input, options) {
     return { behavior: 'deny', message: 'Session not found' };
   }
 
-  if (!session.socket) {
-    console.error('[AGENT] No WebSocket connection for session:', sessionId);
-    return { behavior: 'deny', message: 'No browser connection' };
+  // Review tools only write this PR's items.json - no need to ask
+  if (isReviewTool(toolName)) {
+    console.log(`[AGENT] ✅ Review tool: ${toolName}`);
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'allow', source: 'review_tool' });
+    return { behavior: 'allow', updatedInput: input };
+  }
+
+  // In "review before push" runs only the server pushes, after the reviewer accepts the changes
+  if (session.reviewRun?.reviewBeforePush && toolName === 'Bash' && GIT_PUSH_PATTERN.test(input.command || '')) {
+    console.log('[AGENT] ❌ Push denied - this run is reviewed before pushing');
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'deny', source: 'review_before_push' });
+    return { behavior: 'deny', message: 'Do not push in this session - the reviewer reviews your commits and the server pushes the accepted ones' };
   }
 
-  // Check if auto-approved in user settings
-  const isAutoApproved = session.settings?.permissions?.[toolName] === true;
+  const context = permissionContext(session);
 
-  console.log(`[AGENT] Permission check for ${toolName}:`);
-  console.log(`  - session.settings:`, JSON.stringify(session.settings, null, 2));
-  console.log(`  - session.settings?.permissions?.[${toolName}]:`, session.settings?.permissions?.[toolName]);
+  // Questions runs only read, whatever their profile allows - the client can't widen this
+  const violation = session.reviewRun?.kind === 'questions' ? readOnlyViolation(toolName, input, context) : null;
+  if (violation) {
+    console.log(`[AGENT] ❌ Denied in read-only Questions run: ${toolName}`);
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'deny', source: 'questions_read_only' });
+    return { behavior: 'deny', message: violation };
+  }
+
+  // The run's permission profile: its rules decide first (deny, then ask, then allow)
+  const profile = session.settings?.profiles?.[session.profileName] || {};
+  const ruleMatch = matchPermissionRules(profile.rules, toolName, input, context);
+
+  if (ruleMatch?.decision === 'deny') {
+    console.log(`[AGENT] ❌ Denied by rule ${ruleMatch.rule}`);
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'deny', source: 'rule', rule: ruleMatch.rule, profile: session.profileName });
+    return { behavior: 'deny', message: `Denied by the reviewer's permission rule ${ruleMatch.rule}` };
+  }
+
+  if (ruleMatch?.decision === 'allow') {
+    console.log(`[AGENT] ✅ Allowed by rule ${ruleMatch.rule}`);
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'allow', source: 'rule', rule: ruleMatch.rule, profile: session.profileName });
+    return { behavior: 'allow', updatedInput: input };
+  }
+
+  // No rule applies - fall back to the profile's per-tool checkboxes
+  const isAutoApproved = !ruleMatch && profile.permissions?.[toolName] === true;
+
+  console.log(`[AGENT] Permission check for ${toolName} (profile ${session.profileName || 'none'}):`);
+  console.log(`  - rule:`, ruleMatch ? `${ruleMatch.decision} ${ruleMatch.rule}` : 'none');
+  console.log(`  - profile.permissions?.[${toolName}]:`, profile.permissions?.[toolName]);
   console.log(`  - isAutoApproved:`, isAutoApproved);
 
   if (isAutoApproved) {
     console.log(`[AGENT] ✅ Auto-approved: ${toolName}`);
+    logTranscriptEvent(sessionId, 'permission', { toolName, input, decision: 'allow', source: 'settings', profile: session.profileName });
     return { behavior: 'allow', updatedInput: input };
   }
 
@@ -944,42 +1284,98 @@ async function canUseTool(sessionId, toolName, input, options) {
 
   const requestId = randomUUID();
 
-  return new Promise((resolve) => {
-    // Set timeout (30 seconds)
-    const timeout = setTimeout(() => {
-      console.error('[AGENT] ⏱️  Permission request timeout');
-      session.pendingPermissions.delete(requestId);
-      resolve({
-        behavior: 'deny',
-        message: 'Permission request timed out after 30 seconds'
-      });
-    }, 30000);
-
-    // Store pending request
-    session.pendingPermissions.set(requestId, { resolve, timeout });
-
-    // Send request to browser
-    session.socket.send(JSON.stringify({
-      type: 'permission_request',
-      requestId,
-      toolName,
-      input,
-      decisionReason: options.decisionReason,
-      suggestions: options.suggestions
-    }));
+  const request = {
+    type: 'permission_request',
+    requestId,
+    toolName,
+    input,
+    decisionReason: ruleMatch ? `Your rule ${ruleMatch.rule} asks before this` : options.decisionReason,
+    suggestions: options.suggestions,
+    suggestedRule: suggestRule(toolName, input, context), // Offered by "Always Allow"
+    profile: session.profileName // The profile "Always Allow" saves the rule to
+  };
+
+  // Queued until answered - from the dialog, the queue view, or the timeout policy
+  const result = requestApproval({
+    sessionId,
+    request,
+    prInfo: session.reviewRun?.prInfo,
+    timeoutPolicy: session.settings?.approvalTimeout,
+    onPaused: () => {
+      sendProgress(sessionId, `⏸️  Paused: waiting for your approval to use ${toolName}. Answer it here or from the approvals queue.`);
+      logTranscriptEvent(sessionId, 'run_paused', { requestId, toolName });
+    },
+    onSettled: (result, source, approval) => {
+      logTranscriptEvent(sessionId, 'permission', { requestId, toolName, input, decision: result.behavior, source });
+      // Closes the dialog if the request was answered somewhere else
+      sendToSession(sessionId, { type: 'permission_resolved', requestId, behavior: result.behavior, source });
+      if (source === 'timeout') {
+        sendProgress(sessionId, `⏱️  No answer to the ${toolName} request in time - denied`);
+      } else if (approval.paused) {
+        sendProgress(sessionId, `▶️  Resumed: ${toolName} ${result.behavior === 'allow' ? 'approved' : 'denied'}`);
+      }
+    }
   });
+
+  // Send request to browser
+  sendToSession(sessionId, request);
+  return result;
+}
+
+/**
+ * Name of the permission profile a run uses: the one picked for it, else the default for its mode
+ * @param {'questions'|'actions'} mode
+ * @returns {string|null} null if the browser sent no profiles - every tool call is then asked about
+ */
+function selectPermissionProfile(settings, mode, requested) {
+  const profiles = settings?.profiles || {};
+  if (requested && profiles[requested]) {
+    return requested;
+  }
+  if (requested) {
+    console.warn(`[AGENT] ⚠️  Unknown permission profile "${requested}" - using the ${mode} default`);
+  }
+  const fallback = settings?.defaultProfiles?.[mode];
+  return profiles[fallback] ? fallback : null;
+}
+
+/**
+ * Paths permission rules can refer to: {repo} is the session's worktree, {questions} the PR's Questions file
+ */
+function permissionContext(session) {
+  const prInfo = session.reviewRun?.prInfo;
+  return {
+    repoPath: session.repoStatus?.worktreePath || session.workspace,
+    questionsFile: prInfo ? listItems(prInfo.fullRepoName, prInfo.prNumber).files.questions : null
+  };
 }
 
 /**
  * Send progress update to browser
  */
-function sendProgress(sessionId, message, type = 'progress') {
+export function sendProgress(sessionId, message, type = 'progress') {
+  sendToSession(sessionId, {
+    type,
+    message
+  });
+}
+
+/**
+ * Send an event to the session's browser and keep it in the replay buffer
+ * Events are buffered even when no browser is attached.
+ */
+function sendToSession(sessionId, payload) {
   const session = sessions.get(sessionId);
-  if (session?.socket) {
-    session.socket.send(JSON.stringify({
-      type,
-      message
-    }));
+  if (!session) return;
+
+  const event = { ...payload, timestamp: Date.now() };
+  session.eventBuffer.push(event);
+  if (session.eventBuffer.length > EVENT_BUFFER_SIZE) {
+    session.eventBuffer.shift();
+  }
+
+  if (session.socket) {
+    session.socket.send(JSON.stringify(event));
   }
 }
 
@@ -998,6 +1394,8 @@ function handleInterrupt(sessionId, message) {
     session.interruptQueue = [];
   }
   session.interruptQueue.push(message);
+  session.wakeMessageGenerator?.();
+  logTranscriptEvent(sessionId, 'interrupt', { message });
 
   // Send acknowledgment back to browser
   sendProgress(sessionId, `Interrupt queued: ${message}`, 'interrupt');
@@ -1008,11 +1406,12 @@ function handleInterrupt(sessionId, message) {
 /**
  * Handle stop request from user
  */
-function handleStop(sessionId) {
+export async function handleStop(sessionId) {
   const session = sessions.get(sessionId);
   if (!session) return;
 
   console.log(`[AGENT] Stopping session ${sessionId}`);
+  logTranscriptEvent(sessionId, 'stop', { message: 'Stopped by user' });
 
   // Abort the current Agent SDK operation
   if (session.abortController) {
@@ -1020,6 +1419,11 @@ function handleStop(sessionId) {
     sendProgress(sessionId, 'Agent stopped by user', 'error');
   }
 
+  // Roll back only once the run has actually ended (it usually rolls back itself then) - until
+  // then a git push the agent started may still be running. The browser is still attached to hear about it.
+  await session.runSettled;
+  await autoRestoreCheckpoint(sessionId);
+
   // Clean up session
   cleanupSession(sessionId);
 }
@@ -1048,12 +1452,20 @@ function cleanupSession(sessionId) {
   if (session) {
     // Abort any ongoing Agent SDK query
     session.abortController.abort();
+    clearTimeout(session.expiryTimer);
+    clearInterval(session.budget?.timer);
 
-    // Clear pending permissions
-    session.pendingPermissions.forEach(pending => {
-      clearTimeout(pending.timeout);
-      pending.resolve({ behavior: 'deny', message: 'Session closed' });
-    });
+    // Deny the session's pending permission requests
+    settleSessionApprovals(sessionId, { behavior: 'deny', message: 'Session closed' }, 'session');
+
+    // Remove the session's worktree - the shared clone is left as-is
+    if (session.repoStatus?.worktreePath) {
+      removeSessionWorktree(session.repoStatus.path, session.repoStatus.worktreePath, session.repoStatus.worktreeBranch);
+    }
+
+    if (session.warm && warmSessions.get(session.warm.key) === sessionId) {
+      warmSessions.delete(session.warm.key);
+    }
 
     sessions.delete(sessionId);
     console.log(`[AGENT] Session cleaned up: ${sessionId}`);
@@ -1065,17 +1477,155 @@ function cleanupSession(sessionId) {
  */
 export function createSession() {
   const sessionId = randomUUID();
-  sessions.set(sessionId, {
+  sessions.set(sessionId, newSessionState());
+  console.log(`[AGENT] Created session: ${sessionId}`);
+  return sessionId;
+}
+
+/**
+ * Fresh state for a new session
+ */
+function newSessionState() {
+  return {
     socket: null,
     settings: null,
+    profileName: null, // Permission profile of the current run
+    usage: null, // Token counter of the current run (see usage-tracker.js)
+    budget: null, // Budget tracker of the current run (see run-budgets.js)
+    query: null, // Agent SDK query of the current run
     workspace: null,
-    pendingPermissions: new Map(),
-    abortController: new AbortController()
-  });
-  console.log(`[AGENT] Created session: ${sessionId}`);
+    abortController: new AbortController(),
+    eventBuffer: [],
+    activeJobs: 0,
+    expiryTimer: null,
+    warm: null, // { key, sdkSessionId, baseBranch, headBranch } once a run finished and can be resumed
+    checkpointPR: null, // PR of the Actions run in progress, whose checkpoint a stop or failure rolls back to
+    runSettled: null // Resolves once the Actions run in progress has ended
+  };
+}
+
+/**
+ * Mark a session as in use by a job so it survives its browser disconnecting
+ */
+export function retainSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.activeJobs++;
+  }
+}
+
+/**
+ * Release a job's hold on a session
+ * If no browser is attached, the session (and its replay buffer) expires after DETACHED_SESSION_TTL.
+ */
+export function releaseSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  session.activeJobs = Math.max(0, session.activeJobs - 1);
+
+  if (session.activeJobs === 0 && !session.socket) {
+    scheduleSessionExpiry(sessionId);
+  }
+}
+
+/**
+ * Clean up an idle session with no browser attached after DETACHED_SESSION_TTL
+ * (WARM_SESSION_TTL for warm sessions) unless a browser or job picks it up first
+ */
+function scheduleSessionExpiry(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = setTimeout(() => {
+    if (sessions.get(sessionId) === session && !session.socket && session.activeJobs === 0) {
+      console.log(`[AGENT] ${session.warm ? 'Warm' : 'Detached'} session expired: ${sessionId}`);
+      cleanupSession(sessionId);
+    }
+  }, session.warm ? WARM_SESSION_TTL : DETACHED_SESSION_TTL);
+}
+
+function warmSessionKey(prInfo, kind) {
+  return `${prInfo.fullRepoName}#${prInfo.prNumber}:${kind}`;
+}
+
+/**
+ * Hand out the warm session of a PR's last Questions/Actions run, if it is idle
+ * Its replay buffer is cleared so the new run's monitor starts empty.
+ * @returns {string|null} sessionId, or null to start a new session
+ */
+export function claimWarmSession(prInfo, kind) {
+  const key = warmSessionKey(prInfo, kind);
+  const sessionId = warmSessions.get(key);
+  const session = sessions.get(sessionId);
+  if (!session || session.socket || session.activeJobs > 0 || session.warm?.key !== key) {
+    return null;
+  }
+
+  warmSessions.delete(key);
+  session.eventBuffer = [];
+  session.reviewRun = null;
+  scheduleSessionExpiry(sessionId); // Until the browser connects
+  console.log(`[AGENT] ♨️  Claimed warm session ${sessionId} for ${key}`);
   return sessionId;
 }
 
+/**
+ * After a successful run, remember the session as the warm one for its PR and kind
+ */
+function keepSessionWarm(sessionId, prInfo, kind, sdkSessionId) {
+  const session = sessions.get(sessionId);
+  if (!session || !sdkSessionId) return;
+
+  const key = warmSessionKey(prInfo, kind);
+  const previous = sessions.get(warmSessions.get(key));
+  if (previous && previous !== session) {
+    previous.warm = null; // Superseded - cleaned up when it next goes idle or expires
+  }
+
+  session.warm = {
+    key,
+    sdkSessionId,
+    baseBranch: prInfo.baseBranch, // As resolved when the worktree was prepared
+    headBranch: prInfo.headBranch
+  };
+  warmSessions.set(key, sessionId);
+}
+
+/**
+ * If this session is warm for the same PR and kind, keep its worktree for the new run
+ * A PR pushed to since the last run starts over: answering or committing on the
+ * old head would work against code that is no longer the PR.
+ * @returns {Promise<string|undefined>} The Agent SDK session id to resume
+ */
+async function reuseWarmSession(sessionId, prInfo, kind) {
+  const session = sessions.get(sessionId);
+  const warm = session?.warm;
+  if (!warm) return undefined;
+
+  if (warm.key !== warmSessionKey(prInfo, kind) || !fs.existsSync(session.repoStatus.worktreePath)) {
+    session.warm = null;
+    return undefined;
+  }
+
+  const { path: repoPath, worktreePath, worktreeBranch } = session.repoStatus;
+  if (await hasPRHeadMoved(prInfo.fullRepoName, repoPath, prInfo.prNumber, worktreePath)) {
+    console.log(`[AGENT] ♨️  PR #${prInfo.prNumber} has new commits - not reusing warm session ${sessionId}`);
+    sendProgress(sessionId, 'The PR has new commits since the last run - starting a fresh session...');
+    // prepareWorkspace() creates this session's worktree again, at the same path
+    removeSessionWorktree(repoPath, worktreePath, worktreeBranch);
+    session.warm = null;
+    return undefined;
+  }
+
+  prInfo.baseBranch = warm.baseBranch;
+  prInfo.headBranch = warm.headBranch;
+  console.log(`[AGENT] ♨️  Reusing warm session ${sessionId} in ${session.repoStatus.worktreePath}`);
+  sendProgress(sessionId, 'Reusing the warm session for this PR...');
+  return warm.sdkSessionId;
+}
+
 /**
  * Get session status
  */
@@ -1087,6 +1637,8 @@ export function getSessionStatus(sessionId) {
   return {
     exists: true,
     connected: !!session.socket,
-    hasSettings: !!session.settings
+    hasSettings: !!session.settings,
+    activeJobs: session.activeJobs,
+    bufferedEvents: session.eventBuffer.length
   };
 }
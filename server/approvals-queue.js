@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Approvals Queue
+ * Tool calls waiting for the reviewer's approval, across all agent sessions.
+ *
+ * A request stays queued until it is answered - from the permission dialog over
+ * the session's WebSocket, or from the extension's queue view over HTTP - so it
+ * survives a closed tab or panel. What happens when nobody answers in time is
+ * the reviewer's timeout policy:
+ *
+ *   deny   deny the call after the timeout (the agent carries on without it)
+ *   pause  after the timeout, report the run as paused until the call is answered
+ *   wait   wait for an answer however long it takes
+ */
+
+export const TIMEOUT_POLICIES = ['deny', 'pause', 'wait'];
+
+const DEFAULT_TIMEOUT_POLICY = { policy: 'deny', seconds: 30 };
+
+const approvals = new Map(); // requestId → approval
+
+/**
+ * The timeout policy from the browser's settings, with defaults for anything missing or invalid
+ * @returns {{policy: 'deny'|'pause'|'wait', seconds: number}}
+ */
+export function normalizeTimeoutPolicy(setting) {
+  const policy = TIMEOUT_POLICIES.includes(setting?.policy) ? setting.policy : DEFAULT_TIMEOUT_POLICY.policy;
+  const seconds = Number.isFinite(setting?.seconds) && setting.seconds > 0 ? setting.seconds : DEFAULT_TIMEOUT_POLICY.seconds;
+  return { policy, seconds };
+}
+
+/**
+ * Queue a permission request and wait for its answer
+ * @param {Object} params
+ * @param {string} params.sessionId - Agent session the request belongs to
+ * @param {Object} params.request - The permission_request message (requestId, toolName, input, ...)
+ * @param {Object} [params.prInfo] - PR the run works on, shown in the queue view
+ * @param {Object} [params.timeoutPolicy] - { policy, seconds } from the browser's settings
+ * @param {Function} [params.onPaused] - Called when a "pause" timeout runs out
+ * @param {Function} [params.onSettled] - Called with (result, source) once the request is answered
+ * @returns {Promise<Object>} The permission result ({ behavior: 'allow'|'deny', ... })
+ */
+export function requestApproval({ sessionId, request, prInfo = null, timeoutPolicy, onPaused = () => {}, onSettled = () => {} }) {
+  const { policy, seconds } = normalizeTimeoutPolicy(timeoutPolicy);
+
+  return new Promise((resolve) => {
+    const approval = {
+      sessionId,
+      request,
+      repo: prInfo?.fullRepoName || null,
+      prNumber: prInfo?.prNumber || null,
+      policy,
+      requestedAt: new Date().toISOString(),
+      expiresAt: policy === 'wait' ? null : new Date(Date.now() + seconds * 1000).toISOString(),
+      paused: false,
+      timer: null,
+      resolve,
+      onSettled
+    };
+
+    if (policy === 'deny') {
+      approval.timer = setTimeout(() => {
+        console.error(`[APPROVALS] ⏱️  ${request.toolName} request timed out after ${seconds}s - denied`);
+        settleApproval(request.requestId, {
+          behavior: 'deny',
+          message: `Permission request timed out after ${seconds} seconds`
+        }, 'timeout');
+      }, seconds * 1000);
+    } else if (policy === 'pause') {
+      approval.timer = setTimeout(() => {
+        console.log(`[APPROVALS] ⏸️  ${request.toolName} request unanswered after ${seconds}s - run paused`);
+        approval.paused = true;
+        onPaused(approval);
+      }, seconds * 1000);
+    }
+
+    approvals.set(request.requestId, approval);
+    console.log(`[APPROVALS] Queued ${request.toolName} request ${request.requestId} (${approvals.size} pending)`);
+  });
+}
+
+/**
+ * Answer a queued request
+ * @param {string} source - Who answered: 'user', 'queue', 'timeout' or 'session'
+ * @returns {boolean} false if the request isn't pending (already answered or unknown)
+ */
+export function settleApproval(requestId, result, source) {
+  const approval = approvals.get(requestId);
+  if (!approval) return false;
+
+  clearTimeout(approval.timer);
+  approvals.delete(requestId);
+  approval.resolve(result);
+  approval.onSettled(result, source, approval);
+  return true;
+}
+
+/**
+ * Answer every request of a session, e.g. when it is closed
+ */
+export function settleSessionApprovals(sessionId, result, source) {
+  for (const [requestId, approval] of approvals) {
+    if (approval.sessionId === sessionId) {
+      settleApproval(requestId, result, source);
+    }
+  }
+}
+
+/**
+ * The session's pending permission_request messages, oldest first
+ */
+export function getSessionApprovals(sessionId) {
+  return [...approvals.values()]
+    .filter(approval => approval.sessionId === sessionId)
+    .map(approval => approval.request);
+}
+
+/**
+ * All pending requests with their full tool input, oldest first
+ */
+export function listApprovals() {
+  return [...approvals.values()].map(serializeApproval);
+}
+
+export function countApprovals() {
+  return approvals.size;
+}
+
+function serializeApproval(approval) {
+  const { requestId, toolName, input, decisionReason, suggestedRule, profile } = approval.request;
+  return {
+    requestId,
+    sessionId: approval.sessionId,
+    toolName,
+    input,
+    decisionReason,
+    suggestedRule,
+    profile,
+    repo: approval.repo,
+    prNumber: approval.prNumber,
+    policy: approval.policy,
+    requestedAt: approval.requestedAt,
+    expiresAt: approval.expiresAt,
+    paused: approval.paused
+  };
+}
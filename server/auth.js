@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Server Authentication
+ *
+ * A per-install shared token is generated on first start and stored in
+ * server/auth.json. The extension gets it once over /pair: the first extension
+ * origin to pair is pinned, and from then on only that origin can pair again
+ * or pass CORS. Every other endpoint requires the token.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const authPath = path.join(__dirname, 'auth.json');
+
+const auth = loadAuth();
+
+/**
+ * Load the token and paired origin, generating a token on first start
+ * EXTENSION_ORIGIN (e.g. chrome-extension://abcdef...) pins the origin up front.
+ */
+function loadAuth() {
+  let stored = null;
+  try {
+    if (fs.existsSync(authPath)) {
+      stored = JSON.parse(fs.readFileSync(authPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[AUTH] ❌ Could not read auth.json, generating a new token:', error.message);
+  }
+
+  const loaded = {
+    token: stored?.token || randomBytes(32).toString('hex'),
+    extensionOrigin: process.env.EXTENSION_ORIGIN || stored?.extensionOrigin || null
+  };
+
+  if (!stored?.token) {
+    saveAuth(loaded);
+    console.log(`[AUTH] 🔑 Generated shared token (${authPath})`);
+  }
+  return loaded;
+}
+
+function saveAuth(data) {
+  fs.writeFileSync(authPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Hand the token to the extension, pinning its origin on first use
+ * @param {string|undefined} origin - Origin header of the /pair request
+ * @returns {string} The shared token
+ */
+export function pairExtension(origin) {
+  if (!origin || !origin.startsWith('chrome-extension://')) {
+    const error = new Error('Pairing is only available to the browser extension');
+    error.status = 403;
+    throw error;
+  }
+
+  if (auth.extensionOrigin && auth.extensionOrigin !== origin) {
+    const error = new Error('Server is paired with a different extension - delete server/auth.json and restart the server to pair again');
+    error.status = 403;
+    throw error;
+  }
+
+  if (!auth.extensionOrigin) {
+    auth.extensionOrigin = origin;
+    saveAuth(auth);
+    console.log(`[AUTH] 🔗 Paired with ${origin}`);
+  }
+
+  return auth.token;
+}
+
+/**
+ * The extension origin allowed by CORS (null until paired)
+ */
+export function getAllowedOrigin() {
+  return auth.extensionOrigin;
+}
+
+/**
+ * Check a request's Origin and bearer token
+ * Requests without an Origin header (e.g. curl) only need the token.
+ */
+export function isAuthorizedRequest(req) {
+  const origin = req.headers.origin;
+  if (origin && origin !== auth.extensionOrigin) {
+    return false;
+  }
+
+  const header = req.headers.authorization || '';
+  return isValidToken(header.startsWith('Bearer ') ? header.slice(7) : '');
+}
+
+/**
+ * Constant-time token comparison
+ */
+export function isValidToken(token) {
+  const expected = Buffer.from(auth.token);
+  const provided = Buffer.from(String(token || ''));
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
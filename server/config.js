@@ -49,23 +49,145 @@ try {
   console.error('[CONFIG] Error loading config.json:', error);
 }
 
+// Anthropic list prices, USD per million tokens. Keys are model id prefixes - the
+// longest matching prefix prices a model, so dated ids match too. Vertex and Bedrock
+// ids are priced as the Anthropic id they name (see usage-tracker.js priceModelId).
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+};
+
+// Environment variables that set the agent's provider and models, by config.json "agent" field
+export const AGENT_ENV_VARS = {
+  provider: 'CLAUDE_PROVIDER',
+  model: 'CLAUDE_MODEL',
+  questionsModel: 'CLAUDE_QUESTIONS_MODEL',
+  actionsModel: 'CLAUDE_ACTIONS_MODEL',
+  fallbackModel: 'CLAUDE_FALLBACK_MODEL'
+};
+
 export const config = {
   // User-configurable directories (priority: env > config.json > defaults)
   prReviewsDir: process.env.PR_REVIEWS_DIR || userConfig.prReviewsDir || path.join(dirname(__dirname), 'questions and actions'),
   projectsDir: process.env.PROJECTS_DIR || userConfig.projectsDir || path.join(process.env.HOME, 'Projects'),
 
+  // Server-managed directory for per-session git worktrees (never the user's own clones)
+  worktreesDir: process.env.WORKTREES_DIR || path.join(dirname(__dirname), '.worktrees'),
+
   // Server ports (priority: env > hardcoded)
   httpPort: parseInt(process.env.HTTP_PORT) || 13030,
   wsPort: parseInt(process.env.WS_PORT) || 13031,
 
-  // Git configuration - customize based on your git setup
-  git: {
+  // GitHub hosts, keyed by hostname: github.com plus any GitHub Enterprise Server
+  // hosts listed under "hosts" in config.json (see loadHosts)
+  hosts: loadHosts(userConfig.hosts),
+
+  // USD per million tokens by model, for usage accounting (see loadPrices)
+  prices: loadPrices(userConfig.prices),
+
+  // Claude provider and models for agent runs (see loadAgentConfig, checked by model-provider.js)
+  agent: loadAgentConfig(userConfig.agent)
+};
+
+/**
+ * Build the host registry
+ *
+ * github.com is always present and configured from .env. Enterprise hosts come
+ * from config.json, e.g.:
+ *   "hosts": {
+ *     "github.example.com": {
+ *       "protocol": "https",
+ *       "credentialHelper": "osxkeychain",
+ *       "tokenEnv": "GHE_TOKEN"
+ *     }
+ *   }
+ * Tokens are never stored in config.json - tokenEnv names the environment variable holding it.
+ */
+function loadHosts(configuredHosts = {}) {
+  const hosts = {
     'github.com': {
+      webUrl: 'https://github.com',
+      apiUrl: process.env.GITHUB_API_URL || userConfig.githubApiUrl || 'https://api.github.com',
       protocol: process.env.GIT_GITHUB_PROTOCOL || 'ssh',
-      sshKey: process.env.GIT_GITHUB_SSH_KEY || '~/.ssh/id_ed25519'
+      sshHost: 'github.com',
+      sshKey: process.env.GIT_GITHUB_SSH_KEY || null,
+      credentialHelper: process.env.GIT_GITHUB_CREDENTIAL_HELPER || null,
+      tokenEnv: 'GITHUB_TOKEN'
     }
+  };
+
+  for (const [host, entry] of Object.entries(configuredHosts)) {
+    hosts[host] = {
+      webUrl: `https://${host}`,
+      apiUrl: `https://${host}/api/v3`,
+      protocol: 'ssh',
+      sshHost: host,
+      sshKey: null,
+      credentialHelper: null,
+      tokenEnv: null,
+      ...entry
+    };
   }
-};
+
+  for (const entry of Object.values(hosts)) {
+    entry.webUrl = entry.webUrl.replace(/\/$/, '');
+    entry.apiUrl = entry.apiUrl.replace(/\/$/, '');
+    entry.token = (entry.tokenEnv && process.env[entry.tokenEnv]) || '';
+  }
+
+  return hosts;
+}
+
+/**
+ * Build the price table
+ *
+ * config.json can override or add models, e.g. for negotiated prices:
+ *   "prices": {
+ *     "claude-sonnet-4": { "input": 3, "output": 15, "cacheWrite": 3.75, "cacheRead": 0.3 }
+ *   }
+ */
+function loadPrices(configuredPrices = {}) {
+  const prices = { ...DEFAULT_PRICES };
+  for (const [model, entry] of Object.entries(configuredPrices)) {
+    prices[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, ...prices[model], ...entry };
+  }
+  return prices;
+}
+
+/**
+ * Build the agent's provider and model settings (priority: env > config.json > defaults)
+ *
+ * config.json example - empty models use the CLI's default model:
+ *   "agent": {
+ *     "provider": "anthropic",
+ *     "model": "claude-sonnet-4-5",
+ *     "questionsModel": "claude-haiku-4-5",
+ *     "actionsModel": "claude-opus-4-5",
+ *     "fallbackModel": "claude-sonnet-4-5"
+ *   }
+ * Without a provider, Bedrock or Vertex is used if its environment is set up, else the Anthropic API.
+ */
+export function loadAgentConfig(configuredAgent = {}) {
+  const agent = {};
+  for (const [field, envVar] of Object.entries(AGENT_ENV_VARS)) {
+    agent[field] = process.env[envVar] || configuredAgent[field] || null;
+  }
+
+  if (!agent.provider) {
+    if (process.env.CLAUDE_CODE_USE_BEDROCK) {
+      agent.provider = 'bedrock';
+    } else if (process.env.ANTHROPIC_VERTEX_PROJECT_ID) {
+      agent.provider = 'vertex';
+    } else {
+      agent.provider = 'anthropic';
+    }
+  }
+  return agent;
+}
 
 /**
  * Reload configuration from config.json
@@ -79,6 +201,10 @@ export function reloadConfig() {
     // Update the exported config object
     config.prReviewsDir = newConfig.prReviewsDir || config.prReviewsDir;
     config.projectsDir = newConfig.projectsDir || config.projectsDir;
+    userConfig = newConfig;
+    config.hosts = loadHosts(newConfig.hosts);
+    config.prices = loadPrices(newConfig.prices);
+    config.agent = loadAgentConfig(newConfig.agent);
 
     console.log('[CONFIG] Configuration reloaded:', {
       prReviewsDir: config.prReviewsDir,
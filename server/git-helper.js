@@ -7,156 +7,714 @@
 
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import os from 'os';
+import { execFileSync, execFile } from 'child_process';
+import { promisify } from 'util';
 import { config } from './config.js';
+import { parseRepoName, getHost, DEFAULT_HOST } from './github-hosts.js';
+
+const execFileAsync = promisify(execFile);
 
 /**
  * Get or clone a repository, returning the path and preparation status
+ *
+ * The clone under projectsDir is only ever fetched (or freshly cloned) - its
+ * working copy and checked-out branch are never touched, because users keep
+ * real WIP there. Sessions run in their own worktree via createSessionWorktree().
+ *
+ * The PR head is always fetched from refs/pull/<n>/head, which works for PRs from
+ * forks as well as same-repo branches. Where the head branch can be pushed to, it
+ * is also fetched from its own remote (origin, or the fork added as "fork-<owner>").
  * @param {string} fullRepoName - e.g., "myorg/myrepo" or "github.example.com/myorg/myrepo"
- * @param {string} branch - Branch to checkout
- * @returns {Promise<{path: string, prepared: boolean, cloned: boolean, checkedOut: boolean, pulled: boolean, error: string|null}>}
+ * @param {Object} head - PR head to prepare
+ * @param {string|number} head.prNumber - PR number
+ * @param {string} head.branch - Head branch name
+ * @param {string|null} head.forkRepoFullName - Fork the head branch lives in (null for same-repo PRs)
+ * @param {boolean} [head.headDeleted] - The fork the PR came from has been deleted (head can be read, not pushed to)
+ * @param {string|null} head.sha - Expected head commit, if known
+ * @returns {Promise<{path: string, prepared: boolean, cloned: boolean, fetched: boolean, migrated: boolean, headRef: string|null, headSha: string|null, pushRemote: string|null, pushBranch: string|null, pushError: string|null, error: string|null}>}
  */
-export async function getOrCloneRepo(fullRepoName, branch) {
-  // Extract repo name (last part of path)
-  const repoName = fullRepoName.split('/').pop();
-  const repoPath = path.join(config.projectsDir, repoName);
+export async function getOrCloneRepo(fullRepoName, head) {
+  const env = { ...process.env, ...getGitEnv(fullRepoName) };
+  let repoPath = getRepoPath(fullRepoName);
 
-  console.log(`[GIT] Checking for repo: ${repoName}`);
+  console.log(`[GIT] Checking for repo: ${fullRepoName}`);
   console.log(`[GIT] Expected path: ${repoPath}`);
 
   const status = {
     path: repoPath,
     prepared: false,
     cloned: false,
-    checkedOut: false,
-    pulled: false,
+    fetched: false,
+    migrated: false,
+    headRef: null,
+    headSha: null,
+    pushRemote: null,
+    pushBranch: null,
+    pushError: null,
     error: null
   };
 
+  const headError = validatePRHead(head);
+  if (headError) {
+    console.error(`[GIT] ❌ ${headError}`);
+    status.error = headError;
+    return status;
+  }
+
+  // Pick up a clone from the older flat layouts if there is one
+  if (!isGitRepo(repoPath)) {
+    const migratedPath = migrateFlatClone(fullRepoName, repoPath);
+    if (migratedPath) {
+      repoPath = migratedPath;
+      status.path = migratedPath;
+      status.migrated = true;
+    }
+  }
+
   // Check if repo already exists
-  if (fs.existsSync(repoPath) && fs.existsSync(path.join(repoPath, '.git'))) {
+  if (isGitRepo(repoPath)) {
     console.log(`[GIT] ✅ Found existing repo at ${repoPath}`);
 
-    // Try to fetch latest changes
+    // Never fetch into (or run an agent in) a clone of some other repository
+    const originError = verifyOrigin(repoPath, fullRepoName);
+    if (originError) {
+      console.error(`[GIT] ❌ ${originError}`);
+      status.error = originError;
+      return status;
+    }
+
+    // Fetch only updates remote-tracking refs, leaving the working copy alone
     try {
       console.log(`[GIT] Fetching latest changes...`);
-      execSync('git fetch --all', { cwd: repoPath, stdio: 'inherit' });
+      await runGit(['fetch', 'origin'], { cwd: repoPath, env });
+      status.fetched = true;
     } catch (error) {
       console.error(`[GIT] ❌ Fetch failed:`, error.message);
       status.error = `Failed to fetch latest changes: ${error.message}`;
       return status;
     }
+  } else {
+    // Repo doesn't exist, need to clone
+    console.log(`[GIT] Repository not found, cloning to ${repoPath}...`);
+
+    // Determine clone URL based on configuration
+    const cloneUrl = getCloneUrl(fullRepoName);
 
-    // Check if branch exists locally or remotely
-    let branchExists = false;
     try {
-      execSync(`git rev-parse --verify ${branch}`, { cwd: repoPath, stdio: 'pipe' });
-      branchExists = true;
-    } catch (e) {
-      // Try remote branch
-      try {
-        execSync(`git rev-parse --verify origin/${branch}`, { cwd: repoPath, stdio: 'pipe' });
-        branchExists = true;
-      } catch (e2) {
-        console.log(`[GIT] ⚠️  Branch ${branch} not found locally or remotely`);
-        status.error = `Branch '${branch}' not found locally or remotely`;
-        return status;
-      }
-    }
+      // Ensure the host's directory under projectsDir exists
+      fs.mkdirSync(path.dirname(repoPath), { recursive: true });
 
-    if (!branchExists) {
-      status.error = `Branch '${branch}' does not exist`;
+      // Clone the repository
+      console.log(`[GIT] Cloning from ${cloneUrl}...`);
+      await runGit(['clone', cloneUrl, repoPath], { env });
+      status.cloned = true;
+      status.fetched = true; // Fresh clone is already up-to-date
+    } catch (error) {
+      console.error(`[GIT] ❌ Error cloning repo:`, error.message);
+      status.error = `Failed to clone repository: ${error.message}`;
       return status;
     }
+  }
+
+  // The exact PR head, wherever the branch lives
+  const headRef = `origin/pull/${head.prNumber}`;
+  try {
+    console.log(`[GIT] Fetching PR head (refs/pull/${head.prNumber}/head)...`);
+    await runGit(['fetch', 'origin', `+refs/pull/${head.prNumber}/head:refs/remotes/${headRef}`], { cwd: repoPath, env });
+    status.headRef = headRef;
+    status.headSha = (await runGit(['rev-parse', headRef], { cwd: repoPath })).trim();
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to fetch PR head:`, error.message);
+    status.error = `Failed to fetch head of PR #${head.prNumber}: ${error.message}`;
+    return status;
+  }
 
-    // Checkout the branch
-    console.log(`[GIT] Checking out branch: ${branch}`);
+  if (head.sha && head.sha !== status.headSha) {
+    // PR was pushed to after the metadata was read - the fetched head is newer, so use it
+    console.log(`[GIT] ⚠️  PR head is ${status.headSha.slice(0, 7)}, expected ${head.sha.slice(0, 7)} (PR updated since metadata was fetched)`);
+  }
+
+  // Find somewhere to push the head branch to - never origin for a deleted fork's
+  // branch, since a branch of the same name there (e.g. "main") is someone else's
+  if (head.headDeleted) {
+    console.log(`[GIT] ⚠️  The fork PR #${head.prNumber} came from has been deleted - the PR head can be read but not pushed to`);
+    status.pushError = 'the fork this PR was opened from has been deleted';
+  } else {
     try {
-      execSync(`git checkout ${branch}`, { cwd: repoPath, stdio: 'inherit' });
-      status.checkedOut = true;
+      const pushRemote = head.forkRepoFullName ? addForkRemote(repoPath, head.forkRepoFullName) : 'origin';
+      if (pushRemote !== 'origin') {
+        await runGit(['fetch', pushRemote, head.branch], { cwd: repoPath, env });
+      }
+      await runGit(['rev-parse', '--verify', `${pushRemote}/${head.branch}`], { cwd: repoPath });
+      status.pushRemote = pushRemote;
+      status.pushBranch = head.branch;
     } catch (e) {
-      try {
-        console.log(`[GIT] Branch doesn't exist locally, creating from remote...`);
-        execSync(`git checkout -b ${branch} origin/${branch}`, { cwd: repoPath, stdio: 'inherit' });
-        status.checkedOut = true;
-      } catch (e2) {
-        console.error(`[GIT] ❌ Checkout failed:`, e2.message);
-        status.error = `Failed to checkout branch '${branch}': ${e2.message}`;
-        return status;
+      const where = head.forkRepoFullName || 'origin';
+      console.log(`[GIT] ⚠️  Branch ${head.branch} not found on ${where} - the PR head can be read but not pushed to`);
+      status.pushError = `Branch '${head.branch}' could not be fetched from ${where}`;
+    }
+  }
+
+  console.log(`[GIT] ✅ Repository ready at ${repoPath} (PR head ${status.headSha.slice(0, 7)})`);
+  status.prepared = true;
+  return status;
+}
+
+/**
+ * Check the PR head's number, branch and fork before they reach git
+ * The branch and fork are named by the PR's author, so they are only used if
+ * git takes them as they are.
+ * @returns {string|null} What is wrong with them, or null if they can be used
+ */
+function validatePRHead(head) {
+  if (!/^[1-9]\d*$/.test(String(head.prNumber))) {
+    return `Invalid PR number: ${head.prNumber}`;
+  }
+  if (!isValidBranchName(head.branch)) {
+    return `The PR's head branch '${head.branch}' is not a valid branch name`;
+  }
+  if (head.forkRepoFullName) {
+    try {
+      parseRepoName(head.forkRepoFullName);
+    } catch (error) {
+      return `The PR's head repository '${head.forkRepoFullName}' is not a valid repository name`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether git accepts a name as a branch name unchanged (rejects e.g. "-x", "a b" and "@{-1}")
+ */
+function isValidBranchName(branch) {
+  if (typeof branch !== 'string' || !branch) return false;
+  try {
+    return execFileSync('git', ['check-ref-format', '--branch', branch], { encoding: 'utf8', stdio: 'pipe' }).trim() === branch;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Add (or update) a remote for a PR's fork
+ * @param {string} repoPath - Path to the shared clone
+ * @param {string} forkRepoFullName - e.g. "contributor/myrepo" (host-prefixed on Enterprise hosts)
+ * @returns {string} Remote name ("fork-<owner>")
+ */
+function addForkRemote(repoPath, forkRepoFullName) {
+  const remoteName = `fork-${parseRepoName(forkRepoFullName).owner}`;
+  const forkUrl = getCloneUrl(forkRepoFullName);
+
+  try {
+    execFileSync('git', ['remote', 'get-url', remoteName], { cwd: repoPath, stdio: 'pipe' });
+    execFileSync('git', ['remote', 'set-url', remoteName, forkUrl], { cwd: repoPath, stdio: 'pipe' });
+  } catch (e) {
+    console.log(`[GIT] Adding fork remote ${remoteName} → ${forkUrl}`);
+    execFileSync('git', ['remote', 'add', remoteName, forkUrl], { cwd: repoPath, stdio: 'pipe' });
+  }
+
+  return remoteName;
+}
+
+/**
+ * Provision an isolated worktree for an agent session
+ *
+ * The worktree lives under config.worktreesDir and gets its own local branch
+ * (claude-buddy/<session>) starting at the PR head, so it never conflicts
+ * with whatever the user has checked out in their own clone.
+ * @param {string} repoPath - Path to the shared clone (from getOrCloneRepo)
+ * @param {string} sessionId - Agent session the worktree belongs to
+ * @param {string} headRef - Ref to start from (headRef from getOrCloneRepo)
+ * @param {string|null} upstream - Remote branch to track, e.g. "origin/feature" (null if it can't be pushed to)
+ * @returns {{worktreePath: string|null, worktreeBranch: string|null, error: string|null}}
+ */
+export function createSessionWorktree(repoPath, sessionId, headRef, upstream = null) {
+  const repoName = path.basename(repoPath);
+  const worktreePath = path.join(config.worktreesDir, repoName, sessionId);
+  const worktreeBranch = `claude-buddy/${sessionId.slice(0, 8)}`;
+
+  console.log(`[GIT] Creating worktree for session ${sessionId} at ${worktreePath}`);
+
+  try {
+    fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+    // Drop registrations for worktrees whose directories have disappeared
+    execFileSync('git', ['worktree', 'prune'], { cwd: repoPath, stdio: 'pipe' });
+
+    execFileSync('git', ['worktree', 'add', '--no-track', '-B', worktreeBranch, worktreePath, headRef], { cwd: repoPath, stdio: 'inherit' });
+    if (upstream) {
+      execFileSync('git', ['branch', `--set-upstream-to=${upstream}`], { cwd: worktreePath, stdio: 'pipe' });
+    }
+
+    console.log(`[GIT] ✅ Worktree ready at ${worktreePath}`);
+    return { worktreePath, worktreeBranch, error: null };
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to create worktree:`, error.message);
+    return { worktreePath: null, worktreeBranch: null, error: `Failed to create worktree: ${error.message}` };
+  }
+}
+
+/**
+ * Remove a session worktree and its local branch
+ * Safe to call more than once; missing worktrees are ignored.
+ * @param {string} repoPath - Path to the shared clone the worktree was added to
+ * @param {string} worktreePath - Path returned by createSessionWorktree()
+ * @param {string} worktreeBranch - Branch returned by createSessionWorktree()
+ */
+export function removeSessionWorktree(repoPath, worktreePath, worktreeBranch) {
+  if (!worktreePath) return;
+
+  console.log(`[GIT] Removing worktree: ${worktreePath}`);
+
+  try {
+    if (fs.existsSync(worktreePath)) {
+      execFileSync('git', ['worktree', 'remove', '--force', worktreePath], { cwd: repoPath, stdio: 'pipe' });
+    }
+    execFileSync('git', ['worktree', 'prune'], { cwd: repoPath, stdio: 'pipe' });
+  } catch (error) {
+    console.error(`[GIT] ⚠️  Failed to remove worktree cleanly:`, error.message);
+    fs.rmSync(worktreePath, { recursive: true, force: true });
+  }
+
+  if (worktreeBranch) {
+    try {
+      execFileSync('git', ['branch', '-D', worktreeBranch], { cwd: repoPath, stdio: 'pipe' });
+    } catch (error) {
+      // Branch may already be gone
+    }
+  }
+}
+
+/**
+ * Whether a PR's head has commits a session worktree doesn't (the author pushed since it was created)
+ * Re-fetches refs/pull/<n>/head; commits the session pushed itself are already in the worktree.
+ * A failed fetch counts as moved, so the caller prepares the workspace afresh and reports the error.
+ * @param {string} fullRepoName - e.g. "myorg/myrepo"
+ * @param {string} repoPath - Path to the shared clone
+ * @param {string|number} prNumber - PR number
+ * @param {string} worktreePath - Session worktree to compare against
+ * @returns {Promise<boolean>}
+ */
+export async function hasPRHeadMoved(fullRepoName, repoPath, prNumber, worktreePath) {
+  const env = { ...process.env, ...getGitEnv(fullRepoName) };
+  const headRef = `origin/pull/${prNumber}`;
+
+  try {
+    await runGit(['fetch', 'origin', `+refs/pull/${prNumber}/head:refs/remotes/${headRef}`], { cwd: repoPath, env });
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to fetch PR head:`, error.message);
+    return true;
+  }
+
+  try {
+    await runGit(['merge-base', '--is-ancestor', headRef, 'HEAD'], { cwd: worktreePath });
+    return false;
+  } catch (error) {
+    console.log(`[GIT] PR #${prNumber} has new commits since ${worktreePath} was created`);
+    return true;
+  }
+}
+
+/**
+ * Where a repository's shared clone lives: projectsDir/<host>/<owner>/<repo>
+ * Qualifying by host and owner keeps e.g. acme/api and other-org/api apart.
+ */
+export function getRepoPath(fullRepoName) {
+  const { host, owner, repo } = parseRepoName(fullRepoName);
+  return path.join(config.projectsDir, host, owner, repo);
+}
+
+/**
+ * Move a clone from an older layout to its owner-qualified path
+ *
+ * Earlier versions cloned to projectsDir/<repo> (github.com) and then
+ * projectsDir/<host>/<repo>. A clone found there is only relocated if its origin
+ * is this repository; one with linked worktrees (e.g. the user's own) is left
+ * where it is and used in place, since moving it would break them.
+ * @returns {string|null} Path of the clone to use, or null if there is none
+ */
+function migrateFlatClone(fullRepoName, repoPath) {
+  const { host, repo } = parseRepoName(fullRepoName);
+  const legacyPaths = [path.join(config.projectsDir, host, repo)];
+  if (host === DEFAULT_HOST) {
+    legacyPaths.push(path.join(config.projectsDir, repo));
+  }
+
+  for (const legacyPath of legacyPaths) {
+    if (!isGitRepo(legacyPath)) continue;
+
+    const originError = verifyOrigin(legacyPath, fullRepoName);
+    if (originError) {
+      console.log(`[GIT] Not migrating ${legacyPath}: ${originError}`);
+      continue;
+    }
+
+    try {
+      execFileSync('git', ['worktree', 'prune'], { cwd: legacyPath, stdio: 'pipe' });
+      const worktrees = execFileSync('git', ['worktree', 'list', '--porcelain'], { cwd: legacyPath, encoding: 'utf8' })
+        .split('\n')
+        .filter(line => line.startsWith('worktree '));
+
+      if (worktrees.length > 1) {
+        console.log(`[GIT] ⚠️  ${legacyPath} has linked worktrees - using it in place instead of moving it to ${repoPath}`);
+        return legacyPath;
       }
+
+      fs.mkdirSync(path.dirname(repoPath), { recursive: true });
+      fs.renameSync(legacyPath, repoPath);
+      console.log(`[GIT] 📦 Migrated flat clone ${legacyPath} → ${repoPath}`);
+      return repoPath;
+    } catch (error) {
+      console.error(`[GIT] ⚠️  Failed to migrate ${legacyPath}, using it in place:`, error.message);
+      return legacyPath;
     }
+  }
+
+  return null;
+}
 
-    // Pull latest changes
-    console.log(`[GIT] Pulling latest changes...`);
+/**
+ * Check that a clone's origin points at the expected repository
+ * @returns {string|null} Why the clone doesn't match, or null if it does
+ */
+function verifyOrigin(repoPath, fullRepoName) {
+  let originUrl;
+  try {
+    originUrl = execFileSync('git', ['config', '--get', 'remote.origin.url'], { cwd: repoPath, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (e) {
+    return `${repoPath} has no 'origin' remote`;
+  }
+
+  const { host, slug } = parseRepoName(fullRepoName);
+  const { webUrl, sshHost } = getHost(host);
+  const origin = parseRemoteUrl(originUrl);
+  const hostNames = [host, sshHost, new URL(webUrl).hostname].map(name => name.split(':')[0].toLowerCase());
+
+  if (!origin || !hostNames.includes(origin.host) || origin.slug !== slug.toLowerCase()) {
+    return `${repoPath} is a clone of ${originUrl}, not ${fullRepoName}`;
+  }
+  return null;
+}
+
+/**
+ * Extract host and owner/repo from a git remote URL
+ * Handles scp-style (git@host:owner/repo.git) and URL-style (ssh://, https://) remotes.
+ * @returns {{host: string, slug: string}|null} Lowercased, or null if unrecognised
+ */
+function parseRemoteUrl(url) {
+  const scpMatch = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+  let host;
+  let repoPath;
+
+  if (scpMatch) {
+    [, host, repoPath] = scpMatch;
+  } else {
     try {
-      execSync('git pull', { cwd: repoPath, stdio: 'inherit' });
-      status.pulled = true;
+      const parsed = new URL(url);
+      host = parsed.hostname;
+      repoPath = parsed.pathname;
     } catch (e) {
-      console.error(`[GIT] ❌ Pull failed:`, e.message);
-      status.error = `Failed to pull latest changes: ${e.message}`;
-      return status;
+      return null;
     }
+  }
 
-    console.log(`[GIT] ✅ Repository ready at ${repoPath}`);
-    status.prepared = true;
-    return status;
+  const segments = repoPath.replace(/\.git\/?$/, '').split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+
+  return { host: host.toLowerCase(), slug: segments.slice(-2).join('/').toLowerCase() };
+}
+
+/**
+ * Run git without blocking the event loop
+ * Clone, fetch and push take as long as the network does - running them
+ * synchronously would freeze every other run, WebSocket stream and request.
+ * @returns {Promise<string>} What the command printed
+ */
+async function runGit(args, options = {}) {
+  const { stdout } = await execFileAsync('git', args, { maxBuffer: 32 * 1024 * 1024, ...options });
+  return stdout;
+}
+
+/**
+ * Whether a directory is a git clone
+ */
+function isGitRepo(dirPath) {
+  return fs.existsSync(path.join(dirPath, '.git'));
+}
+
+/**
+ * Environment for git commands that talk to a repository's host
+ * Applies the host's SSH key (ssh) or credential helper (https). The agent's
+ * own git commands (e.g. push) run with the same environment.
+ */
+export function getGitEnv(fullRepoName) {
+  const { protocol, sshKey, credentialHelper } = getHost(parseRepoName(fullRepoName).host);
+  const env = {};
+
+  if (protocol === 'ssh' && sshKey) {
+    const keyPath = sshKey.replace(/^~(?=$|\/)/, os.homedir());
+    env.GIT_SSH_COMMAND = `ssh -i "${keyPath}" -o IdentitiesOnly=yes`;
+  }
+
+  if (protocol === 'https' && credentialHelper) {
+    env.GIT_CONFIG_COUNT = '1';
+    env.GIT_CONFIG_KEY_0 = 'credential.helper';
+    env.GIT_CONFIG_VALUE_0 = credentialHelper;
+  }
+
+  return env;
+}
+
+/**
+ * Determine the correct clone URL for the repository based on its host's protocol
+ */
+function getCloneUrl(fullRepoName) {
+  const { host, slug } = parseRepoName(fullRepoName);
+  const { protocol, webUrl, sshHost } = getHost(host);
+
+  if (protocol === 'https') {
+    return `${webUrl}/${slug}.git`;
   }
+  return `git@${sshHost}:${slug}.git`;
+}
 
-  // Repo doesn't exist, need to clone
-  console.log(`[GIT] Repository not found, cloning to ${repoPath}...`);
+/**
+ * Commit a ref points at, e.g. a remote-tracking branch
+ */
+export function getRefSha(repoPath, ref) {
+  return execFileSync('git', ['rev-parse', '--verify', `${ref}^{commit}`], { cwd: repoPath, encoding: 'utf8', stdio: 'pipe' }).trim();
+}
 
-  // Determine clone URL based on configuration
-  let cloneUrl = getCloneUrl(fullRepoName);
+/**
+ * Commit currently checked out in a worktree
+ */
+export function getHeadSha(worktreePath) {
+  return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: worktreePath, encoding: 'utf8' }).trim();
+}
 
+/**
+ * Commits between two points, oldest first
+ * @returns {Array<{sha: string, subject: string}>}
+ */
+export function listCommits(repoPath, base, head) {
+  const output = execFileSync('git', ['log', '--reverse', '--format=%H%x09%s', `${base}..${head}`], { cwd: repoPath, encoding: 'utf8' });
+  return output.split('\n').filter(Boolean).map(line => {
+    const [sha, ...subject] = line.split('\t');
+    return { sha, subject: subject.join('\t') };
+  });
+}
+
+/**
+ * Full diff between two commits
+ */
+export function getCommitDiff(repoPath, base, head) {
+  return execFileSync('git', ['diff', base, head], { cwd: repoPath, encoding: 'utf8', maxBuffer: 32 * 1024 * 1024 });
+}
+
+/**
+ * Keep a commit reachable under refs/claude-buddy/, so it survives its session worktree being removed
+ */
+export function pinCommit(repoPath, name, sha) {
+  execFileSync('git', ['update-ref', `refs/claude-buddy/${name}`, sha], { cwd: repoPath, stdio: 'pipe' });
+}
+
+/**
+ * Drop a ref added by pinCommit() - missing refs are ignored
+ */
+export function unpinCommit(repoPath, name) {
   try {
-    // Ensure Projects directory exists
-    if (!fs.existsSync(config.projectsDir)) {
-      fs.mkdirSync(config.projectsDir, { recursive: true });
-    }
+    execFileSync('git', ['update-ref', '-d', `refs/claude-buddy/${name}`], { cwd: repoPath, stdio: 'pipe' });
+  } catch (error) {
+    // Already gone
+  }
+}
 
-    // Clone the repository
-    console.log(`[GIT] Cloning from ${cloneUrl}...`);
-    execSync(`git clone ${cloneUrl} ${repoPath}`, { stdio: 'inherit' });
-    status.cloned = true;
+/**
+ * Cherry-pick commit ranges onto the tip of a remote branch and push the result
+ *
+ * Runs in a throwaway worktree, so neither the user's clone nor any session
+ * worktree is touched. Ranges that already sit on the branch tip are
+ * fast-forwarded, keeping their SHAs.
+ * @param {string} fullRepoName - Repository, for the host's git environment
+ * @param {string} repoPath - Path to the shared clone
+ * @param {Object} target - { remote, branch } to push to
+ * @param {Array<{base: string, head: string, label: string}>} ranges - Applied in order
+ * @returns {Promise<{sha: string|null, error: string|null}>} Branch head after the push
+ */
+export async function pushCommitRanges(fullRepoName, repoPath, { remote, branch }, ranges) {
+  const env = { ...process.env, ...getGitEnv(fullRepoName) };
+  const worktreePath = path.join(config.worktreesDir, path.basename(repoPath), `push-${Date.now()}`);
 
-    // Checkout the branch if it's not the default
-    if (branch && branch !== 'main' && branch !== 'master') {
-      console.log(`[GIT] Checking out branch: ${branch}`);
+  try {
+    console.log(`[GIT] Fetching ${remote}/${branch} before pushing...`);
+    await runGit(['fetch', remote, branch], { cwd: repoPath, env });
+    fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+    execFileSync('git', ['worktree', 'add', '--detach', worktreePath, `${remote}/${branch}`], { cwd: repoPath, stdio: 'pipe' });
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to prepare push:`, error.message);
+    removeSessionWorktree(repoPath, worktreePath, null);
+    return { sha: null, error: `Failed to check out ${remote}/${branch}: ${error.message}` };
+  }
+
+  try {
+    for (const range of ranges) {
       try {
-        execSync(`git checkout ${branch}`, { cwd: repoPath, stdio: 'inherit' });
-        status.checkedOut = true;
-      } catch (e) {
+        execFileSync('git', ['cherry-pick', '--ff', `${range.base}..${range.head}`], { cwd: worktreePath, stdio: 'pipe' });
+      } catch (error) {
+        console.error(`[GIT] ❌ Cherry-pick of ${range.label} failed:`, error.message);
         try {
-          console.log(`[GIT] Branch doesn't exist locally, creating from remote...`);
-          execSync(`git checkout -b ${branch} origin/${branch}`, { cwd: repoPath, stdio: 'inherit' });
-          status.checkedOut = true;
-        } catch (e2) {
-          console.error(`[GIT] ❌ Checkout failed after clone:`, e2.message);
-          status.error = `Repository cloned but failed to checkout branch '${branch}': ${e2.message}`;
-          return status;
+          execFileSync('git', ['cherry-pick', '--abort'], { cwd: worktreePath, stdio: 'pipe' });
+        } catch (abortError) {
+          // Nothing in progress - the worktree is removed below anyway
         }
+        return { sha: null, error: `The changes for ${range.label} don't apply on top of ${remote}/${branch} - reject or revise it and try again` };
       }
-    } else {
-      status.checkedOut = true; // Already on default branch
     }
 
-    console.log(`[GIT] ✅ Repository cloned successfully to ${repoPath}`);
-    status.prepared = true;
-    status.pulled = true; // Fresh clone is already up-to-date
-    return status;
+    console.log(`[GIT] Pushing to ${remote} ${branch}...`);
+    await runGit(['push', remote, `HEAD:${branch}`], { cwd: worktreePath, env });
+    const sha = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: worktreePath, encoding: 'utf8' }).trim();
+    console.log(`[GIT] ✅ Pushed ${remote}/${branch} at ${sha.slice(0, 7)}`);
+    return { sha, error: null };
   } catch (error) {
-    console.error(`[GIT] ❌ Error cloning repo:`, error.message);
-    status.error = `Failed to clone repository: ${error.message}`;
-    return status;
+    console.error(`[GIT] ❌ Push failed:`, error.message);
+    return { sha: null, error: `Failed to push to ${remote}/${branch}: ${error.message}` };
+  } finally {
+    removeSessionWorktree(repoPath, worktreePath, null);
   }
 }
 
 /**
- * Determine the correct clone URL for the repository
+ * Stash entries of a clone, newest first
+ * The stash is shared by the clone and all of its worktrees, so an agent's
+ * 'git stash' lands in the same list as the user's own stashes.
+ * @returns {Array<{sha: string, message: string}>}
  */
-function getCloneUrl(fullRepoName) {
-  // Use github.com SSH
-  return `git@github.com:${fullRepoName}.git`;
+export function listStashes(repoPath) {
+  const output = execFileSync('git', ['stash', 'list', '--format=%H%x09%gs'], { cwd: repoPath, encoding: 'utf8' });
+  return output.split('\n').filter(Boolean).map(line => {
+    const [sha, ...message] = line.split('\t');
+    return { sha, message: message.join('\t') };
+  });
+}
+
+/**
+ * Put a clone's stash list back to an earlier state
+ * Entries made on `worktreeBranch` since then are dropped; entries of `expected`
+ * that were popped or dropped since are stored again, on top of the list.
+ * Other stashes (e.g. the user's own) are left alone.
+ * @param {Array<{sha: string, message: string}>} expected - listStashes() at the earlier state
+ * @returns {{dropped: number, restored: number, error: string|null}}
+ */
+export function restoreStashes(repoPath, expected, worktreeBranch) {
+  try {
+    const current = listStashes(repoPath);
+    const expectedShas = new Set(expected.map(entry => entry.sha));
+    const currentShas = new Set(current.map(entry => entry.sha));
+    const madeBySession = message => message.startsWith(`WIP on ${worktreeBranch}:`) || message.startsWith(`On ${worktreeBranch}:`);
+
+    // Highest index first, so the indexes still to be dropped stay valid
+    const toDrop = current
+      .map((entry, index) => ({ ...entry, index }))
+      .filter(entry => !expectedShas.has(entry.sha) && madeBySession(entry.message))
+      .reverse();
+    toDrop.forEach(entry => {
+      execFileSync('git', ['stash', 'drop', `stash@{${entry.index}}`], { cwd: repoPath, stdio: 'pipe' });
+    });
+
+    // Oldest first, so they keep their order relative to each other
+    const toRestore = expected.filter(entry => !currentShas.has(entry.sha)).reverse();
+    toRestore.forEach(entry => {
+      execFileSync('git', ['stash', 'store', '-m', entry.message, entry.sha], { cwd: repoPath, stdio: 'pipe' });
+    });
+
+    if (toDrop.length > 0 || toRestore.length > 0) {
+      console.log(`[GIT] ✅ Stash restored: ${toDrop.length} dropped, ${toRestore.length} stored again`);
+    }
+    return { dropped: toDrop.length, restored: toRestore.length, error: null };
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to restore stash:`, error.message);
+    return { dropped: 0, restored: 0, error: `Failed to restore the stash: ${error.message}` };
+  }
+}
+
+/**
+ * Move a remote branch back to an earlier commit, dropping everything pushed on top of it
+ *
+ * Only a branch still at `expectedTip` is reset: anything else means someone
+ * pushed since, and resetting would drop their commits. It also refuses if the
+ * branch no longer contains `sha` (it was rebased or force-pushed since). The push
+ * uses --force-with-lease, so nothing pushed between the fetch and the push is lost.
+ * @param {string} fullRepoName - Repository, for the host's git environment
+ * @param {string} repoPath - Path to the shared clone
+ * @param {Object} target - { remote, branch } to reset
+ * @param {string} sha - Commit the branch should point at
+ * @param {string} expectedTip - Where the branch must be now, e.g. the last commit a run pushed
+ * @returns {Promise<{previousSha: string|null, error: string|null}>} The tip that was replaced (null if the branch was already at sha)
+ */
+export async function resetRemoteBranch(fullRepoName, repoPath, { remote, branch }, sha, expectedTip) {
+  const env = { ...process.env, ...getGitEnv(fullRepoName) };
+
+  let current;
+  try {
+    console.log(`[GIT] Fetching ${remote}/${branch} before resetting it...`);
+    await runGit(['fetch', remote, branch], { cwd: repoPath, env });
+    current = execFileSync('git', ['rev-parse', `${remote}/${branch}`], { cwd: repoPath, encoding: 'utf8' }).trim();
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to fetch ${remote}/${branch}:`, error.message);
+    return { previousSha: null, error: `Failed to fetch ${remote}/${branch}: ${error.message}` };
+  }
+
+  if (current === sha) {
+    return { previousSha: null, error: null };
+  }
+
+  if (current !== expectedTip) {
+    return { previousSha: null, error: `${remote}/${branch} is at ${current.slice(0, 7)}, not at ${expectedTip.slice(0, 7)} where the run left it - someone pushed since, so it is left as-is` };
+  }
+
+  try {
+    execFileSync('git', ['merge-base', '--is-ancestor', sha, current], { cwd: repoPath, stdio: 'pipe' });
+  } catch (error) {
+    return { previousSha: null, error: `${remote}/${branch} no longer contains ${sha.slice(0, 7)} - it was rewritten since, so it is left as-is` };
+  }
+
+  try {
+    console.log(`[GIT] Resetting ${remote}/${branch} from ${current.slice(0, 7)} to ${sha.slice(0, 7)}...`);
+    await runGit(['push', `--force-with-lease=${branch}:${current}`, remote, `${sha}:refs/heads/${branch}`], { cwd: repoPath, env });
+    console.log(`[GIT] ✅ Reset ${remote}/${branch} to ${sha.slice(0, 7)}`);
+    return { previousSha: current, error: null };
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to reset ${remote}/${branch}:`, error.message);
+    return { previousSha: null, error: `Failed to reset ${remote}/${branch}: ${error.message}` };
+  }
+}
+
+/**
+ * Discard all changes in a session worktree and move its branch back to `sha`
+ * A worktree that was already removed with its session is skipped.
+ * @returns {{error: string|null}}
+ */
+export function resetWorktree(worktreePath, sha) {
+  if (!worktreePath || !fs.existsSync(worktreePath)) {
+    return { error: null };
+  }
+
+  try {
+    try {
+      execFileSync('git', ['rebase', '--abort'], { cwd: worktreePath, stdio: 'pipe' });
+    } catch (error) {
+      // No rebase in progress - reset clears merges and cherry-picks itself
+    }
+    execFileSync('git', ['reset', '--hard', sha], { cwd: worktreePath, stdio: 'pipe' });
+    execFileSync('git', ['clean', '-fd'], { cwd: worktreePath, stdio: 'pipe' });
+    console.log(`[GIT] ✅ Reset worktree ${worktreePath} to ${sha.slice(0, 7)}`);
+    return { error: null };
+  } catch (error) {
+    console.error(`[GIT] ❌ Failed to reset worktree:`, error.message);
+    return { error: `Failed to reset the session worktree: ${error.message}` };
+  }
 }
 
 /**
@@ -165,7 +723,7 @@ function getCloneUrl(fullRepoName) {
 export function getDiff(repoPath, baseBranch, headBranch) {
   try {
     console.log(`[GIT] Getting diff between ${baseBranch} and ${headBranch}...`);
-    const diff = execSync(`git diff origin/${baseBranch}...${headBranch}`, {
+    const diff = execFileSync('git', ['diff', `origin/${baseBranch}...${headBranch}`], {
       cwd: repoPath,
       encoding: 'utf8'
     });
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub REST API client
+ * Shared by the PR metadata service and the review publisher
+ */
+
+import { getHost } from './github-hosts.js';
+
+/**
+ * Call the GitHub REST API
+ * The token is optional for reads of public repos. Errors carry the HTTP status
+ * so callers can react to validation failures.
+ * @param {string} host - GitHub host, e.g. "github.com" (see parseRepoName())
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below the API base, e.g. "/repos/o/r/pulls/1"
+ * @param {Object} [payload] - JSON body
+ */
+export async function githubRequest(host, method, apiPath, payload) {
+  const { apiUrl, token } = getHost(host);
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  if (payload) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${apiUrl}${apiPath}`, {
+    method,
+    headers,
+    body: payload ? JSON.stringify(payload) : undefined
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const details = (result.errors || []).map(e => (typeof e === 'string' ? e : e.message)).filter(Boolean).join('; ');
+    const error = new Error(`GitHub API ${response.status}: ${result.message || response.statusText}${details ? ` (${details})` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result;
+}
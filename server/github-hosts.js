@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Host Registry
+ * Resolves repository names to the GitHub host (github.com or a GitHub
+ * Enterprise Server) they live on.
+ *
+ * Repositories on github.com are named "owner/repo"; on any other host the
+ * hostname is prepended: "github.example.com/owner/repo".
+ */
+
+import { config } from './config.js';
+
+export const DEFAULT_HOST = 'github.com';
+
+// What GitHub allows in owner and repository names (and hostnames) - anything
+// else, such as a fork named by a PR's author, never reaches git or a path
+const NAME_PART_PATTERN = /^(?!-)(?!\.+$)[A-Za-z0-9._:-]+$/;
+
+/**
+ * Split a full repository name into host, owner and repo
+ * @param {string} fullRepoName - e.g. "myorg/myrepo" or "github.example.com/myorg/myrepo"
+ * @returns {{host: string, owner: string, repo: string, slug: string}} slug is "owner/repo"
+ */
+export function parseRepoName(fullRepoName) {
+  const parts = String(fullRepoName).split('/');
+  if (parts.length < 2 || parts.some(part => !NAME_PART_PATTERN.test(part))) {
+    throw new Error(`Invalid repository name: ${fullRepoName}`);
+  }
+
+  const [owner, repo] = parts.slice(-2);
+  const host = parts.length > 2 ? parts.slice(0, -2).join('/') : DEFAULT_HOST;
+  return { host, owner, repo, slug: `${owner}/${repo}` };
+}
+
+/**
+ * Build a full repository name for an "owner/repo" slug on a host
+ */
+export function formatRepoName(host, slug) {
+  return host === DEFAULT_HOST ? slug : `${host}/${slug}`;
+}
+
+/**
+ * Get a host's configuration
+ * @returns {{webUrl: string, apiUrl: string, protocol: string, sshHost: string, sshKey: string|null, credentialHelper: string|null, tokenEnv: string|null, token: string}}
+ */
+export function getHost(host) {
+  const entry = config.hosts[host];
+  if (!entry) {
+    throw new Error(`Unknown GitHub host '${host}' - add it under "hosts" in server/config.json`);
+  }
+  return entry;
+}
+
+/**
+ * Hosts as shown to the extension (no credentials)
+ */
+export function listHosts() {
+  return Object.entries(config.hosts).map(([host, entry]) => ({
+    host,
+    webUrl: entry.webUrl,
+    hasToken: !!entry.token
+  }));
+}
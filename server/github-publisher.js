@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Review Publisher
+ * Turns answered questions and completed actions into a GitHub PR review
+ * with line-anchored comments, so reviewers without the extension see them.
+ */
+
+import { githubRequest } from './github-api.js';
+import { parseRepoName, getHost } from './github-hosts.js';
+
+const REVIEW_EVENTS = ['COMMENT', 'APPROVE', 'REQUEST_CHANGES'];
+
+/**
+ * Create a pending review on a PR
+ * Items whose lines aren't part of the diff can't be anchored; if GitHub rejects
+ * the review for that reason, it is retried with those items folded into the body.
+ * @param {Object} prInfo - { fullRepoName, prNumber }
+ * @param {Array<Object>} items - { kind: 'question'|'action', file, lines, question, answer, action, summary }
+ * @param {string} body - Optional top-level review text
+ * @returns {Promise<{reviewId: number, htmlUrl: string, state: string, unanchored: number}>}
+ */
+export async function createPendingReview(prInfo, items, body = '') {
+  const { host, slug } = parseRepoName(prInfo.fullRepoName);
+  requireToken(host);
+
+  const apiPath = `/repos/${slug}/pulls/${prInfo.prNumber}/reviews`;
+  const comments = items.map(toReviewComment);
+
+  console.log(`[GITHUB] Creating pending review on ${prInfo.fullRepoName}#${prInfo.prNumber} with ${comments.length} comment(s)`);
+
+  try {
+    const review = await githubRequest(host, 'POST', apiPath, { body, comments });
+    return { reviewId: review.id, htmlUrl: review.html_url, state: review.state, unanchored: 0 };
+  } catch (error) {
+    if (error.status !== 422 || comments.length === 0) {
+      throw error;
+    }
+
+    // Usually "Line could not be resolved" - keep the text, drop the anchors
+    console.warn(`[GITHUB] ⚠️  Review rejected (${error.message}), retrying with comments in the review body`);
+    const fallbackBody = [body, ...items.map(formatUnanchoredItem)].filter(Boolean).join('\n\n---\n\n');
+    const review = await githubRequest(host, 'POST', apiPath, { body: fallbackBody, comments: [] });
+    return { reviewId: review.id, htmlUrl: review.html_url, state: review.state, unanchored: items.length };
+  }
+}
+
+/**
+ * Submit a pending review
+ * @param {Object} prInfo - { fullRepoName, prNumber }
+ * @param {number} reviewId - Id returned by createPendingReview()
+ * @param {'COMMENT'|'APPROVE'|'REQUEST_CHANGES'} event - How to submit
+ * @param {string} body - Optional top-level review text (required by GitHub for REQUEST_CHANGES)
+ */
+export async function submitReview(prInfo, reviewId, event, body = '') {
+  const { host, slug } = parseRepoName(prInfo.fullRepoName);
+  requireToken(host);
+
+  if (!REVIEW_EVENTS.includes(event)) {
+    throw new Error(`Invalid review event: ${event}`);
+  }
+
+  console.log(`[GITHUB] Submitting review ${reviewId} on ${prInfo.fullRepoName}#${prInfo.prNumber} as ${event}`);
+
+  const review = await githubRequest(
+    host,
+    'POST',
+    `/repos/${slug}/pulls/${prInfo.prNumber}/reviews/${reviewId}/events`,
+    { event, body }
+  );
+  return { reviewId: review.id, htmlUrl: review.html_url, state: review.state };
+}
+
+/**
+ * Reviews can't be created anonymously
+ */
+function requireToken(host) {
+  const { token, tokenEnv } = getHost(host);
+  if (!token) {
+    throw new Error(tokenEnv
+      ? `${tokenEnv} is not set - add it to .env to publish reviews on ${host}`
+      : `No token configured for ${host} - set "tokenEnv" for it in server/config.json`);
+  }
+}
+
+/**
+ * Map an item's file/lines (e.g. "L42" or "L42-L58") to a review comment on the new side of the diff
+ */
+function toReviewComment(item) {
+  const { startLine, endLine } = parseLineRange(item.lines);
+  const comment = {
+    path: item.file,
+    line: endLine,
+    side: 'RIGHT',
+    body: formatItemBody(item)
+  };
+
+  if (startLine !== endLine) {
+    comment.start_line = startLine;
+    comment.start_side = 'RIGHT';
+  }
+
+  return comment;
+}
+
+/**
+ * Parse "L42" / "L42-L58" into numbers
+ */
+function parseLineRange(lines) {
+  const match = String(lines || '').match(/L?(\d+)(?:\s*-\s*L?(\d+))?/);
+  if (!match) {
+    throw new Error(`Cannot anchor comment - invalid line range: ${lines}`);
+  }
+
+  const startLine = parseInt(match[1]);
+  const endLine = match[2] ? parseInt(match[2]) : startLine;
+  return { startLine, endLine };
+}
+
+/**
+ * Comment text for a question/answer or action/summary
+ */
+function formatItemBody(item) {
+  if (item.kind === 'action') {
+    return `**Action:** ${item.action}\n\n${item.summary}`;
+  }
+  return `**Q:** ${item.question}\n\n${item.answer}`;
+}
+
+/**
+ * Review body section for an item that couldn't be anchored to the diff
+ */
+function formatUnanchoredItem(item) {
+  return `\`${item.file}\` ${item.lines}\n\n${formatItemBody(item)}`;
+}
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * Job Queue
+ * Runs Questions/Actions (and question follow-up) agent sessions as background jobs.
+ *
+ * Jobs for the same repository run one at a time because they share the clone
+ * under projectsDir; jobs for different repositories run in parallel.
+ */
+
+import { randomUUID } from 'crypto';
+import { answerQuestionsWithAgent, answerFollowUpsWithAgent, completeActionsWithAgent, handleStop, sendProgress, retainSession, releaseSession } from './agent-server.js';
+
+// Finished jobs kept around for /jobs listings before the oldest are dropped
+const MAX_FINISHED_JOBS = 50;
+
+const runners = {
+  questions: answerQuestionsWithAgent,
+  followups: answerFollowUpsWithAgent,
+  actions: completeActionsWithAgent
+};
+
+const jobs = new Map(); // jobId → job
+const repoQueues = new Map(); // fullRepoName → [jobId, ...] waiting to run
+const runningRepos = new Map(); // fullRepoName → jobId currently running
+
+/**
+ * Add a job to its repository's queue and start it if the repo is idle
+ * @param {Object} params
+ * @param {'questions'|'followups'|'actions'} params.type - Which agent run to perform
+ * @param {string} params.sessionId - Agent session the job streams progress to
+ * @param {Object} params.prInfo - PR info from the extension
+ * @param {string} params.filePath - Absolute path to the Questions/Actions file
+ * @param {Array<string>} [params.itemIds] - Only work on these questions/actions (default: all pending)
+ * @param {boolean} [params.reviewBeforePush] - Actions only: commit locally and leave pushing to the reviewer
+ * @param {string} [params.profile] - Permission profile for the run (default: the one set for its mode)
+ * @param {Object} [params.budget] - Limits overriding the mode's budget for this run (see run-budgets.js)
+ * @param {string} [params.thinking] - Thinking preset for the run (default: the one set for its mode)
+ * @returns {Object} The queued job (serialized)
+ */
+export function enqueueJob({ type, sessionId, prInfo, filePath, itemIds = null, reviewBeforePush = false, profile = null, budget = null, thinking = null }) {
+  if (!runners[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const job = {
+    id: randomUUID(),
+    type,
+    sessionId,
+    prInfo,
+    filePath,
+    itemIds,
+    reviewBeforePush: !!reviewBeforePush,
+    profile,
+    budget,
+    thinking,
+    repo: prInfo.fullRepoName,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+
+  // Keep the session alive even if the browser disconnects while the job is queued/running
+  retainSession(sessionId);
+
+  if (!repoQueues.has(job.repo)) {
+    repoQueues.set(job.repo, []);
+  }
+  repoQueues.get(job.repo).push(job.id);
+
+  console.log(`[JOBS] Queued ${type} job ${job.id} for ${job.repo} (PR #${prInfo.prNumber})`);
+
+  if (runningRepos.has(job.repo)) {
+    const ahead = repoQueues.get(job.repo).length;
+    sendProgress(sessionId, `Queued: waiting for ${ahead} other job(s) on ${job.repo} to finish...`);
+  }
+
+  processQueue(job.repo);
+  return serializeJob(job);
+}
+
+/**
+ * Get a single job by id
+ */
+export function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * List all known jobs, newest first
+ */
+export function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(serializeJob);
+}
+
+/**
+ * Whether a job is running on a repository (and so using its shared clone)
+ */
+export function isRepoBusy(fullRepoName) {
+  return runningRepos.has(fullRepoName);
+}
+
+/**
+ * Cancel a job
+ * Queued jobs are removed from their queue; running jobs have their agent session stopped.
+ * @returns {{success: boolean, job?: Object, error?: string}}
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+
+  if (job.status === 'queued') {
+    const queue = repoQueues.get(job.repo) || [];
+    repoQueues.set(job.repo, queue.filter(id => id !== jobId));
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    sendProgress(job.sessionId, 'Job cancelled before it started', 'error');
+    releaseSession(job.sessionId);
+    console.log(`[JOBS] Cancelled queued job ${jobId}`);
+    return { success: true, job: serializeJob(job) };
+  }
+
+  if (job.status === 'running') {
+    // Mark first so runJob() doesn't record the abort as a failure
+    job.status = 'cancelled';
+    handleStop(job.sessionId);
+    console.log(`[JOBS] Cancelled running job ${jobId}`);
+    return { success: true, job: serializeJob(job) };
+  }
+
+  return { success: false, error: `Job already ${job.status}` };
+}
+
+/**
+ * Start the next queued job for a repository if nothing is running on it
+ */
+function processQueue(repo) {
+  if (runningRepos.has(repo)) return;
+
+  const queue = repoQueues.get(repo);
+  if (!queue || queue.length === 0) {
+    repoQueues.delete(repo);
+    return;
+  }
+
+  const job = jobs.get(queue.shift());
+  runningRepos.set(repo, job.id);
+
+  runJob(job).finally(() => {
+    runningRepos.delete(repo);
+    pruneFinishedJobs();
+    processQueue(repo);
+  });
+}
+
+/**
+ * Run a job to completion, recording its outcome
+ */
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`[JOBS] ▶️  Starting ${job.type} job ${job.id} for ${job.repo}`);
+
+  try {
+    const result = await runners[job.type](job.sessionId, job.prInfo, job.filePath, {
+      itemIds: job.itemIds,
+      reviewBeforePush: job.reviewBeforePush,
+      profile: job.profile,
+      budget: job.budget,
+      thinking: job.thinking
+    });
+    if (job.status !== 'cancelled') {
+      job.status = 'completed';
+      job.result = result;
+      console.log(`[JOBS] ✅ Job ${job.id} completed`);
+    }
+  } catch (error) {
+    if (job.status !== 'cancelled') {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`[JOBS] ❌ Job ${job.id} failed:`, error.message);
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    releaseSession(job.sessionId);
+  }
+}
+
+/**
+ * Drop the oldest finished jobs once there are more than MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => job.finishedAt)
+    .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+
+  while (finished.length > MAX_FINISHED_JOBS) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+/**
+ * Public view of a job (omits server-side file paths)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    sessionId: job.sessionId,
+    repo: job.repo,
+    prNumber: job.prInfo.prNumber,
+    headBranch: job.prInfo.headBranch,
+    itemIds: job.itemIds,
+    reviewBeforePush: job.reviewBeforePush,
+    profile: job.profile,
+    budget: job.budget,
+    thinking: job.thinking,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  };
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Model Provider
+ * Which backend the agent talks to - the Anthropic API, Google Vertex AI or
+ * Amazon Bedrock - and which model each kind of run uses. The settings come
+ * from config.agent (see loadAgentConfig in config.js); credentials stay in
+ * the environment:
+ *
+ *   anthropic  ANTHROPIC_API_KEY (or a `claude login` session)
+ *   vertex     ANTHROPIC_VERTEX_PROJECT_ID, CLOUD_ML_REGION and Google Cloud credentials
+ *   bedrock    AWS_REGION and AWS credentials
+ */
+
+export const PROVIDERS = ['anthropic', 'vertex', 'bedrock'];
+
+// Environment variable that switches the agent's CLI to a cloud provider
+const PROVIDER_SWITCHES = {
+  vertex: 'CLAUDE_CODE_USE_VERTEX',
+  bedrock: 'CLAUDE_CODE_USE_BEDROCK'
+};
+
+// Variables a cloud provider can't do without
+const REQUIRED_ENV = {
+  vertex: ['ANTHROPIC_VERTEX_PROJECT_ID', 'CLOUD_ML_REGION'],
+  bedrock: ['AWS_REGION']
+};
+
+// Anthropic ids (claude-sonnet-4-5), Vertex ids (claude-sonnet-4-5@20250929) and Bedrock ids or ARNs
+const MODEL_ID = /^[\w.:@/-]+$/;
+
+const MODEL_FIELDS = ['model', 'questionsModel', 'actionsModel', 'fallbackModel'];
+
+/**
+ * Check an agent configuration before it is used
+ * @param {Object} agent - { provider, model, questionsModel, actionsModel, fallbackModel }
+ * @param {Object} [env] - Environment the agent's CLI will run with
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Errors mean no run could start
+ */
+export function validateAgentConfig(agent, env = process.env) {
+  const errors = [];
+  const warnings = [];
+
+  if (!PROVIDERS.includes(agent.provider)) {
+    errors.push(`Unknown provider "${agent.provider}" (expected ${PROVIDERS.join(', ')})`);
+  }
+
+  for (const field of MODEL_FIELDS) {
+    if (agent[field] && (typeof agent[field] !== 'string' || !MODEL_ID.test(agent[field]))) {
+      errors.push(`${field} "${agent[field]}" is not a model id`);
+    }
+  }
+
+  if (agent.fallbackModel) {
+    for (const mode of ['questions', 'actions']) {
+      if (modelForRun(agent, mode) === agent.fallbackModel) {
+        errors.push(`The fallback model must differ from the ${mode} model (${agent.fallbackModel})`);
+      }
+    }
+  }
+
+  const missing = (REQUIRED_ENV[agent.provider] || []).filter(name => !env[name]);
+  if (missing.length > 0) {
+    errors.push(`The ${agent.provider} provider needs ${missing.join(' and ')} in .env`);
+  }
+
+  if (agent.provider === 'anthropic' && !env.ANTHROPIC_API_KEY) {
+    warnings.push('ANTHROPIC_API_KEY is not set - runs only work if the Claude CLI is logged in');
+  }
+
+  for (const [provider, name] of Object.entries(PROVIDER_SWITCHES)) {
+    if (provider !== agent.provider && env[name]) {
+      warnings.push(`${name} is set but the provider is ${agent.provider} - it is ignored`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Model for a kind of run: its own override, else the configured model
+ * @param {'questions'|'actions'} mode - Follow-up runs use the questions model
+ * @returns {string|null} null to use the CLI's default model
+ */
+export function modelForRun(agent, mode) {
+  return agent[`${mode}Model`] || agent.model || null;
+}
+
+/**
+ * The environment with only the configured provider's switch turned on
+ */
+export function providerEnv(agent, env = process.env) {
+  const providerEnv = { ...env };
+  Object.values(PROVIDER_SWITCHES).forEach(name => delete providerEnv[name]);
+  if (PROVIDER_SWITCHES[agent.provider]) {
+    providerEnv[PROVIDER_SWITCHES[agent.provider]] = '1';
+  }
+  return providerEnv;
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Path Jail
+ * Resolves client-supplied filenames inside prReviewsDir, rejecting anything
+ * that would escape it (../, absolute paths, symlinks) or isn't a review file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+const ALLOWED_EXTENSIONS = ['.md', '.jsonl'];
+
+/**
+ * Resolve a path relative to prReviewsDir
+ * @param {string} filename - Relative path from the client, e.g. "github.com/myorg/myrepo/PR-1/Questions 2025-01-15.md"
+ * @param {Array<string>} [extensions] - Allowed file extensions
+ * @returns {string} Absolute path inside prReviewsDir
+ * @throws {Error} With status 400/403 if the path is invalid or escapes the directory
+ */
+export function resolveReviewPath(filename, extensions = ALLOWED_EXTENSIONS) {
+  const filePath = resolveInsideReviewsDir(filename);
+
+  if (!extensions.includes(path.extname(filePath).toLowerCase())) {
+    throw jailError(400, `Only ${extensions.join(', ')} files can be accessed`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Resolve a directory relative to prReviewsDir (e.g. "github.com/myorg/myrepo/PR-1")
+ * @throws {Error} With status 400/403 if the path is invalid or escapes the directory
+ */
+export function resolveReviewDir(dirname) {
+  return resolveInsideReviewsDir(dirname);
+}
+
+function resolveInsideReviewsDir(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath.trim() || relativePath.includes('\0')) {
+    throw jailError(400, 'Missing or invalid filename');
+  }
+
+  const root = path.resolve(config.prReviewsDir);
+  const resolved = path.resolve(root, relativePath);
+
+  if (!isInside(root, resolved)) {
+    throw jailError(403, 'Path is outside the reviews directory');
+  }
+
+  // A symlink inside the directory could still point outside it
+  const realRoot = fs.existsSync(root) ? fs.realpathSync(root) : root;
+  if (!isInside(realRoot, realpathOfExisting(resolved))) {
+    throw jailError(403, 'Path is outside the reviews directory');
+  }
+
+  return resolved;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * realpath of the path, or of its nearest existing ancestor for files not created yet
+ */
+function realpathOfExisting(filePath) {
+  let existing = filePath;
+  const missing = [];
+
+  while (!fs.existsSync(existing)) {
+    missing.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+
+  return path.join(fs.realpathSync(existing), ...missing);
+}
+
+function jailError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
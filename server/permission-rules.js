@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * Permission Rules
+ * Allow, ask and deny rules for the agent's tool calls, set in the extension's
+ * settings. A rule is a tool name, optionally with a pattern for its argument:
+ *
+ *   Bash                   every command
+ *   Bash(npm test*)        commands starting with "npm test"
+ *   Edit({repo}/src/**)    files under src/ in the session's worktree
+ *   Edit({questions})      the PR's Questions file
+ *   WebFetch(https://docs.github.com/*)
+ *
+ * `*` matches anything in a command; in paths it stops at "/" and `**` crosses
+ * directories. Relative path patterns are relative to the worktree.
+ *
+ * Deny rules win over ask rules, which win over allow rules. A deny or ask rule
+ * matches a compound command (`a && b`) if it matches any part of it; allow
+ * rules must cover every part, and their `*` never matches shell operators,
+ * substitution or redirection.
+ *
+ * Runs of whitespace count as one space. Deny and ask rules with flags also
+ * match when the flags come later or in another order, quoted, or with short
+ * flags grouped or split differently: `git push --force*` catches
+ * `git push origin --force` and `git -C src push "--force"`, `rm -rf*` catches
+ * `rm -fr /` and `rm -r -f /`. They also see through wrappers that run the rest
+ * of the line (`env`, `command`, `sudo`, `nice`, `time`). Beyond that they are
+ * prefixes - other ways of saying the same thing (a `+branch` refspec, an
+ * alias) are not recognised.
+ *
+ * Rules come from the run's permission profile. Questions runs are also held
+ * to read-only use (readOnlyViolation), whatever their profile allows.
+ */
+
+import path from 'path';
+
+export const RULE_DECISIONS = ['deny', 'ask', 'allow']; // In order of precedence
+
+// Tools whose pattern is matched against a file path
+const PATH_TOOLS = ['Read', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+const SEARCH_TOOLS = ['Grep', 'Glob'];
+const WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// Commands a Questions run may use - each only reads, unless given one of READ_ONLY_FORBIDDEN_FLAGS
+const READ_ONLY_COMMANDS = [
+  'git status', 'git log', 'git diff', 'git show', 'git blame', 'git grep', 'git ls-files', 'git rev-parse',
+  'ls', 'cat', 'head', 'tail', 'grep', 'rg', 'find', 'wc', 'pwd', 'tree', 'file', 'stat', 'echo'
+];
+// Flags that make those commands write files or run other commands - for every command ('*') and per command
+const READ_ONLY_FORBIDDEN_FLAGS = {
+  '*': ['--output'],
+  find: ['-exec', '-execdir', '-ok', '-okdir', '-delete', '-fprint', '-fprint0', '-fprintf', '-fls'],
+  'git grep': ['-O', '--open-files-in-pager'], // Opens the matches with a command of the caller's choosing
+  rg: ['--pre'], // Runs each file through a command
+  tree: ['-o', '-R'], // Write the listing to a file / 00Tree.html into every directory
+  file: ['-C', '--compile'] // Writes a compiled magic file
+};
+const SHELL_WRITES = /[>`]|\$\(|<\(/;
+// Redirects that write no file: discarding output (2>/dev/null, &>/dev/null) and merging streams (2>&1)
+const HARMLESS_REDIRECTS = /(?:&|\d*)>>?\s*\/dev\/null(?=$|[\s;&|)])|\d*>&\d+(?=$|[\s;&|)])/g;
+
+// Commands that run the rest of the line as a command, with their options that take a value
+const COMMAND_WRAPPERS = {
+  env: ['-u', '-C', '-S'],
+  command: [],
+  sudo: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U'],
+  nice: ['-n'],
+  time: ['-f', '-o']
+};
+
+const RULE_SYNTAX = /^([A-Za-z][\w-]*)(?:\((.*)\))?$/s;
+const COMMAND_SEPARATORS = /\s*(?:&&|\|\||;|\||&|\n)\s*/; // A single & runs what's before it in the background
+const SAFE_COMMAND_WILDCARD = '[^;&|`$<>()\\n]*'; // What `*` may match in an allow rule
+
+/**
+ * Split "Tool(pattern)" into its parts
+ * @returns {{tool: string, pattern: string|null}|null} null if the rule isn't valid
+ */
+export function parseRule(rule) {
+  const match = typeof rule === 'string' ? RULE_SYNTAX.exec(rule.trim()) : null;
+  if (!match) return null;
+  return { tool: match[1], pattern: match[2] === undefined || match[2] === '' ? null : match[2] };
+}
+
+/**
+ * Find the rule that decides a tool call
+ * @param {Object} rules - { allow: [...], ask: [...], deny: [...] } rule strings
+ * @param {Object} context - { repoPath, questionsFile } for path patterns and placeholders
+ * @returns {{decision: 'deny'|'ask'|'allow', rule: string}|null} null if no rule applies
+ */
+export function matchPermissionRules(rules, toolName, input, context) {
+  if (!rules) return null;
+
+  for (const decision of RULE_DECISIONS) {
+    const parsed = (rules[decision] || [])
+      .map(rule => ({ rule, parsed: parseRule(rule) }))
+      .filter(({ rule, parsed }) => {
+        if (!parsed) console.warn(`[PERMISSIONS] ⚠️  Ignoring invalid ${decision} rule: ${rule}`);
+        return parsed?.tool === toolName;
+      });
+    if (parsed.length === 0) continue;
+
+    const matched = decision === 'allow'
+      ? matchAllowRules(parsed, toolName, input, context)
+      : parsed.find(({ parsed: { pattern } }) => matchesAnyPart(pattern, toolName, input, context));
+    if (matched) {
+      return { decision, rule: matched.rule };
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a tool call would change anything besides the PR's Questions file
+ * @returns {string|null} Message for the agent, or null if the call only reads
+ */
+export function readOnlyViolation(toolName, input, context) {
+  if (WRITE_TOOLS.includes(toolName)) {
+    const filePath = subjectPath(input.file_path || input.notebook_path || input.path, context);
+    const isQuestionsFile = Boolean(filePath && context.questionsFile) && filePath === path.resolve(context.questionsFile);
+    return isQuestionsFile ? null : 'Questions runs are read-only - the only file they may write is the Questions file';
+  }
+
+  if (toolName === 'Bash') {
+    const command = (input.command || '').replace(HARMLESS_REDIRECTS, ' ').trim();
+    const parts = command.split(COMMAND_SEPARATORS).filter(Boolean);
+    const readOnly = parts.length > 0 && !SHELL_WRITES.test(command) && parts.every(isReadOnlyCommand);
+    return readOnly ? null : 'Questions runs are read-only - only commands like git log, git diff, grep, ls and cat may run';
+  }
+
+  return null;
+}
+
+/**
+ * A rule the user can save to allow calls like this one from now on
+ * Narrow by default - the dialog lets the user widen it.
+ */
+export function suggestRule(toolName, input, context) {
+  if (toolName === 'Bash') {
+    const [first] = (input.command || '').trim().split(COMMAND_SEPARATORS);
+    const words = first.split(/\s+/);
+    const prefix = words.length > 1 && !words[1].startsWith('-') ? words.slice(0, 2).join(' ') : words[0];
+    return prefix ? `Bash(${prefix}*)` : 'Bash';
+  }
+
+  if (PATH_TOOLS.includes(toolName)) {
+    const filePath = subjectPath(input.file_path || input.notebook_path || input.path, context);
+    if (!filePath) return toolName;
+    if (context.questionsFile && filePath === path.resolve(context.questionsFile)) {
+      return `${toolName}({questions})`;
+    }
+    const dir = path.dirname(filePath);
+    if (context.repoPath && isInside(dir, context.repoPath)) {
+      const relative = path.relative(path.resolve(context.repoPath), dir);
+      return `${toolName}({repo}${relative ? `/${relative}` : ''}/**)`;
+    }
+    return `${toolName}(${dir}/**)`;
+  }
+
+  if (toolName === 'WebFetch' && input.url) {
+    try {
+      return `WebFetch(${new URL(input.url).origin}/*)`;
+    } catch (error) {
+      return toolName;
+    }
+  }
+
+  return toolName;
+}
+
+/**
+ * Every part of a compound command must be allowed by some rule; other tools need one matching rule
+ */
+function matchAllowRules(parsed, toolName, input, context) {
+  const blanket = parsed.find(({ parsed: { pattern } }) => pattern === null);
+  if (blanket) return blanket;
+
+  if (toolName !== 'Bash') {
+    return parsed.find(({ parsed: { pattern } }) => matchesSubject(pattern, toolName, input, context));
+  }
+
+  const parts = (input.command || '').trim().split(COMMAND_SEPARATORS).filter(Boolean);
+  const matches = parts.map(part => parsed.find(({ parsed: { pattern } }) => commandMatches(pattern, part, { strict: true })));
+  return parts.length > 0 && matches.every(Boolean) ? matches[0] : undefined;
+}
+
+function matchesAnyPart(pattern, toolName, input, context) {
+  if (pattern === null) return true;
+  if (toolName !== 'Bash') return matchesSubject(pattern, toolName, input, context);
+
+  const command = (input.command || '').trim();
+  return commandMatches(pattern, command) ||
+    command.split(COMMAND_SEPARATORS).some(part => commandMatches(pattern, part));
+}
+
+function matchesSubject(pattern, toolName, input, context) {
+  if (PATH_TOOLS.includes(toolName) || SEARCH_TOOLS.includes(toolName)) {
+    const rawPath = PATH_TOOLS.includes(toolName)
+      ? input.file_path || input.notebook_path || input.path
+      : input.path || context.repoPath;
+    const filePath = subjectPath(rawPath, context);
+    const expanded = expandPathPattern(pattern, context);
+    return Boolean(filePath && expanded) && globToRegExp(expanded, { pathMode: true }).test(filePath);
+  }
+  if (toolName === 'WebFetch') {
+    return globToRegExp(pattern).test(input.url || '');
+  }
+  if (toolName === 'WebSearch') {
+    return globToRegExp(pattern).test(input.query || '');
+  }
+  return false; // No argument to match a pattern against - only "Tool" rules apply
+}
+
+function isReadOnlyCommand(part) {
+  const command = READ_ONLY_COMMANDS.find(command => part === command || part.startsWith(`${command} `));
+  if (!command) return false;
+
+  const forbidden = [...READ_ONLY_FORBIDDEN_FLAGS['*'], ...(READ_ONLY_FORBIDDEN_FLAGS[command] || [])];
+  const args = part.slice(command.length).replace(/["'\\]/g, '').split(/\s+/).filter(Boolean);
+  const abbreviations = command.startsWith('git '); // git takes any unambiguous start of a long flag
+  return !args.some(arg => forbidden.some(flag => setsFlag(arg, flag, abbreviations)));
+}
+
+/**
+ * Whether a command-line word sets a flag
+ * A one-letter flag also counts grouped with others or with its value attached
+ * ("-O" in "-iO" and "-Ovim").
+ */
+function setsFlag(arg, flag, abbreviations) {
+  if (/^-[A-Za-z]$/.test(flag)) {
+    return /^-[^-]/.test(arg) && arg.includes(flag[1]);
+  }
+  const name = arg.split('=')[0];
+  return name === flag || (abbreviations && flag.startsWith('--') && name.length > 3 && flag.startsWith(name));
+}
+
+function commandMatches(pattern, command, { strict = false } = {}) {
+  const normalizedPattern = collapseWhitespace(pattern);
+  const normalizedCommand = collapseWhitespace(command);
+  if (globToRegExp(normalizedPattern, { wildcard: strict ? SAFE_COMMAND_WILDCARD : '.*' }).test(normalizedCommand)) {
+    return true;
+  }
+  if (strict) return false; // An allow rule for "rm" must not allow "sudo rm"
+
+  const unwrapped = unwrapCommand(normalizedCommand);
+  return (unwrapped !== normalizedCommand && globToRegExp(normalizedPattern).test(unwrapped)) ||
+    flagsMatch(normalizedPattern, unwrapped);
+}
+
+/**
+ * Drop leading VAR=value assignments and wrappers such as "sudo -u root" or "env -i"
+ */
+function unwrapCommand(command) {
+  const words = command.split(' ');
+  let start = 0;
+  while (start < words.length) {
+    const word = words[start].replace(/["'\\]/g, '');
+    if (/^\w+=/.test(word)) {
+      start++;
+      continue;
+    }
+    const valueOptions = Object.hasOwn(COMMAND_WRAPPERS, word) ? COMMAND_WRAPPERS[word] : null;
+    if (!valueOptions) break;
+
+    start++;
+    while (start < words.length && (words[start].startsWith('-') || /^\w+=/.test(words[start]))) {
+      start += valueOptions.includes(words[start]) ? 2 : 1;
+    }
+  }
+  return words.slice(start).join(' ');
+}
+
+/**
+ * Whether a command has a deny/ask pattern's words, wherever its flags are
+ * The pattern's words before its first flag must appear in order, starting
+ * with the command itself (so "git push" also matches "git -C src push"); each
+ * of its flags may then appear anywhere after them.
+ */
+function flagsMatch(pattern, command) {
+  const patternWords = pattern.split(' ');
+  const firstFlag = patternWords.findIndex(word => word.startsWith('-'));
+  if (firstFlag <= 0) return false;
+
+  const commandWords = command.replace(/["'\\]/g, '').split(' ');
+
+  let position = 0;
+  for (const word of patternWords.slice(0, firstFlag)) {
+    const matcher = globToRegExp(word);
+    const found = position === 0
+      ? (matcher.test(commandWords[0] || '') ? 0 : -1)
+      : commandWords.findIndex((commandWord, index) => index >= position && matcher.test(commandWord));
+    if (found === -1) return false;
+    position = found + 1;
+  }
+
+  const rest = commandWords.slice(position);
+  return patternWords.slice(firstFlag).every(word => word === '*' || flagWordMatches(word, rest));
+}
+
+function flagWordMatches(patternWord, commandWords) {
+  const matcher = globToRegExp(patternWord);
+  if (commandWords.some(commandWord => matcher.test(commandWord))) return true;
+  // Short flags count however they are grouped: "-rf" (or "-rf*") is also "-fr" and "-r -f"
+  const shortFlags = /^-([A-Za-z]+)\*?$/.exec(patternWord);
+  const grouped = commandWords.filter(commandWord => /^-[A-Za-z]+$/.test(commandWord));
+  return Boolean(shortFlags) && [...shortFlags[1]].every(letter => grouped.some(commandWord => commandWord.includes(letter)));
+}
+
+function collapseWhitespace(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Absolute, normalized path of a tool's target - relative paths are in the worktree
+ */
+function subjectPath(rawPath, context) {
+  if (typeof rawPath !== 'string' || !rawPath) return null;
+  return path.resolve(context.repoPath || process.cwd(), rawPath);
+}
+
+/**
+ * Replace {repo}/{questions} and anchor relative patterns at the worktree
+ * @returns {string|null} null if a placeholder has no value in this session
+ */
+function expandPathPattern(pattern, context) {
+  const placeholders = { repo: context.repoPath, questions: context.questionsFile };
+  let missing = false;
+  const expanded = pattern.replace(/\{(repo|questions)\}/g, (match, name) => {
+    if (!placeholders[name]) missing = true;
+    return placeholders[name] ? path.resolve(placeholders[name]) : match;
+  });
+  if (missing) return null;
+  if (path.isAbsolute(expanded)) return expanded;
+  return context.repoPath ? `${path.resolve(context.repoPath)}/${expanded}` : null;
+}
+
+function isInside(filePath, dir) {
+  const relative = path.relative(path.resolve(dir), filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * `*` (and `**` in path mode) wildcards to an anchored RegExp
+ */
+function globToRegExp(glob, { pathMode = false, wildcard = '.*' } = {}) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (pathMode && glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += pathMode ? '[^/]*' : wildcard;
+      }
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * PR Metadata Service
+ * Resolves owner/repo/number into refs, head SHA, fork details, author, labels
+ * and changed files via the GitHub REST API, with a short-lived cache.
+ */
+
+import { githubRequest } from './github-api.js';
+import { parseRepoName, formatRepoName } from './github-hosts.js';
+
+// How long fetched metadata is reused before asking GitHub again
+const CACHE_TTL = 60 * 1000;
+
+// GitHub caps /files at 3000 entries (30 pages of 100)
+const MAX_FILE_PAGES = 30;
+
+const cache = new Map(); // "owner/repo#number" → { metadata, fetchedAt }
+
+/**
+ * Get metadata for a PR
+ * @param {string} fullRepoName - e.g. "myorg/myrepo" or "github.example.com/myorg/myrepo"
+ * @param {string|number} prNumber - PR number
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Bypass the cache
+ * @returns {Promise<Object>} See toMetadata() for the shape
+ */
+export async function getPRMetadata(fullRepoName, prNumber, { refresh = false } = {}) {
+  const key = `${fullRepoName}#${prNumber}`;
+  const cached = cache.get(key);
+
+  if (!refresh && cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+    return cached.metadata;
+  }
+
+  console.log(`[PR-META] Fetching metadata for ${key}`);
+
+  const { host, slug } = parseRepoName(fullRepoName);
+  const pull = await githubRequest(host, 'GET', `/repos/${slug}/pulls/${prNumber}`);
+  const files = await fetchChangedFiles(host, slug, prNumber);
+  const metadata = toMetadata(fullRepoName, pull, files);
+
+  cache.set(key, { metadata, fetchedAt: Date.now() });
+  console.log(`[PR-META] ✅ ${key}: ${metadata.baseRef} ← ${metadata.headRef}${metadata.isFork ? ` (fork: ${metadata.headRepoFullName || 'deleted'})` : ''}`);
+  return metadata;
+}
+
+/**
+ * Drop cached metadata for a PR (e.g. after pushing new commits)
+ */
+export function invalidatePRMetadata(fullRepoName, prNumber) {
+  cache.delete(`${fullRepoName}#${prNumber}`);
+}
+
+/**
+ * Work out whether the current token can push to a PR's head branch
+ * Same-repo PRs are assumed pushable (git reports it if not). For forks, the
+ * token needs push access to the fork itself, or the author must have enabled
+ * "Allow edits by maintainers" and the token needs push access to the base repo.
+ * @param {Object} metadata - From getPRMetadata()
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+export async function checkPushAccess(metadata) {
+  if (!metadata.isFork) {
+    return { allowed: true, reason: null };
+  }
+
+  if (!metadata.headRepoFullName) {
+    return { allowed: false, reason: 'the fork this PR was opened from has been deleted' };
+  }
+
+  // permissions is only included for authenticated requests
+  const { host, slug } = parseRepoName(metadata.fullRepoName);
+  const headSlug = parseRepoName(metadata.headRepoFullName).slug;
+  const headRepo = await githubRequest(host, 'GET', `/repos/${headSlug}`).catch(() => null);
+  if (headRepo?.permissions?.push) {
+    return { allowed: true, reason: null };
+  }
+
+  if (!metadata.maintainerCanModify) {
+    return {
+      allowed: false,
+      reason: `${metadata.author || 'The author'} has not enabled "Allow edits by maintainers" on this PR, and you don't have push access to ${metadata.headRepoFullName}`
+    };
+  }
+
+  const baseRepo = await githubRequest(host, 'GET', `/repos/${slug}`).catch(() => null);
+  if (baseRepo?.permissions && !baseRepo.permissions.push) {
+    return {
+      allowed: false,
+      reason: `maintainer edits are allowed, but you don't have push access to ${metadata.fullRepoName}`
+    };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Page through the PR's changed files
+ */
+async function fetchChangedFiles(host, slug, prNumber) {
+  const files = [];
+
+  for (let page = 1; page <= MAX_FILE_PAGES; page++) {
+    const batch = await githubRequest(host, 'GET', `/repos/${slug}/pulls/${prNumber}/files?per_page=100&page=${page}`);
+    files.push(...batch);
+    if (batch.length < 100) break;
+  }
+
+  return files;
+}
+
+/**
+ * Reduce the API responses to what the extension and git helper need
+ */
+function toMetadata(fullRepoName, pull, files) {
+  const { host, owner, repo, slug } = parseRepoName(fullRepoName);
+  // head.repo is null when the fork has been deleted
+  const headRepo = pull.head.repo;
+
+  return {
+    owner,
+    repo,
+    fullRepoName,
+    prNumber: String(pull.number),
+    prTitle: pull.title,
+    state: pull.state,
+    draft: !!pull.draft,
+    author: pull.user?.login || null,
+    labels: (pull.labels || []).map(label => label.name),
+    baseRef: pull.base.ref,
+    baseSha: pull.base.sha,
+    headRef: pull.head.ref,
+    headSha: pull.head.sha,
+    headRepoFullName: headRepo ? formatRepoName(host, headRepo.full_name) : null,
+    headCloneUrl: headRepo?.clone_url || null,
+    headSshUrl: headRepo?.ssh_url || null,
+    // A deleted fork still counts as one: its branch name says nothing about the base repo's branches
+    isFork: !headRepo || headRepo.full_name !== slug,
+    headDeleted: !headRepo,
+    maintainerCanModify: !!pull.maintainer_can_modify,
+    changedFiles: files.map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      previousFilename: file.previous_filename || null
+    }))
+  };
+}
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Review Markdown
+ * Markdown views of a PR's review items: the Questions/Actions files written
+ * next to items.json, and the prompts that hand pending items to the agent.
+ *
+ * Each item in the files is wrapped in <!-- item:<id> --> ... <!-- /item -->
+ * markers, so answers filled in by hand (e.g. via "Copy Action Prompt") can be
+ * matched back to their item no matter what markdown they contain.
+ */
+
+export const ANSWER_PLACEHOLDER = '_[Claude, please fill in your answer here]_';
+export const SUMMARY_PLACEHOLDER = '_[Claude, please fill in your action summary here]_';
+
+// Where an action's proposed commits stand in a "review before push" run
+const PROPOSAL_LABELS = {
+  proposed: 'Awaiting review',
+  accepted: 'Accepted, not pushed yet',
+  rejected: 'Rejected',
+  pushed: 'Pushed'
+};
+
+/**
+ * Render the Questions file for a PR
+ * @param {Object} pr - { fullRepoName, prNumber, prTitle, baseBranch, headBranch }
+ * @param {Array<Object>} questions - Question items from the store
+ */
+export function renderQuestionsMarkdown(pr, questions) {
+  let md = `# Claude PR Review: ${pr.fullRepoName} - ${pr.prTitle || `PR-${pr.prNumber}`}\n\n`;
+  md += renderHeader(pr);
+
+  questions.forEach((q, index) => {
+    md += `<!-- item:${q.id} -->\n`;
+    md += `## Question ${index + 1}`;
+    md += q.answer ? ` ✅ ANSWERED\n\n` : q.blocked ? ` 🚫 BLOCKED\n\n` : ` ⚠️ NEEDS ANSWER\n\n`;
+    md += renderLocation(q);
+    md += `**QUESTION:**\n${q.question}\n\n`;
+    md += renderBlocked(q);
+    md += `**ANSWER:**\n${q.answer || ANSWER_PLACEHOLDER}\n`;
+    if (q.thread?.length) {
+      md += `\n**FOLLOW-UPS:**\n\n${renderThread(q.thread)}`;
+    }
+    md += `<!-- /item -->\n\n---\n\n`;
+  });
+
+  return md;
+}
+
+/**
+ * Render the Actions file for a PR
+ * @param {Object} pr - { fullRepoName, prNumber, prTitle, baseBranch, headBranch }
+ * @param {Array<Object>} actions - Action items from the store
+ */
+export function renderActionsMarkdown(pr, actions) {
+  let md = `# Claude Actions: ${pr.fullRepoName} - ${pr.prTitle || `PR-${pr.prNumber}`}\n\n`;
+  md += renderHeader(pr);
+
+  actions.forEach((a, index) => {
+    md += `<!-- item:${a.id} -->\n`;
+    md += `## Action ${index + 1}`;
+    md += a.summary ? ` ✅ COMPLETED\n\n` : a.blocked ? ` 🚫 BLOCKED\n\n` : ` ⚠️ NEEDS COMPLETION\n\n`;
+    md += renderLocation(a, a.questionId ? 'Question-linked' : 'Ad-hoc');
+
+    // Include question/answer if this is a question-linked action
+    if (a.question && a.answer) {
+      md += `**ORIGINAL QUESTION:**\n${a.question}\n\n`;
+      md += `**ORIGINAL ANSWER:**\n${a.answer}\n\n`;
+    }
+
+    md += `**ACTION:**\n${a.action}\n\n`;
+    md += renderBlocked(a);
+    md += renderRevision(a);
+    if (a.commits?.length) {
+      md += `**Commits:** ${a.commits.map(sha => `\`${sha}\``).join(', ')}\n`;
+    }
+    if (a.files?.length) {
+      md += `**Files Changed:** ${a.files.map(file => `\`${file}\``).join(', ')}\n`;
+    }
+    if (a.proposal) {
+      md += `**Push Review:** ${PROPOSAL_LABELS[a.proposal.status]}${a.proposal.pushedSha ? ` (\`${a.proposal.pushedSha}\`)` : ''}\n`;
+    }
+    if (a.commits?.length || a.files?.length || a.proposal) {
+      md += `\n`;
+    }
+    md += `**SUMMARY:**\n${a.summary || SUMMARY_PLACEHOLDER}\n`;
+    md += `<!-- /item -->\n\n---\n\n`;
+  });
+
+  return md;
+}
+
+/**
+ * Initial prompt for a Questions run - every unanswered question with its id
+ */
+export function renderQuestionsPrompt(pr, questions) {
+  const pending = questions.filter(q => !q.answer);
+
+  let md = `Hi Claude! I'm reviewing PR #${pr.prNumber} (${pr.fullRepoName}: ${pr.prTitle}) which merges \`${pr.headBranch}\` into \`${pr.baseBranch}\`.\n\n`;
+  md += `**CRITICAL INSTRUCTION:** Work through these questions COMPLETELY AUTONOMOUSLY. Do NOT stop to ask for assistance, clarification, or confirmation at any point. If you encounter any uncertainty, make your best technical judgment and continue. DO NOT STOP until all questions are answered.\n\n`;
+  md += `**Your task:**\n`;
+  md += `1. Perform a diff between \`${pr.baseBranch}\` and the checked-out PR head to see all changes\n`;
+  md += `2. Review each code snippet below with full file context from the checked-out branch\n`;
+  md += `3. Consider surrounding code, imports, function definitions, and patterns across the codebase\n`;
+  md += `4. Before working on a question, call the \`start_item\` tool with its id\n`;
+  md += `5. For EACH question, call the \`record_answer\` tool with the question's id and your answer (markdown)\n`;
+  md += `6. If you genuinely cannot answer a question (e.g. the code it refers to is gone), call \`mark_blocked\` with its id and the reason instead\n`;
+  md += `7. Do NOT write answers into any file - only \`record_answer\` saves them. \`list_items\` shows which questions are still pending\n`;
+  md += `8. Keep answers concise but thorough\n`;
+  md += `9. Do NOT start your answer with a heading that repeats the question\n\n`;
+  md += `---\n\n`;
+
+  pending.forEach(q => {
+    md += `## Question \`${q.id}\`\n\n`;
+    md += renderLocation(q);
+    md += `**QUESTION:**\n${q.question}\n\n`;
+    md += renderPreviouslyBlocked(q);
+    md += `---\n\n`;
+  });
+
+  return md;
+}
+
+/**
+ * Initial prompt for an Actions run - every action without a summary, with its id
+ */
+export function renderActionsPrompt(pr, actions) {
+  const pending = actions.filter(a => !a.summary);
+
+  let md = `Hi Claude! I've reviewed PR #${pr.prNumber} (${pr.fullRepoName}: ${pr.prTitle}) and marked some code sections for action.\n\n`;
+  md += `**CRITICAL INSTRUCTION:** Work through these actions COMPLETELY AUTONOMOUSLY. Do NOT stop to ask for assistance, clarification, or confirmation at any point. If you encounter any uncertainty, make your best technical judgment and continue. DO NOT STOP until all actions are completed.\n\n`;
+  md += `**Your task:**\n`;
+  md += `1. Perform a diff between \`${pr.baseBranch}\` and the checked-out PR head to see all changes\n`;
+  md += `2. Review each code snippet below with full file context from the checked-out branch\n`;
+  md += `3. Consider surrounding code, imports, function definitions, and patterns across the codebase\n`;
+  md += `4. Before working on an action, call the \`start_item\` tool with its id\n`;
+  md += `5. Before committing: Assess whether your changes impact runtime behavior\n`;
+  md += `6. If changes are non-functional (comments, documentation, formatting only), skip tests/linting\n`;
+  md += `7. If changes impact code logic, data flow, or functionality: Run all tests (unit, blackbox), linting, and checks (check Makefile if present)\n`;
+  md += `8. Ensure all tests and checks pass before committing any functional changes\n`;
+  md += `9. After completing EACH action, call the \`record_action_summary\` tool with the action's id, a summary (what you changed, what tests you ran, and the results), and the \`commits\` and \`files\` it produced\n`;
+  md += `10. If an action cannot be done (e.g. it conflicts with the code or needs a decision only the reviewer can make), call \`mark_blocked\` with its id and the reason instead\n`;
+  md += `11. Keep summaries concise but thorough - include enough detail for the reviewer to understand what was done\n`;
+  md += `12. Do NOT start your summary with a heading that repeats the action\n`;
+  md += `13. DO NOT say "ready to wrap up" or "all done" until EVERY action has a summary or is marked blocked - \`list_items\` shows what is still pending\n\n`;
+  md += `---\n\n`;
+
+  pending.forEach(a => {
+    md += `## Action \`${a.id}\`\n\n`;
+    md += renderLocation(a);
+
+    if (a.question && a.answer) {
+      md += `**ORIGINAL QUESTION:**\n${a.question}\n\n`;
+      md += `**ORIGINAL ANSWER:**\n${a.answer}\n\n`;
+    }
+
+    md += `**ACTION:**\n${a.action}\n\n`;
+    md += renderPreviouslyBlocked(a);
+    md += renderRevisionRequest(a);
+    md += `---\n\n`;
+  });
+
+  return md;
+}
+
+/**
+ * Initial prompt for a follow-up run - each question with its answer and thread,
+ * ending in the reviewer's messages that still need a reply
+ */
+export function renderFollowUpsPrompt(pr, questions) {
+  let md = `Hi Claude! I'm reviewing PR #${pr.prNumber} (${pr.fullRepoName}: ${pr.prTitle}) which merges \`${pr.headBranch}\` into \`${pr.baseBranch}\`.\n\n`;
+  md += `You answered the question(s) below earlier, and I've replied with follow-ups.\n\n`;
+  md += `**Your task:**\n`;
+  md += `1. Look at the code again where the follow-up needs it - you don't need to re-review the whole PR\n`;
+  md += `2. Before replying on a question, call the \`start_item\` tool with its id\n`;
+  md += `3. Reply to the reviewer's latest message on EACH question with the \`record_reply\` tool (the question's id and your reply, in markdown)\n`;
+  md += `4. Keep replies focused on the follow-up - don't repeat your earlier answer\n\n`;
+  md += `---\n\n`;
+
+  questions.forEach(q => {
+    md += `## Question \`${q.id}\`\n\n`;
+    md += renderLocation(q);
+    md += `**QUESTION:**\n${q.question}\n\n`;
+    md += `**YOUR ANSWER:**\n${q.answer}\n\n`;
+    md += `**FOLLOW-UPS:**\n\n${renderThread(q.thread || [])}`;
+    md += `---\n\n`;
+  });
+
+  return md;
+}
+
+/**
+ * Parse items out of a Questions/Actions file
+ * Reads files rendered by this module (with item markers) as well as files from
+ * before items.json existed, which are split on their "## Question N" headings.
+ * @param {string} content - Markdown file content
+ * @param {'questions'|'actions'} kind - Which kind of file it is
+ * @returns {Array<Object>} Items; `id` is set only for marked items
+ */
+export function parseMarkdownItems(content, kind) {
+  const marked = [...content.matchAll(/<!-- item:([\w-]+) -->\n([\s\S]*?)\n<!-- \/item -->/g)];
+  if (marked.length > 0) {
+    return marked
+      .map(([, id, block]) => ({ id, ...parseItemBlock(block, kind) }))
+      .filter(item => item.file);
+  }
+
+  const heading = kind === 'questions' ? /##\s+Question\s+\d+/ : /##\s+Action\s+\d+/;
+  return content.split(heading).slice(1)
+    .map(block => parseItemBlock(block.replace(/\n-{3,}\s*$/, ''), kind))
+    .filter(item => item.file);
+}
+
+/**
+ * Detect whether a file holds questions or actions
+ * @returns {'questions'|'actions'|null}
+ */
+export function detectMarkdownKind(content, fileName = '') {
+  if (content.includes('**ACTION:**') || fileName.includes('Actions')) return 'actions';
+  if (content.includes('**QUESTION:**') || fileName.includes('Questions')) return 'questions';
+  return null;
+}
+
+function renderHeader(pr) {
+  let md = `**PR Number:** #${pr.prNumber}\n`;
+  md += `**Base Branch:** \`${pr.baseBranch || 'unknown'}\`\n`;
+  md += `**Head Branch:** \`${pr.headBranch || 'unknown'}\`\n`;
+  md += `**Generated:** ${new Date().toISOString()}\n\n`;
+  md += `_Generated from items.json. Answers and summaries filled in here are picked up; other edits are overwritten._\n\n`;
+  md += `---\n\n`;
+  return md;
+}
+
+function renderLocation(item, type = null) {
+  let md = `**File:** \`${item.file}\`\n`;
+  md += `**Lines:** ${item.lines}\n`;
+  md += `**Timestamp:** ${item.timestamp}\n`;
+  if (type) {
+    md += `**Type:** ${type}\n`;
+  }
+  md += `\n**Code:**\n${fence(item.code || '')}\n\n`;
+  return md;
+}
+
+function renderThread(thread) {
+  let md = '';
+  thread.forEach(message => {
+    md += `**${message.role === 'user' ? 'Reviewer' : 'Claude'}** · ${message.at}\n${message.text}\n\n`;
+  });
+  if (thread.at(-1)?.role === 'user') {
+    md += `_Waiting for Claude's reply_\n\n`;
+  }
+  return md;
+}
+
+function renderBlocked(item) {
+  if (!item.blocked) return '';
+  return `**BLOCKED:**\n${item.blocked.reason}\n\n`;
+}
+
+function renderRevision(item) {
+  if (!item.revision) return '';
+  return `**REVISION REQUESTED:**\n${item.revision.feedback}\n\n`;
+}
+
+/**
+ * Reviewer's feedback on an action whose earlier changes were sent back - they were never pushed
+ */
+function renderRevisionRequest(item) {
+  if (!item.revision) return '';
+  return `_The reviewer sent back your earlier changes for this action (they were not pushed). Redo it with this feedback:_\n${item.revision.feedback}\n\n`;
+}
+
+/**
+ * Note on a pending item that an earlier run gave up on - the reviewer may have clarified it since
+ */
+function renderPreviouslyBlocked(item) {
+  if (!item.blocked) return '';
+  return `_A previous run marked this blocked: ${item.blocked.reason}_\n\n`;
+}
+
+/**
+ * Code block whose fence is longer than any backtick run inside the code
+ */
+function fence(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const ticks = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${ticks}\n${code}\n${ticks}`;
+}
+
+/**
+ * Fields of one item - each section runs until the next known label, and the
+ * last one runs to the end of the block. Follow-up threads are not read back.
+ */
+function parseItemBlock(block, kind) {
+  const labels = kind === 'questions'
+    ? ['QUESTION', 'BLOCKED', 'ANSWER', 'FOLLOW-UPS']
+    : ['ORIGINAL QUESTION', 'ORIGINAL ANSWER', 'ACTION', 'BLOCKED', 'REVISION REQUESTED', 'Commits', 'Files Changed', 'Push Review', 'SUMMARY'];
+
+  const sections = {};
+  const positions = labels
+    .map(label => ({ label, index: block.indexOf(`**${label}:**`) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index);
+
+  positions.forEach(({ label, index }, i) => {
+    const start = index + label.length + 5;
+    const end = i + 1 < positions.length ? positions[i + 1].index : block.length;
+    sections[label] = block.slice(start, end).trim();
+  });
+
+  const codeMatch = block.match(/\*\*Code:\*\*\s*(`{3,})\n([\s\S]*?)\n\1/);
+  const item = {
+    file: block.match(/\*\*File:\*\*\s*`([^`]+)`/)?.[1],
+    lines: block.match(/\*\*Lines:\*\*\s*([^\n]+)/)?.[1].trim() || 'unknown',
+    timestamp: block.match(/\*\*Timestamp:\*\*\s*([^\n]+)/)?.[1].trim() || new Date().toISOString(),
+    code: codeMatch ? codeMatch[2] : ''
+  };
+
+  if (kind === 'questions') {
+    item.question = sections.QUESTION || '';
+    item.answer = unlessPlaceholder(sections.ANSWER);
+  } else {
+    item.action = sections.ACTION || '';
+    item.summary = unlessPlaceholder(sections.SUMMARY);
+    if (sections['ORIGINAL QUESTION'] && sections['ORIGINAL ANSWER']) {
+      item.question = sections['ORIGINAL QUESTION'];
+      item.answer = sections['ORIGINAL ANSWER'];
+    }
+  }
+
+  return item;
+}
+
+function unlessPlaceholder(text) {
+  if (!text || text.startsWith('_[Claude, please fill')) return '';
+  return text;
+}
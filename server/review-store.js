@@ -0,0 +1,771 @@
+#!/usr/bin/env node
+
+/**
+ * Review Store
+ * Questions and actions for a PR live in `<host>/<owner>/<repo>/PR-<n>/items.json`
+ * under prReviewsDir. Every item has a stable id; the dated Questions/Actions
+ * markdown files are rendered from the store after each change and are only
+ * read back to pick up answers filled in by hand.
+ *
+ * Answered questions can carry a follow-up thread:
+ * `thread: [{ role: 'user'|'assistant', text, at }]`.
+ *
+ * Actions done in a "review before push" run carry the commits they produced:
+ * `proposal: { status: 'proposed'|'accepted'|'rejected'|'pushed', base, head, commits, remote, branch, repoPath }`.
+ * An action sent back for revision loses its summary and proposal and gets
+ * `revision: { feedback, at }` for the next run.
+ *
+ * The checkpoint taken before the PR's last Actions run is kept next to the items:
+ * `checkpoint: { headSha, remote, branch, worktreeBranch, worktreePath, repoPath, stashes, itemIds, reviewBeforePush, pushedSha, createdAt, restored }`,
+ * where pushedSha is the branch head after the run's last push.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { config } from './config.js';
+import { resolveReviewPath, resolveReviewDir } from './path-jail.js';
+import { parseRepoName } from './github-hosts.js';
+import {
+  renderQuestionsMarkdown,
+  renderActionsMarkdown,
+  parseMarkdownItems,
+  detectMarkdownKind
+} from './review-markdown.js';
+
+export const ITEM_KINDS = ['questions', 'actions'];
+
+const STORE_VERSION = 1;
+
+// Fields copied from clients when adding/importing items - the rest are managed here
+const ITEM_FIELDS = {
+  questions: ['file', 'lines', 'code', 'codeHash', 'question', 'answer', 'timestamp'],
+  actions: ['file', 'lines', 'code', 'codeHash', 'action', 'summary', 'questionId', 'question', 'answer', 'timestamp']
+};
+
+// Fields the extension may edit afterwards - answers and summaries come from the agent
+const EDITABLE_FIELDS = {
+  questions: ['question'],
+  actions: ['action']
+};
+
+const ID_PREFIX = { questions: 'q', actions: 'a' };
+const FILE_PREFIX = { questions: 'Questions', actions: 'Actions' };
+
+/**
+ * All items for a PR, after picking up answers edited into the markdown files
+ * @returns {{ questions: Array, actions: Array, files: { questions: string|null, actions: string|null } }}
+ */
+export function listItems(fullRepoName, prNumber) {
+  const store = loadStore(fullRepoName, prNumber);
+
+  return {
+    questions: store.questions,
+    actions: store.actions,
+    files: {
+      questions: renderedPath(store, 'questions'),
+      actions: renderedPath(store, 'actions')
+    }
+  };
+}
+
+/**
+ * Whether a question has an answer / an action has a summary
+ */
+export function isItemDone(kind, item) {
+  return Boolean(resultOf(kind, item)?.trim());
+}
+
+/**
+ * Whether the reviewer's last message in a question's thread still needs a reply from Claude
+ */
+export function hasPendingFollowUp(item) {
+  return item.thread?.at(-1)?.role === 'user';
+}
+
+/**
+ * Add a question or action
+ * @param {Object} prInfo - { fullRepoName, prNumber, prTitle, baseBranch, headBranch }
+ * @param {'questions'|'actions'} kind
+ * @param {Object} fields - Item fields from the client
+ * @returns {Object} The stored item, with its id
+ */
+export function addItem(prInfo, kind, fields) {
+  assertKind(kind);
+  const store = loadStore(prInfo.fullRepoName, prInfo.prNumber);
+  updatePrInfo(store, prInfo);
+
+  const item = newItem(kind, fields);
+  store[kind].push(item);
+  saveStore(store);
+
+  console.log(`[STORE] ➕ Added ${kind === 'questions' ? 'question' : 'action'} ${item.id} (${item.file} ${item.lines})`);
+  return item;
+}
+
+/**
+ * Edit a question's or action's text
+ * @returns {Object} The updated item
+ */
+export function updateItem(fullRepoName, prNumber, kind, id, changes = {}) {
+  assertKind(kind);
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, kind, id);
+
+  for (const field of EDITABLE_FIELDS[kind]) {
+    if (typeof changes[field] === 'string') {
+      item[field] = changes[field];
+    }
+  }
+  item.updatedAt = new Date().toISOString();
+
+  saveStore(store);
+  return item;
+}
+
+/**
+ * Remove one item, optionally archiving the rendered file first
+ */
+export function deleteItem(fullRepoName, prNumber, kind, id, { archive = false } = {}) {
+  assertKind(kind);
+  const store = loadStore(fullRepoName, prNumber);
+  findItem(store, kind, id);
+
+  const archivePath = archive ? archiveRendered(store, kind) : null;
+  store[kind] = store[kind].filter(item => item.id !== id);
+  saveStore(store);
+
+  console.log(`[STORE] 🗑️  Deleted ${id}`);
+  return { archivePath };
+}
+
+/**
+ * Remove every item of a kind (or both kinds with 'all'), archiving the rendered files by default
+ */
+export function clearItems(fullRepoName, prNumber, kind, { archive = true } = {}) {
+  const kinds = kind === 'all' ? ITEM_KINDS : [assertKind(kind)];
+  const store = loadStore(fullRepoName, prNumber);
+
+  const archivePaths = [];
+  for (const k of kinds) {
+    const archivePath = archive ? archiveRendered(store, k) : null;
+    if (archivePath) {
+      archivePaths.push(archivePath);
+    }
+    store[k] = [];
+  }
+  saveStore(store);
+
+  console.log(`[STORE] 🧹 Cleared ${kinds.join(' and ')} for ${fullRepoName}#${prNumber}`);
+  return { archivePaths };
+}
+
+/**
+ * Bring items in from elsewhere - the extension's old chrome.storage data, or a
+ * Questions/Actions markdown file ("Restore from File").
+ * Items whose id (or file and lines) is already stored fill in a missing
+ * answer/summary instead of being added twice.
+ * @param {Object} prInfo
+ * @param {Object} source - { questions?, actions? } arrays, or { markdown, fileName }
+ * @returns {{ added: number, updated: number, kinds: Array<string> }}
+ */
+export function importItems(prInfo, source) {
+  const incoming = { questions: source.questions || [], actions: source.actions || [] };
+
+  if (typeof source.markdown === 'string') {
+    const kind = detectMarkdownKind(source.markdown, source.fileName);
+    if (!kind) {
+      throw storeError(400, 'Not a Questions or Actions file');
+    }
+    incoming[kind] = parseMarkdownItems(source.markdown, kind);
+  }
+
+  const store = loadStore(prInfo.fullRepoName, prInfo.prNumber);
+  updatePrInfo(store, prInfo);
+
+  let added = 0;
+  let updated = 0;
+  const kinds = [];
+  const questionIds = []; // Old extension data links actions to questions by array index
+
+  for (const kind of ITEM_KINDS) {
+    if (incoming[kind].length === 0) continue;
+    kinds.push(kind);
+
+    for (const fields of incoming[kind]) {
+      if (kind === 'actions' && !fields.questionId && Number.isInteger(fields.questionIndex)) {
+        fields.questionId = questionIds[fields.questionIndex];
+      }
+
+      let item = store[kind].find(i =>
+        (fields.id && i.id === fields.id) || (i.file === fields.file && i.lines === fields.lines)
+      );
+
+      if (!item) {
+        item = newItem(kind, fields);
+        store[kind].push(item);
+        added++;
+      } else if (!isItemDone(kind, item) && isItemDone(kind, fields)) {
+        setResult(kind, item, resultOf(kind, fields));
+        updated++;
+      }
+
+      if (kind === 'questions') {
+        questionIds.push(item.id);
+      }
+    }
+  }
+
+  saveStore(store);
+  console.log(`[STORE] 📥 Imported ${added} new and ${updated} updated item(s) for ${prInfo.fullRepoName}#${prInfo.prNumber}`);
+  return { added, updated, kinds };
+}
+
+/**
+ * Record the agent's answer to a question
+ * @returns {Object} The updated item
+ */
+export function recordAnswer(fullRepoName, prNumber, id, answer) {
+  return recordResult(fullRepoName, prNumber, 'questions', id, answer);
+}
+
+/**
+ * Record the agent's summary of a completed action
+ * @param {Object} [details] - { commits, files } the action produced
+ * @returns {Object} The updated item
+ */
+export function recordActionSummary(fullRepoName, prNumber, id, summary, { commits = [], files = [] } = {}) {
+  return recordResult(fullRepoName, prNumber, 'actions', id, summary, item => {
+    item.commits = commits;
+    item.files = files;
+  });
+}
+
+/**
+ * Record that the agent could not answer a question / complete an action
+ * The item stays pending, so a later run picks it up again.
+ * @returns {Object} The updated item
+ */
+export function markBlocked(fullRepoName, prNumber, kind, id, reason) {
+  assertKind(kind);
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw storeError(400, 'A reason is required');
+  }
+
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, kind, id);
+  item.blocked = { reason: reason.trim(), at: new Date().toISOString() };
+  saveStore(store);
+
+  console.log(`[STORE] 🚫 Marked ${id} blocked: ${item.blocked.reason}`);
+  return item;
+}
+
+/**
+ * Attach the commits an action produced in a "review before push" run, for the reviewer to decide on
+ * @param {Object} proposal - { base, head, commits: [{ sha, subject }], remote, branch, repoPath }
+ * @returns {Object} The updated action
+ */
+export function recordProposal(fullRepoName, prNumber, id, proposal) {
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, 'actions', id);
+  item.proposal = { ...proposal, status: 'proposed', proposedAt: new Date().toISOString() };
+  saveStore(store);
+
+  console.log(`[STORE] 📝 Proposed ${proposal.commits.length} commit(s) for ${id}`);
+  return item;
+}
+
+/**
+ * Accept or reject an action's proposed commits - only accepted ones are pushed
+ * @param {'accepted'|'rejected'} status
+ * @returns {Object} The updated action
+ */
+export function decideProposal(fullRepoName, prNumber, id, status) {
+  if (!['accepted', 'rejected'].includes(status)) {
+    throw storeError(400, `Unknown decision: ${status}`);
+  }
+
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, 'actions', id);
+  assertUnpushedProposal(item);
+  item.proposal.status = status;
+  item.proposal.decidedAt = new Date().toISOString();
+  saveStore(store);
+
+  console.log(`[STORE] ${status === 'accepted' ? '👍' : '👎'} ${status === 'accepted' ? 'Accepted' : 'Rejected'} proposal for ${id}`);
+  return item;
+}
+
+/**
+ * Send an action back with the reviewer's feedback
+ * Its summary and proposal are dropped, so the next run redoes it with the feedback in its prompt.
+ * @returns {Object} The updated action
+ */
+export function requestRevision(fullRepoName, prNumber, id, feedback) {
+  if (typeof feedback !== 'string' || !feedback.trim()) {
+    throw storeError(400, 'Feedback is required');
+  }
+
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, 'actions', id);
+  assertUnpushedProposal(item);
+  for (const field of ['summary', 'completedAt', 'commits', 'files', 'proposal']) {
+    delete item[field];
+  }
+  item.revision = { feedback: feedback.trim(), at: new Date().toISOString() };
+  saveStore(store);
+
+  console.log(`[STORE] ↩️  Sent ${id} back for revision`);
+  return item;
+}
+
+/**
+ * Mark accepted proposals as pushed
+ * @param {Array<string>} ids - Actions whose commits were pushed
+ * @param {string|null} sha - Branch head after the push (null if they had no commits)
+ */
+export function markProposalsPushed(fullRepoName, prNumber, ids, sha) {
+  const store = loadStore(fullRepoName, prNumber);
+  const pushedAt = new Date().toISOString();
+  ids.forEach(id => {
+    const item = findItem(store, 'actions', id);
+    Object.assign(item.proposal, { status: 'pushed', pushedSha: sha, pushedAt });
+  });
+  saveStore(store);
+
+  console.log(`[STORE] 🚀 Marked ${ids.length} proposal(s) pushed${sha ? ` at ${sha.slice(0, 7)}` : ''}`);
+  return store.actions.filter(item => ids.includes(item.id));
+}
+
+/**
+ * Replace the PR's checkpoint with the one taken before a new Actions run
+ * @returns {Object} The stored checkpoint
+ */
+export function recordCheckpoint(fullRepoName, prNumber, checkpoint) {
+  const store = loadStore(fullRepoName, prNumber);
+  store.checkpoint = { ...checkpoint, pushedSha: null, createdAt: new Date().toISOString(), restored: null };
+  saveStore(store);
+
+  console.log(`[STORE] 📍 Recorded checkpoint at ${checkpoint.headSha.slice(0, 7)}`);
+  return store.checkpoint;
+}
+
+/**
+ * The checkpoint taken before the PR's last Actions run, if any
+ */
+export function getCheckpoint(fullRepoName, prNumber) {
+  return loadStore(fullRepoName, prNumber).checkpoint || null;
+}
+
+/**
+ * Record the PR branch head after a push by the run the checkpoint was taken for
+ * @returns {Object} The updated checkpoint
+ */
+export function recordCheckpointPush(fullRepoName, prNumber, sha) {
+  const store = loadStore(fullRepoName, prNumber);
+  if (!store.checkpoint) {
+    throw storeError(404, 'No checkpoint for this PR');
+  }
+  store.checkpoint.pushedSha = sha;
+  saveStore(store);
+  return store.checkpoint;
+}
+
+/**
+ * Record that the PR's checkpoint was restored
+ * @param {Object} details - { auto, previousSha, reopened }
+ * @returns {Object} The updated checkpoint
+ */
+export function markCheckpointRestored(fullRepoName, prNumber, details) {
+  const store = loadStore(fullRepoName, prNumber);
+  if (!store.checkpoint) {
+    throw storeError(404, 'No checkpoint for this PR');
+  }
+  store.checkpoint.restored = { ...details, at: new Date().toISOString() };
+  saveStore(store);
+
+  console.log(`[STORE] ⏪ Restored checkpoint at ${store.checkpoint.headSha.slice(0, 7)}${details.auto ? ' (automatically)' : ''}`);
+  return store.checkpoint;
+}
+
+/**
+ * Put completed actions back to pending - their commits were rolled back
+ * @returns {Array<Object>} The reopened actions
+ */
+export function reopenActions(fullRepoName, prNumber, ids) {
+  const store = loadStore(fullRepoName, prNumber);
+  const reopened = store.actions.filter(item => ids.includes(item.id));
+  reopened.forEach(item => {
+    for (const field of ['summary', 'completedAt', 'commits', 'files']) {
+      delete item[field];
+    }
+  });
+  saveStore(store);
+
+  console.log(`[STORE] ↩️  Reopened ${reopened.length} action(s)`);
+  return reopened;
+}
+
+/**
+ * Add the reviewer's follow-up to an answered question's thread
+ * @returns {Object} The updated question
+ */
+export function addFollowUp(fullRepoName, prNumber, id, text) {
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, 'questions', id);
+  if (!isItemDone('questions', item)) {
+    throw storeError(409, 'Follow-ups can only be added once the question is answered');
+  }
+
+  appendToThread(item, 'user', text);
+  saveStore(store);
+
+  console.log(`[STORE] 💬 Added follow-up to ${id}`);
+  return item;
+}
+
+/**
+ * Record Claude's reply to the pending follow-up(s) on a question
+ * @returns {Object} The updated question
+ */
+export function recordFollowUpReply(fullRepoName, prNumber, id, reply) {
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, 'questions', id);
+  if (!hasPendingFollowUp(item)) {
+    throw storeError(409, `No follow-up on ${id} is waiting for a reply`);
+  }
+
+  appendToThread(item, 'assistant', reply);
+  saveStore(store);
+
+  console.log(`[STORE] ✅ Recorded follow-up reply for ${id}`);
+  return item;
+}
+
+/**
+ * Absolute path of today's Questions/Actions file for a PR
+ * @param {'questions'|'actions'} kind
+ */
+export function getReviewFilePath(fullRepoName, prNumber, kind) {
+  const dateStr = new Date().toISOString().split('T')[0];
+  return resolveReviewPath(path.join(getPRDir(fullRepoName, prNumber), `${FILE_PREFIX[kind]} ${dateStr}.md`));
+}
+
+/**
+ * Directory of a PR's items, review files and transcripts, relative to prReviewsDir
+ * `<host>/<owner>/<repo>/PR-<n>` - the layout of the shared clones under projectsDir,
+ * so e.g. acme/api and other-org/api never share items. A directory left in the
+ * older `<repo>/PR-<n>` layout is moved here the first time the PR is used.
+ */
+export function getPRDir(fullRepoName, prNumber) {
+  let name;
+  try {
+    name = parseRepoName(fullRepoName);
+  } catch (error) {
+    throw storeError(400, error.message);
+  }
+
+  const prDir = path.join(name.host, name.owner, name.repo, `PR-${prNumber}`);
+  migrateLegacyPRDir(fullRepoName, path.join(name.repo, `PR-${prNumber}`), prDir);
+  return prDir;
+}
+
+/**
+ * Every rendered Questions/Actions markdown file, in the PR directories and at the top level
+ * Archived copies are left out, as they are in the PR directories' listings.
+ * @returns {Array<{name: string, path: string, modified: Date}>} name is relative to prReviewsDir
+ */
+export function listReviewFiles() {
+  const files = [];
+  const walk = (relativeDir) => {
+    for (const entry of fs.readdirSync(path.join(config.prReviewsDir, relativeDir), { withFileTypes: true })) {
+      const name = path.join(relativeDir, entry.name);
+      if (entry.isDirectory() && entry.name !== 'archive' && !entry.name.startsWith('.')) {
+        walk(name);
+      } else if (entry.isFile() && entry.name.endsWith('.md')) {
+        const filePath = path.join(config.prReviewsDir, name);
+        files.push({ name, path: filePath, modified: fs.statSync(filePath).mtime });
+      }
+    }
+  };
+
+  if (fs.existsSync(config.prReviewsDir)) {
+    walk('');
+  }
+  return files;
+}
+
+/**
+ * Copy a review file into the archive folder next to it, with a timestamp
+ * @returns {string} Archive path relative to prReviewsDir
+ */
+export function archiveReviewFile(filePath) {
+  const archiveDir = path.join(path.dirname(filePath), 'archive');
+  if (!fs.existsSync(archiveDir)) {
+    fs.mkdirSync(archiveDir, { recursive: true });
+    console.log(`📁 Created archive directory: ${path.relative(config.prReviewsDir, archiveDir)}`);
+  }
+
+  const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
+  const archiveFileName = path.basename(filePath).replace(/\.md$/, `_${timestamp}.md`);
+  const archivePath = path.join(archiveDir, archiveFileName);
+
+  fs.copyFileSync(filePath, archivePath);
+  console.log(`📦 Archived: ${path.relative(config.prReviewsDir, filePath)} → archive/${archiveFileName}`);
+  return path.relative(config.prReviewsDir, archivePath);
+}
+
+function recordResult(fullRepoName, prNumber, kind, id, text, addDetails = null) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw storeError(400, kind === 'questions' ? 'Answer is empty' : 'Summary is empty');
+  }
+
+  const store = loadStore(fullRepoName, prNumber);
+  const item = findItem(store, kind, id);
+  setResult(kind, item, text.trim());
+  addDetails?.(item);
+  saveStore(store);
+
+  console.log(`[STORE] ✅ Recorded ${kind === 'questions' ? 'answer' : 'summary'} for ${id}`);
+  return item;
+}
+
+function storePath(fullRepoName, prNumber) {
+  return resolveReviewPath(path.join(getPRDir(fullRepoName, prNumber), 'items.json'), ['.json']);
+}
+
+/**
+ * Move a PR directory from the older repo-name-only layout to its owner-qualified path
+ * The old directory was shared by every repository with the same name, so it is
+ * only moved if its items.json belongs to this repository (or it has none, as
+ * with directories from before the store).
+ */
+function migrateLegacyPRDir(fullRepoName, legacyDir, prDir) {
+  const legacyPath = resolveReviewDir(legacyDir);
+  const newPath = resolveReviewDir(prDir);
+  if (!fs.existsSync(legacyPath) || fs.existsSync(newPath)) return;
+
+  const legacyStorePath = path.join(legacyPath, 'items.json');
+  let store = null;
+  if (fs.existsSync(legacyStorePath)) {
+    store = JSON.parse(fs.readFileSync(legacyStorePath, 'utf8'));
+    if (store.pr?.fullRepoName?.toLowerCase() !== fullRepoName.toLowerCase()) return;
+  }
+
+  fs.mkdirSync(path.dirname(newPath), { recursive: true });
+  fs.renameSync(legacyPath, newPath);
+
+  // Rendered files are recorded relative to prReviewsDir - point them at the new directory
+  if (store?.rendered) {
+    for (const rendered of Object.values(store.rendered)) {
+      rendered.file = path.join(prDir, path.relative(legacyDir, rendered.file));
+    }
+    fs.writeFileSync(path.join(newPath, 'items.json'), JSON.stringify(store, null, 2), 'utf8');
+  }
+
+  console.log(`[STORE] 📦 Migrated ${legacyDir} → ${prDir}`);
+}
+
+/**
+ * Read items.json, picking up any answers edited into the rendered files since the last write
+ */
+function loadStore(fullRepoName, prNumber) {
+  if (!fullRepoName || !prNumber) {
+    throw storeError(400, 'Missing fullRepoName or prNumber');
+  }
+
+  const filePath = storePath(fullRepoName, prNumber);
+  if (!fs.existsSync(filePath)) {
+    return {
+      version: STORE_VERSION,
+      pr: { fullRepoName, prNumber: String(prNumber) },
+      questions: [],
+      actions: [],
+      rendered: {}
+    };
+  }
+
+  const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (importExternalEdits(store)) {
+    saveStore(store);
+  }
+  return store;
+}
+
+/**
+ * Re-render the markdown files, then write items.json atomically
+ */
+function saveStore(store) {
+  const filePath = storePath(store.pr.fullRepoName, store.pr.prNumber);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  for (const kind of ITEM_KINDS) {
+    renderKind(store, kind);
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write today's file for a kind (removing the last one if the kind is empty)
+ */
+function renderKind(store, kind) {
+  const previous = renderedPath(store, kind);
+  const filePath = getReviewFilePath(store.pr.fullRepoName, store.pr.prNumber, kind);
+
+  // Nothing left to render - drop today's file (files from earlier days are left alone)
+  if (store[kind].length === 0) {
+    if (previous === filePath) {
+      fs.unlinkSync(filePath);
+    }
+    delete store.rendered[kind];
+    return;
+  }
+
+  const render = kind === 'questions' ? renderQuestionsMarkdown : renderActionsMarkdown;
+  const content = render(store.pr, store[kind]);
+  fs.writeFileSync(filePath, content, 'utf8');
+
+  store.rendered[kind] = {
+    file: path.relative(config.prReviewsDir, filePath),
+    hash: hashContent(content)
+  };
+}
+
+/**
+ * Absolute path of the last rendered file for a kind, if it still exists
+ */
+function renderedPath(store, kind) {
+  const rendered = store.rendered?.[kind];
+  if (!rendered) return null;
+
+  const filePath = resolveReviewPath(rendered.file);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Archive the last rendered file for a kind, if there is one
+ * @returns {string|null} Archive path relative to prReviewsDir
+ */
+function archiveRendered(store, kind) {
+  const filePath = renderedPath(store, kind);
+  return filePath ? archiveReviewFile(filePath) : null;
+}
+
+/**
+ * Pick up answers/summaries written into the rendered files by hand
+ * @returns {boolean} Whether anything changed
+ */
+function importExternalEdits(store) {
+  let changed = false;
+
+  for (const kind of ITEM_KINDS) {
+    const filePath = renderedPath(store, kind);
+    if (!filePath) continue;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (hashContent(content) === store.rendered[kind].hash) continue;
+
+    let picked = 0;
+    for (const parsed of parseMarkdownItems(content, kind)) {
+      const item = store[kind].find(i => i.id === parsed.id);
+      if (item && !isItemDone(kind, item) && isItemDone(kind, parsed)) {
+        setResult(kind, item, resultOf(kind, parsed));
+        picked++;
+      }
+    }
+
+    if (picked > 0) {
+      console.log(`[STORE] 📝 Picked up ${picked} hand-written ${kind === 'questions' ? 'answers' : 'summaries'} from ${path.basename(filePath)}`);
+    }
+    changed = true;
+  }
+
+  return changed;
+}
+
+function newItem(kind, fields) {
+  const item = { id: `${ID_PREFIX[kind]}-${randomBytes(4).toString('hex')}` };
+  for (const field of ITEM_FIELDS[kind]) {
+    if (fields[field] !== undefined && fields[field] !== null) {
+      item[field] = fields[field];
+    }
+  }
+
+  if (!item.file || !(kind === 'questions' ? item.question : item.action)) {
+    throw storeError(400, `A ${kind === 'questions' ? 'question' : 'action'} needs a file and text`);
+  }
+
+  item.timestamp = item.timestamp || new Date().toISOString();
+  return item;
+}
+
+function findItem(store, kind, id) {
+  const item = store[kind].find(i => i.id === id);
+  if (!item) {
+    throw storeError(404, `No ${kind === 'questions' ? 'question' : 'action'} with id ${id}`);
+  }
+  return item;
+}
+
+function assertUnpushedProposal(item) {
+  if (!item.proposal) {
+    throw storeError(409, `${item.id} has no proposed changes`);
+  }
+  if (item.proposal.status === 'pushed') {
+    throw storeError(409, `The changes for ${item.id} are already pushed`);
+  }
+}
+
+function appendToThread(item, role, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw storeError(400, role === 'user' ? 'Follow-up is empty' : 'Reply is empty');
+  }
+
+  item.thread = [...(item.thread || []), { role, text: text.trim(), at: new Date().toISOString() }];
+  item.updatedAt = new Date().toISOString();
+}
+
+function updatePrInfo(store, prInfo) {
+  for (const field of ['prTitle', 'baseBranch', 'headBranch']) {
+    if (prInfo[field]) {
+      store.pr[field] = prInfo[field];
+    }
+  }
+}
+
+function resultOf(kind, item) {
+  return kind === 'questions' ? item.answer : item.summary;
+}
+
+function setResult(kind, item, text) {
+  delete item.blocked;
+  delete item.revision;
+  if (kind === 'questions') {
+    item.answer = text;
+    item.answeredAt = new Date().toISOString();
+  } else {
+    item.summary = text;
+    item.completedAt = new Date().toISOString();
+  }
+}
+
+function assertKind(kind) {
+  if (!ITEM_KINDS.includes(kind)) {
+    throw storeError(400, `Unknown item kind: ${kind}`);
+  }
+  return kind;
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function storeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
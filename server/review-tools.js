@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Review Tools
+ * In-process MCP server the agent uses to read and resolve review items in the
+ * review store, instead of editing the markdown files. A run is complete once
+ * every item it started with is recorded or marked blocked - or, for follow-up
+ * runs, once every pending follow-up has a reply.
+ */
+
+import { createSdkMcpServer, tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import { listItems, recordAnswer, recordActionSummary, recordFollowUpReply, markBlocked, isItemDone, hasPendingFollowUp } from './review-store.js';
+
+export const REVIEW_TOOL_SERVER = 'review';
+
+/**
+ * Whether a tool name belongs to the review tool server (mcp__review__*)
+ */
+export function isReviewTool(toolName) {
+  return toolName.startsWith(`mcp__${REVIEW_TOOL_SERVER}__`);
+}
+
+/**
+ * Create the tool server for one agent run, bound to that run's PR and kind
+ * @param {Object} prInfo - { fullRepoName, prNumber }
+ * @param {'questions'|'actions'} kind - Which items the run works on
+ * @param {Object} [options]
+ * @param {Array<string>} [options.itemIds] - Scope the tools to these items (single-item runs)
+ * @param {boolean} [options.followUps] - Reply to follow-ups on answered questions instead of answering new ones
+ * @param {Function} [options.onItemStarted] - Called with the item when the agent starts working on it
+ * @param {Function} [options.onItemResolved] - Called with the item after it is recorded or marked blocked
+ */
+export function createReviewToolServer(prInfo, kind, { itemIds = null, followUps = false, onItemStarted = () => {}, onItemResolved = () => {} } = {}) {
+  const { fullRepoName, prNumber } = prInfo;
+  const noun = kind === 'questions' ? 'question' : 'action';
+
+  const inScope = id => !itemIds || itemIds.includes(id);
+  const checkScope = id => {
+    if (!inScope(id)) {
+      throw new Error(`${id} is not part of this run`);
+    }
+  };
+
+  const resolved = (item, message) => {
+    onItemResolved(item);
+    return message;
+  };
+
+  const replyTool = tool(
+    'record_reply',
+    'Save your reply to the reviewer\'s latest follow-up on a question. Call once per question, with the question id from the prompt.',
+    {
+      id: z.string().describe('Question id, e.g. q-1a2b3c4d'),
+      reply: z.string().describe('Your reply, in markdown')
+    },
+    async ({ id, reply }) => toolResult(() => {
+      checkScope(id);
+      return resolved(recordFollowUpReply(fullRepoName, prNumber, id, reply), `Reply recorded for ${id}`);
+    })
+  );
+
+  const recordTool = kind === 'questions'
+    ? tool(
+      'record_answer',
+      'Save your answer to a review question. Call once per question, with the question id from the prompt.',
+      {
+        id: z.string().describe('Question id, e.g. q-1a2b3c4d'),
+        answer: z.string().describe('Your answer, in markdown')
+      },
+      async ({ id, answer }) => toolResult(() => {
+        checkScope(id);
+        return resolved(recordAnswer(fullRepoName, prNumber, id, answer), `Answer recorded for ${id}`);
+      })
+    )
+    : tool(
+      'record_action_summary',
+      'Save the summary of a completed action. Call once per action, with the action id from the prompt, after the work is committed and pushed.',
+      {
+        id: z.string().describe('Action id, e.g. a-1a2b3c4d'),
+        summary: z.string().describe('What you changed, which tests you ran and their results, in markdown'),
+        commits: z.array(z.string()).optional().describe('SHAs of the commits made for this action'),
+        files: z.array(z.string()).optional().describe('Repository paths of the files changed')
+      },
+      async ({ id, summary, commits, files }) => toolResult(() => {
+        checkScope(id);
+        return resolved(recordActionSummary(fullRepoName, prNumber, id, summary, { commits, files }), `Summary recorded for ${id}`);
+      })
+    );
+
+  const markBlockedTool = tool(
+    'mark_blocked',
+    `Mark a ${noun} you cannot ${kind === 'questions' ? 'answer' : 'complete'}, with the reason. The reviewer sees the reason and can clarify before the next run.`,
+    {
+      id: z.string().describe(`${noun === 'question' ? 'Question' : 'Action'} id from the prompt`),
+      reason: z.string().describe('Why it cannot be done, and what would unblock it')
+    },
+    async ({ id, reason }) => toolResult(() => {
+      checkScope(id);
+      return resolved(markBlocked(fullRepoName, prNumber, kind, id, reason), `${id} marked blocked`);
+    })
+  );
+
+  return createSdkMcpServer({
+    name: REVIEW_TOOL_SERVER,
+    version: '1.0.0',
+    tools: [
+      tool(
+        'list_items',
+        `List this PR's ${kind} with their ids and status (pending, ${kind === 'questions' ? 'answered' : 'done'} or blocked${followUps ? ', and whether a follow-up awaits your reply' : ''}).`,
+        {},
+        async () => toolResult(() => {
+          const items = listItems(fullRepoName, prNumber)[kind].filter(item => inScope(item.id)).map(item => ({
+            id: item.id,
+            status: itemStatus(kind, item),
+            file: item.file,
+            lines: item.lines,
+            [noun]: item[noun],
+            ...(item.blocked && { blockedReason: item.blocked.reason }),
+            ...(followUps && { awaitingReply: hasPendingFollowUp(item) })
+          }));
+          return JSON.stringify(items, null, 2);
+        })
+      ),
+      tool(
+        'start_item',
+        `Say which ${noun} you are starting on, so the reviewer can follow along. Call it before working on each ${noun}.`,
+        {
+          id: z.string().describe(`${noun === 'question' ? 'Question' : 'Action'} id from the prompt`)
+        },
+        async ({ id }) => toolResult(() => {
+          checkScope(id);
+          const item = listItems(fullRepoName, prNumber)[kind].find(candidate => candidate.id === id);
+          if (!item) {
+            throw new Error(`No ${noun} with id ${id}`);
+          }
+          onItemStarted(item);
+          return `Started ${id}`;
+        })
+      ),
+      ...(followUps ? [replyTool] : [recordTool, markBlockedTool])
+    ]
+  });
+}
+
+function itemStatus(kind, item) {
+  if (isItemDone(kind, item)) return kind === 'questions' ? 'answered' : 'done';
+  return item.blocked ? 'blocked' : 'pending';
+}
+
+/**
+ * Run a store update and report it back to the agent - errors become tool errors it can react to
+ */
+function toolResult(update) {
+  try {
+    return { content: [{ type: 'text', text: update() }] };
+  } catch (error) {
+    console.error(`[AGENT] ❌ Review tool failed: ${error.message}`);
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+}
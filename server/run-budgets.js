@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Run Budgets
+ * Limits on what a single Questions/Actions run may spend: tokens, cost (priced
+ * with config.prices), wall-clock time and turns. Defaults per mode come from
+ * the extension's settings; a job can override any of them for its run.
+ *
+ * A run is warned once per limit when it reaches warnAtPercent of it, and ended
+ * gracefully once it goes over - the items it hadn't resolved are left for the
+ * next run.
+ */
+
+export const BUDGET_LIMITS = ['maxTokens', 'maxCostUsd', 'maxDurationMinutes', 'maxTurns'];
+
+const DEFAULT_BUDGETS = {
+  questions: { maxTokens: null, maxCostUsd: null, maxDurationMinutes: null, maxTurns: 20 },
+  actions: { maxTokens: null, maxCostUsd: null, maxDurationMinutes: null, maxTurns: 30 }
+};
+const DEFAULT_WARN_AT_PERCENT = 80;
+
+const LIMIT_LABELS = {
+  maxTokens: 'tokens',
+  maxCostUsd: 'cost',
+  maxDurationMinutes: 'duration',
+  maxTurns: 'turns'
+};
+
+/**
+ * Why a job's budget override isn't valid
+ * Each limit is a positive number, or null to lift the mode's default for this run.
+ * @returns {string|null} null if the override is valid (or absent)
+ */
+export function validateBudgetOverride(budget) {
+  if (budget === undefined || budget === null) return null;
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    return 'budget must be an object of limits';
+  }
+  for (const [limit, value] of Object.entries(budget)) {
+    if (!BUDGET_LIMITS.includes(limit)) {
+      return `Unknown budget limit "${limit}" (expected ${BUDGET_LIMITS.join(', ')})`;
+    }
+    if (value !== null && !isLimit(value)) {
+      return `budget.${limit} must be a positive number or null`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The limits a run is held to: the job's override, else the browser's settings for the mode, else the defaults
+ * @param {Object} [settings] - Session settings ({ budgets: { questions, actions, warnAtPercent } })
+ * @param {'questions'|'actions'} mode
+ * @param {Object} [override] - Limits from the job (see validateBudgetOverride)
+ * @returns {{maxTokens: number|null, maxCostUsd: number|null, maxDurationMinutes: number|null, maxTurns: number|null, warnAtPercent: number}}
+ */
+export function resolveRunBudget(settings, mode, override = null) {
+  const configured = settings?.budgets?.[mode] || {};
+  const budget = {};
+
+  for (const limit of BUDGET_LIMITS) {
+    if (override && limit in override) {
+      budget[limit] = isLimit(override[limit]) ? override[limit] : null;
+    } else if (limit in configured) {
+      budget[limit] = isLimit(configured[limit]) ? configured[limit] : null;
+    } else {
+      budget[limit] = DEFAULT_BUDGETS[mode][limit];
+    }
+  }
+
+  const warnAtPercent = settings?.budgets?.warnAtPercent;
+  budget.warnAtPercent = isLimit(warnAtPercent) && warnAtPercent <= 100 ? warnAtPercent : DEFAULT_WARN_AT_PERCENT;
+  return budget;
+}
+
+/**
+ * Start tracking a run against its budget
+ */
+export function startRunBudget(budget) {
+  return {
+    limits: budget,
+    startedAt: Date.now(),
+    warned: new Set(), // Limits already warned about
+    exceeded: null, // { limit, value, max } once the run went over
+    timer: null // Rechecks the duration while the agent is busy
+  };
+}
+
+/**
+ * Compare a run's spending so far with its budget
+ * Each limit's warning is only returned the first time it is reached.
+ * @param {Object} tracker - From startRunBudget
+ * @param {Object} spent - { tokens, costUsd, turns }
+ * @returns {{warnings: Array<{limit, value, max}>, exceeded: {limit, value, max}|null}}
+ */
+export function checkRunBudget(tracker, { tokens = 0, costUsd = 0, turns = 0 }) {
+  const values = {
+    maxTokens: tokens,
+    maxCostUsd: costUsd,
+    maxDurationMinutes: (Date.now() - tracker.startedAt) / 60000,
+    maxTurns: turns
+  };
+  const warnings = [];
+  let exceeded = null;
+
+  for (const limit of BUDGET_LIMITS) {
+    const max = tracker.limits[limit];
+    if (!max) continue;
+
+    const value = values[limit];
+    if (value > max) {
+      exceeded = exceeded || { limit, value, max };
+    } else if (value >= max * tracker.limits.warnAtPercent / 100 && !tracker.warned.has(limit)) {
+      tracker.warned.add(limit);
+      warnings.push({ limit, value, max });
+    }
+  }
+
+  return { warnings, exceeded };
+}
+
+/**
+ * "cost $0.82 of $1.00" - for progress messages and the transcript
+ */
+export function describeBudgetUsage({ limit, value, max }) {
+  return `${LIMIT_LABELS[limit]} ${formatLimitValue(limit, value)} of ${formatLimitValue(limit, max)}`;
+}
+
+function formatLimitValue(limit, value) {
+  switch (limit) {
+    case 'maxCostUsd':
+      return `$${value.toFixed(2)}`;
+    case 'maxDurationMinutes':
+      return `${value.toFixed(1)} min`;
+    default:
+      return Math.round(value).toLocaleString('en-US');
+  }
+}
+
+function isLimit(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Run Checkpoints
+ * Before each Actions run the PR branch head, the shared clone's stash and the
+ * session's worktree branch are recorded, and each push the run makes records
+ * where it left the branch. Restoring the checkpoint undoes a stopped or failed
+ * run: the PR branch is reset to the recorded head (only if nobody pushed after
+ * the run), the worktree is cleaned, the stash list is put back and the actions
+ * the rolled back commits completed are reopened.
+ */
+
+import {
+  listItems,
+  recordCheckpoint,
+  getCheckpoint,
+  markCheckpointRestored,
+  recordCheckpointPush,
+  reopenActions
+} from './review-store.js';
+import { getHeadSha, getRefSha, listStashes, restoreStashes, resetRemoteBranch, resetWorktree } from './git-helper.js';
+import { invalidatePRMetadata } from './pr-metadata.js';
+
+/**
+ * Record where an Actions run starts from, replacing the PR's previous checkpoint
+ * @param {Object} repoStatus - The session's repoStatus (worktree, shared clone and push target)
+ * @param {Array<string>} itemIds - Actions the run works on
+ * @returns {Object} The checkpoint
+ */
+export function createRunCheckpoint(prInfo, repoStatus, itemIds, { reviewBeforePush = false } = {}) {
+  return recordCheckpoint(prInfo.fullRepoName, prInfo.prNumber, {
+    headSha: getHeadSha(repoStatus.worktreePath),
+    remote: repoStatus.pushRemote,
+    branch: repoStatus.pushBranch,
+    worktreeBranch: repoStatus.worktreeBranch,
+    worktreePath: repoStatus.worktreePath,
+    repoPath: repoStatus.path,
+    stashes: listStashes(repoStatus.path),
+    itemIds,
+    reviewBeforePush
+  });
+}
+
+/**
+ * Record where the run's push left the PR branch
+ * A push updates the remote-tracking branch, which the session worktree shares with the clone.
+ * @returns {Object} The updated checkpoint
+ */
+export function recordRunPush(prInfo, repoStatus) {
+  const sha = getRefSha(repoStatus.worktreePath, `${repoStatus.pushRemote}/${repoStatus.pushBranch}`);
+  return recordCheckpointPush(prInfo.fullRepoName, prInfo.prNumber, sha);
+}
+
+/**
+ * Roll the PR back to its last checkpoint
+ * The PR branch is reset first - if that fails, or anyone pushed after the run,
+ * nothing else is touched. Runs reviewed before push never pushed, so their
+ * branch is left alone.
+ * @param {Object} [options]
+ * @param {boolean} [options.auto] - Restored because the run was stopped or failed
+ * @returns {Promise<{checkpoint: Object, previousSha: string|null, reopened: Array<string>, stashes: {dropped: number, restored: number}}>}
+ */
+export async function restoreRunCheckpoint(fullRepoName, prNumber, { auto = false } = {}) {
+  const checkpoint = getCheckpoint(fullRepoName, prNumber);
+  if (!checkpoint) {
+    throw checkpointError(404, 'No checkpoint for this PR - one is taken before each Actions run');
+  }
+  if (checkpoint.restored) {
+    throw checkpointError(409, 'This checkpoint was already restored');
+  }
+
+  const { headSha, remote, branch, repoPath } = checkpoint;
+  let previousSha = null;
+  if (!checkpoint.reviewBeforePush && remote) {
+    // A run that never pushed must have left the branch at the checkpoint
+    const expectedTip = checkpoint.pushedSha || headSha;
+    const branchResult = await resetRemoteBranch(fullRepoName, repoPath, { remote, branch }, headSha, expectedTip);
+    if (branchResult.error) {
+      throw checkpointError(409, branchResult.error);
+    }
+    previousSha = branchResult.previousSha;
+    if (previousSha) {
+      invalidatePRMetadata(fullRepoName, prNumber); // The PR head moved
+    }
+  }
+
+  const worktreeResult = resetWorktree(checkpoint.worktreePath, headSha);
+  const stashResult = restoreStashes(repoPath, checkpoint.stashes, checkpoint.worktreeBranch);
+  const errors = [worktreeResult.error, stashResult.error].filter(Boolean);
+
+  // Actions the run completed - their commits are gone now. Proposals never reached the branch.
+  const completed = listItems(fullRepoName, prNumber).actions.filter(action =>
+    checkpoint.itemIds.includes(action.id) &&
+    action.summary &&
+    !action.proposal &&
+    action.completedAt >= checkpoint.createdAt
+  );
+  const reopened = completed.length > 0 ? reopenActions(fullRepoName, prNumber, completed.map(action => action.id)) : [];
+
+  if (errors.length > 0) {
+    // The branch is back at the checkpoint - restoring again retries the rest
+    throw checkpointError(500, errors.join('; '));
+  }
+
+  const restored = markCheckpointRestored(fullRepoName, prNumber, {
+    auto,
+    previousSha,
+    reopened: reopened.map(action => action.id)
+  });
+  return {
+    checkpoint: restored,
+    previousSha,
+    reopened: reopened.map(action => action.id),
+    stashes: { dropped: stashResult.dropped, restored: stashResult.restored }
+  };
+}
+
+function checkpointError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
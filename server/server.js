@@ -11,8 +11,35 @@ import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { createSession, answerQuestionsWithAgent, completeActionsWithAgent } from './agent-server.js';
-import { config, reloadConfig } from './config.js';
+import { createSession, claimWarmSession } from './agent-server.js';
+import { enqueueJob, getJob, listJobs, cancelJob, isRepoBusy } from './job-queue.js';
+import { listApprovals, settleApproval } from './approvals-queue.js';
+import { usageReport } from './usage-tracker.js';
+import { validateBudgetOverride } from './run-budgets.js';
+import { listProposals, reviewProposal, pushAcceptedProposals } from './action-proposals.js';
+import { restoreRunCheckpoint } from './run-checkpoints.js';
+import { listTranscripts, readTranscript } from './transcript-log.js';
+import { createPendingReview, submitReview } from './github-publisher.js';
+import { getPRMetadata } from './pr-metadata.js';
+import { listHosts } from './github-hosts.js';
+import { pairExtension, getAllowedOrigin, isAuthorizedRequest } from './auth.js';
+import { resolveReviewPath } from './path-jail.js';
+import {
+  listItems,
+  addItem,
+  updateItem,
+  addFollowUp,
+  deleteItem,
+  clearItems,
+  importItems,
+  getReviewFilePath,
+  listReviewFiles,
+  archiveReviewFile,
+  getCheckpoint
+} from './review-store.js';
+import { config, reloadConfig, loadAgentConfig, AGENT_ENV_VARS } from './config.js';
+import { validateAgentConfig, modelForRun, PROVIDERS } from './model-provider.js';
+import { THINKING_PRESETS, isThinkingPreset } from './thinking-presets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -28,14 +55,37 @@ console.log('🤖 Claude GitHub Buddy Server');
 console.log('==============================');
 console.log(`📁 Saving files to: ${config.prReviewsDir}`);
 console.log(`🌐 Server running at: http://localhost:${PORT}`);
+
+// Check the agent's provider and models up front - no run could start with a broken setup
+const agentCheck = validateAgentConfig(config.agent);
+agentCheck.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+if (agentCheck.errors.length > 0) {
+  agentCheck.errors.forEach(error => console.error(`❌ ${error}`));
+  console.error('Fix "agent" in server/config.json or the CLAUDE_* variables in .env, then restart the server.');
+  process.exit(1);
+}
+console.log(`🧠 Agent: ${config.agent.provider} - Questions on ${modelForRun(config.agent, 'questions') || 'the default model'}, Actions on ${modelForRun(config.agent, 'actions') || 'the default model'}${config.agent.fallbackModel ? `, falling back to ${config.agent.fallbackModel}` : ''}`);
+
 console.log('✅ Ready! Keep this running while using the extension.');
 console.log('');
 
+// Reachable without the shared token: pairing hands it out, health checks don't need it
+const PUBLIC_ENDPOINTS = ['/pair', '/health'];
+
+// Bump when the HTTP or WebSocket API changes incompatibly - the extension
+// checks it in the /health handshake
+const PROTOCOL_VERSION = 1;
+
 const server = http.createServer((req, res) => {
-  // CORS headers for Chrome extension
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  // CORS only for the paired extension (before pairing, any extension may reach the public endpoints)
+  const origin = req.headers.origin;
+  const pairing = PUBLIC_ENDPOINTS.includes(req.url) && !getAllowedOrigin() && origin?.startsWith('chrome-extension://');
+  if (origin && (origin === getAllowedOrigin() || pairing)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -44,6 +94,13 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  if (!PUBLIC_ENDPOINTS.includes(req.url) && !isAuthorizedRequest(req)) {
+    console.warn(`[AUTH] ⚠️  Rejected ${req.method} ${req.url} from ${origin || 'unknown origin'}`);
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: 'Unauthorized' }));
+    return;
+  }
+
   // Parse request
   let body = '';
   req.on('data', chunk => {
@@ -54,8 +111,22 @@ const server = http.createServer((req, res) => {
     try {
       const data = JSON.parse(body || '{}');
 
+      if (req.url === '/pair' && req.method === 'POST') {
+        // Hand the shared token to the extension (first extension to pair is pinned)
+        const token = pairExtension(origin);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, token }));
+        return;
+      }
+
       if (req.url === '/writeFile' && req.method === 'POST') {
-        const filePath = path.join(config.prReviewsDir, data.filename);
+        const filePath = resolveReviewPath(data.filename);
+
+        if (typeof data.content !== 'string') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing content' }));
+          return;
+        }
 
         // Create nested directories if they don't exist
         const dir = path.dirname(filePath);
@@ -74,7 +145,7 @@ const server = http.createServer((req, res) => {
       if (req.url === '/readFile' && req.method === 'POST') {
         console.log('[SERVER] readFile request received');
         console.log('[SERVER] data.filename:', data.filename);
-        const filePath = path.join(config.prReviewsDir, data.filename);
+        const filePath = resolveReviewPath(data.filename);
         console.log('[SERVER] Full path:', filePath);
         console.log('[SERVER] File exists?', fs.existsSync(filePath));
 
@@ -101,13 +172,7 @@ const server = http.createServer((req, res) => {
       }
 
       if (req.url === '/listFiles' && req.method === 'GET') {
-        const files = fs.readdirSync(config.prReviewsDir)
-          .filter(f => f.endsWith('.md'))
-          .map(f => ({
-            name: f,
-            path: path.join(config.prReviewsDir, f),
-            modified: fs.statSync(path.join(config.prReviewsDir, f)).mtime
-          }));
+        const files = listReviewFiles();
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ success: true, files }));
         return;
@@ -115,7 +180,7 @@ const server = http.createServer((req, res) => {
 
       if (req.url === '/deleteFile' && req.method === 'POST') {
         console.log('[SERVER] deleteFile request received');
-        const filePath = path.join(config.prReviewsDir, data.filename);
+        const filePath = resolveReviewPath(data.filename);
         console.log('[SERVER] File to delete:', filePath);
 
         if (!fs.existsSync(filePath)) {
@@ -140,7 +205,7 @@ const server = http.createServer((req, res) => {
 
       if (req.url === '/archiveFile' && req.method === 'POST') {
         console.log('[SERVER] archiveFile request received');
-        const filePath = path.join(config.prReviewsDir, data.filename);
+        const filePath = resolveReviewPath(data.filename);
         console.log('[SERVER] Source file:', filePath);
 
         if (!fs.existsSync(filePath)) {
@@ -150,110 +215,417 @@ const server = http.createServer((req, res) => {
           return;
         }
 
-        // Create archive directory in the same folder as the file
-        const fileDir = path.dirname(filePath);
-        const archiveDir = path.join(fileDir, 'archive');
-        if (!fs.existsSync(archiveDir)) {
-          fs.mkdirSync(archiveDir, { recursive: true });
-          console.log(`📁 Created archive directory: ${path.relative(config.prReviewsDir, archiveDir)}`);
+        const archivePath = archiveReviewFile(filePath);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, archivePath }));
+        return;
+      }
+
+      if (req.url === '/listItems' && req.method === 'POST') {
+        // Questions and actions for a PR, plus the paths of their rendered markdown files
+        const { fullRepoName, prNumber } = data.prInfo || {};
+        const items = listItems(fullRepoName, prNumber);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...items }));
+        return;
+      }
+
+      if (req.url === '/addItem' && req.method === 'POST') {
+        const { prInfo, kind, item } = data;
+
+        if (!prInfo || !item) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing prInfo or item' }));
+          return;
         }
 
-        // Create archive filename with timestamp
-        const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-        const fileName = path.basename(filePath);
-        const archiveFileName = fileName.replace(/\.md$/, `_${timestamp}.md`);
-        const archivePath = path.join(archiveDir, archiveFileName);
+        const added = addItem(prInfo, kind, item);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, item: added }));
+        return;
+      }
+
+      if (req.url === '/updateItem' && req.method === 'POST') {
+        const { prInfo, kind, id, changes } = data;
+        const item = updateItem(prInfo?.fullRepoName, prInfo?.prNumber, kind, id, changes);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, item }));
+        return;
+      }
+
+      if (req.url === '/addFollowUp' && req.method === 'POST') {
+        // Reviewer's reply on an answered question - a 'followups' job gets Claude's response
+        const { prInfo, id, text } = data;
+        const item = addFollowUp(prInfo?.fullRepoName, prInfo?.prNumber, id, text);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, item }));
+        return;
+      }
+
+      if (req.url === '/deleteItem' && req.method === 'POST') {
+        const { prInfo, kind, id, archive } = data;
+        const result = deleteItem(prInfo?.fullRepoName, prInfo?.prNumber, kind, id, { archive: Boolean(archive) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...result }));
+        return;
+      }
 
-        // Copy file to archive
-        fs.copyFileSync(filePath, archivePath);
-        console.log(`📦 Archived: ${data.filename} → archive/${archiveFileName}`);
+      if (req.url === '/clearItems' && req.method === 'POST') {
+        // kind is 'questions', 'actions' or 'all'; rendered files are archived unless archive is false
+        const { prInfo, kind, archive } = data;
+        const result = clearItems(prInfo?.fullRepoName, prInfo?.prNumber, kind, { archive: archive !== false });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...result }));
+        return;
+      }
 
+      if (req.url === '/importItems' && req.method === 'POST') {
+        // Old chrome.storage items ({ questions, actions }) or a markdown file ({ markdown, fileName })
+        const { prInfo, questions, actions, markdown, fileName } = data;
+
+        if (!prInfo) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing prInfo' }));
+          return;
+        }
+
+        const result = importItems(prInfo, { questions, actions, markdown, fileName });
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, archivePath: path.relative(config.prReviewsDir, archivePath) }));
+        res.end(JSON.stringify({ success: true, ...result }));
+        return;
+      }
+
+      if (req.url === '/listTranscripts' && req.method === 'POST') {
+        const { fullRepoName, prNumber } = data;
+
+        if (!fullRepoName || !prNumber) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing fullRepoName or prNumber' }));
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, transcripts: listTranscripts(fullRepoName, prNumber) }));
+        return;
+      }
+
+      if (req.url === '/readTranscript' && req.method === 'POST') {
+        try {
+          const events = readTranscript(data.filename);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, events }));
+        } catch (error) {
+          res.writeHead(error.status || 404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: error.message }));
+        }
         return;
       }
 
       if (req.url === '/startSession' && req.method === 'POST') {
-        // Create a new Agent SDK session and return sessionId
-        const sessionId = createSession();
-        console.log(`[SESSION] Created new session: ${sessionId}`);
+        // Reuse the PR's warm session when asked to (prInfo + kind), else create a new Agent SDK session
+        const { prInfo, kind } = data;
+        const warmSessionId = prInfo && ['questions', 'actions'].includes(kind) ? claimWarmSession(prInfo, kind) : null;
+        const sessionId = warmSessionId || createSession();
+        console.log(`[SESSION] ${warmSessionId ? 'Reusing warm' : 'Created new'} session: ${sessionId}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, sessionId, warm: Boolean(warmSessionId) }));
+        return;
+      }
+
+      if (req.url === '/jobs' && req.method === 'POST') {
+        // Queue a Questions/Actions (or follow-up) agent run and return its job id immediately
+        const { type, sessionId, prInfo, itemIds, reviewBeforePush, profile, budget, thinking } = data;
+
+        if (!sessionId || !prInfo || !['questions', 'followups', 'actions'].includes(type)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing sessionId, prInfo or valid type' }));
+          return;
+        }
+
+        if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(id => typeof id === 'string'))) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'itemIds must be a non-empty array of item ids' }));
+          return;
+        }
+
+        // Follow-up replies are rendered into the Questions file
+        const filePath = getReviewFilePath(prInfo.fullRepoName, prInfo.prNumber, type === 'followups' ? 'questions' : type);
+        if (reviewBeforePush && type !== 'actions') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'reviewBeforePush only applies to actions' }));
+          return;
+        }
+
+        if (profile !== undefined && profile !== null && typeof profile !== 'string') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'profile must be the name of a permission profile' }));
+          return;
+        }
+
+        const budgetError = validateBudgetOverride(budget);
+        if (budgetError) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: budgetError }));
+          return;
+        }
+
+        if (thinking !== undefined && thinking !== null && !isThinkingPreset(thinking)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: `thinking must be one of ${Object.keys(THINKING_PRESETS).join(', ')}` }));
+          return;
+        }
+
+        const job = enqueueJob({ type, sessionId, prInfo, filePath, itemIds, reviewBeforePush, profile: profile || null, budget: budget || null, thinking: thinking || null });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, job }));
+        return;
+      }
+
+      if (req.url === '/jobs' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, jobs: listJobs() }));
+        return;
+      }
+
+      const jobMatch = req.url.match(/^\/jobs\/([\w-]+)(\/cancel)?$/);
+      if (jobMatch) {
+        const [, jobId, cancel] = jobMatch;
+
+        if (cancel && req.method === 'POST') {
+          const result = cancelJob(jobId);
+          res.writeHead(result.success ? 200 : (result.error === 'Job not found' ? 404 : 409), { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+          return;
+        }
+
+        if (!cancel && req.method === 'GET') {
+          const job = getJob(jobId);
+          if (!job) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Job not found' }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, job }));
+          return;
+        }
+      }
+
+      if (req.url === '/approvals' && req.method === 'GET') {
+        // Tool calls waiting for approval, across all sessions
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, approvals: listApprovals() }));
+        return;
+      }
+
+      if (req.url === '/approvals/decide' && req.method === 'POST') {
+        // Approve or deny queued tool calls in a batch
+        const { requestIds, behavior, message } = data;
+
+        if (!Array.isArray(requestIds) || requestIds.length === 0 || !['allow', 'deny'].includes(behavior)) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing requestIds or behavior (allow or deny)' }));
+          return;
+        }
+
+        const approvals = new Map(listApprovals().map(approval => [approval.requestId, approval]));
+        const decided = requestIds.filter(requestId => {
+          const approval = approvals.get(requestId);
+          if (!approval) return false;
+          const result = behavior === 'allow'
+            ? { behavior: 'allow', updatedInput: approval.input }
+            : { behavior: 'deny', message: message || 'Denied from the approvals queue' };
+          return settleApproval(requestId, result, 'queue');
+        });
+        console.log(`[APPROVALS] ${behavior === 'allow' ? '✅ Approved' : '❌ Denied'} ${decided.length} request(s) from the queue`);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          success: true,
+          decided,
+          missing: requestIds.filter(requestId => !decided.includes(requestId)) // Already answered or timed out
+        }));
+        return;
+      }
+
+      if (req.url.split('?')[0] === '/usage' && req.method === 'GET') {
+        // Token usage and cost, rolled up per day, repository and PR
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const filters = { from: params.get('from'), to: params.get('to'), repo: params.get('repo') };
+
+        if ([filters.from, filters.to].some(day => day && !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'from and to must be dates like 2025-01-31' }));
+          return;
+        }
+
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, sessionId }));
+        res.end(JSON.stringify({ success: true, ...usageReport(filters) }));
         return;
       }
 
-      if (req.url === '/answerQuestions' && req.method === 'POST') {
-        console.log('[AGENT] Processing answer questions request...');
-        const { sessionId, prInfo, useUltrathink } = data;
+      if (req.url === '/prMetadata' && req.method === 'POST') {
+        // Branches, head SHA, fork details, labels and changed files from the GitHub API
+        const { fullRepoName, prNumber, refresh } = data;
 
-        if (!sessionId) {
+        if (!fullRepoName || !prNumber) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Missing sessionId' }));
+          res.end(JSON.stringify({ success: false, error: 'Missing fullRepoName or prNumber' }));
           return;
         }
 
-        // Build file path to questions file
-        const repoName = prInfo.fullRepoName.split('/')[1];
-        const prFolder = `PR-${prInfo.prNumber}`;
-        const dateStr = new Date().toISOString().split('T')[0];
-        const filename = `${repoName}/${prFolder}/Questions ${dateStr}.md`;
-        const filePath = path.join(config.prReviewsDir, filename);
+        getPRMetadata(fullRepoName, prNumber, { refresh: !!refresh })
+          .then(metadata => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, metadata }));
+          })
+          .catch(error => {
+            console.error('❌ Error fetching PR metadata:', error.message);
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+
+      if (req.url === '/proposals' && req.method === 'POST') {
+        // Actions with commits from a "review before push" run, with their diffs
+        const { prInfo } = data;
+        const proposals = listProposals(prInfo?.fullRepoName, prInfo?.prNumber);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, proposals }));
+        return;
+      }
 
-        // Use Agent SDK to answer questions
-        answerQuestionsWithAgent(sessionId, prInfo, filePath, useUltrathink)
+      if (req.url === '/reviewProposal' && req.method === 'POST') {
+        // decision: 'accept', 'reject' or 'revise' (with feedback for the next run)
+        const { prInfo, id, decision, feedback } = data;
+        const item = reviewProposal(prInfo?.fullRepoName, prInfo?.prNumber, id, decision, feedback);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, item }));
+        return;
+      }
+
+      if (req.url === '/pushProposals' && req.method === 'POST') {
+        // Cherry-pick the accepted changes onto the PR branch and push them
+        const { prInfo } = data;
+        if (isRepoBusy(prInfo?.fullRepoName)) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'An agent run is using this repository - push once it has finished' }));
+          return;
+        }
+
+        pushAcceptedProposals(prInfo?.fullRepoName, prInfo?.prNumber)
           .then(result => {
-            // Parse result and update markdown file
-            // (For now, Claude updates via tools directly)
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: true, ...result }));
           })
           .catch(error => {
-            console.error('❌ Error answering questions:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
+            console.error('❌ Error pushing proposals:', error.message);
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: false, error: error.message }));
           });
         return;
       }
 
-      if (req.url === '/completeActions' && req.method === 'POST') {
-        console.log('[AGENT] Processing complete actions request...');
-        const { sessionId, prInfo, useUltrathink } = data;
+      if (req.url === '/checkpoint' && req.method === 'POST') {
+        // Where the PR's last Actions run started from (null before the first run)
+        const { prInfo } = data;
+        const checkpoint = getCheckpoint(prInfo?.fullRepoName, prInfo?.prNumber);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, checkpoint }));
+        return;
+      }
 
-        if (!sessionId) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Missing sessionId' }));
+      if (req.url === '/restoreCheckpoint' && req.method === 'POST') {
+        // Reset the PR branch, stash and worktree to the checkpoint and reopen the rolled back actions
+        const { prInfo } = data;
+        if (isRepoBusy(prInfo?.fullRepoName)) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'An agent run is using this repository - stop it before restoring the checkpoint' }));
           return;
         }
 
-        // Build file path to actions file
-        const repoName = prInfo.fullRepoName.split('/')[1];
-        const prFolder = `PR-${prInfo.prNumber}`;
-        const dateStr = new Date().toISOString().split('T')[0];
-        const filename = `${repoName}/${prFolder}/Actions ${dateStr}.md`;
-        const filePath = path.join(config.prReviewsDir, filename);
-
-        // Use Agent SDK to complete actions
-        completeActionsWithAgent(sessionId, prInfo, filePath, useUltrathink)
+        restoreRunCheckpoint(prInfo?.fullRepoName, prInfo?.prNumber)
           .then(result => {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: true, ...result }));
           })
           .catch(error => {
-            console.error('❌ Error completing actions:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
+            console.error('❌ Error restoring checkpoint:', error.message);
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+
+      if (req.url === '/publishReview' && req.method === 'POST') {
+        // Create a pending GitHub review from answered questions/completed actions
+        // Optionally submit it straight away (event: COMMENT, APPROVE or REQUEST_CHANGES)
+        const { prInfo, items, body, event } = data;
+
+        if (!prInfo || !Array.isArray(items) || items.length === 0) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing prInfo or items' }));
+          return;
+        }
+
+        createPendingReview(prInfo, items, body)
+          .then(review => (event ? submitReview(prInfo, review.reviewId, event, body).then(submitted => ({ ...review, ...submitted })) : review))
+          .then(review => {
+            console.log(`✅ Review published: ${review.htmlUrl} (${review.state})`);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, review }));
+          })
+          .catch(error => {
+            console.error('❌ Error publishing review:', error.message);
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ success: false, error: error.message }));
           });
         return;
       }
 
+      if (req.url === '/submitReview' && req.method === 'POST') {
+        const { prInfo, reviewId, event, body } = data;
+
+        if (!prInfo || !reviewId || !event) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: 'Missing prInfo, reviewId or event' }));
+          return;
+        }
+
+        submitReview(prInfo, reviewId, event, body)
+          .then(review => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, review }));
+          })
+          .catch(error => {
+            console.error('❌ Error submitting review:', error.message);
+            res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: error.message }));
+          });
+        return;
+      }
+
+      if (req.url === '/hosts' && req.method === 'GET') {
+        // Configured GitHub hosts, so the extension can run on Enterprise hosts too
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, hosts: listHosts() }));
+        return;
+      }
+
       if (req.url === '/getConfig' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
           success: true,
           config: {
             prReviewsDir: config.prReviewsDir,
-            projectsDir: config.projectsDir
-          }
+            projectsDir: config.projectsDir,
+            agent: config.agent
+          },
+          providers: PROVIDERS,
+          // Agent settings set in the environment, which config.json can't override
+          agentEnvOverrides: Object.keys(AGENT_ENV_VARS).filter(field => process.env[AGENT_ENV_VARS[field]])
         }));
         return;
       }
@@ -274,7 +646,7 @@ const server = http.createServer((req, res) => {
 
       if (req.url === '/updateConfig' && req.method === 'POST') {
         console.log('[SERVER] updateConfig request received');
-        const { prReviewsDir, projectsDir } = data;
+        const { prReviewsDir, projectsDir, agent } = data;
 
         if (!prReviewsDir || !projectsDir) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -282,10 +654,32 @@ const server = http.createServer((req, res) => {
           return;
         }
 
+        // Agent settings are optional - fields left out are kept, null or empty ones cleared
+        if (agent !== undefined && (!agent || typeof agent !== 'object' || Object.entries(agent).some(([field, value]) => !(field in AGENT_ENV_VARS) || (value !== null && typeof value !== 'string')))) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: `agent may only set ${Object.keys(AGENT_ENV_VARS).join(', ')} (strings or null)` }));
+          return;
+        }
+
         try {
-          // Write to config.json
+          // Write to config.json, keeping settings the UI doesn't edit (e.g. hosts)
           const configPath = path.join(__dirname, 'config.json');
-          const newConfig = { prReviewsDir, projectsDir };
+          const existingConfig = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+          const newConfig = { ...existingConfig, prReviewsDir, projectsDir };
+
+          if (agent) {
+            newConfig.agent = Object.fromEntries(
+              Object.entries({ ...existingConfig.agent, ...agent })
+                .map(([field, value]) => [field, value?.trim()])
+                .filter(([, value]) => value)
+            );
+            const { errors } = validateAgentConfig(loadAgentConfig(newConfig.agent));
+            if (errors.length > 0) {
+              res.writeHead(400, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ success: false, error: errors.join('; ') }));
+              return;
+            }
+          }
           fs.writeFileSync(configPath, JSON.stringify(newConfig, null, 2), 'utf8');
 
           // Reload configuration
@@ -309,7 +703,12 @@ const server = http.createServer((req, res) => {
 
       if (req.url === '/health' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ status: 'ok', directory: config.prReviewsDir }));
+        res.end(JSON.stringify({
+          status: 'ok',
+          protocolVersion: PROTOCOL_VERSION,
+          wsUrl: `ws://${requestHostname(req)}:${config.wsPort}`,
+          directory: config.prReviewsDir
+        }));
         return;
       }
 
@@ -317,12 +716,23 @@ const server = http.createServer((req, res) => {
       res.end(JSON.stringify({ success: false, error: 'Not found' }));
     } catch (error) {
       console.error('❌ Error:', error.message);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ success: false, error: error.message }));
     }
   });
 });
 
+/**
+ * Hostname the client used to reach us, so the WebSocket URL works from wherever it connected
+ */
+function requestHostname(req) {
+  try {
+    return new URL(`http://${req.headers.host}`).hostname;
+  } catch {
+    return 'localhost';
+  }
+}
+
 server.listen(PORT, () => {
   console.log(`Press Ctrl+C to stop the server\n`);
 });
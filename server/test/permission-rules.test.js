@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchPermissionRules, readOnlyViolation } from '../permission-rules.js';
+
+// The default deny rules of the Actions profile, with a broad allow rule underneath
+const rules = {
+  deny: ['Bash(git push --force*)', 'Bash(git push -f*)', 'Bash(rm -rf*)'],
+  allow: ['Bash(git push*)', 'Bash(npm test*)', 'Bash(rm*)']
+};
+
+function decide(command) {
+  return matchPermissionRules(rules, 'Bash', { command }, {})?.decision || null;
+}
+
+test('deny rules match whatever the whitespace', () => {
+  assert.equal(decide('git push --force'), 'deny');
+  assert.equal(decide('git  push --force'), 'deny');
+  assert.equal(decide('git\tpush   -f'), 'deny');
+  assert.equal(decide('cd src &&  git   push  --force'), 'deny');
+});
+
+test('deny rules match flags wherever they are', () => {
+  assert.equal(decide('git push origin --force'), 'deny');
+  assert.equal(decide('git push origin main --force-with-lease'), 'deny');
+  assert.equal(decide('git -C src push --force'), 'deny');
+  assert.equal(decide('git push "--force" origin'), 'deny');
+  assert.equal(decide('GIT_TRACE=1 git push origin -f'), 'deny');
+});
+
+test('deny rules match short flags grouped with others', () => {
+  assert.equal(decide('git push -uf origin main'), 'deny');
+});
+
+test('deny rules match short flags grouped or split differently', () => {
+  assert.equal(decide('rm -rf /'), 'deny');
+  assert.equal(decide('rm -fr /'), 'deny');
+  assert.equal(decide('rm -r -f /'), 'deny');
+  assert.equal(decide('rm -f -v -r /'), 'deny');
+});
+
+test('deny rules see through commands that run other commands', () => {
+  assert.equal(decide('env git push --force'), 'deny');
+  assert.equal(decide('env -i GIT_TRACE=1 git push --force'), 'deny');
+  assert.equal(decide('command git push --force'), 'deny');
+  assert.equal(decide('sudo rm -rf /'), 'deny');
+  assert.equal(decide('sudo -u root rm -rf /'), 'deny');
+  assert.equal(decide('nice -n 10 git push -f'), 'deny');
+  assert.equal(decide('time git push --force'), 'deny');
+});
+
+test('allow rules do not see through wrappers', () => {
+  assert.equal(decide('sudo rm -r build'), null);
+});
+
+test('commands without the flags are left to the other rules', () => {
+  assert.equal(decide('git push origin main'), 'allow');
+  assert.equal(decide('git push --follow-tags'), 'allow');
+  assert.equal(decide('echo git push --force'), null);
+  assert.equal(decide('rm -r build'), 'allow');
+  assert.equal(decide('rm -f build.log'), 'allow');
+});
+
+test('allow rules match whatever the whitespace', () => {
+  assert.equal(decide('npm  test'), 'allow');
+});
+
+function readOnly(command) {
+  return readOnlyViolation('Bash', { command }, {}) === null;
+}
+
+test('questions runs may read', () => {
+  assert.ok(readOnly('git log --oneline -5'));
+  assert.ok(readOnly('git log --pretty=format:%h'));
+  assert.ok(readOnly('git grep -n useState && git log -1 | head'));
+  assert.ok(readOnly('tree -L 2 src'));
+  assert.ok(readOnly('find . -name "*.js"'));
+});
+
+test('questions runs may discard and merge output', () => {
+  assert.ok(readOnly('grep -r foo . 2>/dev/null'));
+  assert.ok(readOnly('ls 2>&1'));
+  assert.ok(readOnly('git log --oneline -5 2>/dev/null | head'));
+  assert.ok(readOnly('find . -name "*.js" &>/dev/null'));
+  assert.ok(readOnly('git status >/dev/null 2>&1 && git diff'));
+});
+
+test('questions runs may not redirect output to a file', () => {
+  assert.ok(!readOnly('ls > /tmp/x'));
+  assert.ok(!readOnly('ls 2>/tmp/x'));
+  assert.ok(!readOnly('ls 2>/dev/null.txt'));
+  assert.ok(!readOnly('ls &>/tmp/x'));
+  assert.ok(!readOnly('ls >&out.txt'));
+});
+
+test('questions runs may not chain a write after a single &', () => {
+  assert.ok(!readOnly('ls & rm -rf src'));
+  assert.ok(!readOnly('ls &rm -rf src'));
+});
+
+test('questions runs may not write from a subshell', () => {
+  assert.ok(!readOnly('ls; (rm -rf src)'));
+  assert.ok(!readOnly('ls && { rm -rf src; }'));
+  assert.ok(!readOnly('cat $(rm -rf src)'));
+});
+
+test('questions runs may not have tree write files', () => {
+  assert.ok(!readOnly('tree -o /tmp/x'));
+  assert.ok(!readOnly('tree -ao /tmp/x'));
+  assert.ok(!readOnly('tree "-o" /tmp/x'));
+  assert.ok(!readOnly('tree -R -H . src'));
+});
+
+test('questions runs may not have git grep run a pager', () => {
+  assert.ok(!readOnly('git grep -Osh foo'));
+  assert.ok(!readOnly('git grep -iO foo'));
+  assert.ok(!readOnly('git grep --open-files-in-pager=sh foo'));
+  assert.ok(!readOnly('git grep --open-files foo'));
+});
+
+test('questions runs may not use other writing flags', () => {
+  assert.ok(!readOnly('find . -delete'));
+  assert.ok(!readOnly('find . -exec rm {} ;'));
+  assert.ok(!readOnly('git diff --output=/tmp/x'));
+  assert.ok(!readOnly('rg --pre sh foo'));
+  assert.ok(!readOnly('file -C -m magic'));
+});
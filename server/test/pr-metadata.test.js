@@ -0,0 +1,48 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPRMetadata, checkPushAccess } from '../pr-metadata.js';
+
+// Answer the pull request and /files requests the way GitHub does
+function serveGitHub(pull) {
+  return mock.method(globalThis, 'fetch', async (url) => {
+    const body = String(url).includes('/files') ? [] : pull;
+    return new Response(JSON.stringify(body), { status: 200 });
+  });
+}
+
+function pullFrom(headRepo) {
+  return {
+    number: 7,
+    title: 'Fix typo',
+    state: 'open',
+    user: { login: 'contributor' },
+    labels: [],
+    base: { ref: 'main', sha: 'a'.repeat(40) },
+    head: { ref: 'main', sha: 'b'.repeat(40), repo: headRepo },
+    maintainer_can_modify: true
+  };
+}
+
+test('treats a PR from a deleted fork as a fork that cannot be pushed to', async (t) => {
+  const fetch = serveGitHub(pullFrom(null));
+  t.after(() => fetch.mock.restore());
+
+  const metadata = await getPRMetadata('acme/api', 7, { refresh: true });
+  assert.equal(metadata.isFork, true);
+  assert.equal(metadata.headDeleted, true);
+  assert.equal(metadata.headRepoFullName, null);
+
+  const access = await checkPushAccess(metadata);
+  assert.equal(access.allowed, false);
+  assert.match(access.reason, /deleted/);
+});
+
+test('treats a same-repo PR as pushable', async (t) => {
+  const fetch = serveGitHub(pullFrom({ full_name: 'acme/api', clone_url: 'https://github.com/acme/api.git' }));
+  t.after(() => fetch.mock.restore());
+
+  const metadata = await getPRMetadata('acme/api', 7, { refresh: true });
+  assert.equal(metadata.isFork, false);
+  assert.equal(metadata.headDeleted, false);
+  assert.deepEqual(await checkPushAccess(metadata), { allowed: true, reason: null });
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUsageCounter, addMessageUsage, usageTotals } from '../usage-tracker.js';
+
+// A million tokens each way - at list price $3 in, $15 out for Sonnet 4.5
+function totalsFor(model) {
+  const counter = createUsageCounter();
+  addMessageUsage(counter, { id: 'msg-1', model, usage: { input_tokens: 1e6, output_tokens: 1e6 } });
+  return usageTotals(counter);
+}
+
+test('prices Anthropic API model ids', () => {
+  assert.equal(totalsFor('claude-sonnet-4-5-20250929').costUsd, 18);
+});
+
+test('prices Vertex model ids', () => {
+  assert.equal(totalsFor('claude-sonnet-4-5@20250929').costUsd, 18);
+});
+
+test('prices Bedrock model ids', () => {
+  assert.equal(totalsFor('anthropic.claude-sonnet-4-5-20250929-v1:0').costUsd, 18);
+});
+
+test('prices Bedrock cross-region inference profile ids', () => {
+  assert.equal(totalsFor('us.anthropic.claude-sonnet-4-5-20250929-v1:0').costUsd, 18);
+  assert.equal(totalsFor('global.anthropic.claude-sonnet-4-5-20250929-v1:0').costUsd, 18);
+  assert.equal(totalsFor('arn:aws:bedrock:us-east-1:123456789012:inference-profile/eu.anthropic.claude-sonnet-4-5-20250929-v1:0').costUsd, 18);
+});
+
+test('reports models without a price', () => {
+  const totals = totalsFor('some-other-model');
+  assert.equal(totals.costUsd, 0);
+  assert.deepEqual(totals.unpricedModels, ['some-other-model']);
+});
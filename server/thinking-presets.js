@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Thinking Presets
+ * How many tokens the model may spend on extended thinking before it answers.
+ * Each kind of run has a default preset, set in the extension's settings; a job
+ * can pick another one for its run. The budget is passed to the Agent SDK as
+ * maxThinkingTokens.
+ */
+
+export const THINKING_PRESETS = {
+  off: null,
+  low: 4000,
+  medium: 10000,
+  high: 31999
+};
+
+const DEFAULT_PRESETS = { questions: 'off', actions: 'off' };
+
+export function isThinkingPreset(preset) {
+  return typeof preset === 'string' && Object.hasOwn(THINKING_PRESETS, preset);
+}
+
+/**
+ * Preset a run uses: the job's, else the browser's default for the mode
+ * @param {Object} [settings] - Session settings ({ thinking: { questions, actions } })
+ * @param {'questions'|'actions'} mode
+ * @param {string} [requested] - Preset picked for the run
+ * @returns {'off'|'low'|'medium'|'high'}
+ */
+export function resolveThinkingPreset(settings, mode, requested = null) {
+  if (isThinkingPreset(requested)) {
+    return requested;
+  }
+  const configured = settings?.thinking?.[mode];
+  return isThinkingPreset(configured) ? configured : DEFAULT_PRESETS[mode];
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Transcript Log
+ * Writes every agent session's event stream to disk as JSONL, next to the
+ * Questions/Actions markdown it worked on, so runs can be audited and replayed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { resolveReviewPath, resolveReviewDir } from './path-jail.js';
+import { getPRDir } from './review-store.js';
+
+const transcripts = new Map(); // sessionId → absolute path of the .jsonl file
+
+/**
+ * Start a transcript for a session
+ * @param {string} sessionId - Agent session id
+ * @param {string} reviewFilePath - Absolute path to the Questions/Actions markdown
+ * @param {Object} meta - Extra fields recorded on the session_start event (mode, prInfo, ...)
+ * @returns {string} Absolute path of the transcript file
+ */
+export function startTranscript(sessionId, reviewFilePath, meta = {}) {
+  const dir = path.dirname(reviewFilePath);
+  const kind = path.basename(reviewFilePath).split(' ')[0]; // "Questions" or "Actions"
+  const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
+  const filePath = path.join(dir, `${kind} Transcript ${timestamp}.jsonl`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  transcripts.set(sessionId, filePath);
+
+  console.log(`[TRANSCRIPT] Recording session ${sessionId} to ${path.relative(config.prReviewsDir, filePath)}`);
+  logTranscriptEvent(sessionId, 'session_start', { sessionId, ...meta });
+  return filePath;
+}
+
+/**
+ * Append an event to a session's transcript (no-op if the session isn't recording)
+ */
+export function logTranscriptEvent(sessionId, type, data = {}) {
+  const filePath = transcripts.get(sessionId);
+  if (!filePath) return;
+
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), type, ...data });
+  try {
+    fs.appendFileSync(filePath, line + '\n', 'utf8');
+  } catch (error) {
+    console.error('[TRANSCRIPT] ❌ Failed to write event:', error.message);
+  }
+}
+
+/**
+ * Record the end of a session and stop recording
+ */
+export function endTranscript(sessionId, data = {}) {
+  if (!transcripts.has(sessionId)) return;
+  logTranscriptEvent(sessionId, 'session_end', data);
+  transcripts.delete(sessionId);
+}
+
+/**
+ * List transcripts for a PR, newest first
+ * @returns {Array<{filename: string, mode: string|null, startedAt: string|null, status: string|null, events: number}>}
+ */
+export function listTranscripts(fullRepoName, prNumber) {
+  const relativeDir = getPRDir(fullRepoName, prNumber);
+  const prDir = resolveReviewDir(relativeDir);
+
+  if (!fs.existsSync(prDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(prDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => {
+      const events = readEvents(path.join(prDir, f));
+      const start = events.find(e => e.type === 'session_start');
+      const end = events.find(e => e.type === 'session_end');
+      return {
+        filename: path.join(relativeDir, f),
+        mode: start?.mode || null,
+        startedAt: start?.timestamp || null,
+        status: end?.status || null,
+        events: events.length
+      };
+    })
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+/**
+ * Read all events of a transcript
+ * @param {string} filename - Path relative to prReviewsDir (as returned by listTranscripts)
+ */
+export function readTranscript(filename) {
+  const filePath = resolveReviewPath(filename, ['.jsonl']);
+  if (!fs.existsSync(filePath)) {
+    throw new Error('Transcript not found');
+  }
+
+  return readEvents(filePath);
+}
+
+/**
+ * Parse a JSONL file, skipping lines that were cut short (e.g. server killed mid-write)
+ */
+function readEvents(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Tracker
+ * Token usage and cost of agent runs. A run's input, output and cache tokens
+ * are summed over its assistant messages and priced with config.prices. Each
+ * finished run is appended to usage.jsonl in PR_REVIEWS_DIR, which the /usage
+ * report rolls up per day, repository and PR.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens'];
+
+const warnedModels = new Set(); // Unpriced models already warned about
+
+/**
+ * Start counting a run's usage
+ */
+export function createUsageCounter() {
+  return { messages: new Map() }; // API message id → { model, usage }
+}
+
+/**
+ * Count an assistant message from the Agent SDK
+ * The SDK emits one message per content block, all carrying the API message's
+ * id and usage - the latest usage per id is kept, so nothing is counted twice.
+ * @param {Object} message - The API message (SDK message.message): { id, model, usage }
+ */
+export function addMessageUsage(counter, message) {
+  if (!message?.usage) return;
+  const id = message.id || `message-${counter.messages.size}`;
+  counter.messages.set(id, { model: message.model || null, usage: message.usage });
+}
+
+/**
+ * Token and cost totals of a run so far
+ * @returns {{inputTokens: number, outputTokens: number, cacheCreationTokens: number, cacheReadTokens: number, costUsd: number, models: Array<string>, unpricedModels: Array<string>}}
+ */
+export function usageTotals(counter) {
+  const totals = { ...emptyTotals(), models: [], unpricedModels: [] };
+  delete totals.runs; // Rolled up in reports only
+
+  for (const { model, usage } of counter.messages.values()) {
+    const tokens = {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0
+    };
+    TOKEN_FIELDS.forEach(field => { totals[field] += tokens[field]; });
+
+    if (model && !totals.models.includes(model)) {
+      totals.models.push(model);
+    }
+
+    const price = findPrice(model);
+    if (price) {
+      totals.costUsd += (
+        tokens.inputTokens * price.input +
+        tokens.outputTokens * price.output +
+        tokens.cacheCreationTokens * price.cacheWrite +
+        tokens.cacheReadTokens * price.cacheRead
+      ) / 1e6;
+    } else if (!totals.unpricedModels.includes(model || 'unknown')) {
+      totals.unpricedModels.push(model || 'unknown');
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Append a finished run to the usage ledger
+ * @param {Object} run
+ * @param {string} run.sessionId - Agent session that ran it
+ * @param {'questions'|'followups'|'actions'} run.kind
+ * @param {Object} run.prInfo - { fullRepoName, prNumber }
+ * @param {string} run.status - 'completed', 'budget_exceeded', 'failed' or 'stopped'
+ * @param {Object} run.totals - From usageTotals
+ */
+export function recordRunUsage({ sessionId, kind, prInfo, status, totals }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    sessionId,
+    kind,
+    repo: prInfo.fullRepoName,
+    prNumber: prInfo.prNumber,
+    status,
+    ...totals
+  };
+
+  try {
+    fs.mkdirSync(config.prReviewsDir, { recursive: true });
+    fs.appendFileSync(ledgerPath(), JSON.stringify(entry) + '\n', 'utf8');
+    console.log(`[USAGE] ${entry.repo}#${entry.prNumber} ${kind}: ${totals.inputTokens} in / ${totals.outputTokens} out / ${totals.cacheReadTokens} cache read tokens, $${totals.costUsd.toFixed(4)}`);
+  } catch (error) {
+    console.error('[USAGE] ❌ Failed to record usage:', error.message);
+  }
+  return entry;
+}
+
+/**
+ * Roll the ledger up per day, repository and PR
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - First day to include (YYYY-MM-DD, UTC)
+ * @param {string} [filters.to] - Last day to include (YYYY-MM-DD, UTC)
+ * @param {string} [filters.repo] - Only this repository (owner/repo)
+ * @returns {{totals: Object, days: Array<Object>, repos: Array<Object>}}
+ */
+export function usageReport({ from = null, to = null, repo = null } = {}) {
+  const entries = readLedger().filter(entry => {
+    const day = entry.timestamp.slice(0, 10);
+    return (!from || day >= from) && (!to || day <= to) && (!repo || entry.repo === repo);
+  });
+
+  const totals = emptyTotals();
+  const days = new Map(); // day → totals
+  const repos = new Map(); // repo → totals with prs: Map(prNumber → totals)
+
+  for (const entry of entries) {
+    const day = entry.timestamp.slice(0, 10);
+    if (!days.has(day)) days.set(day, { date: day, ...emptyTotals() });
+    if (!repos.has(entry.repo)) repos.set(entry.repo, { repo: entry.repo, ...emptyTotals(), prs: new Map() });
+    const repoTotals = repos.get(entry.repo);
+    if (!repoTotals.prs.has(entry.prNumber)) repoTotals.prs.set(entry.prNumber, { prNumber: entry.prNumber, ...emptyTotals() });
+
+    [totals, days.get(day), repoTotals, repoTotals.prs.get(entry.prNumber)].forEach(target => addTotals(target, entry));
+  }
+
+  return {
+    totals,
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    repos: [...repos.values()]
+      .map(repoTotals => ({ ...repoTotals, prs: [...repoTotals.prs.values()].sort((a, b) => b.costUsd - a.costUsd) }))
+      .sort((a, b) => b.costUsd - a.costUsd)
+  };
+}
+
+/**
+ * Price of a model: the price table entry with the longest matching id prefix
+ * A price listed under the provider's own id wins over the Anthropic id it names.
+ */
+function findPrice(model) {
+  if (!model) return null;
+  const key = [model, priceModelId(model)]
+    .map(id => Object.keys(config.prices)
+      .filter(prefix => id.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0])
+    .find(Boolean);
+
+  if (!key && !warnedModels.has(model)) {
+    warnedModels.add(model);
+    console.warn(`[USAGE] ⚠️  No price for model ${model} - add it under "prices" in config.json`);
+  }
+  return key ? config.prices[key] : null;
+}
+
+/**
+ * The Anthropic model id a provider's model id names
+ * Strips Bedrock's inference profile ARN, region and "anthropic." prefixes and
+ * version suffix, and Vertex's "@date" suffix:
+ *   us.anthropic.claude-sonnet-4-5-20250929-v1:0 → claude-sonnet-4-5-20250929
+ *   claude-sonnet-4-5@20250929                  → claude-sonnet-4-5
+ */
+function priceModelId(model) {
+  return model
+    .replace(/^arn:.*\//, '')
+    .replace(/^(?:[a-z]+\.)?anthropic\./, '')
+    .replace(/-v\d+(?::\d+)?$/, '')
+    .replace(/@.*$/, '');
+}
+
+function emptyTotals() {
+  return { runs: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, entry) {
+  target.runs += 1;
+  TOKEN_FIELDS.forEach(field => { target[field] += entry[field] || 0; });
+  target.costUsd += entry.costUsd || 0;
+}
+
+function readLedger() {
+  if (!fs.existsSync(ledgerPath())) return [];
+
+  return fs.readFileSync(ledgerPath(), 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Torn write - skip the line
+      }
+    })
+    .filter(Boolean);
+}
+
+function ledgerPath() {
+  return path.join(config.prReviewsDir, 'usage.jsonl');
+}